@@ -0,0 +1,63 @@
+import { Card, CardContent, CardHeader, CardTitle, CardDescription } from "@/components/ui/card";
+import { Accordion, AccordionContent, AccordionItem, AccordionTrigger } from "@/components/ui/accordion";
+import { Accessibility, CheckCircle2 } from "lucide-react";
+import { cn } from "@/lib/utils";
+import { IMPACT_STYLES } from "@/lib/accessibility";
+import type { BrowserMetrics } from "@/lib/web-vitals";
+
+export function AccessibilityCard({ metrics }: { metrics?: BrowserMetrics | null }) {
+  const violations = metrics?.accessibilityViolations;
+  if (!violations) return null;
+
+  return (
+    <Card className="shadow-lg border-border/50">
+      <CardHeader>
+        <CardTitle className="text-lg flex items-center gap-2">
+          <Accessibility className="w-5 h-5 text-primary" /> Accessibility: {metrics.accessibility}/100
+        </CardTitle>
+        <CardDescription>
+          {violations.length === 0
+            ? "No rule violations found"
+            : `${violations.length} rule${violations.length === 1 ? "" : "s"} failed, weighted by impact`}
+        </CardDescription>
+      </CardHeader>
+      <CardContent>
+        {violations.length === 0 ? (
+          <div className="flex items-center gap-2 text-sm text-emerald-500">
+            <CheckCircle2 className="w-4 h-4" /> Labels, contrast, ARIA, headings, landmarks, link names and language all passed
+          </div>
+        ) : (
+          <Accordion type="multiple">
+            {violations.map(v => (
+              <AccordionItem key={v.id} value={v.id}>
+                <AccordionTrigger className="text-sm">
+                  <span className="flex items-center gap-2 text-left">
+                    <span className={cn("rounded border px-1.5 py-0.5 text-xs font-semibold uppercase", IMPACT_STYLES[v.impact])}>
+                      {v.impact}
+                    </span>
+                    {v.description}
+                    <span className="text-muted-foreground">({v.count})</span>
+                  </span>
+                </AccordionTrigger>
+                <AccordionContent>
+                  <div className="text-xs text-muted-foreground mb-2 font-mono">{v.id}</div>
+                  <ul className="space-y-2">
+                    {v.nodes.map((node, i) => (
+                      <li key={i} className="rounded-md bg-muted/50 p-2 text-xs">
+                        <div className="font-mono text-primary break-all">{node.selector}</div>
+                        <code className="block mt-1 break-all text-muted-foreground">{node.html}</code>
+                      </li>
+                    ))}
+                  </ul>
+                  {v.count > v.nodes.length && (
+                    <p className="text-xs text-muted-foreground mt-2">and {v.count - v.nodes.length} more</p>
+                  )}
+                </AccordionContent>
+              </AccordionItem>
+            ))}
+          </Accordion>
+        )}
+      </CardContent>
+    </Card>
+  );
+}
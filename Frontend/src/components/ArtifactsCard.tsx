@@ -0,0 +1,77 @@
+import { useState } from "react";
+import { Card, CardContent, CardHeader, CardTitle, CardDescription } from "@/components/ui/card";
+import { Button } from "@/components/ui/button";
+import { Camera, Download, Loader2 } from "lucide-react";
+import { useArtifactURL } from "@/hooks/use-load-test";
+import { useAuth } from "@/hooks/use-auth";
+import { api } from "@/lib/api";
+import { formatBytes } from "@/lib/web-vitals";
+import type { SessionArtifact } from "@/lib/artifacts";
+
+function ArtifactImage({ sessionId, artifact, className }: { sessionId: string; artifact: SessionArtifact; className?: string }) {
+  const url = useArtifactURL(sessionId, artifact.id);
+  if (!url) return <div className={`${className} bg-muted/50 animate-pulse`} />;
+  return <img src={url} alt={artifact.name} className={className} />;
+}
+
+export function ArtifactsCard({ sessionId, artifacts }: { sessionId?: string; artifacts?: SessionArtifact[] | null }) {
+  const { token } = useAuth();
+  const [isDownloading, setIsDownloading] = useState(false);
+  if (!sessionId || !artifacts?.length) return null;
+
+  const screenshot = artifacts.find(a => a.kind === "screenshot");
+  const filmstrip = artifacts.filter(a => a.kind === "filmstrip").sort((a, b) => (a.offsetMs ?? 0) - (b.offsetMs ?? 0));
+  const har = artifacts.find(a => a.kind === "har");
+
+  const downloadHar = async () => {
+    if (!har || !token) return;
+    setIsDownloading(true);
+    try {
+      const blob = await api.getArtifact(token, sessionId, har.id);
+      const url = URL.createObjectURL(blob);
+      const link = document.createElement("a");
+      link.href = url;
+      link.download = `syncmind-${sessionId}.har`;
+      link.click();
+      URL.revokeObjectURL(url);
+    } finally {
+      setIsDownloading(false);
+    }
+  };
+
+  return (
+    <Card className="shadow-lg border-border/50">
+      <CardHeader className="flex flex-row items-start justify-between gap-4 space-y-0">
+        <div className="space-y-1.5">
+          <CardTitle className="text-lg flex items-center gap-2">
+            <Camera className="w-5 h-5 text-primary" /> What the Browser Rendered
+          </CardTitle>
+          <CardDescription>Final screenshot and loading filmstrip of the audited page</CardDescription>
+        </div>
+        {har && (
+          <Button variant="outline" size="sm" onClick={downloadHar} disabled={isDownloading}>
+            {isDownloading ? <Loader2 className="w-4 h-4 mr-1 animate-spin" /> : <Download className="w-4 h-4 mr-1" />}
+            HAR ({formatBytes(har.bytes)})
+          </Button>
+        )}
+      </CardHeader>
+      <CardContent className="space-y-6">
+        {filmstrip.length > 0 && (
+          <div className="flex gap-3 overflow-x-auto pb-2">
+            {filmstrip.map(frame => (
+              <figure key={frame.id} className="shrink-0 w-32">
+                <ArtifactImage sessionId={sessionId} artifact={frame} className="w-32 h-24 object-contain rounded border border-border/50 bg-white" />
+                <figcaption className="mt-1 text-center text-xs text-muted-foreground tabular-nums">
+                  {((frame.offsetMs ?? 0) / 1000).toFixed(1)} s
+                </figcaption>
+              </figure>
+            ))}
+          </div>
+        )}
+        {screenshot && (
+          <ArtifactImage sessionId={sessionId} artifact={screenshot} className="w-full max-w-3xl min-h-48 rounded border border-border/50" />
+        )}
+      </CardContent>
+    </Card>
+  );
+}
@@ -0,0 +1,58 @@
+import { Input } from "@/components/ui/input";
+import { Label } from "@/components/ui/label";
+import { getBreakingPointLevels, type BreakingPointConfig } from "@/lib/breaking-point";
+
+interface BreakingPointFormProps {
+  value: BreakingPointConfig;
+  onChange: (config: BreakingPointConfig) => void;
+}
+
+export function BreakingPointForm({ value, onChange }: BreakingPointFormProps) {
+  const update = (patch: Partial<BreakingPointConfig>) => onChange({ ...value, ...patch });
+  const toNumber = (v: string) => (v === "" ? 0 : Number(v));
+  const levels = getBreakingPointLevels(value);
+
+  return (
+    <div className="space-y-4 rounded-lg border border-border/50 p-4">
+      <div className="grid grid-cols-2 gap-4">
+        <div className="space-y-2">
+          <Label htmlFor="bpStartVUs">Starting VUs</Label>
+          <Input id="bpStartVUs" type="number" min={1} value={value.startVUs} onChange={(e) => update({ startVUs: toNumber(e.target.value) })} />
+        </div>
+        <div className="space-y-2">
+          <Label htmlFor="bpStepVUs">VUs Added per Step</Label>
+          <Input id="bpStepVUs" type="number" min={1} value={value.stepVUs} onChange={(e) => update({ stepVUs: toNumber(e.target.value) })} />
+        </div>
+        <div className="space-y-2">
+          <Label htmlFor="bpMaxVUs">Max VUs</Label>
+          <Input id="bpMaxVUs" type="number" min={1} value={value.maxVUs} onChange={(e) => update({ maxVUs: toNumber(e.target.value) })} />
+        </div>
+        <div className="space-y-2">
+          <Label htmlFor="bpStepDuration">Step Duration</Label>
+          <Input id="bpStepDuration" placeholder="20s" value={value.stepDuration} onChange={(e) => update({ stepDuration: e.target.value })} />
+        </div>
+        <div className="space-y-2">
+          <Label htmlFor="bpMaxErrorRate">Max Error Rate (%)</Label>
+          <Input
+            id="bpMaxErrorRate"
+            type="number"
+            min={0}
+            max={100}
+            step={0.5}
+            value={Number((value.maxErrorRate * 100).toFixed(2))}
+            onChange={(e) => update({ maxErrorRate: toNumber(e.target.value) / 100 })}
+          />
+        </div>
+        <div className="space-y-2">
+          <Label htmlFor="bpMaxP95">Max p95 Latency (ms)</Label>
+          <Input id="bpMaxP95" type="number" min={1} value={value.maxP95} onChange={(e) => update({ maxP95: toNumber(e.target.value) })} />
+        </div>
+      </div>
+      <p className="text-xs text-muted-foreground">
+        {levels.length > 0
+          ? `Steps through ${levels.join(", ")} VUs and stops at the first step that crosses either limit.`
+          : "Starting VUs and VUs per step must be at least 1."}
+      </p>
+    </div>
+  );
+}
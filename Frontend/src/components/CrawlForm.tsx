@@ -0,0 +1,70 @@
+import { Input } from "@/components/ui/input";
+import { Label } from "@/components/ui/label";
+import { Textarea } from "@/components/ui/textarea";
+import { CRAWL_LIMITS, type CrawlConfig } from "@/lib/crawl";
+
+interface CrawlFormProps {
+  value: CrawlConfig;
+  onChange: (config: CrawlConfig) => void;
+}
+
+// One pattern per line; blank lines are kept while editing and dropped on submit (toCrawlRequest)
+const toLines = (patterns: string[]) => patterns.join("\n");
+const fromLines = (text: string) => text.split("\n");
+
+export function CrawlForm({ value, onChange }: CrawlFormProps) {
+  const update = (patch: Partial<CrawlConfig>) => onChange({ ...value, ...patch });
+  const toNumber = (v: string) => (v === "" ? 0 : Number(v));
+
+  return (
+    <div className="space-y-4">
+      <div className="grid grid-cols-2 gap-4">
+        <div className="space-y-2">
+          <Label htmlFor="crawlMaxPages">Max Pages</Label>
+          <Input
+            id="crawlMaxPages"
+            type="number"
+            min={1}
+            max={CRAWL_LIMITS.maxPages}
+            value={value.maxPages}
+            onChange={(e) => update({ maxPages: toNumber(e.target.value) })}
+          />
+        </div>
+        <div className="space-y-2">
+          <Label htmlFor="crawlMaxDepth">Max Link Depth</Label>
+          <Input
+            id="crawlMaxDepth"
+            type="number"
+            min={0}
+            max={CRAWL_LIMITS.maxDepth}
+            value={value.maxDepth}
+            onChange={(e) => update({ maxDepth: toNumber(e.target.value) })}
+          />
+        </div>
+        <div className="space-y-2">
+          <Label htmlFor="crawlInclude">Include Paths</Label>
+          <Textarea
+            id="crawlInclude"
+            placeholder={"/blog/**\n/products/*"}
+            className="font-mono text-xs"
+            value={toLines(value.include)}
+            onChange={(e) => update({ include: fromLines(e.target.value) })}
+          />
+        </div>
+        <div className="space-y-2">
+          <Label htmlFor="crawlExclude">Exclude Paths</Label>
+          <Textarea
+            id="crawlExclude"
+            placeholder={"/logout\n/admin/**"}
+            className="font-mono text-xs"
+            value={toLines(value.exclude)}
+            onChange={(e) => update({ exclude: fromLines(e.target.value) })}
+          />
+        </div>
+      </div>
+      <p className="text-xs text-muted-foreground">
+        Follows same-origin links breadth-first from the target URL. <code>*</code> matches one path segment, <code>**</code> any number; excludes win over includes. Leave includes empty to allow every path.
+      </p>
+    </div>
+  );
+}
@@ -0,0 +1,112 @@
+import { Card, CardContent, CardHeader, CardTitle, CardDescription } from "@/components/ui/card";
+import { Network, AlertTriangle } from "lucide-react";
+import { cn } from "@/lib/utils";
+import type { CrawlReport } from "@/lib/crawl";
+
+const scoreClass = (score?: number | null) => {
+  if (score == null) return "text-muted-foreground";
+  if (score >= 90) return "text-emerald-500";
+  if (score >= 50) return "text-amber-500";
+  return "text-red-500";
+};
+
+const SCORE_COLUMNS = [
+  { key: "performance", label: "Perf" },
+  { key: "accessibility", label: "A11y" },
+  { key: "bestPractices", label: "Best Pr." },
+  { key: "seo", label: "SEO" },
+] as const;
+
+export function CrawlReportCard({ crawl }: { crawl?: CrawlReport | null }) {
+  if (!crawl) return null;
+  const { summary, pages } = crawl;
+
+  return (
+    <Card className="shadow-lg border-border/50">
+      <CardHeader>
+        <CardTitle className="text-lg flex items-center gap-2">
+          <Network className="w-5 h-5 text-primary" /> Site Crawl
+        </CardTitle>
+        <CardDescription>
+          {summary.pagesAudited} pages audited{summary.pagesFailed > 0 && `, ${summary.pagesFailed} failed`}, up to {summary.maxDepthReached} link{summary.maxDepthReached === 1 ? "" : "s"} deep
+        </CardDescription>
+      </CardHeader>
+      <CardContent className="space-y-6">
+        <div className="grid grid-cols-2 md:grid-cols-4 gap-4">
+          {SCORE_COLUMNS.map(({ key, label }) => (
+            <div key={key} className="rounded-lg border border-border/50 p-3">
+              <div className="text-xs font-bold uppercase tracking-widest text-muted-foreground">Avg {label}</div>
+              <div className={cn("text-2xl font-bold mt-1", scoreClass(summary.averages[key]))}>
+                {summary.averages[key] ?? "n/a"}
+              </div>
+            </div>
+          ))}
+        </div>
+
+        {summary.worstPages.length > 0 && (
+          <div>
+            <div className="text-sm font-semibold mb-2 flex items-center gap-2">
+              <AlertTriangle className="w-4 h-4 text-amber-500" /> Worst Pages
+            </div>
+            <ul className="space-y-2">
+              {summary.worstPages.map(page => (
+                <li key={page.url} className="rounded-md bg-muted/50 p-2 text-xs">
+                  <div className="flex items-center justify-between gap-2">
+                    <span className="font-mono truncate" title={page.url}>{page.url}</span>
+                    <span className={cn("font-bold shrink-0", scoreClass(page.overall))}>{page.overall}</span>
+                  </div>
+                  <div className="text-muted-foreground mt-1">
+                    Depth {page.depth}{page.reasons.length > 0 && ` · ${page.reasons.join(", ")}`}
+                  </div>
+                </li>
+              ))}
+            </ul>
+          </div>
+        )}
+
+        <div className="overflow-x-auto">
+          <table className="w-full text-xs">
+            <thead>
+              <tr className="text-left text-muted-foreground">
+                <th className="py-1 font-medium">Page</th>
+                <th className="py-1 font-medium text-right">Depth</th>
+                {SCORE_COLUMNS.map(({ key, label }) => (
+                  <th key={key} className="py-1 font-medium text-right">{label}</th>
+                ))}
+                <th className="py-1 font-medium text-right">LCP</th>
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-border/50">
+              {pages.map(page => (
+                <tr key={page.url}>
+                  <td className="py-1 pr-2 max-w-xs truncate font-mono" title={page.url}>{page.url}</td>
+                  <td className="py-1 text-right">{page.depth}</td>
+                  {page.error ? (
+                    <td colSpan={SCORE_COLUMNS.length + 1} className="py-1 text-right text-red-500 truncate" title={page.error}>
+                      {page.error}
+                    </td>
+                  ) : (
+                    <>
+                      {SCORE_COLUMNS.map(({ key }) => (
+                        <td
+                          key={key}
+                          className={cn("py-1 text-right font-semibold", scoreClass(page[key]))}
+                          title={key === "seo" ? page.seoFindings?.map(f => `${f.status.toUpperCase()} ${f.id}: ${f.detail}`).join("\n") : undefined}
+                        >
+                          {page[key] ?? "n/a"}
+                        </td>
+                      ))}
+                      <td className="py-1 text-right">
+                        {page.webVitals?.lcp?.value != null ? `${page.webVitals.lcp.value} ms` : "n/a"}
+                      </td>
+                    </>
+                  )}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      </CardContent>
+    </Card>
+  );
+}
@@ -1,37 +1,19 @@
 import {
     PieChart, Pie, Cell,
     LineChart, Line, XAxis, YAxis, CartesianGrid, Tooltip, Legend, ResponsiveContainer,
-    BarChart, Bar, AreaChart, Area,
+    AreaChart, Area,
     Radar, RadarChart, PolarGrid, PolarAngleAxis, PolarRadiusAxis,
     ReferenceLine
 } from 'recharts';
 import { Card, CardContent, CardHeader, CardTitle, CardDescription } from "@/components/ui/card";
 import { Activity } from "lucide-react";
+import type { BreakingPointReport } from "@/lib/breaking-point";
+import { ERROR_CLASS_LABELS, type ErrorClass, type HealthSlice, type ResponseBreakdown } from "@/lib/breakdown";
+import { describeCicd, type CicdRisk } from "@/lib/cicd";
+import { describeKubernetes } from "@/lib/kubernetes";
 
 // --- MOCK DATA ---
 
-const healthData = [
-    { name: 'Successful Responses (2xx)', value: 94, color: '#2563eb' }, // Blue
-    { name: 'Failed Requests (Blocked / Rejected / 5xx)', value: 4, color: '#f59e0b' }, // Amber
-    { name: 'Server Errors (5xx)', value: 2, color: '#ef4444' }, // Red
-];
-
-const throughputData = [
-    { timestamp: '10:00', value: 1200, errors: 20 },
-    { timestamp: '10:05', value: 2100, errors: 45 },
-    { timestamp: '10:10', value: 3500, errors: 120 },
-    { timestamp: '10:15', value: 2800, errors: 30 },
-    { timestamp: '10:20', value: 4200, errors: 80 },
-    { timestamp: '10:25', value: 5100, errors: 200 },
-];
-
-const scalabilityData = [
-    { percentile: 'p50', latency: 45 },
-    { percentile: 'p95', latency: 62 },
-    { percentile: 'p99', latency: 85 },
-    { percentile: 'avg', latency: 50 },
-];
-
 const securityData = [
     { subject: 'Performance', A: 80, fullMark: 100 },
     { subject: 'Accessibility', A: 85, fullMark: 100 },
@@ -40,9 +22,9 @@ const securityData = [
     { subject: 'Interactivity', A: 75, fullMark: 100 },
 ];
 
-export function SystemHealthChart({ data, metrics, github }: { data?: any[], metrics?: any, github?: any }) {
-    const rawData = data || healthData;
-    const chartData = rawData.filter((d: any) => d.value > 0);
+export function SystemHealthChart({ data, metrics, github }: { data?: HealthSlice[] | null, metrics?: any, github?: any }) {
+    // Measured response distribution (status classes + network error classes), in %
+    const chartData = (data || []).filter(d => d.value > 0);
     const hasData = chartData.length > 0;
 
     // Calculate Launch Readiness Score (0-100)
@@ -58,11 +40,11 @@ export function SystemHealthChart({ data, metrics, github }: { data?: any[], met
             // Docker containerization (15 pts) - Essential for deployment
             if (github.docker?.present) githubScore += 15;
 
-            // CI/CD Pipelines (15 pts) - Essential for automation
-            if (github.cicd?.present) githubScore += 15;
+            // CI/CD Pipelines (15 pts) - Essential for automation, scaled by what the pipeline runs
+            if (github.cicd?.present) githubScore += Math.round(15 * (github.cicd.score ?? 100) / 100);
 
-            // Kubernetes (10 pts) - Orchestration
-            if (github.kubernetes?.present) githubScore += 10;
+            // Kubernetes (10 pts) - Orchestration, scaled by how production-ready the workloads are
+            if (github.kubernetes?.present) githubScore += Math.round(10 * (github.kubernetes.score ?? 100) / 100);
 
             // Start Scripts (10 pts) - Runnability
             if (github.hasStartScript) githubScore += 10;
@@ -145,6 +127,10 @@ export function SystemHealthChart({ data, metrics, github }: { data?: any[], met
 
         if (github && !github.cicd?.present) {
             risks.push({ level: "info", text: "No CI/CD detected - manual deployment risks" });
+        } else if (github?.cicd?.deployGatedOnTests === false) {
+            risks.push({ level: "warning", text: "CI/CD deploys without waiting for tests" });
+        } else if (github?.cicd?.stages && !github.cicd.stages.test) {
+            risks.push({ level: "info", text: "CI/CD pipeline runs no tests" });
         }
 
         if (risks.length === 0) {
@@ -203,6 +189,26 @@ export function SystemHealthChart({ data, metrics, github }: { data?: any[], met
                     )}
                 </div>
 
+                {hasData && (
+                    <div className="w-full mt-6 px-4">
+                        <p className="text-[10px] font-bold uppercase tracking-widest text-muted-foreground mb-2">Response Distribution</p>
+                        <div className="flex h-2 w-full overflow-hidden rounded-full bg-muted">
+                            {chartData.map(slice => (
+                                <div key={slice.name} style={{ width: `${slice.value}%`, backgroundColor: slice.color }} title={`${slice.name}: ${slice.value}%`} />
+                            ))}
+                        </div>
+                        <div className="grid grid-cols-2 gap-x-4 gap-y-1 mt-2">
+                            {chartData.map(slice => (
+                                <div key={slice.name} className="flex items-center gap-1.5 text-[11px] text-muted-foreground">
+                                    <span className="w-2 h-2 rounded-full flex-shrink-0" style={{ backgroundColor: slice.color }} />
+                                    <span className="truncate">{slice.name}</span>
+                                    <span className="ml-auto font-mono">{slice.value}%</span>
+                                </div>
+                            ))}
+                        </div>
+                    </div>
+                )}
+
                 <div className="flex flex-col gap-2 w-full mt-6 px-4">
                     {riskIndicators.slice(0, 3).map((risk, index) => (
                         <div key={index} className="flex items-start gap-2 text-xs">
@@ -224,7 +230,7 @@ export function SystemHealthChart({ data, metrics, github }: { data?: any[], met
 }
 
 export function ThroughputChart({ data, collapsePoint }: { data?: any[], collapsePoint?: number }) {
-    const chartData = data || throughputData;
+    const chartData = data || [];
     const isEmpty =
         !data ||
         data.length === 0 ||
@@ -317,14 +323,14 @@ export function ThroughputChart({ data, collapsePoint }: { data?: any[], collaps
 }
 
 export function ScalabilityChart({ data }: { data?: any[] }) {
-    const chartData = data || scalabilityData;
-    const isEmpty = !data || data.length === 0;
+    const chartData = data || [];
+    const isEmpty = chartData.length === 0;
 
     return (
         <Card className="shadow-lg border-border/50">
             <CardHeader>
                 <CardTitle className="text-lg">Scalability Benchmark</CardTitle>
-                <CardDescription>Latencies at increasing concurrent user counts</CardDescription>
+                <CardDescription>Latency percentiles against concurrent users over the run</CardDescription>
             </CardHeader>
             <CardContent>
                 <div className="h-[300px] w-full relative">
@@ -340,13 +346,21 @@ export function ScalabilityChart({ data }: { data?: any[] }) {
                         </div>
                     ) : (
                         <ResponsiveContainer width="100%" height="100%">
-                            <BarChart data={chartData}>
+                            <LineChart data={chartData}>
                                 <CartesianGrid strokeDasharray="3 3" vertical={false} stroke="hsl(var(--border))" />
-                                <XAxis dataKey="percentile" stroke="#888888" fontSize={12} tickLine={false} axisLine={false} />
-                                <YAxis stroke="#888888" fontSize={12} tickLine={false} axisLine={false} tickFormatter={(v) => `${v}ms`} domain={[0, 'auto']} />
-                                <Tooltip />
-                                <Bar dataKey="latency" fill="hsl(var(--primary))" radius={[4, 4, 0, 0]} barSize={40} />
-                            </BarChart>
+                                <XAxis dataKey="timestamp" stroke="#888888" fontSize={11} tickLine={false} axisLine={false} />
+                                <YAxis yAxisId="latency" stroke="#888888" fontSize={11} tickLine={false} axisLine={false} tickFormatter={(v) => `${v}ms`} domain={[0, 'auto']} />
+                                <YAxis yAxisId="vus" orientation="right" stroke="#888888" fontSize={11} tickLine={false} axisLine={false} allowDecimals={false} />
+                                <Tooltip
+                                    contentStyle={{ borderRadius: '12px', border: '1px solid hsl(var(--border))', boxShadow: '0 8px 24px rgba(0,0,0,0.12)', background: 'hsl(var(--background))' }}
+                                    itemStyle={{ fontSize: '12px', fontWeight: 600 }}
+                                />
+                                <Legend verticalAlign="top" height={36} iconType="circle" />
+                                <Line yAxisId="latency" type="monotone" dataKey="p50" stroke="#2563eb" strokeWidth={2} dot={false} name="p50" />
+                                <Line yAxisId="latency" type="monotone" dataKey="p95" stroke="#f59e0b" strokeWidth={2} dot={false} name="p95" />
+                                <Line yAxisId="latency" type="monotone" dataKey="p99" stroke="#ef4444" strokeWidth={2} dot={false} name="p99" />
+                                <Line yAxisId="vus" type="stepAfter" dataKey="vus" stroke="#888888" strokeDasharray="4 4" strokeWidth={1.5} dot={false} name="VUs" />
+                            </LineChart>
                         </ResponsiveContainer>
                     )}
                 </div>
@@ -365,7 +379,7 @@ export function SecurityRadarChart({ data, runtimeMetrics }: { data?: any[], run
         <Card className="shadow-lg border-border/50">
             <CardHeader>
                 <CardTitle className="text-lg">Browser Experience Audit</CardTitle>
-                <CardDescription>Performance, Accessibility, and Best Practices (Playwright Analysis)</CardDescription>
+                <CardDescription>Performance, Accessibility, Best Practices and Security Posture (Playwright + header/TLS checks)</CardDescription>
             </CardHeader>
             <CardContent>
                 <div className="h-[300px] w-full relative">
@@ -421,6 +435,62 @@ export function SummaryMatrixTable({ metrics, github }: { metrics?: any, github?
     };
 
     const failureRate = getFailureRate(metrics);
+    const breakdown: ResponseBreakdown | null = metrics?.breakdown ?? null;
+    const hasBreakdown = !!breakdown && breakdown.totalRequests > 0;
+    const share = (count: number) => hasBreakdown ? `${count} (${((count / breakdown!.totalRequests) * 100).toFixed(2)}%)` : "N/A";
+    const networkErrors = hasBreakdown
+        ? (Object.entries(breakdown!.errorClasses) as [ErrorClass, number][]).filter(([, count]) => count > 0)
+        : [];
+    const networkErrorTotal = networkErrors.reduce((sum, [, count]) => sum + count, 0);
+
+    const breakdownRows = hasBreakdown ? [
+        {
+            category: "Responses",
+            metric: "2xx / 3xx",
+            value: `${share(breakdown!.statusClasses["2xx"])} / ${share(breakdown!.statusClasses["3xx"])}`,
+            status: "Info",
+            color: "text-muted-foreground"
+        },
+        {
+            category: "Responses",
+            metric: "Client Errors (4xx)",
+            value: share(breakdown!.statusClasses["4xx"]),
+            status: breakdown!.statusClasses["4xx"] === 0 ? "Pass" : "Warn",
+            color: breakdown!.statusClasses["4xx"] === 0 ? "text-green-500" : "text-yellow-500"
+        },
+        {
+            category: "Responses",
+            metric: "Server Errors (5xx)",
+            value: share(breakdown!.statusClasses["5xx"]),
+            status: breakdown!.statusClasses["5xx"] === 0 ? "Pass" : "Fail",
+            color: breakdown!.statusClasses["5xx"] === 0 ? "text-green-500" : "text-red-500"
+        },
+        {
+            category: "Network",
+            metric: "Connection-Level Errors",
+            value: networkErrorTotal === 0
+                ? "None"
+                : networkErrors.map(([cls, count]) => `${ERROR_CLASS_LABELS[cls]}: ${count}`).join(", "),
+            status: networkErrorTotal === 0 ? "Pass" : "Fail",
+            color: networkErrorTotal === 0 ? "text-green-500" : "text-red-500"
+        },
+    ] : [];
+
+    const cicdStatus = !github?.cicd?.present
+        ? "Warn"
+        : github.cicd.deployGatedOnTests === false ? "Fail"
+            : github.cicd.stages && !github.cicd.stages.test ? "Warn" : "Pass";
+
+    // Kubernetes is optional, so the row only appears for repositories that use it
+    const k8sScore: number = github?.kubernetes?.score ?? 100;
+    const k8sStatus = k8sScore >= 70 ? "Pass" : k8sScore >= 40 ? "Warn" : "Fail";
+    const kubernetesRows = github?.kubernetes?.present ? [{
+        category: "Architecture",
+        metric: "Kubernetes Workloads",
+        value: describeKubernetes(github.kubernetes),
+        status: k8sStatus,
+        color: k8sStatus === "Pass" ? "text-green-500" : k8sStatus === "Fail" ? "text-red-500" : "text-yellow-500"
+    }] : [];
 
     const rows = [
         {
@@ -456,10 +526,12 @@ export function SummaryMatrixTable({ metrics, github }: { metrics?: any, github?
         {
             category: "Architecture",
             metric: "CI/CD Pipeline",
-            value: github?.cicd?.present ? "Present" : "Not detected in repository",
-            status: github?.cicd?.present ? "Pass" : "Warn",
-            color: github?.cicd?.present ? "text-green-500" : "text-yellow-500"
-        }
+            value: describeCicd(github?.cicd),
+            status: cicdStatus,
+            color: cicdStatus === "Pass" ? "text-green-500" : cicdStatus === "Fail" ? "text-red-500" : "text-yellow-500"
+        },
+        ...kubernetesRows,
+        ...breakdownRows
     ];
 
     return (
@@ -493,6 +565,116 @@ export function SummaryMatrixTable({ metrics, github }: { metrics?: any, github?
                         </tbody>
                     </table>
                 </div>
+
+                {hasBreakdown && breakdown!.endpoints.length > 0 && (
+                    <div className="overflow-x-auto mt-8">
+                        <h4 className="text-xs font-bold uppercase tracking-widest text-muted-foreground mb-3">Per-Endpoint Breakdown</h4>
+                        <table className="w-full text-sm text-left">
+                            <thead className="text-xs text-muted-foreground uppercase bg-muted/50">
+                                <tr>
+                                    <th className="px-6 py-3">Endpoint</th>
+                                    <th className="px-6 py-3">Requests</th>
+                                    <th className="px-6 py-3">Error Rate</th>
+                                    <th className="px-6 py-3">Avg</th>
+                                    <th className="px-6 py-3">p95</th>
+                                    <th className="px-6 py-3">2xx / 4xx / 5xx / Network</th>
+                                </tr>
+                            </thead>
+                            <tbody>
+                                {breakdown!.endpoints.map(endpoint => (
+                                    <tr key={endpoint.name} className="border-b border-border/50 hover:bg-muted/50 transition-colors">
+                                        <td className="px-6 py-4 font-medium max-w-[280px] truncate" title={endpoint.name}>
+                                            {endpoint.method && <span className="font-mono text-xs text-muted-foreground mr-2">{endpoint.method}</span>}
+                                            {endpoint.name}
+                                        </td>
+                                        <td className="px-6 py-4 font-mono">{endpoint.requests}</td>
+                                        <td className={`px-6 py-4 font-mono font-bold ${endpoint.errorRate < 0.01 ? "text-green-500" : endpoint.errorRate < 0.05 ? "text-yellow-500" : "text-red-500"}`}>
+                                            {(endpoint.errorRate * 100).toFixed(2)}%
+                                        </td>
+                                        <td className="px-6 py-4 font-mono">{endpoint.avg !== null ? `${Math.round(endpoint.avg)}ms` : "N/A"}</td>
+                                        <td className="px-6 py-4 font-mono">{endpoint.p95 !== null ? `${Math.round(endpoint.p95)}ms` : "N/A"}</td>
+                                        <td className="px-6 py-4 font-mono text-xs">
+                                            {endpoint.statusClasses["2xx"]} / {endpoint.statusClasses["4xx"]} / {endpoint.statusClasses["5xx"]} / {endpoint.networkErrors}
+                                        </td>
+                                    </tr>
+                                ))}
+                            </tbody>
+                        </table>
+                    </div>
+                )}
+            </CardContent>
+        </Card>
+    );
+}
+
+function MeasuredBreakingPointChart({ report }: { report: BreakingPointReport }) {
+    const { steps, breakingPoint, lastHealthy, limits } = report;
+    const chartData = steps.map(step => ({
+        name: `${step.vus} VUs`,
+        p95: step.p95 === null ? null : Math.round(step.p95),
+        errorRate: Number((step.errorRate * 100).toFixed(2)),
+        rps: step.rps,
+    }));
+
+    return (
+        <Card className="border-2 border-primary/20 bg-background/50 backdrop-blur-sm">
+            <CardHeader className="pb-2">
+                <CardTitle className="text-xl font-bold text-red-500">Architecture Collapse Point</CardTitle>
+                <CardDescription>
+                    Measured by step-load search (limits: {(limits.maxErrorRate * 100).toFixed(2)}% errors, p95 {limits.maxP95}ms)
+                </CardDescription>
+            </CardHeader>
+            <CardContent>
+                <div className="h-[250px] w-full mt-4">
+                    <ResponsiveContainer width="100%" height="100%">
+                        <LineChart data={chartData}>
+                            <CartesianGrid strokeDasharray="3 3" vertical={false} stroke="rgba(255,255,255,0.05)" />
+                            <XAxis dataKey="name" axisLine={false} tickLine={false} tick={{ fontSize: 12, fill: '#888' }} />
+                            <YAxis yAxisId="latency" stroke="#888888" fontSize={11} tickLine={false} axisLine={false} tickFormatter={(v) => `${v}ms`} />
+                            <YAxis yAxisId="errors" orientation="right" stroke="#888888" fontSize={11} tickLine={false} axisLine={false} tickFormatter={(v) => `${v}%`} />
+                            <Tooltip
+                                contentStyle={{ borderRadius: '12px', border: '1px solid hsl(var(--border))', background: 'hsl(var(--background))' }}
+                                itemStyle={{ fontSize: '12px', fontWeight: 600 }}
+                            />
+                            <Legend verticalAlign="top" height={36} iconType="circle" />
+                            <ReferenceLine yAxisId="latency" y={limits.maxP95} stroke="#f59e0b" strokeDasharray="3 3" />
+                            {breakingPoint && (
+                                <ReferenceLine
+                                    yAxisId="latency"
+                                    x={`${breakingPoint.vus} VUs`}
+                                    stroke="#ef4444"
+                                    strokeWidth={2}
+                                    label={{ value: 'Broke', fill: '#ef4444', fontSize: 10, fontWeight: 'bold', position: 'insideTopLeft' }}
+                                />
+                            )}
+                            <Line yAxisId="latency" type="monotone" dataKey="p95" stroke="#3b82f6" strokeWidth={3} name="p95 Latency (ms)" />
+                            <Line yAxisId="errors" type="monotone" dataKey="errorRate" stroke="#ef4444" strokeWidth={3} name="Error Rate (%)" />
+                        </LineChart>
+                    </ResponsiveContainer>
+                </div>
+                <div className="mt-6 p-4 rounded-xl bg-red-500/10 border border-red-500/20">
+                    <div className="flex items-center gap-3">
+                        <div className="w-12 h-12 rounded-full bg-red-500/20 flex items-center justify-center">
+                            <Activity className="w-6 h-6 text-red-500" />
+                        </div>
+                        <div>
+                            <p className="text-xs uppercase tracking-widest font-bold text-red-500">Measured Verdict</p>
+                            {breakingPoint ? (
+                                <p className="text-sm font-medium">
+                                    Broke at <span className="font-black text-lg text-red-500">{breakingPoint.vus} VUs</span> ({breakingPoint.rps} req/s): {breakingPoint.reasons.join(", ")}.{" "}
+                                    {lastHealthy
+                                        ? `Last healthy level: ${lastHealthy.vus} VUs at ${lastHealthy.rps} req/s; the session metrics are from this level.`
+                                        : "Even the first step was over the limits; the session metrics are from that step."}
+                                </p>
+                            ) : (
+                                <p className="text-sm font-medium">
+                                    No breaking point found. The target stayed within limits up to{" "}
+                                    <span className="font-black text-lg">{lastHealthy?.vus ?? 0} VUs</span> ({lastHealthy?.rps ?? 0} req/s).
+                                </p>
+                            )}
+                        </div>
+                    </div>
+                </div>
             </CardContent>
         </Card>
     );
@@ -500,6 +682,7 @@ export function SummaryMatrixTable({ metrics, github }: { metrics?: any, github?
 
 export function CollapsePointChart({ metrics, business }: { metrics?: any, business?: any }) {
     if (!metrics || !business) return null;
+    if (business.breakingPoint) return <MeasuredBreakingPointChart report={business.breakingPoint} />;
 
     const currentVUs = metrics.vus || 200;
     const collapsePoint = business.collapsePoint || 300;
@@ -612,14 +795,16 @@ export function StrategicRemediations({ remediations }: { remediations?: string[
     );
 }
 
-export function CICDEnforcement({ risk }: { risk?: any }) {
+export function CICDEnforcement({ risk }: { risk?: CicdRisk | null }) {
     if (!risk) return null;
+    // Sessions stored before severities were graded only ever held the missing-pipeline risk
+    const severity = risk.severity ?? "CRITICAL";
 
     return (
         <Card className="border-red-500/30 bg-red-500/5 overflow-hidden relative">
             <div className="absolute top-0 right-0 p-2">
-                <div className="px-2 py-0.5 rounded text-[8px] font-black bg-red-500 text-white animate-pulse uppercase">
-                    Critical Exposure
+                <div className={`px-2 py-0.5 rounded text-[8px] font-black text-white uppercase ${severity === "MEDIUM" ? "bg-yellow-500" : "bg-red-500 animate-pulse"}`}>
+                    {severity === "CRITICAL" ? "Critical" : severity === "HIGH" ? "High" : "Medium"} Exposure
                 </div>
             </div>
             <CardHeader className="pb-2">
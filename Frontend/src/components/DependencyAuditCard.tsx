@@ -0,0 +1,93 @@
+import { Card, CardContent, CardHeader, CardTitle, CardDescription } from "@/components/ui/card";
+import { Package, AlertTriangle } from "lucide-react";
+import { cn } from "@/lib/utils";
+import { ADVISORY_SEVERITIES, SEVERITY_STYLES, type DependencyReport } from "@/lib/dependencies";
+
+export function DependencyAuditCard({ report }: { report?: DependencyReport | null }) {
+  if (!report) return null;
+
+  const { database } = report;
+  const breakdown = ADVISORY_SEVERITIES.filter(s => report.severityCounts[s]).map(s => `${report.severityCounts[s]} ${s}`).join(", ");
+
+  return (
+    <Card className="shadow-lg border-border/50">
+      <CardHeader>
+        <CardTitle className="text-lg flex items-center gap-2">
+          <Package className="w-5 h-5 text-primary" /> Dependencies: {report.vulnerableCount} vulnerable
+        </CardTitle>
+        <CardDescription>
+          {report.packageCount} locked packages in {report.lockfiles.map(l => l.file).join(", ")}
+          {breakdown && ` · ${breakdown}`} · {report.deprecatedCount} deprecated · {report.outdatedCount} 2+ majors behind
+          {database.trackedCount !== undefined && database.trackedCount < report.packageCount &&
+            ` (of ${database.trackedCount} tracked packages)`}
+        </CardDescription>
+      </CardHeader>
+      <CardContent className="space-y-4">
+        {database.stale && (
+          <p className="flex items-center gap-2 text-xs text-amber-500">
+            <AlertTriangle className="w-4 h-4 shrink-0" />
+            {database.updatedAt
+              ? `Advisory database last refreshed ${new Date(database.updatedAt).toLocaleDateString()}; newer advisories are not checked.`
+              : "Advisory database has never been refreshed; only the bundled seed advisories were checked."}
+          </p>
+        )}
+
+        {report.vulnerable.length > 0 && (
+          <ul className="space-y-2">
+            {report.vulnerable.map(pkg => (
+              <li key={`${pkg.ecosystem}:${pkg.name}@${pkg.version}`} className="rounded-md bg-muted/50 p-2 text-sm">
+                <div className="flex items-center gap-2">
+                  <span className={cn("rounded border px-1.5 py-0.5 text-xs font-semibold uppercase shrink-0", SEVERITY_STYLES[pkg.severity])}>
+                    {pkg.severity}
+                  </span>
+                  <span className="font-mono">{pkg.name}@{pkg.version}</span>
+                  {pkg.dev && <span className="text-xs text-muted-foreground">dev</span>}
+                  <span className="ml-auto text-xs text-muted-foreground shrink-0">
+                    {pkg.fixedVersion ? `fixed in ${pkg.fixedVersion}` : "no fix released"}
+                  </span>
+                </div>
+                {pkg.advisories.map(advisory => (
+                  <p key={advisory.id} className="mt-1 text-xs text-muted-foreground">
+                    <a href={advisory.url} target="_blank" rel="noreferrer" className="underline">{advisory.id}</a>
+                    {advisory.cve && ` (${advisory.cve})`}: {advisory.summary}
+                  </p>
+                ))}
+              </li>
+            ))}
+          </ul>
+        )}
+
+        {(report.deprecated.length > 0 || report.outdated.length > 0) && (
+          <div className="grid gap-4 md:grid-cols-2">
+            {report.deprecated.length > 0 && (
+              <div>
+                <p className="text-xs font-semibold uppercase text-muted-foreground mb-1">Deprecated</p>
+                <ul className="space-y-1 text-sm">
+                  {report.deprecated.map(pkg => (
+                    <li key={`${pkg.name}@${pkg.version}`}>
+                      <span className="font-mono">{pkg.name}@{pkg.version}</span>
+                      <span className="block text-xs text-muted-foreground">{pkg.reason}</span>
+                    </li>
+                  ))}
+                </ul>
+              </div>
+            )}
+            {report.outdated.length > 0 && (
+              <div>
+                <p className="text-xs font-semibold uppercase text-muted-foreground mb-1">Very outdated</p>
+                <ul className="space-y-1 text-sm">
+                  {report.outdated.map(pkg => (
+                    <li key={`${pkg.name}@${pkg.version}`} className="flex justify-between gap-2">
+                      <span className="font-mono">{pkg.name}@{pkg.version}</span>
+                      <span className="text-xs text-muted-foreground">latest {pkg.latest} ({pkg.majorsBehind} majors behind)</span>
+                    </li>
+                  ))}
+                </ul>
+              </div>
+            )}
+          </div>
+        )}
+      </CardContent>
+    </Card>
+  );
+}
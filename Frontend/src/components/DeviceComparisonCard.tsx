@@ -0,0 +1,115 @@
+import { Card, CardContent, CardHeader, CardTitle, CardDescription } from "@/components/ui/card";
+import { MonitorSmartphone } from "lucide-react";
+import { cn } from "@/lib/utils";
+import { RATING_STYLES, formatBytes, formatVital, type VitalId } from "@/lib/web-vitals";
+import { describeThrottling, type DeviceComparison, type DeviceComparisonResult } from "@/lib/devices";
+
+const scoreClass = (score?: number | null) => {
+  if (score == null) return "text-muted-foreground";
+  if (score >= 90) return "text-emerald-500";
+  if (score >= 50) return "text-amber-500";
+  return "text-red-500";
+};
+
+const SCORE_ROWS = [
+  { key: "performance", label: "Performance" },
+  { key: "interactivity", label: "Interactivity" },
+  { key: "accessibility", label: "Accessibility" },
+  { key: "bestPractices", label: "Best Practices" },
+  { key: "seo", label: "SEO" },
+] as const;
+
+const VITAL_ROWS: { id: VitalId; label: string }[] = [
+  { id: "lcp", label: "LCP" },
+  { id: "fcp", label: "FCP" },
+  { id: "tbt", label: "TBT" },
+  { id: "cls", label: "CLS" },
+  { id: "ttfb", label: "TTFB" },
+];
+
+function Delta({ value }: { value?: number }) {
+  if (!value) return null;
+  return (
+    <span className={cn("ml-1 text-xs", value > 0 ? "text-emerald-500" : "text-red-500")}>
+      ({value > 0 ? "+" : ""}{value})
+    </span>
+  );
+}
+
+export function DeviceComparisonCard({ comparison }: { comparison?: DeviceComparison | null }) {
+  if (!comparison) return null;
+  const { profiles, results } = comparison;
+  const labelOf = (r: DeviceComparisonResult) => profiles.find(p => p.name === r.device)?.label ?? r.device;
+
+  return (
+    <Card className="shadow-lg border-border/50">
+      <CardHeader>
+        <CardTitle className="text-lg flex items-center gap-2">
+          <MonitorSmartphone className="w-5 h-5 text-primary" /> Device Comparison
+        </CardTitle>
+        <CardDescription>
+          The target URL audited once per emulated device and network; differences are against {labelOf(results[0])}
+        </CardDescription>
+      </CardHeader>
+      <CardContent className="overflow-x-auto">
+        <table className="w-full text-sm">
+          <thead>
+            <tr className="text-left text-muted-foreground align-top">
+              <th className="py-2 font-medium" />
+              {profiles.map(p => (
+                <th key={p.name} className="py-2 px-2 font-medium text-right">
+                  <div className="text-foreground">{p.label}</div>
+                  <div className="text-xs font-normal">
+                    {p.viewport.width}×{p.viewport.height}, {describeThrottling(p)}
+                  </div>
+                </th>
+              ))}
+            </tr>
+          </thead>
+          <tbody className="divide-y divide-border/50">
+            {SCORE_ROWS.map(({ key, label }) => (
+              <tr key={key}>
+                <td className="py-1 text-muted-foreground">{label}</td>
+                {results.map(r => (
+                  <td key={r.device} className={cn("py-1 px-2 text-right font-semibold", scoreClass(r[key]))}>
+                    {r[key] ?? "n/a"}
+                    <Delta value={r.delta[key]} />
+                  </td>
+                ))}
+              </tr>
+            ))}
+            {VITAL_ROWS.map(({ id, label }) => (
+              <tr key={id}>
+                <td className="py-1 text-muted-foreground">{label}</td>
+                {results.map(r => {
+                  const vital = r.webVitals?.[id];
+                  return (
+                    <td key={r.device} className={cn("py-1 px-2 text-right", vital?.rating && RATING_STYLES[vital.rating].className)}>
+                      {formatVital(id, vital?.value ?? null)}
+                    </td>
+                  );
+                })}
+              </tr>
+            ))}
+            <tr>
+              <td className="py-1 text-muted-foreground">Load Time</td>
+              {results.map(r => (
+                <td key={r.device} className="py-1 px-2 text-right">
+                  {r.loadTimeMs != null ? `${(r.loadTimeMs / 1000).toFixed(2)} s` : "n/a"}
+                </td>
+              ))}
+            </tr>
+            <tr>
+              <td className="py-1 text-muted-foreground">Page Weight</td>
+              {results.map(r => (
+                <td key={r.device} className="py-1 px-2 text-right">
+                  {r.resources ? `${formatBytes(r.resources.transferBytes)} / ${r.resources.count} req` : "n/a"}
+                </td>
+              ))}
+            </tr>
+          </tbody>
+        </table>
+      </CardContent>
+    </Card>
+  );
+}
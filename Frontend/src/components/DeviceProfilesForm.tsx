@@ -0,0 +1,176 @@
+import { Input } from "@/components/ui/input";
+import { Label } from "@/components/ui/label";
+import { Button } from "@/components/ui/button";
+import { Checkbox } from "@/components/ui/checkbox";
+import { Plus, Trash2 } from "lucide-react";
+import {
+  BUILT_IN_DEVICES,
+  DEVICE_LIMITS,
+  createCustomDevice,
+  describeThrottling,
+  type BuiltInDeviceId,
+  type CustomDeviceProfile,
+  type DeviceSelection,
+} from "@/lib/devices";
+
+interface DeviceProfilesFormProps {
+  value: DeviceSelection[];
+  onChange: (devices: DeviceSelection[]) => void;
+}
+
+const BUILT_IN_IDS = Object.keys(BUILT_IN_DEVICES) as BuiltInDeviceId[];
+const toNumber = (v: string) => (v === "" ? 0 : Number(v));
+
+// Lowest n with no "custom-n" profile yet, so names stay unique after removals
+const nextCustomIndex = (customs: CustomDeviceProfile[]) => {
+  let n = 1;
+  while (customs.some(d => d.name === `custom-${n}`)) n++;
+  return n;
+};
+
+export function DeviceProfilesForm({ value, onChange }: DeviceProfilesFormProps) {
+  const isFull = value.length >= DEVICE_LIMITS.maxProfiles;
+  const customs = value.filter((d): d is CustomDeviceProfile => typeof d !== "string");
+
+  const toggleBuiltIn = (id: BuiltInDeviceId, checked: boolean) =>
+    onChange(checked ? [...value, id] : value.filter(d => d !== id));
+
+  const updateCustom = (target: CustomDeviceProfile, patch: Partial<CustomDeviceProfile>) =>
+    onChange(value.map(d => (d === target ? { ...target, ...patch } : d)));
+
+  return (
+    <div className="space-y-4">
+      <div className="space-y-2">
+        {BUILT_IN_IDS.map(id => {
+          const device = BUILT_IN_DEVICES[id];
+          const checked = value.includes(id);
+          return (
+            <div key={id} className="flex items-start gap-3">
+              <Checkbox
+                id={`device-${id}`}
+                checked={checked}
+                disabled={!checked && isFull}
+                onCheckedChange={(state) => toggleBuiltIn(id, state === true)}
+              />
+              <div className="space-y-0.5">
+                <Label htmlFor={`device-${id}`}>{device.label}</Label>
+                <p className="text-xs text-muted-foreground">
+                  {device.viewport.width}×{device.viewport.height}, {describeThrottling(device)}
+                </p>
+              </div>
+            </div>
+          );
+        })}
+      </div>
+
+      {customs.map(device => (
+        <div key={value.indexOf(device)} className="space-y-3 rounded-md border border-border/50 p-3">
+          <div className="flex items-center gap-2">
+            <Input
+              aria-label="Profile name"
+              className="font-mono"
+              value={device.name}
+              onChange={(e) => updateCustom(device, { name: e.target.value, label: e.target.value })}
+            />
+            <Button type="button" variant="ghost" size="icon" onClick={() => onChange(value.filter(d => d !== device))}>
+              <Trash2 className="w-4 h-4" />
+            </Button>
+          </div>
+          <div className="grid grid-cols-2 md:grid-cols-3 gap-3">
+            <div className="space-y-1">
+              <Label className="text-xs">Viewport Width</Label>
+              <Input
+                type="number"
+                min={200}
+                value={device.viewport.width}
+                onChange={(e) => updateCustom(device, { viewport: { ...device.viewport, width: toNumber(e.target.value) } })}
+              />
+            </div>
+            <div className="space-y-1">
+              <Label className="text-xs">Viewport Height</Label>
+              <Input
+                type="number"
+                min={200}
+                value={device.viewport.height}
+                onChange={(e) => updateCustom(device, { viewport: { ...device.viewport, height: toNumber(e.target.value) } })}
+              />
+            </div>
+            <div className="space-y-1">
+              <Label className="text-xs">CPU Slowdown (×)</Label>
+              <Input
+                type="number"
+                min={1}
+                max={DEVICE_LIMITS.maxCpuSlowdown}
+                step="any"
+                value={device.cpuSlowdown}
+                onChange={(e) => updateCustom(device, { cpuSlowdown: toNumber(e.target.value) })}
+              />
+            </div>
+            {device.network && (
+              <>
+                <div className="space-y-1">
+                  <Label className="text-xs">Download (kbps)</Label>
+                  <Input
+                    type="number"
+                    min={1}
+                    value={device.network.downloadKbps}
+                    onChange={(e) => updateCustom(device, { network: { ...device.network!, downloadKbps: toNumber(e.target.value) } })}
+                  />
+                </div>
+                <div className="space-y-1">
+                  <Label className="text-xs">Upload (kbps)</Label>
+                  <Input
+                    type="number"
+                    min={1}
+                    value={device.network.uploadKbps}
+                    onChange={(e) => updateCustom(device, { network: { ...device.network!, uploadKbps: toNumber(e.target.value) } })}
+                  />
+                </div>
+                <div className="space-y-1">
+                  <Label className="text-xs">Round Trip (ms)</Label>
+                  <Input
+                    type="number"
+                    min={0}
+                    value={device.network.latencyMs}
+                    onChange={(e) => updateCustom(device, { network: { ...device.network!, latencyMs: toNumber(e.target.value) } })}
+                  />
+                </div>
+              </>
+            )}
+          </div>
+          <div className="flex flex-wrap gap-4 text-sm">
+            <label className="flex items-center gap-2">
+              <Checkbox
+                checked={device.isMobile}
+                onCheckedChange={(state) => updateCustom(device, { isMobile: state === true })}
+              />
+              Mobile (touch, mobile user agent)
+            </label>
+            <label className="flex items-center gap-2">
+              <Checkbox
+                checked={device.network !== null}
+                onCheckedChange={(state) => updateCustom(device, {
+                  network: state === true ? { ...BUILT_IN_DEVICES["mobile-slow-4g"].network } : null,
+                })}
+              />
+              Throttle network
+            </label>
+          </div>
+        </div>
+      ))}
+
+      <Button
+        type="button"
+        variant="outline"
+        size="sm"
+        disabled={isFull}
+        onClick={() => onChange([...value, createCustomDevice(nextCustomIndex(customs))])}
+      >
+        <Plus className="w-4 h-4 mr-1" /> Add Custom Profile
+      </Button>
+      <p className="text-xs text-muted-foreground">
+        Up to {DEVICE_LIMITS.maxProfiles} profiles. The first one selected drives the main scores and thresholds; every other profile audits the target URL again for a side-by-side comparison.
+      </p>
+    </div>
+  );
+}
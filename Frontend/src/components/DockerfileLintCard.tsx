@@ -0,0 +1,43 @@
+import { Card, CardContent, CardHeader, CardTitle, CardDescription } from "@/components/ui/card";
+import { Container } from "lucide-react";
+import { cn } from "@/lib/utils";
+import { DOCKERFILE_SEVERITY_STYLES, type DockerReport } from "@/lib/dockerfile";
+
+export function DockerfileLintCard({ docker }: { docker?: DockerReport | null }) {
+  const findings = docker?.findings;
+  if (!docker?.present || !findings) return null;
+
+  const count = (severity: string) => findings.filter(f => f.severity === severity).length;
+
+  return (
+    <Card className="shadow-lg border-border/50">
+      <CardHeader>
+        <CardTitle className="text-lg flex items-center gap-2">
+          <Container className="w-5 h-5 text-primary" /> Dockerfile: {findings.length === 0 ? "no findings" : `${findings.length} findings`}
+        </CardTitle>
+        <CardDescription>
+          {docker.file} · {docker.stages} {docker.stages === 1 ? "stage" : "stages"} · base {docker.baseImages?.join(", ") || "scratch"} · runs as {docker.user || "root"}
+          {findings.length > 0 && ` · ${count("error")} errors, ${count("warning")} warnings, ${count("info")} info`}
+        </CardDescription>
+      </CardHeader>
+      {findings.length > 0 && (
+        <CardContent>
+          <ul className="space-y-2">
+            {findings.map((f, i) => (
+              <li key={`${f.rule}-${f.line ?? "file"}-${i}`} className="rounded-md bg-muted/50 p-2 text-sm">
+                <div className="flex items-center gap-2">
+                  <span className={cn("rounded border px-1.5 py-0.5 text-xs font-semibold uppercase shrink-0", DOCKERFILE_SEVERITY_STYLES[f.severity])}>
+                    {f.severity}
+                  </span>
+                  <span>{f.message}</span>
+                  <span className="ml-auto text-xs text-muted-foreground shrink-0 font-mono">{f.line ? `line ${f.line}` : f.rule}</span>
+                </div>
+                <p className="mt-1 text-xs text-muted-foreground">{f.remediation}</p>
+              </li>
+            ))}
+          </ul>
+        </CardContent>
+      )}
+    </Card>
+  );
+}
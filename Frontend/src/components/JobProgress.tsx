@@ -0,0 +1,75 @@
+import { Button } from "@/components/ui/button";
+import { CheckCircle2, Circle, Loader2, MinusCircle, XCircle } from "lucide-react";
+import type { LoadTestJob, PhaseStatus } from "@/hooks/use-load-test";
+
+const PHASE_LABELS: Record<string, string> = {
+  loadTest: "Load test (k6)",
+  browserAudit: "Browser audit (Playwright)",
+  browserJourney: "Browser journey (Playwright)",
+  securityAudit: "Security headers & TLS",
+  repository: "Repository analysis",
+  aiAnalysis: "AI verdict",
+  report: "Saving report",
+};
+
+const PhaseIcon = ({ status }: { status: PhaseStatus }) => {
+  switch (status) {
+    case "running":
+      return <Loader2 className="w-4 h-4 animate-spin text-primary" />;
+    case "completed":
+      return <CheckCircle2 className="w-4 h-4 text-emerald-500" />;
+    case "failed":
+      return <XCircle className="w-4 h-4 text-red-500" />;
+    case "skipped":
+    case "cancelled":
+      return <MinusCircle className="w-4 h-4 text-muted-foreground" />;
+    default:
+      return <Circle className="w-4 h-4 text-muted-foreground/50" />;
+  }
+};
+
+interface JobProgressProps {
+  job?: LoadTestJob | null;
+  onCancel: () => void;
+  isCancelling?: boolean;
+}
+
+export function JobProgress({ job, onCancel, isCancelling }: JobProgressProps) {
+  const heading = !job || job.status === "queued"
+    ? job?.position ? `Queued (#${job.position})` : "Queued..."
+    : "Simulating Traffic...";
+
+  return (
+    <div className="w-full max-w-sm space-y-4">
+      <div className="text-center space-y-1">
+        <h3 className="font-semibold text-lg">{heading}</h3>
+        <p className="text-sm text-muted-foreground">You can leave this page; the test keeps running on the server.</p>
+      </div>
+
+      {job && (
+        <ul className="space-y-2">
+          {Object.entries(job.phases).map(([name, phase]) => (
+            <li key={name} className="flex items-center justify-between text-sm">
+              <span className="flex items-center gap-2">
+                <PhaseIcon status={phase.status} />
+                {PHASE_LABELS[name] || name}
+              </span>
+              <span className="text-xs uppercase tracking-wider text-muted-foreground">{phase.status}</span>
+            </li>
+          ))}
+        </ul>
+      )}
+
+      <Button
+        type="button"
+        variant="outline"
+        className="w-full"
+        onClick={onCancel}
+        disabled={!job || isCancelling}
+      >
+        {isCancelling ? <Loader2 className="mr-2 h-4 w-4 animate-spin" /> : null}
+        Cancel Test
+      </Button>
+    </div>
+  );
+}
@@ -0,0 +1,66 @@
+import { Card, CardContent, CardHeader, CardTitle, CardDescription } from "@/components/ui/card";
+import { Route, CheckCircle2, XCircle, MinusCircle } from "lucide-react";
+import { cn } from "@/lib/utils";
+import type { JourneyReport, JourneyStepResult } from "@/lib/journey";
+
+const StepIcon = ({ status }: { status: JourneyStepResult["status"] }) => {
+  if (status === "passed") return <CheckCircle2 className="w-4 h-4 text-emerald-500 shrink-0" />;
+  if (status === "failed") return <XCircle className="w-4 h-4 text-red-500 shrink-0" />;
+  return <MinusCircle className="w-4 h-4 text-muted-foreground shrink-0" />;
+};
+
+const formatMs = (ms: number) => (ms >= 1000 ? `${(ms / 1000).toFixed(2)} s` : `${ms} ms`);
+
+export function JourneyCard({ journey }: { journey?: JourneyReport | null }) {
+  if (!journey) return null;
+  const longest = Math.max(1, ...journey.steps.map(s => s.durationMs ?? 0));
+
+  return (
+    <Card className="shadow-lg border-border/50">
+      <CardHeader>
+        <CardTitle className="text-lg flex items-center gap-2">
+          <Route className="w-5 h-5 text-primary" /> Browser Journey: {journey.name}
+          <span className={cn("text-sm font-semibold uppercase", journey.status === "passed" ? "text-emerald-500" : "text-red-500")}>
+            {journey.status}
+          </span>
+        </CardTitle>
+        <CardDescription>
+          {journey.passed} of {journey.steps.length} steps passed in {formatMs(journey.totalMs)}
+          {journey.failedStep && `, stopped at "${journey.failedStep}"`}
+        </CardDescription>
+      </CardHeader>
+      <CardContent>
+        <ol className="space-y-2">
+          {journey.steps.map((step, i) => (
+            <li key={i} className={cn("rounded-md p-2 text-sm", step.status === "failed" ? "bg-red-500/10" : "bg-muted/50")}>
+              <div className="flex items-center gap-2">
+                <StepIcon status={step.status} />
+                <span className={cn("font-medium truncate", step.status === "skipped" && "text-muted-foreground")}>{step.name}</span>
+                <span className="text-xs text-muted-foreground font-mono truncate">{step.action}</span>
+                <span className="ml-auto text-xs tabular-nums shrink-0">
+                  {step.durationMs != null ? formatMs(step.durationMs) : "skipped"}
+                </span>
+              </div>
+              {step.durationMs != null && (
+                <div className="mt-1 h-1 rounded bg-border/50">
+                  <div
+                    className={cn("h-1 rounded", step.status === "failed" ? "bg-red-500" : "bg-primary")}
+                    style={{ width: `${(step.durationMs / longest) * 100}%` }}
+                  />
+                </div>
+              )}
+              {step.error && <p className="mt-2 text-xs text-red-500 font-mono break-all">{step.error}</p>}
+              {step.screenshot && (
+                <img
+                  src={step.screenshot}
+                  alt={`Page when "${step.name}" failed`}
+                  className="mt-2 max-h-64 rounded border border-border/50"
+                />
+              )}
+            </li>
+          ))}
+        </ol>
+      </CardContent>
+    </Card>
+  );
+}
@@ -0,0 +1,50 @@
+import { Card, CardContent, CardHeader, CardTitle, CardDescription } from "@/components/ui/card";
+import { Boxes } from "lucide-react";
+import { cn } from "@/lib/utils";
+import { KUBERNETES_CHECK_LABELS, KUBERNETES_STATUS_STYLES, describeKubernetes, type KubernetesReport } from "@/lib/kubernetes";
+
+export function KubernetesCard({ kubernetes }: { kubernetes?: KubernetesReport | null }) {
+  const workloads = kubernetes?.workloads;
+  if (!kubernetes?.present || !workloads) return null;
+
+  const approximate = kubernetes.sources?.filter(s => s.renderer === "approximate") ?? [];
+
+  return (
+    <Card className="shadow-lg border-border/50">
+      <CardHeader>
+        <CardTitle className="text-lg flex items-center gap-2">
+          <Boxes className="w-5 h-5 text-primary" /> Kubernetes: {describeKubernetes(kubernetes)}
+        </CardTitle>
+        <CardDescription>
+          {kubernetes.sources?.map(s => s.path).join(", ")}
+          {approximate.length > 0 && ` · ${approximate.map(s => s.path).join(", ")} rendered approximately (no helm binary); template-driven values may be missing`}
+        </CardDescription>
+      </CardHeader>
+      {workloads.length > 0 && (
+        <CardContent>
+          <ul className="space-y-2">
+            {workloads.map(w => (
+              <li key={`${w.namespace}/${w.kind}/${w.name}/${w.source}`} className="rounded-md bg-muted/50 p-2 text-sm">
+                <div className="flex items-center gap-2">
+                  <span className="font-medium">{w.kind}/{w.name}</span>
+                  <span className="text-xs text-muted-foreground font-mono truncate">{w.source}</span>
+                  <span className="ml-auto font-semibold shrink-0">{w.score}/100</span>
+                </div>
+                <div className="mt-2 flex flex-wrap gap-1">
+                  {w.checks.map(c => (
+                    <span key={c.id} title={c.detail} className={cn("rounded border px-1.5 py-0.5 text-xs font-semibold uppercase", KUBERNETES_STATUS_STYLES[c.status])}>
+                      {KUBERNETES_CHECK_LABELS[c.id]}
+                    </span>
+                  ))}
+                </div>
+                {w.checks.filter(c => c.status !== "pass").map(c => (
+                  <p key={c.id} className="mt-1 text-xs text-muted-foreground">{KUBERNETES_CHECK_LABELS[c.id]}: {c.detail}</p>
+                ))}
+              </li>
+            ))}
+          </ul>
+        </CardContent>
+      )}
+    </Card>
+  );
+}
@@ -0,0 +1,54 @@
+import { LineChart, Line, XAxis, YAxis, CartesianGrid, Tooltip, Legend, ResponsiveContainer } from 'recharts';
+import type { LiveProgressPoint } from "@/hooks/use-load-test";
+
+export function LiveLoadChart({ points }: { points: LiveProgressPoint[] }) {
+  const latest = points[points.length - 1];
+
+  if (!latest) {
+    return (
+      <div className="h-[220px] w-full flex items-center justify-center text-sm text-muted-foreground">
+        Waiting for the first samples from k6...
+      </div>
+    );
+  }
+
+  const stats = [
+    { label: "VUs", value: latest.vus },
+    { label: "Req/s", value: latest.requestsPerSecond },
+    { label: "p95", value: latest.p95 != null ? `${Math.round(latest.p95)}ms` : "—" },
+    { label: "Errors", value: latest.errorCount, danger: latest.errorCount > 0 },
+  ];
+
+  return (
+    <div className="w-full space-y-4">
+      <div className="grid grid-cols-4 gap-2 text-center">
+        {stats.map(stat => (
+          <div key={stat.label} className="rounded-lg bg-muted/50 p-2">
+            <div className="text-[10px] font-bold uppercase tracking-widest text-muted-foreground">{stat.label}</div>
+            <div className={`text-lg font-bold ${stat.danger ? "text-red-500" : ""}`}>{stat.value}</div>
+          </div>
+        ))}
+      </div>
+
+      <div className="h-[220px] w-full">
+        <ResponsiveContainer width="100%" height="100%">
+          <LineChart data={points}>
+            <CartesianGrid strokeDasharray="3 3" vertical={false} stroke="hsl(var(--border))" />
+            <XAxis dataKey="elapsedSeconds" stroke="#888888" fontSize={11} tickLine={false} axisLine={false} tickFormatter={(v) => `${v}s`} />
+            <YAxis yAxisId="left" stroke="#888888" fontSize={11} tickLine={false} axisLine={false} />
+            <YAxis yAxisId="right" orientation="right" stroke="#888888" fontSize={11} tickLine={false} axisLine={false} tickFormatter={(v) => `${v}ms`} />
+            <Tooltip
+              contentStyle={{ borderRadius: '12px', border: '1px solid hsl(var(--border))', background: 'hsl(var(--background))' }}
+              labelFormatter={(v) => `${v}s elapsed`}
+            />
+            <Legend verticalAlign="top" height={28} iconType="circle" />
+            <Line yAxisId="left" type="monotone" dataKey="requestsPerSecond" name="Req/s" stroke="#2563eb" strokeWidth={2} dot={false} isAnimationActive={false} />
+            <Line yAxisId="left" type="monotone" dataKey="vus" name="VUs" stroke="#10b981" strokeWidth={2} dot={false} isAnimationActive={false} />
+            <Line yAxisId="right" type="monotone" dataKey="p95" name="p95 (ms)" stroke="#f59e0b" strokeWidth={2} dot={false} isAnimationActive={false} />
+            <Line yAxisId="left" type="stepAfter" dataKey="errorCount" name="Errors" stroke="#ef4444" strokeWidth={2} dot={false} isAnimationActive={false} />
+          </LineChart>
+        </ResponsiveContainer>
+      </div>
+    </div>
+  );
+}
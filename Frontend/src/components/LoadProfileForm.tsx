@@ -0,0 +1,139 @@
+import { Input } from "@/components/ui/input";
+import { Label } from "@/components/ui/label";
+import { Button } from "@/components/ui/button";
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from "@/components/ui/select";
+import { Plus, Trash2 } from "lucide-react";
+import {
+  DEFAULT_PROFILES,
+  EXECUTOR_OPTIONS,
+  type LoadExecutor,
+  type LoadProfile,
+  type LoadStage,
+} from "@/lib/load-profile";
+
+interface LoadProfileFormProps {
+  value: LoadProfile;
+  onChange: (profile: LoadProfile) => void;
+}
+
+export function LoadProfileForm({ value, onChange }: LoadProfileFormProps) {
+  const update = (patch: Partial<LoadProfile>) => onChange({ ...value, ...patch });
+  const toNumber = (v: string) => (v === "" ? 0 : Number(v));
+
+  const stages = value.stages || [];
+  const updateStage = (index: number, patch: Partial<LoadStage>) =>
+    update({ stages: stages.map((s, i) => (i === index ? { ...s, ...patch } : s)) });
+
+  const executorInfo = EXECUTOR_OPTIONS.find(o => o.value === value.executor);
+
+  return (
+    <div className="space-y-4 rounded-lg border border-border/50 p-4">
+      <div className="space-y-2">
+        <Label>Load Profile</Label>
+        <Select
+          value={value.executor}
+          onValueChange={(executor) => onChange({ ...DEFAULT_PROFILES[executor as LoadExecutor] })}
+        >
+          <SelectTrigger>
+            <SelectValue />
+          </SelectTrigger>
+          <SelectContent>
+            {EXECUTOR_OPTIONS.map(option => (
+              <SelectItem key={option.value} value={option.value}>{option.label}</SelectItem>
+            ))}
+          </SelectContent>
+        </Select>
+        {executorInfo && <p className="text-xs text-muted-foreground">{executorInfo.description}</p>}
+      </div>
+
+      {value.executor === "constant-vus" && (
+        <div className="grid grid-cols-2 gap-4">
+          <div className="space-y-2">
+            <Label htmlFor="vus">Virtual Users</Label>
+            <Input id="vus" type="number" min={1} value={value.vus ?? ""} onChange={(e) => update({ vus: toNumber(e.target.value) })} />
+          </div>
+          <div className="space-y-2">
+            <Label htmlFor="duration">Duration</Label>
+            <Input id="duration" placeholder="30s" value={value.duration ?? ""} onChange={(e) => update({ duration: e.target.value })} />
+          </div>
+        </div>
+      )}
+
+      {value.executor === "ramping-vus" && (
+        <div className="space-y-3">
+          <div className="space-y-2">
+            <Label htmlFor="startVUs">Starting VUs</Label>
+            <Input id="startVUs" type="number" min={0} value={value.startVUs ?? 0} onChange={(e) => update({ startVUs: toNumber(e.target.value) })} />
+          </div>
+          <Label>Stages</Label>
+          {stages.map((stage, i) => (
+            <div key={i} className="flex items-center gap-2">
+              <Input
+                aria-label={`Stage ${i + 1} duration`}
+                placeholder="30s"
+                value={stage.duration}
+                onChange={(e) => updateStage(i, { duration: e.target.value })}
+              />
+              <Input
+                aria-label={`Stage ${i + 1} target VUs`}
+                type="number"
+                min={0}
+                value={stage.target}
+                onChange={(e) => updateStage(i, { target: toNumber(e.target.value) })}
+              />
+              <Button
+                type="button"
+                variant="ghost"
+                size="icon"
+                disabled={stages.length <= 1}
+                onClick={() => update({ stages: stages.filter((_, idx) => idx !== i) })}
+              >
+                <Trash2 className="w-4 h-4" />
+              </Button>
+            </div>
+          ))}
+          <Button
+            type="button"
+            variant="outline"
+            size="sm"
+            onClick={() => update({ stages: [...stages, { duration: "30s", target: stages[stages.length - 1]?.target ?? 10 }] })}
+          >
+            <Plus className="w-4 h-4 mr-1" /> Add Stage
+          </Button>
+        </div>
+      )}
+
+      {value.executor === "constant-arrival-rate" && (
+        <div className="grid grid-cols-2 gap-4">
+          <div className="space-y-2">
+            <Label htmlFor="rate">Requests per Second</Label>
+            <Input id="rate" type="number" min={1} value={value.rate ?? ""} onChange={(e) => update({ rate: toNumber(e.target.value) })} />
+          </div>
+          <div className="space-y-2">
+            <Label htmlFor="rateDuration">Duration</Label>
+            <Input id="rateDuration" placeholder="30s" value={value.duration ?? ""} onChange={(e) => update({ duration: e.target.value })} />
+          </div>
+          <div className="space-y-2">
+            <Label htmlFor="preAllocatedVUs">Pre-allocated VUs</Label>
+            <Input id="preAllocatedVUs" type="number" min={1} value={value.preAllocatedVUs ?? ""} onChange={(e) => update({ preAllocatedVUs: toNumber(e.target.value) })} />
+          </div>
+          <div className="space-y-2">
+            <Label htmlFor="maxVUs">Max VUs</Label>
+            <Input id="maxVUs" type="number" min={1} value={value.maxVUs ?? ""} onChange={(e) => update({ maxVUs: toNumber(e.target.value) })} />
+          </div>
+        </div>
+      )}
+
+      <div className="grid grid-cols-2 gap-4">
+        <div className="space-y-2">
+          <Label htmlFor="thinkTime">Think Time (s)</Label>
+          <Input id="thinkTime" type="number" min={0} step={0.1} value={value.thinkTime} onChange={(e) => update({ thinkTime: toNumber(e.target.value) })} />
+        </div>
+        <div className="space-y-2">
+          <Label htmlFor="timeout">Request Timeout</Label>
+          <Input id="timeout" placeholder="60s" value={value.timeout} onChange={(e) => update({ timeout: e.target.value })} />
+        </div>
+      </div>
+    </div>
+  );
+}
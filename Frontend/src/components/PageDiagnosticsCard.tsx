@@ -0,0 +1,80 @@
+import { Card, CardContent, CardHeader, CardTitle, CardDescription } from "@/components/ui/card";
+import { ShieldCheck, CheckCircle2, XCircle } from "lucide-react";
+import { cn } from "@/lib/utils";
+import type { BrowserMetrics } from "@/lib/web-vitals";
+
+export function PageDiagnosticsCard({ metrics }: { metrics?: BrowserMetrics | null }) {
+  const checks = metrics?.bestPracticesChecks;
+  const diagnostics = metrics?.diagnostics;
+  if (!checks || !diagnostics) return null;
+
+  const sections = [
+    {
+      title: "Uncaught exceptions",
+      count: diagnostics.pageErrors.count,
+      lines: diagnostics.pageErrors.items.map(e => e.message),
+    },
+    {
+      title: "Console errors",
+      count: diagnostics.consoleErrors.count,
+      lines: diagnostics.consoleErrors.items.map(e => (e.location ? `${e.text} (${e.location})` : e.text)),
+    },
+    {
+      title: "Failed requests",
+      count: diagnostics.failedRequests.count,
+      lines: diagnostics.failedRequests.items.map(r => `${r.status ?? r.error} ${r.type} ${r.url}`),
+    },
+    {
+      title: "Mixed content",
+      count: diagnostics.mixedContent.count,
+      lines: diagnostics.mixedContent.items.map(r => `${r.type} ${r.url}`),
+    },
+    {
+      title: "Console warnings",
+      count: diagnostics.consoleWarnings.count,
+      lines: diagnostics.consoleWarnings.items.map(e => e.text),
+    },
+  ].filter(section => section.count > 0);
+
+  return (
+    <Card className="shadow-lg border-border/50">
+      <CardHeader>
+        <CardTitle className="text-lg flex items-center gap-2">
+          <ShieldCheck className="w-5 h-5 text-primary" /> Best Practices: {metrics.bestPractices}/100
+        </CardTitle>
+        <CardDescription>What the page logged and requested while loading</CardDescription>
+      </CardHeader>
+      <CardContent className="space-y-4">
+        <ul className="grid sm:grid-cols-2 gap-2">
+          {checks.map(check => (
+            <li key={check.id} className="flex items-center gap-2 text-sm">
+              {check.passed
+                ? <CheckCircle2 className="w-4 h-4 text-emerald-500" />
+                : <XCircle className="w-4 h-4 text-red-500" />}
+              <span className={cn(!check.passed && "text-red-500")}>{check.description}</span>
+              {check.count > 0 && check.id !== "is-on-https" && (
+                <span className="text-muted-foreground">({check.count})</span>
+              )}
+            </li>
+          ))}
+        </ul>
+
+        {sections.map(section => (
+          <div key={section.title}>
+            <div className="text-xs font-bold uppercase tracking-widest text-muted-foreground mb-1">
+              {section.title} ({section.count})
+            </div>
+            <ul className="space-y-1">
+              {section.lines.map((line, i) => (
+                <li key={i} className="rounded-md bg-muted/50 px-2 py-1 text-xs font-mono break-all">{line}</li>
+              ))}
+            </ul>
+            {section.count > section.lines.length && (
+              <p className="text-xs text-muted-foreground mt-1">and {section.count - section.lines.length} more</p>
+            )}
+          </div>
+        ))}
+      </CardContent>
+    </Card>
+  );
+}
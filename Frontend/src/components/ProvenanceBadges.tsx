@@ -0,0 +1,45 @@
+import { AlertTriangle } from "lucide-react";
+import { cn } from "@/lib/utils";
+import { PROVENANCE_SECTIONS, PROVENANCE_STYLES, type SessionProvenance } from "@/lib/provenance";
+
+/**
+ * One badge per result section saying whether its data was measured, simulated or failed.
+ * Sessions saved before provenance was recorded have none, so nothing is shown for them.
+ */
+export function ProvenanceBadges({ provenance }: { provenance?: SessionProvenance | null }) {
+  if (!provenance) return null;
+  const sections = PROVENANCE_SECTIONS.filter(({ id }) => provenance[id] && provenance[id].status !== "skipped");
+  if (sections.length === 0) return null;
+  const notMeasured = sections.filter(({ id }) => provenance[id]?.status !== "measured");
+
+  return (
+    <div className="space-y-2">
+      <div className="flex flex-wrap items-center gap-2">
+        <span className="text-xs text-muted-foreground">Data sources:</span>
+        {sections.map(({ id, label }) => {
+          const entry = provenance[id]!;
+          const style = PROVENANCE_STYLES[entry.status];
+          return (
+            <span
+              key={id}
+              title={entry.reason ?? entry.source ?? undefined}
+              className={cn("rounded border px-1.5 py-0.5 text-xs font-semibold", style.className)}
+            >
+              {label}: {style.label}
+            </span>
+          );
+        })}
+      </div>
+      {notMeasured.length > 0 && (
+        <ul className="space-y-1 text-xs text-muted-foreground">
+          {notMeasured.map(({ id, label }) => (
+            <li key={id} className="flex items-start gap-1.5">
+              <AlertTriangle className="w-3.5 h-3.5 text-amber-500 shrink-0 mt-0.5" />
+              <span><span className="font-semibold">{label}:</span> {provenance[id]?.reason}</span>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+}
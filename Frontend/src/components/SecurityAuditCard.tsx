@@ -0,0 +1,65 @@
+import { Card, CardContent, CardHeader, CardTitle, CardDescription } from "@/components/ui/card";
+import { Accordion, AccordionContent, AccordionItem, AccordionTrigger } from "@/components/ui/accordion";
+import { ShieldCheck } from "lucide-react";
+import { cn } from "@/lib/utils";
+import { SECURITY_CATEGORIES, STATUS_STYLES, type SecurityReport } from "@/lib/security";
+
+const gradeClass = (grade: SecurityReport["grade"]) => {
+  if (grade === "A" || grade === "B") return "text-emerald-500";
+  if (grade === "C" || grade === "D") return "text-amber-500";
+  return "text-red-500";
+};
+
+export function SecurityAuditCard({ security }: { security?: SecurityReport | null }) {
+  if (!security) return null;
+
+  return (
+    <Card className="shadow-lg border-border/50">
+      <CardHeader>
+        <CardTitle className="text-lg flex items-center gap-2">
+          <ShieldCheck className="w-5 h-5 text-primary" /> Security Posture:
+          <span className={cn("font-bold", gradeClass(security.grade))}>{security.grade}</span>
+          <span className="text-sm text-muted-foreground font-normal">({security.score}/100)</span>
+        </CardTitle>
+        <CardDescription>
+          Headers, cookies and TLS of {security.url}: {security.passed} passed, {security.warnings} warnings, {security.failed} failed
+        </CardDescription>
+      </CardHeader>
+      <CardContent className="space-y-4">
+        {SECURITY_CATEGORIES.map(({ id, label }) => {
+          const checks = security.checks.filter(c => c.category === id);
+          if (checks.length === 0) return null;
+          return (
+            <div key={id}>
+              <h4 className="text-xs font-semibold uppercase text-muted-foreground">{label}</h4>
+              <Accordion type="multiple">
+                {checks.map(check => (
+                  <AccordionItem key={check.id} value={check.id}>
+                    <AccordionTrigger className="text-sm">
+                      <span className="flex items-center gap-2 text-left">
+                        <span className={cn("rounded border px-1.5 py-0.5 text-xs font-semibold uppercase", STATUS_STYLES[check.status])}>
+                          {check.status}
+                        </span>
+                        {check.title}
+                      </span>
+                    </AccordionTrigger>
+                    <AccordionContent className="space-y-2 text-xs">
+                      <p>{check.detail}</p>
+                      {check.value && <code className="block rounded-md bg-muted/50 p-2 break-all text-muted-foreground">{check.value}</code>}
+                      {check.fix && (
+                        <p>
+                          <span className="font-semibold text-primary">Fix: </span>
+                          {check.fix}
+                        </p>
+                      )}
+                    </AccordionContent>
+                  </AccordionItem>
+                ))}
+              </Accordion>
+            </div>
+          );
+        })}
+      </CardContent>
+    </Card>
+  );
+}
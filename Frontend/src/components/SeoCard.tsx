@@ -0,0 +1,44 @@
+import { Card, CardContent, CardHeader, CardTitle, CardDescription } from "@/components/ui/card";
+import { Search } from "lucide-react";
+import { cn } from "@/lib/utils";
+import { SEO_STATUS_STYLES, type SeoCheckStatus } from "@/lib/seo";
+import type { BrowserMetrics } from "@/lib/web-vitals";
+
+const STATUS_ORDER: SeoCheckStatus[] = ["fail", "warn", "pass", "na"];
+
+export function SeoCard({ metrics }: { metrics?: BrowserMetrics | null }) {
+  const checks = metrics?.seoChecks;
+  if (!checks) return null;
+
+  const sorted = [...checks].sort((a, b) => STATUS_ORDER.indexOf(a.status) - STATUS_ORDER.indexOf(b.status) || b.weight - a.weight);
+  const count = (status: SeoCheckStatus) => checks.filter(c => c.status === status).length;
+
+  return (
+    <Card className="shadow-lg border-border/50">
+      <CardHeader>
+        <CardTitle className="text-lg flex items-center gap-2">
+          <Search className="w-5 h-5 text-primary" /> SEO: {metrics.seo}/100
+        </CardTitle>
+        <CardDescription>
+          {count("fail")} failed, {count("warn")} warnings, {count("pass")} passed; weighted over the checks that apply to this page
+        </CardDescription>
+      </CardHeader>
+      <CardContent>
+        <ul className="space-y-2">
+          {sorted.map(check => (
+            <li key={check.id} className="rounded-md bg-muted/50 p-2 text-sm">
+              <div className="flex items-center gap-2">
+                <span className={cn("rounded border px-1.5 py-0.5 text-xs font-semibold uppercase shrink-0", SEO_STATUS_STYLES[check.status])}>
+                  {check.status}
+                </span>
+                <span className={cn(check.status === "na" && "text-muted-foreground")}>{check.description}</span>
+                <span className="ml-auto text-xs text-muted-foreground shrink-0">weight {check.weight}</span>
+              </div>
+              <p className="mt-1 text-xs text-muted-foreground break-all">{check.detail}</p>
+            </li>
+          ))}
+        </ul>
+      </CardContent>
+    </Card>
+  );
+}
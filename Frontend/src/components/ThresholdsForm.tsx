@@ -0,0 +1,89 @@
+import { Input } from "@/components/ui/input";
+import { Button } from "@/components/ui/button";
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from "@/components/ui/select";
+import { Plus, Trash2 } from "lucide-react";
+import {
+  OPERATORS,
+  THRESHOLD_METRIC_OPTIONS,
+  type Threshold,
+  type ThresholdMetric,
+  type ThresholdOperator,
+} from "@/lib/thresholds";
+
+interface ThresholdsFormProps {
+  value: Threshold[];
+  onChange: (thresholds: Threshold[]) => void;
+}
+
+// Error rate is edited as a percentage but sent as a fraction
+const toDisplay = (t: Threshold) => (t.metric === "http.errorRate" ? Number((t.value * 100).toFixed(4)) : t.value);
+const fromDisplay = (metric: ThresholdMetric, v: string) => {
+  const n = v === "" ? 0 : Number(v);
+  return metric === "http.errorRate" ? n / 100 : n;
+};
+
+export function ThresholdsForm({ value, onChange }: ThresholdsFormProps) {
+  const updateAt = (index: number, patch: Partial<Threshold>) =>
+    onChange(value.map((t, i) => (i === index ? { ...t, ...patch } : t)));
+
+  return (
+    <div className="space-y-3">
+      {value.map((threshold, i) => {
+        const unit = THRESHOLD_METRIC_OPTIONS.find(o => o.value === threshold.metric)?.unit;
+        return (
+          <div key={i} className="flex items-center gap-2">
+            <Select
+              value={threshold.metric}
+              onValueChange={(metric) => updateAt(i, { metric: metric as ThresholdMetric })}
+            >
+              <SelectTrigger className="flex-1">
+                <SelectValue />
+              </SelectTrigger>
+              <SelectContent>
+                {THRESHOLD_METRIC_OPTIONS.map(option => (
+                  <SelectItem key={option.value} value={option.value}>{option.label}</SelectItem>
+                ))}
+              </SelectContent>
+            </Select>
+            <Select value={threshold.op} onValueChange={(op) => updateAt(i, { op: op as ThresholdOperator })}>
+              <SelectTrigger className="w-20">
+                <SelectValue />
+              </SelectTrigger>
+              <SelectContent>
+                {OPERATORS.map(op => (
+                  <SelectItem key={op} value={op}>{op}</SelectItem>
+                ))}
+              </SelectContent>
+            </Select>
+            <Input
+              aria-label={`Threshold ${i + 1} value`}
+              type="number"
+              min={0}
+              step="any"
+              className="w-28"
+              value={toDisplay(threshold)}
+              onChange={(e) => updateAt(i, { value: fromDisplay(threshold.metric, e.target.value) })}
+            />
+            <span className="w-12 text-xs text-muted-foreground">{unit}</span>
+            <Button
+              type="button"
+              variant="ghost"
+              size="icon"
+              onClick={() => onChange(value.filter((_, idx) => idx !== i))}
+            >
+              <Trash2 className="w-4 h-4" />
+            </Button>
+          </div>
+        );
+      })}
+      <Button
+        type="button"
+        variant="outline"
+        size="sm"
+        onClick={() => onChange([...value, { metric: "http.p95", op: "<", value: 300 }])}
+      >
+        <Plus className="w-4 h-4 mr-1" /> Add Threshold
+      </Button>
+    </div>
+  );
+}
@@ -0,0 +1,55 @@
+import { Card, CardContent, CardHeader, CardTitle, CardDescription } from "@/components/ui/card";
+import { CheckCircle2, XCircle, HelpCircle } from "lucide-react";
+import { cn } from "@/lib/utils";
+import { formatThresholdValue, type Verdict } from "@/lib/thresholds";
+
+const STATUS_STYLES = {
+  passed: { label: "Passed", className: "text-emerald-500", icon: CheckCircle2 },
+  failed: { label: "Failed", className: "text-red-500", icon: XCircle },
+  inconclusive: { label: "Inconclusive", className: "text-amber-500", icon: HelpCircle },
+};
+
+const SOURCE_LABELS = {
+  test: "thresholds set for this test",
+  target: "thresholds saved for this target",
+  default: "default thresholds",
+};
+
+export function VerdictCard({ verdict }: { verdict?: Verdict | null }) {
+  if (!verdict) return null;
+
+  const status = STATUS_STYLES[verdict.status];
+  const StatusIcon = status.icon;
+
+  return (
+    <Card className="shadow-lg border-border/50">
+      <CardHeader>
+        <CardTitle className={cn("text-lg flex items-center gap-2", status.className)}>
+          <StatusIcon className="w-5 h-5" /> SLO Verdict: {status.label}
+        </CardTitle>
+        <CardDescription>
+          {verdict.passed} passed, {verdict.failed} failed, {verdict.notMeasured} not measured ({SOURCE_LABELS[verdict.thresholdSource]})
+        </CardDescription>
+      </CardHeader>
+      <CardContent>
+        <ul className="divide-y divide-border/50">
+          {verdict.results.map((r, i) => {
+            const state = r.passed === null ? STATUS_STYLES.inconclusive : r.passed ? STATUS_STYLES.passed : STATUS_STYLES.failed;
+            const StateIcon = state.icon;
+            return (
+              <li key={i} className="flex items-center justify-between py-2 text-sm">
+                <span className="flex items-center gap-2">
+                  <StateIcon className={cn("w-4 h-4", state.className)} />
+                  {r.label} {r.op} {formatThresholdValue(r.metric, r.value)}
+                </span>
+                <span className={cn("font-mono font-semibold", state.className)}>
+                  {formatThresholdValue(r.metric, r.actual)}
+                </span>
+              </li>
+            );
+          })}
+        </ul>
+      </CardContent>
+    </Card>
+  );
+}
@@ -0,0 +1,99 @@
+import { Card, CardContent, CardHeader, CardTitle, CardDescription } from "@/components/ui/card";
+import { Gauge } from "lucide-react";
+import { cn } from "@/lib/utils";
+import {
+  VITAL_INFO,
+  RATING_STYLES,
+  formatVital,
+  formatBytes,
+  type BrowserMetrics,
+} from "@/lib/web-vitals";
+
+export function WebVitalsCard({ metrics }: { metrics?: BrowserMetrics | null }) {
+  const vitals = metrics?.webVitals;
+  if (!vitals) return null;
+
+  const resources = metrics.resources;
+  const longTasks = metrics.longTasks;
+
+  return (
+    <Card className="shadow-lg border-border/50">
+      <CardHeader>
+        <CardTitle className="text-lg flex items-center gap-2">
+          <Gauge className="w-5 h-5 text-primary" /> Core Web Vitals (Lab)
+        </CardTitle>
+        <CardDescription>
+          {metrics.performance != null
+            ? `Performance ${metrics.performance}/100, interactivity ${metrics.interactivity ?? "n/a"}/100, scored on Lighthouse curves`
+            : "Performance not measured: the page never painted"}
+          {metrics.device && ` (${metrics.device.label})`}
+        </CardDescription>
+      </CardHeader>
+      <CardContent className="space-y-6">
+        <div className="grid grid-cols-2 md:grid-cols-5 gap-4">
+          {VITAL_INFO.map(({ id, label, good, poor }) => {
+            const vital = vitals[id];
+            const rating = vital?.rating ? RATING_STYLES[vital.rating] : null;
+            return (
+              <div key={id} className="rounded-lg border border-border/50 p-3">
+                <div className="text-xs font-bold uppercase tracking-widest text-muted-foreground">{id}</div>
+                <div className={cn("text-2xl font-bold mt-1", rating?.className)}>
+                  {formatVital(id, vital?.value ?? null)}
+                </div>
+                <div className="text-xs text-muted-foreground mt-1">{label}</div>
+                <div className="text-xs mt-1">
+                  <span className={rating?.className}>{rating?.label ?? "Not measured"}</span>
+                  <span className="text-muted-foreground"> (good ≤ {formatVital(id, good)}, poor &gt; {formatVital(id, poor)})</span>
+                </div>
+              </div>
+            );
+          })}
+        </div>
+
+        {longTasks && (
+          <p className="text-sm text-muted-foreground">
+            {longTasks.count} long task{longTasks.count === 1 ? "" : "s"} totalling {longTasks.totalMs} ms
+            {longTasks.count > 0 && ` (longest ${longTasks.longestMs} ms)`}
+          </p>
+        )}
+
+        {resources && (
+          <div className="space-y-3">
+            <div className="text-sm font-semibold">
+              {resources.count} requests, {formatBytes(resources.transferBytes)} transferred
+            </div>
+            <div className="flex flex-wrap gap-2">
+              {Object.entries(resources.byType).map(([type, { count, bytes }]) => (
+                <span key={type} className="rounded-md bg-muted px-2 py-1 text-xs">
+                  {type}: {count} / {formatBytes(bytes)}
+                </span>
+              ))}
+            </div>
+            {resources.slowest.length > 0 && (
+              <table className="w-full text-xs">
+                <thead>
+                  <tr className="text-left text-muted-foreground">
+                    <th className="py-1 font-medium">Slowest resources</th>
+                    <th className="py-1 font-medium">Type</th>
+                    <th className="py-1 font-medium text-right">Size</th>
+                    <th className="py-1 font-medium text-right">Time</th>
+                  </tr>
+                </thead>
+                <tbody className="divide-y divide-border/50">
+                  {resources.slowest.map((r, i) => (
+                    <tr key={i}>
+                      <td className="py-1 pr-2 max-w-xs truncate font-mono" title={r.url}>{r.url}</td>
+                      <td className="py-1">{r.type}</td>
+                      <td className="py-1 text-right">{formatBytes(r.bytes)}</td>
+                      <td className="py-1 text-right">{r.durationMs} ms</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            )}
+          </div>
+        )}
+      </CardContent>
+    </Card>
+  );
+}
@@ -1,7 +1,15 @@
 import { useQuery, useMutation, useQueryClient } from "@tanstack/react-query";
+import { useEffect, useState } from "react";
 import { api } from "@/lib/api";
 import { useToast } from "@/hooks/use-toast";
 import { useAuth } from "./use-auth";
+import type { LoadProfile } from "@/lib/load-profile";
+import type { Scenario } from "@/lib/scenario";
+import type { BreakingPointConfig } from "@/lib/breaking-point";
+import type { Threshold } from "@/lib/thresholds";
+import type { CrawlConfig } from "@/lib/crawl";
+import type { DeviceRequest } from "@/lib/devices";
+import type { Journey } from "@/lib/journey";
 
 export function useLoadTest(id?: string | number) {
   const { token } = useAuth();
@@ -17,6 +25,129 @@ export function useLoadTest(id?: string | number) {
   });
 }
 
+export type JobStatus = "queued" | "running" | "completed" | "failed" | "cancelled";
+export type PhaseStatus = "pending" | "running" | "completed" | "failed" | "skipped" | "cancelled";
+
+export interface LoadTestJob {
+  id: string;
+  status: JobStatus;
+  phases: Record<string, { status: PhaseStatus; error?: string; startedAt?: string; finishedAt?: string }>;
+  position: number | null;
+  result: { sessionId: string } | null;
+  error: string | null;
+}
+
+export const isJobFinished = (status?: JobStatus) =>
+  status === "completed" || status === "failed" || status === "cancelled";
+
+export function useLoadTestJob(jobId?: string | null) {
+  const { token } = useAuth();
+  return useQuery<LoadTestJob | null>({
+    queryKey: ["load-test-job", jobId],
+    queryFn: async () => {
+      if (!jobId || !token) return null;
+      const result = await api.getLoadTestJob(token, jobId);
+      if (result.error) throw new Error(result.error);
+      return result;
+    },
+    enabled: !!jobId && !!token,
+    // Poll until the worker reports a terminal state
+    refetchInterval: (query) => (isJobFinished(query.state.data?.status) ? false : 2000),
+  });
+}
+
+export interface LiveProgressPoint {
+  elapsedSeconds: number;
+  vus: number;
+  requestsPerSecond: number;
+  p95: number | null;
+  errorCount: number;
+  totalRequests: number;
+}
+
+/** One second of a finished run, aggregated server-side from raw k6 samples */
+export interface TimeSeriesPoint {
+  t: number;
+  vus: number;
+  requests: number;
+  failures: number;
+  avg: number | null;
+  p50: number | null;
+  p95: number | null;
+  p99: number | null;
+}
+
+/**
+ * Subscribes to the job's live k6 stats while it runs.
+ */
+export function useLoadTestStream(jobId?: string | null) {
+  const { token } = useAuth();
+  const [points, setPoints] = useState<LiveProgressPoint[]>([]);
+
+  useEffect(() => {
+    setPoints([]);
+    if (!jobId || !token) return;
+
+    const controller = new AbortController();
+    api.streamLoadTestJob(token, jobId, (event, data) => {
+      if (event === "progress") setPoints(prev => [...prev, data]);
+    }, controller.signal).catch(err => {
+      // Polling in useLoadTestJob still tracks the job if the stream drops
+      if (!controller.signal.aborted) console.warn("⚠️ Live progress stream closed:", err);
+    });
+
+    return () => controller.abort();
+  }, [jobId, token]);
+
+  return points;
+}
+
+/**
+ * Object URL for a session artifact, revoked when the artifact changes or the component unmounts.
+ */
+export function useArtifactURL(sessionId?: string, artifactId?: string) {
+  const { token } = useAuth();
+  const [url, setUrl] = useState<string | null>(null);
+
+  useEffect(() => {
+    if (!sessionId || !artifactId || !token) return;
+
+    let objectURL: string | null = null;
+    let cancelled = false;
+    api.getArtifact(token, sessionId, artifactId)
+      .then(blob => {
+        if (cancelled) return;
+        objectURL = URL.createObjectURL(blob);
+        setUrl(objectURL);
+      })
+      .catch(err => console.warn("⚠️ Artifact not loaded:", err));
+
+    return () => {
+      cancelled = true;
+      if (objectURL) URL.revokeObjectURL(objectURL);
+      setUrl(null);
+    };
+  }, [sessionId, artifactId, token]);
+
+  return url;
+}
+
+export function useCancelLoadTestJob() {
+  const { token } = useAuth();
+  const queryClient = useQueryClient();
+  return useMutation({
+    mutationFn: async (jobId: string) => {
+      if (!token) throw new Error("Not authenticated");
+      const result = await api.cancelLoadTestJob(token, jobId);
+      if (result.error) throw new Error(result.error);
+      return result;
+    },
+    onSuccess: (_data, jobId) => {
+      queryClient.invalidateQueries({ queryKey: ["load-test-job", jobId] });
+    },
+  });
+}
+
 export function useChatHistory(sessionId?: string | number) {
   const { token } = useAuth();
   return useQuery({
@@ -40,22 +171,44 @@ export function useRunLoadTest() {
   const { toast } = useToast();
   const queryClient = useQueryClient();
   return useMutation({
-    mutationFn: async (data: { url: string; githubRepo?: string }) => {
+    mutationFn: async (data: {
+      url: string;
+      githubRepo?: string;
+      loadProfile?: LoadProfile;
+      scenario?: Scenario;
+      breakingPoint?: BreakingPointConfig;
+      crawl?: CrawlConfig;
+      devices?: DeviceRequest[];
+      journey?: Journey;
+      simulateOnFailure?: boolean;
+      thresholds?: Threshold[];
+    }) => {
       if (!token) throw new Error("Not authenticated");
 
       const result = await api.runLoadTest(
         token,
         data.url,
-        data.githubRepo
+        data.githubRepo,
+        {
+          loadProfile: data.loadProfile,
+          scenario: data.scenario,
+          breakingPoint: data.breakingPoint,
+          crawl: data.crawl,
+          devices: data.devices,
+          journey: data.journey,
+          simulateOnFailure: data.simulateOnFailure,
+          thresholds: data.thresholds,
+        }
       );
 
       if (result.error) {
-        throw new Error(result.error);
+        const details = Array.isArray(result.details) ? `: ${result.details.join("; ")}` : "";
+        throw new Error(`${result.error}${details}`);
       }
 
       return result;
     },
-    onSuccess: (data: { id: number; url: string; metrics?: any }) => {
+    onSuccess: (data: { jobId: string; job?: LoadTestJob }) => {
       if (user) {
         updateUser({
           ...user,
@@ -64,8 +217,10 @@ export function useRunLoadTest() {
         });
       }
       toast({
-        title: "Load Test Complete",
-        description: `Successfully analyzed ${data.metrics?.totalRequests || 0} requests`,
+        title: "Load Test Queued",
+        description: data.job?.position && data.job.position > 1
+          ? `Your test is #${data.job.position} in the queue.`
+          : "Your test is starting now.",
       });
       queryClient.invalidateQueries({ queryKey: ["load-test"] });
     },
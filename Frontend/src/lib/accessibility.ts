@@ -0,0 +1,18 @@
+export type Impact = "critical" | "serious" | "moderate" | "minor";
+
+export interface AccessibilityViolation {
+  // Rule id, named after the matching axe-core rule (e.g. "color-contrast")
+  id: string;
+  impact: Impact;
+  description: string;
+  // Total failing elements; `nodes` holds at most the first 10
+  count: number;
+  nodes: { selector: string; html: string }[];
+}
+
+export const IMPACT_STYLES: Record<Impact, string> = {
+  critical: "bg-red-500/10 text-red-500 border-red-500/30",
+  serious: "bg-orange-500/10 text-orange-500 border-orange-500/30",
+  moderate: "bg-amber-500/10 text-amber-500 border-amber-500/30",
+  minor: "bg-muted text-muted-foreground border-border",
+};
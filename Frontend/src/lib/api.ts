@@ -1,3 +1,11 @@
+import type { LoadProfile } from './load-profile';
+import type { Scenario } from './scenario';
+import type { BreakingPointConfig } from './breaking-point';
+import type { Threshold } from './thresholds';
+import type { CrawlConfig } from './crawl';
+import type { DeviceRequest } from './devices';
+import type { Journey } from './journey';
+
 const API_URL = import.meta.env.VITE_API_URL || 'https://syncmind-ai.onrender.com/api';
 
 const getHeaders = (token?: string) => {
@@ -30,11 +38,79 @@ export const api = {
     },
 
     // Load Test
-    runLoadTest: async (token: string, testURL: string, githubRepo?: string) => {
+    runLoadTest: async (
+        token: string,
+        testURL: string,
+        githubRepo?: string,
+        config: {
+            loadProfile?: LoadProfile;
+            scenario?: Scenario;
+            breakingPoint?: BreakingPointConfig;
+            crawl?: CrawlConfig;
+            devices?: DeviceRequest[];
+            journey?: Journey;
+            simulateOnFailure?: boolean;
+            thresholds?: Threshold[];
+        } = {}
+    ) => {
         const res = await fetch(`${API_URL}/load-test`, {
             method: 'POST',
             headers: getHeaders(token),
-            body: JSON.stringify({ testURL, githubRepo })
+            body: JSON.stringify({ testURL, githubRepo, ...config })
+        });
+        return res.json();
+    },
+
+    getLoadTestJob: async (token: string, jobId: string) => {
+        const res = await fetch(`${API_URL}/load-test/jobs/${jobId}`, {
+            headers: getHeaders(token)
+        });
+        return res.json();
+    },
+
+    /**
+     * Reads the job's Server-Sent Events stream. EventSource cannot send the
+     * Authorization header, so the stream is consumed through fetch instead.
+     */
+    streamLoadTestJob: async (
+        token: string,
+        jobId: string,
+        onEvent: (event: string, data: any) => void,
+        signal?: AbortSignal
+    ) => {
+        const res = await fetch(`${API_URL}/load-test/jobs/${jobId}/stream`, {
+            headers: getHeaders(token),
+            signal
+        });
+        if (!res.ok || !res.body) throw new Error(`Progress stream unavailable (${res.status})`);
+
+        const reader = res.body.getReader();
+        const decoder = new TextDecoder();
+        let buffer = '';
+
+        while (true) {
+            const { done, value } = await reader.read();
+            if (done) break;
+            buffer += decoder.decode(value, { stream: true });
+
+            const messages = buffer.split('\n\n');
+            buffer = messages.pop() || '';
+            for (const message of messages) {
+                let event = 'message';
+                let data = '';
+                for (const line of message.split('\n')) {
+                    if (line.startsWith('event:')) event = line.slice(6).trim();
+                    else if (line.startsWith('data:')) data += line.slice(5).trim();
+                }
+                if (data) onEvent(event, JSON.parse(data));
+            }
+        }
+    },
+
+    cancelLoadTestJob: async (token: string, jobId: string) => {
+        const res = await fetch(`${API_URL}/load-test/jobs/${jobId}/cancel`, {
+            method: 'POST',
+            headers: getHeaders(token)
         });
         return res.json();
     },
@@ -82,10 +158,39 @@ export const api = {
         return res.json();
     },
 
+    /**
+     * Artifact bytes (screenshot, filmstrip frame, HAR). The route needs the
+     * Authorization header, so an <img src> cannot point at it directly.
+     */
+    getArtifact: async (token: string, sessionId: string, artifactId: string) => {
+        const res = await fetch(`${API_URL}/load-test/${sessionId}/artifacts/${artifactId}`, {
+            headers: getHeaders(token)
+        });
+        if (!res.ok) throw new Error(`Artifact unavailable (${res.status})`);
+        return res.blob();
+    },
+
     getLatestLoadTest: async (token: string) => {
         const res = await fetch(`${API_URL}/load-test/latest`, {
             headers: getHeaders(token)
         });
         return res.json();
+    },
+
+    // SLO thresholds saved per target origin
+    getTargetThresholds: async (token: string, target: string) => {
+        const res = await fetch(`${API_URL}/load-test/thresholds?target=${encodeURIComponent(target)}`, {
+            headers: getHeaders(token)
+        });
+        return res.json();
+    },
+
+    saveTargetThresholds: async (token: string, target: string, thresholds: Threshold[]) => {
+        const res = await fetch(`${API_URL}/load-test/thresholds`, {
+            method: 'PUT',
+            headers: getHeaders(token),
+            body: JSON.stringify({ target, thresholds })
+        });
+        return res.json();
     }
 };
@@ -0,0 +1,12 @@
+export type ArtifactKind = "screenshot" | "filmstrip" | "har";
+
+// Metadata of a stored artifact (the bytes come from GET /load-test/:id/artifacts/:artifactId)
+export interface SessionArtifact {
+  id: string;
+  kind: ArtifactKind;
+  name: string;
+  contentType: string;
+  bytes: number;
+  // Filmstrip frames: time since navigation start
+  offsetMs?: number;
+}
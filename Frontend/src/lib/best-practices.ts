@@ -0,0 +1,21 @@
+export interface BoundedList<T> {
+  // Total seen; `items` keeps the first 20
+  count: number;
+  items: T[];
+}
+
+export interface PageDiagnostics {
+  consoleErrors: BoundedList<{ text: string; location: string | null }>;
+  consoleWarnings: BoundedList<{ text: string; location: string | null }>;
+  pageErrors: BoundedList<{ message: string; stack: string | null }>;
+  // status is null for requests that never got a response (DNS, blocked, aborted...)
+  failedRequests: BoundedList<{ url: string; type: string; status: number | null; error: string | null }>;
+  mixedContent: BoundedList<{ url: string; type: string }>;
+}
+
+export interface BestPracticeCheck {
+  id: string;
+  description: string;
+  passed: boolean;
+  count: number;
+}
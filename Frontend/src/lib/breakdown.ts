@@ -0,0 +1,38 @@
+export type StatusClass = "2xx" | "3xx" | "4xx" | "5xx";
+export type ErrorClass = "timeout" | "connectionRefused" | "connectionReset" | "dns" | "tls" | "other";
+
+export interface EndpointStats {
+  // k6 `name` tag: the scenario step name, or the URL for single-URL tests
+  name: string;
+  method: string | null;
+  requests: number;
+  failures: number;
+  networkErrors: number;
+  statusClasses: Record<StatusClass, number>;
+  errorRate: number;
+  avg: number | null;
+  p95: number | null;
+}
+
+export interface ResponseBreakdown {
+  totalRequests: number;
+  statusCodes: Record<string, number>;
+  statusClasses: Record<StatusClass, number>;
+  errorClasses: Record<ErrorClass, number>;
+  endpoints: EndpointStats[];
+}
+
+export interface HealthSlice {
+  name: string;
+  value: number;
+  color: string;
+}
+
+export const ERROR_CLASS_LABELS: Record<ErrorClass, string> = {
+  timeout: "Timeouts",
+  connectionRefused: "Connection refused",
+  connectionReset: "Connection reset",
+  dns: "DNS errors",
+  tls: "TLS errors",
+  other: "Other network errors",
+};
@@ -0,0 +1,56 @@
+import { parseDuration } from "@/lib/load-profile";
+
+export interface BreakingPointConfig {
+  startVUs: number;
+  stepVUs: number;
+  maxVUs: number;
+  stepDuration: string;
+  // Fraction (0.05 = 5%)
+  maxErrorRate: number;
+  // Milliseconds
+  maxP95: number;
+}
+
+export interface BreakingPointStep {
+  vus: number;
+  rps: number;
+  errorRate: number;
+  p95: number | null;
+  healthy: boolean;
+  reasons: string[];
+}
+
+export interface BreakingPointReport {
+  limits: { maxErrorRate: number; maxP95: number };
+  steps: BreakingPointStep[];
+  breakingPoint: BreakingPointStep | null;
+  lastHealthy: BreakingPointStep | null;
+  found: boolean;
+}
+
+export const DEFAULT_BREAKING_POINT: BreakingPointConfig = {
+  startVUs: 10,
+  stepVUs: 20,
+  maxVUs: 200,
+  stepDuration: "20s",
+  maxErrorRate: 0.05,
+  maxP95: 1000,
+};
+
+/**
+ * VU levels the search steps through (it stops early at the first unhealthy step).
+ */
+export const getBreakingPointLevels = (config: BreakingPointConfig): number[] => {
+  const levels: number[] = [];
+  if (config.startVUs < 1 || config.stepVUs < 1) return levels;
+  for (let vus = config.startVUs; vus <= config.maxVUs && levels.length < 20; vus += config.stepVUs) {
+    levels.push(vus);
+  }
+  return levels;
+};
+
+/**
+ * Longest possible search, in seconds (every step up to maxVUs stays healthy).
+ */
+export const getBreakingPointMaxDuration = (config: BreakingPointConfig): number =>
+  getBreakingPointLevels(config).length * parseDuration(config.stepDuration);
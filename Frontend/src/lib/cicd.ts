@@ -0,0 +1,53 @@
+// Mirrors CICD_STAGES in backend Utils/cicdAnalyzer.js
+export type CicdStage = "build" | "test" | "lint" | "security" | "deploy";
+
+export const CICD_STAGE_LABELS: Record<CicdStage, string> = {
+  build: "build",
+  test: "test",
+  lint: "lint",
+  security: "security scan",
+  deploy: "deploy",
+};
+
+export interface CicdPipeline {
+  provider: string;
+  file: string;
+  triggers: string[];
+  stages: CicdStage[];
+  jobs: { name: string; stages: CicdStage[]; needs: string[] }[];
+  // null when the pipeline does not deploy
+  deployGatedOnTests: boolean | null;
+  error?: string;
+}
+
+// The repository's `cicd` block (buildCicdReport() in the backend)
+export interface CicdReport {
+  present: boolean;
+  providers: string[];
+  pipelines: CicdPipeline[];
+  stages: Partial<Record<CicdStage, boolean>>;
+  triggers: string[];
+  deployGatedOnTests: boolean | null;
+  // 0-100, weighted by stage; deploy only counts when gated on tests
+  score: number;
+  issues: string[];
+}
+
+export interface CicdRisk {
+  severity: "CRITICAL" | "HIGH" | "MEDIUM";
+  consequence: string;
+  details: string;
+  gaps?: string[];
+}
+
+// "GitHub Actions: build, test, deploy (gated on tests)"
+export function describeCicd(cicd?: Partial<CicdReport> | null): string {
+  if (!cicd?.present) return "Not detected in repository";
+  // Sessions analysed before pipelines were parsed only know that one exists
+  if (!cicd.stages) return "Present";
+
+  const stages = (Object.keys(CICD_STAGE_LABELS) as CicdStage[]).filter(stage => cicd.stages?.[stage]);
+  const gate = cicd.deployGatedOnTests === null ? "" : cicd.deployGatedOnTests ? " (gated on tests)" : " (NOT gated on tests)";
+  const list = stages.map(stage => CICD_STAGE_LABELS[stage]).join(", ") || "no recognised stages";
+  return `${cicd.providers?.join(", ")}: ${list}${stages.includes("deploy") ? gate : ""}`;
+}
@@ -0,0 +1,51 @@
+import type { VitalId, VitalResult } from "@/lib/web-vitals";
+import type { SeoFinding } from "@/lib/seo";
+
+export interface CrawlConfig {
+  maxPages: number;
+  maxDepth: number;
+  // Path patterns: `*` matches within one segment, `**` across segments
+  include: string[];
+  exclude: string[];
+}
+
+export interface CrawlPage {
+  url: string;
+  depth: number;
+  // Set when this page could not be audited; the scores are missing then
+  error: string | null;
+  performance?: number;
+  accessibility?: number;
+  bestPractices?: number;
+  seo?: number;
+  interactivity?: number;
+  loadTimeMs?: number;
+  webVitals?: Record<VitalId, VitalResult> | null;
+  issues?: { accessibilityViolations: number; consoleErrors: number; pageErrors: number; failedRequests: number };
+  // Failed and warning SEO checks of this page
+  seoFindings?: SeoFinding[];
+}
+
+export interface CrawlReport {
+  config: CrawlConfig;
+  pages: CrawlPage[];
+  summary: {
+    pagesAudited: number;
+    pagesFailed: number;
+    maxDepthReached: number;
+    averages: Record<"performance" | "accessibility" | "bestPractices" | "seo", number | null>;
+    worstPages: { url: string; depth: number; overall: number; reasons: string[] }[];
+  };
+}
+
+// Mirrors the backend defaults and limits (Utils/crawl.js)
+export const DEFAULT_CRAWL: CrawlConfig = { maxPages: 10, maxDepth: 2, include: [], exclude: [] };
+export const CRAWL_LIMITS = { maxPages: 50, maxDepth: 5 };
+
+/**
+ * Config as sent to the API: pattern lines trimmed and blank ones dropped.
+ */
+export const toCrawlRequest = (config: CrawlConfig): CrawlConfig => {
+  const clean = (patterns: string[]) => patterns.map(p => p.trim()).filter(Boolean);
+  return { ...config, include: clean(config.include), exclude: clean(config.exclude) };
+};
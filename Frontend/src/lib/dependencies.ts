@@ -0,0 +1,43 @@
+// Mirrors SEVERITIES in backend Utils/dependencyAudit.js
+export type AdvisorySeverity = "critical" | "high" | "medium" | "low";
+
+export const ADVISORY_SEVERITIES: AdvisorySeverity[] = ["critical", "high", "medium", "low"];
+
+export const SEVERITY_STYLES: Record<AdvisorySeverity, string> = {
+  critical: "bg-red-500/10 text-red-500 border-red-500/30",
+  high: "bg-orange-500/10 text-orange-500 border-orange-500/30",
+  medium: "bg-amber-500/10 text-amber-500 border-amber-500/30",
+  low: "bg-muted text-muted-foreground border-border",
+};
+
+interface LockedPackage {
+  ecosystem: "npm" | "pypi" | "go" | "crates";
+  name: string;
+  version: string;
+  // null when the lockfile does not record it
+  dev: boolean | null;
+  file: string;
+}
+
+export interface VulnerablePackage extends LockedPackage {
+  severity: AdvisorySeverity;
+  // Upgrading to this clears every matched advisory; null when one has no fix yet
+  fixedVersion: string | null;
+  advisories: { id: string; cve: string | null; severity: AdvisorySeverity; summary: string; fixedVersion: string | null; url: string }[];
+}
+
+// The repository's `dependencies` block (buildDependencyReport() in the backend); lists are capped, counts are not
+export interface DependencyReport {
+  lockfiles: { file: string; ecosystem: string; packageCount: number; error: string | null }[];
+  packageCount: number;
+  vulnerableCount: number;
+  severityCounts: Record<AdvisorySeverity, number>;
+  vulnerable: VulnerablePackage[];
+  deprecatedCount: number;
+  deprecated: (LockedPackage & { reason: string; latest: string | null })[];
+  outdatedCount: number;
+  outdated: (LockedPackage & { latest: string; majorsBehind: number })[];
+  // trackedCount: analysed packages with registry data, the only ones checked for deprecated/outdated (absent on older sessions)
+  database: { source: string | null; updatedAt: string | null; advisoryCount: number; stale: boolean; trackedCount?: number };
+  issues: string[];
+}
@@ -0,0 +1,97 @@
+import type { VitalId, VitalResult } from "@/lib/web-vitals";
+
+export interface NetworkThrottling {
+  latencyMs: number;
+  downloadKbps: number;
+  uploadKbps: number;
+}
+
+export interface CustomDeviceProfile {
+  name: string;
+  label?: string;
+  viewport: { width: number; height: number };
+  isMobile: boolean;
+  cpuSlowdown: number;
+  network: NetworkThrottling | null;
+}
+
+export type DeviceSelection = BuiltInDeviceId | CustomDeviceProfile;
+export type DeviceRequest = BuiltInDeviceId | (CustomDeviceProfile & { base: BuiltInDeviceId });
+
+export interface DeviceComparisonResult {
+  device: string;
+  performance: number | null;
+  accessibility: number;
+  bestPractices: number;
+  seo: number;
+  interactivity: number | null;
+  loadTimeMs?: number;
+  webVitals: Record<VitalId, VitalResult> | null;
+  resources: { count: number; transferBytes: number } | null;
+  delta: Partial<Record<"performance" | "accessibility" | "bestPractices" | "seo" | "interactivity", number>>;
+}
+
+export interface DeviceComparison {
+  baseline: string;
+  profiles: {
+    name: string;
+    label: string;
+    viewport: { width: number; height: number };
+    cpuSlowdown: number;
+    network: NetworkThrottling | null;
+  }[];
+  results: DeviceComparisonResult[];
+}
+
+// Mirrors DEVICE_PROFILES in the backend (Utils/deviceProfiles.js)
+export const BUILT_IN_DEVICES = {
+  "mobile-slow-4g": {
+    label: "Mid-range mobile, slow 4G",
+    viewport: { width: 412, height: 823 },
+    isMobile: true,
+    cpuSlowdown: 4,
+    network: { latencyMs: 150, downloadKbps: 1638, uploadKbps: 675 },
+  },
+  "desktop-cable": {
+    label: "Desktop, cable",
+    viewport: { width: 1350, height: 940 },
+    isMobile: false,
+    cpuSlowdown: 1,
+    network: { latencyMs: 28, downloadKbps: 5000, uploadKbps: 1000 },
+  },
+  "desktop-unthrottled": {
+    label: "Desktop, no throttling",
+    viewport: { width: 1280, height: 720 },
+    isMobile: false,
+    cpuSlowdown: 1,
+    network: null,
+  },
+} satisfies Record<string, Omit<CustomDeviceProfile, "name">>;
+
+export type BuiltInDeviceId = keyof typeof BUILT_IN_DEVICES;
+
+export const DEVICE_LIMITS = { maxProfiles: 4, maxCpuSlowdown: 20 };
+
+export const createCustomDevice = (index: number): CustomDeviceProfile => ({
+  ...BUILT_IN_DEVICES["mobile-slow-4g"],
+  name: `custom-${index}`,
+  label: `Custom ${index}`,
+});
+
+/**
+ * Profiles as sent to the API. A custom profile takes the user agent, touch support and
+ * pixel ratio of the built-in mobile or desktop profile it is based on.
+ */
+export const toDevicesRequest = (devices: DeviceSelection[]): DeviceRequest[] => devices.map(device =>
+  typeof device === "string"
+    ? device
+    : { ...device, base: device.isMobile ? "mobile-slow-4g" : "desktop-cable" }
+);
+
+export const describeThrottling = ({ cpuSlowdown, network }: { cpuSlowdown: number; network: NetworkThrottling | null }) => {
+  const cpu = cpuSlowdown > 1 ? `${cpuSlowdown}x CPU` : "full CPU";
+  const net = network
+    ? `${(network.downloadKbps / 1000).toFixed(1)} Mbps, ${network.latencyMs} ms RTT`
+    : "unthrottled network";
+  return `${cpu}, ${net}`;
+};
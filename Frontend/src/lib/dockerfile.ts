@@ -0,0 +1,36 @@
+export type DockerfileSeverity = "error" | "warning" | "info";
+
+// Mirrors DOCKERFILE_RULES in backend Utils/dockerfileLint.js
+export type DockerfileRule =
+  | "base-image-latest" | "base-image-unpinned" | "runs-as-root" | "no-multi-stage" | "no-healthcheck"
+  | "add-remote-url" | "apt-unbounded" | "secret-in-env" | "no-cmd" | "no-expose"
+  | "dockerignore-missing" | "dockerignore-weak";
+
+export interface DockerfileFinding {
+  rule: DockerfileRule;
+  severity: DockerfileSeverity;
+  // null for file-level findings (missing instruction, .dockerignore)
+  line: number | null;
+  message: string;
+  remediation: string;
+}
+
+// The repository's `docker` block; the lint fields are absent on sessions analysed before linting
+export interface DockerReport {
+  present: boolean;
+  file?: string;
+  instructions?: number;
+  stages?: number;
+  baseImages?: string[];
+  user?: string | null;
+  healthcheck?: boolean;
+  hasCMD: boolean;
+  exposesPort: boolean;
+  findings?: DockerfileFinding[];
+}
+
+export const DOCKERFILE_SEVERITY_STYLES: Record<DockerfileSeverity, string> = {
+  error: "bg-red-500/10 text-red-500 border-red-500/30",
+  warning: "bg-amber-500/10 text-amber-500 border-amber-500/30",
+  info: "bg-muted text-muted-foreground border-border",
+};
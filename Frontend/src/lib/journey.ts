@@ -0,0 +1,77 @@
+export type JourneyAction = "navigate" | "click" | "fill" | "press" | "waitFor" | "assertText";
+
+export interface JourneyStep {
+  name?: string;
+  action: JourneyAction;
+  url?: string;
+  selector?: string;
+  value?: string;
+  key?: string;
+  text?: string;
+  state?: "visible" | "attached" | "hidden" | "detached";
+  // click / press: wait for the page the action opens to load
+  navigates?: boolean;
+  timeoutMs?: number;
+}
+
+export interface Journey {
+  name?: string;
+  variables?: Record<string, string>;
+  steps: JourneyStep[];
+}
+
+export interface JourneyStepResult {
+  name: string;
+  action: JourneyAction;
+  target: string | null;
+  status: "passed" | "failed" | "skipped";
+  durationMs: number | null;
+  error: string | null;
+  url: string | null;
+  // JPEG data URL, only for the failed step
+  screenshot: string | null;
+}
+
+export interface JourneyReport {
+  name: string;
+  status: "passed" | "failed";
+  passed: number;
+  failed: number;
+  skipped: number;
+  totalMs: number;
+  failedStep: string | null;
+  steps: JourneyStepResult[];
+}
+
+// Shown as a starting point in the journey editor
+export const EXAMPLE_JOURNEY: Journey = {
+  name: "search-and-checkout",
+  variables: { email: "shopper@example.com", password: "secret", query: "shoes" },
+  steps: [
+    { name: "open login", action: "navigate", url: "/login" },
+    { action: "fill", selector: "#email", value: "{{email}}" },
+    { action: "fill", selector: "#password", value: "{{password}}" },
+    { name: "sign in", action: "click", selector: "button[type=submit]", navigates: true },
+    { action: "fill", selector: "input[name=q]", value: "{{query}}" },
+    { name: "search", action: "press", selector: "input[name=q]", key: "Enter", navigates: true },
+    { action: "click", selector: ".product-card >> nth=0", navigates: true },
+    { name: "add to cart", action: "click", selector: "text=Add to cart" },
+    { action: "waitFor", selector: ".cart-count" },
+    { name: "checkout", action: "click", selector: "text=Checkout", navigates: true },
+    { action: "assertText", text: "Order summary" },
+  ],
+};
+
+/**
+ * Parses the editor text. Empty input means "no journey".
+ */
+export const parseJourneyText = (text: string): { journey?: Journey; error?: string } => {
+  if (!text.trim()) return {};
+  try {
+    const parsed = JSON.parse(text);
+    if (!parsed || !Array.isArray(parsed.steps)) return { error: "Journey must contain a \"steps\" array" };
+    return { journey: parsed };
+  } catch (e) {
+    return { error: `Journey is not valid JSON: ${(e as Error).message}` };
+  }
+};
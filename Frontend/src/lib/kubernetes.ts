@@ -0,0 +1,66 @@
+// Mirrors KUBERNETES_CHECKS in backend Utils/kubernetesAnalyzer.js
+export type KubernetesCheckId =
+  | "resource-requests" | "resource-limits" | "liveness-probe" | "readiness-probe"
+  | "replicas" | "hpa" | "pdb" | "image-pinned" | "security-context";
+
+export type KubernetesCheckStatus = "pass" | "warn" | "fail";
+
+export const KUBERNETES_CHECK_LABELS: Record<KubernetesCheckId, string> = {
+  "resource-requests": "Requests",
+  "resource-limits": "Limits",
+  "liveness-probe": "Liveness",
+  "readiness-probe": "Readiness",
+  replicas: "Replicas",
+  hpa: "HPA",
+  pdb: "PDB",
+  "image-pinned": "Image tag",
+  "security-context": "Security",
+};
+
+export interface KubernetesWorkload {
+  kind: string;
+  name: string;
+  namespace: string;
+  // Manifest file, or the chart template it was rendered from
+  source: string;
+  containers: string[];
+  score: number;
+  // Checks that do not apply to the kind (probes on a Job) are left out
+  checks: { id: KubernetesCheckId; status: KubernetesCheckStatus; detail: string }[];
+}
+
+export interface KubernetesSource {
+  path: string;
+  type: "manifests" | "helm";
+  // Charts only: "approximate" when the helm binary was unavailable or failed
+  renderer?: "helm" | "approximate" | null;
+  renderError?: string | null;
+  objects: number;
+  error?: string;
+}
+
+// The repository's `kubernetes` block; only present/type exist on sessions analysed before per-workload checks
+export interface KubernetesReport {
+  present: boolean;
+  type: "helm" | "raw" | null;
+  sources?: KubernetesSource[];
+  workloads?: KubernetesWorkload[];
+  // 0-100, mean of the workload scores
+  score?: number;
+  issues?: string[];
+}
+
+export const KUBERNETES_STATUS_STYLES: Record<KubernetesCheckStatus, string> = {
+  pass: "bg-green-500/10 text-green-500 border-green-500/30",
+  warn: "bg-amber-500/10 text-amber-500 border-amber-500/30",
+  fail: "bg-red-500/10 text-red-500 border-red-500/30",
+};
+
+// "Helm, 2 workloads, score 67/100"
+export function describeKubernetes(kubernetes?: KubernetesReport | null): string {
+  if (!kubernetes?.present) return "Not detected in repository";
+  if (!kubernetes.workloads) return "Present";
+  const type = kubernetes.type === "helm" ? "Helm" : "Manifests";
+  if (kubernetes.workloads.length === 0) return `${type}, no workloads`;
+  return `${type}, ${kubernetes.workloads.length} ${kubernetes.workloads.length === 1 ? "workload" : "workloads"}, score ${kubernetes.score}/100`;
+}
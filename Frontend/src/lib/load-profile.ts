@@ -0,0 +1,83 @@
+export type LoadExecutor = "constant-vus" | "ramping-vus" | "constant-arrival-rate";
+
+export interface LoadStage {
+  duration: string;
+  target: number;
+}
+
+export interface LoadProfile {
+  executor: LoadExecutor;
+  // constant-vus
+  vus?: number;
+  duration?: string;
+  // ramping-vus
+  startVUs?: number;
+  stages?: LoadStage[];
+  // constant-arrival-rate
+  rate?: number;
+  timeUnit?: string;
+  preAllocatedVUs?: number;
+  maxVUs?: number;
+  // shared
+  thinkTime: number;
+  timeout: string;
+}
+
+export const EXECUTOR_OPTIONS: { value: LoadExecutor; label: string; description: string }[] = [
+  { value: "constant-vus", label: "Constant VUs", description: "A fixed number of users for the whole run" },
+  { value: "ramping-vus", label: "Ramping VUs", description: "Ramp-up, hold and ramp-down stages" },
+  { value: "constant-arrival-rate", label: "Constant Arrival Rate", description: "A fixed request rate, independent of response time" },
+];
+
+// Sensible starting points for each executor (backend enforces the real limits)
+export const DEFAULT_PROFILES: Record<LoadExecutor, LoadProfile> = {
+  "constant-vus": { executor: "constant-vus", vus: 200, duration: "5s", thinkTime: 1, timeout: "60s" },
+  "ramping-vus": {
+    executor: "ramping-vus",
+    startVUs: 0,
+    stages: [
+      { duration: "30s", target: 50 },
+      { duration: "1m", target: 50 },
+      { duration: "15s", target: 0 },
+    ],
+    thinkTime: 1,
+    timeout: "60s",
+  },
+  "constant-arrival-rate": {
+    executor: "constant-arrival-rate",
+    rate: 50,
+    timeUnit: "1s",
+    duration: "30s",
+    preAllocatedVUs: 50,
+    maxVUs: 200,
+    thinkTime: 0,
+    timeout: "30s",
+  },
+};
+
+/**
+ * Converts a k6 duration ("1m30s", "500ms") to seconds. Returns 0 when unparsable.
+ */
+export const parseDuration = (value?: string): number => {
+  if (!value || !/^(\d+(ms|h|m|s))+$/.test(value.trim())) return 0;
+  const units: Record<string, number> = { h: 3600, m: 60, s: 1, ms: 0.001 };
+  let total = 0;
+  for (const [, amount, unit] of Array.from(value.matchAll(/(\d+)(ms|h|m|s)/g))) {
+    total += Number(amount) * units[unit];
+  }
+  return total;
+};
+
+export const getProfileDuration = (profile: LoadProfile): number => {
+  if (profile.executor === "ramping-vus") {
+    return (profile.stages || []).reduce((sum, stage) => sum + parseDuration(stage.duration), 0);
+  }
+  return parseDuration(profile.duration);
+};
+
+export const formatSeconds = (seconds: number): string => {
+  if (seconds < 60) return `${Math.round(seconds)} seconds`;
+  const minutes = Math.floor(seconds / 60);
+  const rest = Math.round(seconds % 60);
+  return rest > 0 ? `${minutes}m ${rest}s` : `${minutes} minute${minutes > 1 ? "s" : ""}`;
+};
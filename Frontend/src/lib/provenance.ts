@@ -0,0 +1,30 @@
+export type ProvenanceStatus = "measured" | "simulated" | "failed" | "skipped";
+
+// Where a result section's data came from (Utils/provenance.js in the backend)
+export interface Provenance {
+  status: ProvenanceStatus;
+  // The real tool for measured data ("k6", "Playwright (Chromium)", ...), "simulator" for simulated data
+  source: string | null;
+  // Why it was simulated, failed or skipped
+  reason: string | null;
+}
+
+export type SessionProvenance = Partial<Record<ProvenanceSection, Provenance>>;
+
+// Mirrors the pipeline phases that produce data (PIPELINE_PHASES in Runners/loadTestPipeline.js)
+export type ProvenanceSection = "loadTest" | "browserAudit" | "browserJourney" | "securityAudit" | "repository";
+
+export const PROVENANCE_SECTIONS: { id: ProvenanceSection; label: string }[] = [
+  { id: "loadTest", label: "Load test" },
+  { id: "browserAudit", label: "Browser audit" },
+  { id: "browserJourney", label: "Journey" },
+  { id: "securityAudit", label: "Security" },
+  { id: "repository", label: "Repository" },
+];
+
+export const PROVENANCE_STYLES: Record<ProvenanceStatus, { label: string; className: string }> = {
+  measured: { label: "Measured", className: "bg-emerald-500/10 text-emerald-500 border-emerald-500/30" },
+  simulated: { label: "Simulated", className: "bg-amber-500/10 text-amber-500 border-amber-500/30" },
+  failed: { label: "Failed", className: "bg-red-500/10 text-red-500 border-red-500/30" },
+  skipped: { label: "Skipped", className: "bg-muted text-muted-foreground border-border" },
+};
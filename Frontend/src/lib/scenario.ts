@@ -0,0 +1,64 @@
+export type HttpMethod = "GET" | "POST" | "PUT" | "PATCH" | "DELETE" | "HEAD" | "OPTIONS";
+
+export type ExtractRule =
+  | string
+  | { from: "json"; path: string }
+  | { from: "header"; name: string }
+  | { from: "regex"; pattern: string };
+
+export interface ScenarioStep {
+  name?: string;
+  method?: HttpMethod;
+  url: string;
+  headers?: Record<string, string>;
+  body?: unknown;
+  extract?: Record<string, ExtractRule>;
+  checks?: {
+    status?: number | number[];
+    bodyContains?: string;
+    maxDuration?: number;
+    json?: { path: string; equals?: unknown };
+  };
+  thinkTime?: number;
+}
+
+export interface Scenario {
+  variables?: Record<string, string>;
+  steps: ScenarioStep[];
+}
+
+// Shown as a starting point in the scenario editor
+export const EXAMPLE_SCENARIO: Scenario = {
+  variables: { email: "loadtest@example.com", password: "secret" },
+  steps: [
+    {
+      name: "login",
+      method: "POST",
+      url: "/api/auth/login",
+      body: { email: "{{email}}", password: "{{password}}" },
+      extract: { token: { from: "json", path: "token" } },
+      checks: { status: 200 },
+    },
+    {
+      name: "profile",
+      method: "GET",
+      url: "/api/me",
+      headers: { Authorization: "Bearer {{token}}" },
+      checks: { status: 200, maxDuration: 500 },
+    },
+  ],
+};
+
+/**
+ * Parses the editor text. Empty input means "no scenario" (single GET against the target URL).
+ */
+export const parseScenarioText = (text: string): { scenario?: Scenario; error?: string } => {
+  if (!text.trim()) return {};
+  try {
+    const parsed = JSON.parse(text);
+    if (!parsed || !Array.isArray(parsed.steps)) return { error: "Scenario must contain a \"steps\" array" };
+    return { scenario: parsed };
+  } catch (e) {
+    return { error: `Scenario is not valid JSON: ${(e as Error).message}` };
+  }
+};
@@ -0,0 +1,38 @@
+export type SecurityCheckStatus = "pass" | "warn" | "fail";
+export type SecurityCategory = "transport" | "headers" | "cookies" | "disclosure";
+
+// One graded check of the security posture audit (Utils/securityAudit.js in the backend)
+export interface SecurityCheck {
+  id: string;
+  category: SecurityCategory;
+  title: string;
+  status: SecurityCheckStatus;
+  // What was observed (header value, cookie names, certificate expiry, ...)
+  value: string | null;
+  detail: string;
+  // How to fix it; null when the check passed
+  fix: string | null;
+}
+
+export interface SecurityReport {
+  url: string;
+  score: number;
+  grade: "A" | "B" | "C" | "D" | "F";
+  passed: number;
+  warnings: number;
+  failed: number;
+  checks: SecurityCheck[];
+}
+
+export const SECURITY_CATEGORIES: { id: SecurityCategory; label: string }[] = [
+  { id: "transport", label: "HTTPS & TLS" },
+  { id: "headers", label: "Security headers" },
+  { id: "cookies", label: "Cookies" },
+  { id: "disclosure", label: "Information disclosure" },
+];
+
+export const STATUS_STYLES: Record<SecurityCheckStatus, string> = {
+  pass: "bg-emerald-500/10 text-emerald-500 border-emerald-500/30",
+  warn: "bg-amber-500/10 text-amber-500 border-amber-500/30",
+  fail: "bg-red-500/10 text-red-500 border-red-500/30",
+};
@@ -0,0 +1,21 @@
+export type SeoCheckStatus = "pass" | "warn" | "fail" | "na";
+
+// One weighted check of the SEO audit (Utils/seoAudit.js in the backend)
+export interface SeoCheck {
+  id: string;
+  description: string;
+  weight: number;
+  // "na": does not apply to this page and is left out of the score
+  status: SeoCheckStatus;
+  detail: string;
+}
+
+// Crawl pages keep only the checks that need work
+export type SeoFinding = Pick<SeoCheck, "id" | "status" | "detail">;
+
+export const SEO_STATUS_STYLES: Record<SeoCheckStatus, string> = {
+  fail: "bg-red-500/10 text-red-500 border-red-500/30",
+  warn: "bg-amber-500/10 text-amber-500 border-amber-500/30",
+  pass: "bg-emerald-500/10 text-emerald-500 border-emerald-500/30",
+  na: "bg-muted text-muted-foreground border-border",
+};
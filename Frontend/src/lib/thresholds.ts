@@ -0,0 +1,83 @@
+export type ThresholdMetric =
+  | "http.p95"
+  | "http.p99"
+  | "http.avg"
+  | "http.errorRate"
+  | "http.throughput"
+  | "browser.performance"
+  | "browser.accessibility"
+  | "browser.bestPractices"
+  | "browser.seo"
+  | "browser.loadTimeMs"
+  | "browser.lcp"
+  | "browser.fcp"
+  | "browser.tbt"
+  | "browser.cls"
+  | "browser.ttfb";
+
+export type ThresholdOperator = "<" | "<=" | ">" | ">=";
+
+export interface Threshold {
+  metric: ThresholdMetric;
+  op: ThresholdOperator;
+  // Error rate is a fraction (0.01 = 1%), latency in ms, browser scores 0-100
+  value: number;
+}
+
+export interface ThresholdResult extends Threshold {
+  label: string;
+  unit: string;
+  source: "loadTest" | "browserAudit";
+  actual: number | null;
+  // null when the metric could not be measured (e.g. the browser audit failed)
+  passed: boolean | null;
+}
+
+export type VerdictStatus = "passed" | "failed" | "inconclusive";
+
+export interface Verdict {
+  status: VerdictStatus;
+  passed: number;
+  failed: number;
+  notMeasured: number;
+  results: ThresholdResult[];
+  thresholdSource: "test" | "target" | "default";
+}
+
+export const THRESHOLD_METRIC_OPTIONS: { value: ThresholdMetric; label: string; unit: string }[] = [
+  { value: "http.p95", label: "p95 latency", unit: "ms" },
+  { value: "http.p99", label: "p99 latency", unit: "ms" },
+  { value: "http.avg", label: "Average latency", unit: "ms" },
+  { value: "http.errorRate", label: "Error rate", unit: "%" },
+  { value: "http.throughput", label: "Throughput", unit: "req/s" },
+  { value: "browser.performance", label: "Browser performance score", unit: "/100" },
+  { value: "browser.accessibility", label: "Accessibility score", unit: "/100" },
+  { value: "browser.bestPractices", label: "Best practices score", unit: "/100" },
+  { value: "browser.seo", label: "SEO score", unit: "/100" },
+  { value: "browser.loadTimeMs", label: "Browser load time", unit: "ms" },
+  { value: "browser.lcp", label: "Largest Contentful Paint", unit: "ms" },
+  { value: "browser.fcp", label: "First Contentful Paint", unit: "ms" },
+  { value: "browser.tbt", label: "Total Blocking Time", unit: "ms" },
+  { value: "browser.cls", label: "Cumulative Layout Shift", unit: "" },
+  { value: "browser.ttfb", label: "Time to First Byte", unit: "ms" },
+];
+
+export const OPERATORS: ThresholdOperator[] = ["<", "<=", ">", ">="];
+
+// Mirrors the backend defaults (Utils/thresholds.js)
+export const DEFAULT_THRESHOLDS: Threshold[] = [
+  { metric: "http.p95", op: "<", value: 1000 },
+  { metric: "http.errorRate", op: "<", value: 0.05 },
+  { metric: "browser.performance", op: ">=", value: 50 },
+];
+
+/**
+ * Formats a threshold or measured value in the metric's display unit.
+ */
+export const formatThresholdValue = (metric: ThresholdMetric, value: number | null): string => {
+  if (value === null) return "n/a";
+  if (metric === "http.errorRate") return `${Number((value * 100).toFixed(2))}%`;
+  const unit = THRESHOLD_METRIC_OPTIONS.find(o => o.value === metric)?.unit ?? "";
+  if (!unit || unit.startsWith("/")) return `${Number(value.toFixed(2))}${unit}`;
+  return `${Number(value.toFixed(2))} ${unit}`;
+};
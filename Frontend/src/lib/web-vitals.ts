@@ -0,0 +1,75 @@
+import type { AccessibilityViolation } from "@/lib/accessibility";
+import type { BestPracticeCheck, PageDiagnostics } from "@/lib/best-practices";
+import type { SeoCheck } from "@/lib/seo";
+
+export type VitalId = "fcp" | "lcp" | "tbt" | "cls" | "ttfb";
+export type VitalRating = "good" | "needs-improvement" | "poor";
+
+export interface VitalResult {
+  value: number | null;
+  unit: string;
+  // Lighthouse 0-1 score; null for TTFB (rated only) or when not measured
+  score: number | null;
+  rating: VitalRating | null;
+}
+
+export interface ResourceEntry {
+  url: string;
+  type: string;
+  bytes: number;
+  durationMs: number;
+}
+
+export interface ResourceSummary {
+  count: number;
+  transferBytes: number;
+  byType: Record<string, { count: number; bytes: number }>;
+  largest: ResourceEntry[];
+  slowest: ResourceEntry[];
+}
+
+export interface BrowserMetrics {
+  // null when the page never painted (no FCP or LCP), so there was nothing to score
+  performance: number | null;
+  accessibility: number;
+  bestPractices: number;
+  seo: number;
+  interactivity: number | null;
+  loadTimeMs?: number;
+  webVitals?: Record<VitalId, VitalResult>;
+  longTasks?: { count: number; totalMs: number; longestMs: number };
+  resources?: ResourceSummary;
+  accessibilityViolations?: AccessibilityViolation[];
+  bestPracticesChecks?: BestPracticeCheck[];
+  seoChecks?: SeoCheck[];
+  diagnostics?: PageDiagnostics;
+  // Emulated device profile; null for the default desktop context
+  device?: { name: string; label: string } | null;
+}
+
+// Mirrors VITALS in the backend (Utils/webVitals.js)
+export const VITAL_INFO: { id: VitalId; label: string; good: number; poor: number }[] = [
+  { id: "lcp", label: "Largest Contentful Paint", good: 2500, poor: 4000 },
+  { id: "fcp", label: "First Contentful Paint", good: 1800, poor: 3000 },
+  { id: "tbt", label: "Total Blocking Time", good: 200, poor: 600 },
+  { id: "cls", label: "Cumulative Layout Shift", good: 0.1, poor: 0.25 },
+  { id: "ttfb", label: "Time to First Byte", good: 800, poor: 1800 },
+];
+
+export const RATING_STYLES: Record<VitalRating, { label: string; className: string }> = {
+  good: { label: "Good", className: "text-emerald-500" },
+  "needs-improvement": { label: "Needs improvement", className: "text-amber-500" },
+  poor: { label: "Poor", className: "text-red-500" },
+};
+
+export const formatVital = (id: VitalId, value: number | null): string => {
+  if (value === null) return "n/a";
+  if (id === "cls") return value.toFixed(3);
+  return value >= 1000 ? `${(value / 1000).toFixed(2)} s` : `${Math.round(value)} ms`;
+};
+
+export const formatBytes = (bytes: number): string => {
+  if (bytes >= 1024 * 1024) return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+  if (bytes >= 1024) return `${(bytes / 1024).toFixed(0)} KB`;
+  return `${bytes} B`;
+};
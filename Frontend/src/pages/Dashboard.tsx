@@ -16,6 +16,20 @@ import {
 import { useEffect, useRef, useState } from "react";
 import { api } from "@/lib/api";
 import { DashboardChat } from "@/components/DashboardChat";
+import { VerdictCard } from "@/components/VerdictCard";
+import { WebVitalsCard } from "@/components/WebVitalsCard";
+import { AccessibilityCard } from "@/components/AccessibilityCard";
+import { PageDiagnosticsCard } from "@/components/PageDiagnosticsCard";
+import { SeoCard } from "@/components/SeoCard";
+import { CrawlReportCard } from "@/components/CrawlReportCard";
+import { DeviceComparisonCard } from "@/components/DeviceComparisonCard";
+import { JourneyCard } from "@/components/JourneyCard";
+import { SecurityAuditCard } from "@/components/SecurityAuditCard";
+import { DependencyAuditCard } from "@/components/DependencyAuditCard";
+import { DockerfileLintCard } from "@/components/DockerfileLintCard";
+import { KubernetesCard } from "@/components/KubernetesCard";
+import { ProvenanceBadges } from "@/components/ProvenanceBadges";
+import type { TimeSeriesPoint } from "@/hooks/use-load-test";
 import {
   SystemHealthChart,
   ThroughputChart,
@@ -61,38 +75,33 @@ export default function Dashboard() {
   const ai = latestData?.ai;
   const business = ai?.businessInsights;
 
-  /* ---------------- DATA SYNTHESIS FOR CHARTS ---------------- */
-  const variance = (base: number) => {
-    const v = base * 0.15;
-    return Math.max(0, base - v + Math.random() * (v * 2));
-  };
+  /* ---------------- DATA FOR CHARTS ---------------- */
+  const timeSeries: TimeSeriesPoint[] = latestData?.timeSeries || [];
 
-  const throughputData = m ? [
-    { timestamp: "T-4s", success: variance(m.throughput * 0.7 * (1 - m.failureRateUnderTest)), errors: variance(m.throughput * 0.7 * m.failureRateUnderTest) },
-    { timestamp: "T-3s", success: variance(m.throughput * 0.8 * (1 - m.failureRateUnderTest)), errors: variance(m.throughput * 0.8 * m.failureRateUnderTest) },
-    { timestamp: "T-2s", success: variance(m.throughput * 1.0 * (1 - m.failureRateUnderTest)), errors: variance(m.throughput * 1.0 * m.failureRateUnderTest) },
-    { timestamp: "T-1s", success: variance(m.throughput * 1.2 * (1 - m.failureRateUnderTest)), errors: variance(m.throughput * 1.2 * m.failureRateUnderTest) },
-    { timestamp: "Latest", success: m.throughput * (1 - m.failureRateUnderTest), errors: m.throughput * m.failureRateUnderTest }
-  ] : [];
-
-  const toMs = (v?: number) => {
-    if (typeof v !== "number" || v === 0) return 0;
-    return v > 10 ? v : v * 1000;
-  };
+  const throughputData = timeSeries.map(point => ({
+    timestamp: `${point.t}s`,
+    success: Math.max(0, point.requests - point.failures),
+    errors: point.failures,
+  }));
 
-  const scalabilityData = m ? [
-    { percentile: "p50", latency: toMs(m.latency?.p50) },
-    { percentile: "p95", latency: toMs(m.latency?.p95) },
-    { percentile: "p99", latency: toMs(m.latency?.p99) },
-    { percentile: "Avg", latency: toMs(m.latency?.avg) },
-  ].filter(i => i.latency > 0) : [];
+  const scalabilityData = timeSeries
+    .filter(point => point.p50 !== null)
+    .map(point => ({
+      timestamp: `${point.t}s`,
+      vus: point.vus,
+      p50: point.p50,
+      p95: point.p95,
+      p99: point.p99,
+    }));
 
+  // Unmeasured scores (a page that never painted) are left off the radar rather than drawn as 0
   const securityData = b ? [
-    { subject: "Performance", A: b.performance || 0, fullMark: 100 },
+    ...(b.performance != null ? [{ subject: "Performance", A: b.performance, fullMark: 100 }] : []),
     { subject: "Access", A: b.accessibility || 0, fullMark: 100 },
     { subject: "Practices", A: b.bestPractices || 0, fullMark: 100 },
     { subject: "SEO", A: b.seo || 0, fullMark: 100 },
-    { subject: "Speed", A: b.interactivity || 0, fullMark: 100 },
+    ...(b.interactivity != null ? [{ subject: "Speed", A: b.interactivity, fullMark: 100 }] : []),
+    ...(latestData?.security ? [{ subject: "Security", A: latestData.security.score, fullMark: 100 }] : []),
   ] : [
     { subject: 'Performance', A: 85, fullMark: 100 },
     { subject: 'Access', A: 90, fullMark: 100 },
@@ -144,6 +153,11 @@ export default function Dashboard() {
                 ? `Welcome, ${user.username}! Run your first audit to see the "Harsh Reality."`
                 : `Auditing: ${latestData?.url}`}
             </p>
+            {!hasNoData && (
+              <div className="mt-3">
+                <ProvenanceBadges provenance={latestData?.provenance} />
+              </div>
+            )}
           </div>
 
           <div className="flex items-center gap-3">
@@ -196,12 +210,14 @@ export default function Dashboard() {
             {/* STRATEGIC OVERALL VIEW: SCORE + ACCELERATORS */}
             <div className="grid lg:grid-cols-2 gap-8">
               <SystemHealthChart
+                data={latestData?.healthData}
                 metrics={m}
                 github={g}
               />
               {business && (
                 <StrategicRemediations remediations={business.remediations} />
               )}
+              <VerdictCard verdict={latestData?.verdict} />
             </div>
 
             {/* CHATTING SYSTEM - AI RESPONSE */}
@@ -217,7 +233,8 @@ export default function Dashboard() {
             <div className="grid md:grid-cols-2 lg:grid-cols-3 gap-8">
               <ThroughputChart
                 data={throughputData}
-                collapsePoint={business?.collapsePoint}
+                // The reference line is in req/s, which only a measured search provides
+                collapsePoint={business?.breakingPoint?.breakingPoint?.rps}
               />
               <ScalabilityChart data={scalabilityData} />
               <SecurityRadarChart data={securityData} />
@@ -233,6 +250,18 @@ export default function Dashboard() {
               )}
             </div>
 
+            <WebVitalsCard metrics={b} />
+            <AccessibilityCard metrics={b} />
+            <PageDiagnosticsCard metrics={b} />
+            <SeoCard metrics={b} />
+            <DeviceComparisonCard comparison={latestData?.deviceComparison} />
+            <JourneyCard journey={latestData?.journey} />
+            <SecurityAuditCard security={latestData?.security} />
+            <DependencyAuditCard report={g?.dependencies} />
+            <DockerfileLintCard docker={g?.docker} />
+            <KubernetesCard kubernetes={g?.kubernetes} />
+            <CrawlReportCard crawl={latestData?.crawl} />
+
             <div className="mt-8">
               <SummaryMatrixTable metrics={m} github={g} />
             </div>
@@ -2,25 +2,120 @@ import { Layout } from "@/components/Layout";
 import { Button } from "@/components/ui/button";
 import { Input } from "@/components/ui/input";
 import { Label } from "@/components/ui/label";
+import { Switch } from "@/components/ui/switch";
+import { Textarea } from "@/components/ui/textarea";
 import { Card, CardContent, CardHeader, CardTitle, CardDescription } from "@/components/ui/card";
-import { useRunLoadTest } from "@/hooks/use-load-test";
+import { isJobFinished, useCancelLoadTestJob, useLoadTestJob, useLoadTestStream, useRunLoadTest } from "@/hooks/use-load-test";
 import { useState, useEffect } from "react";
 import { useLocation } from "wouter";
 import { Play, Loader2, Github, Globe } from "lucide-react";
 import { useAuth } from "@/hooks/use-auth";
 import { useToast } from "@/hooks/use-toast";
+import { LoadProfileForm } from "@/components/LoadProfileForm";
+import { JobProgress } from "@/components/JobProgress";
+import { LiveLoadChart } from "@/components/LiveLoadChart";
+import { BreakingPointForm } from "@/components/BreakingPointForm";
+import { ThresholdsForm } from "@/components/ThresholdsForm";
+import { CrawlForm } from "@/components/CrawlForm";
+import { DeviceProfilesForm } from "@/components/DeviceProfilesForm";
+import { DEFAULT_PROFILES, formatSeconds, getProfileDuration, type LoadProfile } from "@/lib/load-profile";
+import { EXAMPLE_SCENARIO, parseScenarioText } from "@/lib/scenario";
+import { EXAMPLE_JOURNEY, parseJourneyText } from "@/lib/journey";
+import { DEFAULT_BREAKING_POINT, getBreakingPointMaxDuration, type BreakingPointConfig } from "@/lib/breaking-point";
+import { DEFAULT_THRESHOLDS, type Threshold } from "@/lib/thresholds";
+import { DEFAULT_CRAWL, toCrawlRequest, type CrawlConfig } from "@/lib/crawl";
+import { toDevicesRequest, type DeviceSelection } from "@/lib/devices";
+import { api } from "@/lib/api";
 
 export default function LoadTest() {
-  const { user, updateUser } = useAuth();
+  const { user, token, updateUser } = useAuth();
   const { toast } = useToast();
   const runTest = useRunLoadTest();
   const [, setLocation] = useLocation();
 
   const [url, setUrl] = useState("");
   const [repo, setRepo] = useState("");
+  const [loadProfile, setLoadProfile] = useState<LoadProfile>(DEFAULT_PROFILES["constant-vus"]);
+  const [scenarioText, setScenarioText] = useState("");
+  const [journeyText, setJourneyText] = useState("");
+  const [findBreakingPoint, setFindBreakingPoint] = useState(false);
+  const [breakingPoint, setBreakingPoint] = useState<BreakingPointConfig>(DEFAULT_BREAKING_POINT);
+  const [crawlSite, setCrawlSite] = useState(false);
+  const [crawl, setCrawl] = useState<CrawlConfig>(DEFAULT_CRAWL);
+  const [emulateDevices, setEmulateDevices] = useState(false);
+  const [devices, setDevices] = useState<DeviceSelection[]>(["mobile-slow-4g", "desktop-cable"]);
+  const [simulateOnFailure, setSimulateOnFailure] = useState(false);
+  const [customThresholds, setCustomThresholds] = useState(false);
+  const [thresholds, setThresholds] = useState<Threshold[]>(DEFAULT_THRESHOLDS);
+  const [isSavingThresholds, setIsSavingThresholds] = useState(false);
 
   // Simulation State
   const [isSimulating, setIsSimulating] = useState(false);
+  const [jobId, setJobId] = useState<string | null>(null);
+  const { data: job, error: jobError } = useLoadTestJob(jobId);
+  const cancelJob = useCancelLoadTestJob();
+  const livePoints = useLoadTestStream(jobId);
+
+  useEffect(() => {
+    if (!job || !isJobFinished(job.status)) return;
+
+    setJobId(null);
+    setIsSimulating(false);
+
+    if (job.status === "completed") {
+      // Redirect to dashboard instead of direct result page per latest requirement
+      toast({
+        title: "Load Test & Analysis Complete!",
+        description: "Redirecting you to the dashboard to view insights...",
+      });
+      // Delay redirect to let toast be seen
+      setTimeout(() => {
+        setLocation("/dashboard");
+      }, 2500);
+    } else {
+      toast({
+        title: job.status === "cancelled" ? "Test Cancelled" : "Test Failed",
+        description: job.error || "The load test did not finish.",
+        variant: job.status === "cancelled" ? "default" : "destructive",
+      });
+    }
+  }, [job?.status]);
+
+  useEffect(() => {
+    if (!jobError) return;
+    setJobId(null);
+    setIsSimulating(false);
+    toast({ title: "Lost Track of Test", description: jobError.message, variant: "destructive" });
+  }, [jobError]);
+
+  // Start from whatever is saved for the target (or the defaults) when customising
+  const handleCustomThresholds = async (enabled: boolean) => {
+    setCustomThresholds(enabled);
+    if (!enabled || !token || !url) return;
+    try {
+      const result = await api.getTargetThresholds(token, url);
+      if (Array.isArray(result.thresholds)) setThresholds(result.thresholds);
+    } catch (err) {
+      console.error("Error loading target thresholds:", err);
+    }
+  };
+
+  const handleSaveThresholds = async () => {
+    if (!token || !url) return;
+    setIsSavingThresholds(true);
+    try {
+      const result = await api.saveTargetThresholds(token, url, thresholds);
+      if (result.error) {
+        const details = Array.isArray(result.details) ? `: ${result.details.join("; ")}` : "";
+        throw new Error(`${result.error}${details}`);
+      }
+      toast({ title: "Thresholds Saved", description: `Future tests of ${result.target} will use these thresholds.` });
+    } catch (err: any) {
+      toast({ title: "Could Not Save Thresholds", description: err.message, variant: "destructive" });
+    } finally {
+      setIsSavingThresholds(false);
+    }
+  };
 
   const canStartTest = (user?.credits || 0) > 0 || user?.subscription.plan !== 'free';
 
@@ -28,28 +123,41 @@ export default function LoadTest() {
     e.preventDefault();
     if (!canStartTest) return;
 
+    const { scenario, error: scenarioError } = parseScenarioText(scenarioText);
+    if (scenarioError) {
+      toast({ title: "Invalid Scenario", description: scenarioError, variant: "destructive" });
+      return;
+    }
+    const { journey, error: journeyError } = parseJourneyText(journeyText);
+    if (journeyError) {
+      toast({ title: "Invalid Journey", description: journeyError, variant: "destructive" });
+      return;
+    }
+
     setIsSimulating(true);
 
     // Initial delay for immediate UI feedback
     setTimeout(() => {
       runTest.mutate(
-        { url, githubRepo: repo || undefined },
+        {
+          url,
+          githubRepo: repo || undefined,
+          loadProfile,
+          scenario,
+          journey,
+          breakingPoint: findBreakingPoint ? breakingPoint : undefined,
+          crawl: crawlSite ? toCrawlRequest(crawl) : undefined,
+          devices: emulateDevices && devices.length > 0 ? toDevicesRequest(devices) : undefined,
+          thresholds: customThresholds ? thresholds : undefined,
+          simulateOnFailure,
+        },
         {
           onSuccess: (data: any) => {
-            console.log("✅ Load test triggered successfully:", data.id);
+            console.log("✅ Load test queued successfully:", data.jobId);
             if (data.user) {
               updateUser(data.user);
             }
-            setIsSimulating(false);
-            // Redirect to dashboard instead of direct result page per latest requirement
-            toast({
-              title: "Load Test & Analysis Complete!",
-              description: "Redirecting you to the dashboard to view insights...",
-            });
-            // Delay redirect to let toast be seen
-            setTimeout(() => {
-              setLocation("/dashboard");
-            }, 2500);
+            setJobId(data.jobId);
           },
           onError: (error: any) => {
             console.error("❌ Test Mutation Error:", error);
@@ -117,17 +225,22 @@ export default function LoadTest() {
           <CardContent>
             {isSimulating ? (
               <div className="py-12 flex flex-col items-center justify-center space-y-6">
-                <div className="relative w-32 h-32 flex items-center justify-center">
-                  <div className="absolute inset-0 border-4 border-primary/20 rounded-full"></div>
-                  <div
-                    className="absolute inset-0 border-4 border-primary rounded-full border-t-transparent animate-spin"
-                  ></div>
-                  <Loader2 className="w-12 h-12 animate-spin text-primary" />
-                </div>
-                <div className="text-center space-y-1">
-                  <h3 className="font-semibold text-lg">Simulating Traffic...</h3>
-                  <p className="text-sm text-muted-foreground">This may take a few minutes. Please wait.</p>
-                </div>
+                {livePoints.length > 0 ? (
+                  <LiveLoadChart points={livePoints} />
+                ) : (
+                  <div className="relative w-32 h-32 flex items-center justify-center">
+                    <div className="absolute inset-0 border-4 border-primary/20 rounded-full"></div>
+                    <div
+                      className="absolute inset-0 border-4 border-primary rounded-full border-t-transparent animate-spin"
+                    ></div>
+                    <Loader2 className="w-12 h-12 animate-spin text-primary" />
+                  </div>
+                )}
+                <JobProgress
+                  job={job}
+                  isCancelling={cancelJob.isPending}
+                  onCancel={() => jobId && cancelJob.mutate(jobId)}
+                />
               </div>
             ) : (
               <form onSubmit={handleSubmit} className="space-y-6">
@@ -161,11 +274,143 @@ export default function LoadTest() {
                     />
                   </div>
                 </div>
+                <div className="flex items-center justify-between rounded-lg border border-border/50 p-4">
+                  <div className="space-y-1">
+                    <Label htmlFor="breakingPoint">Find Breaking Point</Label>
+                    <p className="text-xs text-muted-foreground">
+                      Raise load step by step until error rate or p95 latency crosses your limits.
+                    </p>
+                  </div>
+                  <Switch id="breakingPoint" checked={findBreakingPoint} onCheckedChange={setFindBreakingPoint} />
+                </div>
+
+                {findBreakingPoint ? (
+                  <BreakingPointForm value={breakingPoint} onChange={setBreakingPoint} />
+                ) : (
+                  <LoadProfileForm value={loadProfile} onChange={setLoadProfile} />
+                )}
+
+                <div className="space-y-4 rounded-lg border border-border/50 p-4">
+                  <div className="flex items-center justify-between">
+                    <div className="space-y-1">
+                      <Label htmlFor="crawlSite">Crawl Site</Label>
+                      <p className="text-xs text-muted-foreground">
+                        Run the browser audit on linked pages too, not only the target URL.
+                      </p>
+                    </div>
+                    <Switch id="crawlSite" checked={crawlSite} onCheckedChange={setCrawlSite} />
+                  </div>
+                  {crawlSite && <CrawlForm value={crawl} onChange={setCrawl} />}
+                </div>
+
+                <div className="space-y-4 rounded-lg border border-border/50 p-4">
+                  <div className="flex items-center justify-between">
+                    <div className="space-y-1">
+                      <Label htmlFor="emulateDevices">Device &amp; Network Profiles</Label>
+                      <p className="text-xs text-muted-foreground">
+                        Off: audit in a default desktop browser on an unthrottled connection.
+                      </p>
+                    </div>
+                    <Switch id="emulateDevices" checked={emulateDevices} onCheckedChange={setEmulateDevices} />
+                  </div>
+                  {emulateDevices && <DeviceProfilesForm value={devices} onChange={setDevices} />}
+                </div>
+
+                <div className="space-y-4 rounded-lg border border-border/50 p-4">
+                  <div className="flex items-center justify-between">
+                    <div className="space-y-1">
+                      <Label htmlFor="customThresholds">Custom SLO Thresholds</Label>
+                      <p className="text-xs text-muted-foreground">
+                        Off: use the thresholds saved for this target, or the defaults (p95 &lt; 1000ms, errors &lt; 5%, performance ≥ 50).
+                      </p>
+                    </div>
+                    <Switch id="customThresholds" checked={customThresholds} onCheckedChange={handleCustomThresholds} />
+                  </div>
+                  {customThresholds && (
+                    <>
+                      <ThresholdsForm value={thresholds} onChange={setThresholds} />
+                      <Button
+                        type="button"
+                        variant="secondary"
+                        size="sm"
+                        disabled={!url || isSavingThresholds}
+                        onClick={handleSaveThresholds}
+                      >
+                        {isSavingThresholds && <Loader2 className="mr-2 h-4 w-4 animate-spin" />}
+                        Save as Default for This Target
+                      </Button>
+                    </>
+                  )}
+                </div>
+
+                <div className="space-y-2">
+                  <div className="flex items-center justify-between">
+                    <Label htmlFor="scenario">User Flow Scenario (optional)</Label>
+                    <Button
+                      type="button"
+                      variant="ghost"
+                      size="sm"
+                      className="h-auto p-0 text-xs"
+                      onClick={() => setScenarioText(JSON.stringify(EXAMPLE_SCENARIO, null, 2))}
+                    >
+                      Insert example
+                    </Button>
+                  </div>
+                  <Textarea
+                    id="scenario"
+                    placeholder="Leave empty to load the target URL only. Paste a JSON scenario to run a multi-step flow."
+                    className="font-mono text-xs min-h-[120px]"
+                    value={scenarioText}
+                    onChange={(e) => setScenarioText(e.target.value)}
+                  />
+                  <p className="text-xs text-muted-foreground">
+                    Step URLs are relative to the target URL. Use <code>{"{{variable}}"}</code> to reuse values extracted from earlier responses.
+                  </p>
+                </div>
+
+                <div className="space-y-2">
+                  <div className="flex items-center justify-between">
+                    <Label htmlFor="journey">Browser Journey (optional)</Label>
+                    <Button
+                      type="button"
+                      variant="ghost"
+                      size="sm"
+                      className="h-auto p-0 text-xs"
+                      onClick={() => setJourneyText(JSON.stringify(EXAMPLE_JOURNEY, null, 2))}
+                    >
+                      Insert example
+                    </Button>
+                  </div>
+                  <Textarea
+                    id="journey"
+                    placeholder="Paste a JSON journey to time a real flow in the browser (sign in, search, checkout)."
+                    className="font-mono text-xs min-h-[120px]"
+                    value={journeyText}
+                    onChange={(e) => setJourneyText(e.target.value)}
+                  />
+                  <p className="text-xs text-muted-foreground">
+                    Actions: <code>navigate</code>, <code>click</code>, <code>fill</code>, <code>press</code>, <code>waitFor</code>, <code>assertText</code>. The journey stops at the first failed step and keeps a screenshot of it.
+                  </p>
+                </div>
+
+                <div className="flex items-center justify-between rounded-lg border border-border/50 p-4">
+                  <div className="space-y-1">
+                    <Label htmlFor="simulateOnFailure">Simulate on Failure</Label>
+                    <p className="text-xs text-muted-foreground">
+                      Off: a section whose tool fails (k6 missing, browser crash, target unreachable) is reported as failed.
+                      On: simulated data is used instead and labelled as simulated in the report.
+                    </p>
+                  </div>
+                  <Switch id="simulateOnFailure" checked={simulateOnFailure} onCheckedChange={setSimulateOnFailure} />
+                </div>
+
                 <div className="space-y-6 mt-6"> {/* New wrapper div with space-y-6 and mt-6 */}
                   <div className="bg-muted/50 p-4 rounded-lg text-sm text-muted-foreground">
                     <p>
                       <span className="font-semibold">Note:</span> {user?.subscription.plan === 'free' ? 'This will consume 1 credit from your balance.' : 'Infinite tests included in your plan.'}
-                      The test runs for approximately 5 seconds.
+                      {findBreakingPoint
+                        ? ` The search runs for up to ${formatSeconds(getBreakingPointMaxDuration(breakingPoint))}.`
+                        : ` The test runs for approximately ${formatSeconds(getProfileDuration(loadProfile))}.`}
                     </p>
                   </div>
 
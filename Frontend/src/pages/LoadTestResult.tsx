@@ -8,6 +8,20 @@ import { Input } from "@/components/ui/input";
 import { Separator } from "@/components/ui/separator";
 import { ScrollArea } from "@/components/ui/scroll-area";
 import { LoadTestChart } from "@/components/LoadTestChart";
+import { VerdictCard } from "@/components/VerdictCard";
+import { WebVitalsCard } from "@/components/WebVitalsCard";
+import { AccessibilityCard } from "@/components/AccessibilityCard";
+import { PageDiagnosticsCard } from "@/components/PageDiagnosticsCard";
+import { SeoCard } from "@/components/SeoCard";
+import { CrawlReportCard } from "@/components/CrawlReportCard";
+import { DeviceComparisonCard } from "@/components/DeviceComparisonCard";
+import { JourneyCard } from "@/components/JourneyCard";
+import { SecurityAuditCard } from "@/components/SecurityAuditCard";
+import { DependencyAuditCard } from "@/components/DependencyAuditCard";
+import { DockerfileLintCard } from "@/components/DockerfileLintCard";
+import { KubernetesCard } from "@/components/KubernetesCard";
+import { ProvenanceBadges } from "@/components/ProvenanceBadges";
+import { ArtifactsCard } from "@/components/ArtifactsCard";
 import { Bot, Send, User as UserIcon, Loader2, Share2, CheckCircle2, Clock } from "lucide-react";
 import { useState } from "react";
 import { cn } from "@/lib/utils";
@@ -69,6 +83,8 @@ export default function LoadTestResult() {
           </Button>
         </div>
 
+        <ProvenanceBadges provenance={testData.provenance} />
+
         {/* Metrics Overview */}
         <div className="grid sm:grid-cols-4 gap-4">
           <Card className="bg-primary/5 border-primary/20 shadow-sm overflow-hidden relative group">
@@ -94,12 +110,35 @@ export default function LoadTestResult() {
           </Card>
           <Card className="shadow-sm border-primary/30 bg-primary/5">
             <CardContent className="p-6">
-              <div className="text-xs font-bold uppercase tracking-widest text-primary/70">Impact Verdict</div>
-              <div className="text-xl font-bold mt-2 truncate text-primary/90">{testData.aiVerdict || "Passed"}</div>
+              <div className="text-xs font-bold uppercase tracking-widest text-primary/70">SLO Verdict</div>
+              <div
+                className={cn(
+                  "text-xl font-bold mt-2 truncate",
+                  testData.verdict?.status === "passed" && "text-emerald-500",
+                  testData.verdict?.status === "failed" && "text-red-500",
+                  testData.verdict?.status === "inconclusive" && "text-amber-500"
+                )}
+              >
+                {testData.aiVerdict || "Inconclusive"}
+              </div>
             </CardContent>
           </Card>
         </div>
 
+        <VerdictCard verdict={testData.verdict} />
+        <WebVitalsCard metrics={testData.browserMetrics} />
+        <AccessibilityCard metrics={testData.browserMetrics} />
+        <PageDiagnosticsCard metrics={testData.browserMetrics} />
+        <SeoCard metrics={testData.browserMetrics} />
+        <DeviceComparisonCard comparison={testData.deviceComparison} />
+        <JourneyCard journey={testData.journey} />
+        <SecurityAuditCard security={testData.security} />
+        <DependencyAuditCard report={testData.github?.dependencies} />
+        <DockerfileLintCard docker={testData.github?.docker} />
+        <KubernetesCard kubernetes={testData.github?.kubernetes} />
+        <ArtifactsCard sessionId={id} artifacts={testData.artifacts} />
+        <CrawlReportCard crawl={testData.crawl} />
+
         <div className="grid lg:grid-cols-3 gap-6 h-[700px]">
           {/* Main Chart */}
           <div className="lg:col-span-2 flex flex-col gap-6">
@@ -0,0 +1,24 @@
+import mongoose from "mongoose";
+
+// Saved SLO thresholds per user + target origin, used when a test does not send its own
+const targetThresholdsSchema = new mongoose.Schema({
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    target: {
+        type: String, // URL origin, e.g. https://api.example.com
+        required: true
+    },
+    thresholds: [{
+        _id: false,
+        metric: String,
+        op: String,
+        value: Number
+    }]
+}, { timestamps: true });
+
+targetThresholdsSchema.index({ user: 1, target: 1 }, { unique: true });
+
+export default mongoose.model("TargetThresholds", targetThresholdsSchema);
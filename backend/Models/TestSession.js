@@ -7,9 +7,21 @@ const testSessionSchema = new mongoose.Schema({
         required: true
     },
     url: String,
+    loadProfile: mongoose.Schema.Types.Mixed, // Validated k6 executor/stages/think time config
+    scenario: mongoose.Schema.Types.Mixed, // Multi-step user flow with credentials redacted (null for single-URL tests)
     metrics: mongoose.Schema.Types.Mixed, // Stores parsed k6 metrics
     browserMetrics: mongoose.Schema.Types.Mixed, // Stores Playwright audit results
     charts: mongoose.Schema.Types.Mixed,  // Stores chart data
+    timeSeries: mongoose.Schema.Types.Mixed, // Per-second k6 buckets: { t, vus, requests, failures, avg, p50, p95, p99 }
+    breakingPoint: mongoose.Schema.Types.Mixed, // Step-load search report (null for single runs)
+    crawl: mongoose.Schema.Types.Mixed, // Multi-page audit: { config, pages[], summary } (null for single-page audits)
+    deviceComparison: mongoose.Schema.Types.Mixed, // { baseline, profiles[], results[] } when several device profiles were audited
+    journey: mongoose.Schema.Types.Mixed, // Scripted browser journey: { name, status, totalMs, steps[{ name, status, durationMs, error, screenshot }] }
+    provenance: mongoose.Schema.Types.Mixed, // Per phase: { status: "measured"|"simulated"|"failed"|"skipped", source, reason } (Utils/provenance.js)
+    security: mongoose.Schema.Types.Mixed, // Security posture: { score, grade, checks[{ id, category, status, value, detail, fix }] } (Utils/securityAudit.js)
+    artifacts: mongoose.Schema.Types.Mixed, // [{ id, kind: "screenshot"|"filmstrip"|"har", name, contentType, bytes, offsetMs? }] (Utils/artifactStore.js)
+    thresholds: mongoose.Schema.Types.Mixed, // SLO thresholds the verdict was computed from
+    verdict: mongoose.Schema.Types.Mixed, // { status, passed, failed, notMeasured, results[], thresholdSource }
     healthData: mongoose.Schema.Types.Mixed, // Stores pie chart health distribution
     github: mongoose.Schema.Types.Mixed,  // Stores GitHub analysis
     ai: mongoose.Schema.Types.Mixed,      // Stores flexible AI output (message, verdict, etc)
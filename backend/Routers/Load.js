@@ -1,342 +1,248 @@
 import express from "express";
 import mongoose from "mongoose";
-import { runK6Test } from "../Runners/k6runner.js";
-import { runPlaywrightAudit } from "../Runners/playwrightRunner.js";
-import { parseK6Data, buildChartResponse } from "../Utils/Loaddata.js";
-import { analyzeGithubRepo } from "../Utils/githubAnalyzer.js";
-import getresponseopenrouter from "../Utils/openrouter.js";
+import { runLoadTestPipeline, PIPELINE_PHASES } from "../Runners/loadTestPipeline.js";
+import { normalizeLoadProfile } from "../Utils/loadProfile.js";
+import { normalizeScenario } from "../Utils/scenarioBuilder.js";
+import { normalizeBreakingPoint } from "../Utils/breakingPoint.js";
+import { normalizeCrawl } from "../Utils/crawl.js";
+import { normalizeDevices } from "../Utils/deviceProfiles.js";
+import { normalizeJourney } from "../Utils/journey.js";
+import { DEFAULT_THRESHOLDS, getTargetKey, normalizeThresholds, verdictLabel } from "../Utils/thresholds.js";
+import { loadTestQueue, serializeJob } from "../Utils/jobQueue.js";
+import { openArtifact } from "../Utils/artifactStore.js";
 import { checkCreditsOrSub } from "../Middleware/authMiddleware.js";
 import TestSession from "../Models/TestSession.js";
+import TargetThresholds from "../Models/TargetThresholds.js";
 
 const router = express.Router();
 
-// Run Load Test -> POST /api/load-test
-router.post("/", checkCreditsOrSub, async (req, res) => {
-  try {
-    const { testURL, githubRepo } = req.body;
+/**
+ * Validates the load profile, scenario, breaking-point, crawl, device and journey configs, the simulation fallback flag and thresholds before any credit is consumed
+ */
+const validateLoadConfig = (req, res, next) => {
+  if (!req.body?.testURL && !req.body?.githubRepo) {
+    return res.status(400).json({ error: "Provide testURL or githubRepo" });
+  }
 
-    if (!testURL && !githubRepo) {
-      return res.status(400).json({ error: "Provide testURL or githubRepo" });
-    }
+  const { profile, errors } = normalizeLoadProfile(req.body?.loadProfile);
+  if (!profile) {
+    return res.status(400).json({ error: "Invalid load profile", details: errors });
+  }
 
+  const { scenario, errors: scenarioErrors } = normalizeScenario(req.body?.scenario);
+  if (scenarioErrors.length > 0) {
+    return res.status(400).json({ error: "Invalid scenario", details: scenarioErrors });
+  }
+  if (scenario && !req.body.testURL) {
+    return res.status(400).json({ error: "A scenario requires testURL as its base URL" });
+  }
 
-    // console.log("⏱ Starting synchronized analysis (K6 + GitHub)...");
-
-    // Run all in parallel to save time and avoid timeouts
-    const [testResult, githubResult, playwrightResult] = await Promise.all([
-      testURL
-        ? runK6Test(testURL, { vus: 200, duration: "5s" }).catch(e => {
-          console.error("⚠️ K6 Test Failed:", e);
-          return null;
-        })
-        : Promise.resolve(null),
-      githubRepo
-        ? analyzeGithubRepo(githubRepo).catch(e => {
-          console.error("⚠️ GitHub Analysis Failed:", e);
-          return null;
-        })
-        : Promise.resolve(null),
-      testURL
-        ? runPlaywrightAudit(testURL).catch(e => {
-          console.error("⚠️ Playwright Audit Failed:", e);
-          return null;
-        })
-        : Promise.resolve(null)
-    ]);
-
-
-    // console.log("✅ Parallel analysis finished.");
-
-    let metrics = null;
-    let charts = null;
-    let github = githubResult;
-
-    if (testResult) {
-      if (testResult) {
-        metrics = parseK6Data(testResult);
-        charts = buildChartResponse(metrics);
-      }
-    }
+  const { config: breakingPoint, errors: breakingPointErrors } = normalizeBreakingPoint(req.body?.breakingPoint);
+  if (breakingPointErrors.length > 0) {
+    return res.status(400).json({ error: "Invalid breaking-point config", details: breakingPointErrors });
+  }
+  if (breakingPoint && !req.body.testURL) {
+    return res.status(400).json({ error: "Breaking-point search requires testURL" });
+  }
 
-    if (github && github.summary) {
-      // Calculate score if present
-      github.summary.devOpsScore =
-        (github.docker.present ? 30 : 0) +
-        (github.cicd.present ? 30 : 0) +
-        (github.kubernetes.present ? 20 : 0) +
-        (github.hasStartScript ? 20 : 0);
-
-      github.summary.productionReady =
-        github.hasStartScript &&
-        github.docker.present &&
-        github.cicd.present;
-
-      github.summary.riskLevel =
-        github.summary.devOpsScore >= 70
-          ? "low"
-          : github.summary.devOpsScore >= 40
-            ? "medium"
-            : "high";
-    }
+  const { config: crawl, errors: crawlErrors } = normalizeCrawl(req.body?.crawl);
+  if (crawlErrors.length > 0) {
+    return res.status(400).json({ error: "Invalid crawl config", details: crawlErrors });
+  }
+  if (crawl && !req.body.testURL) {
+    return res.status(400).json({ error: "A crawl requires testURL as its start page" });
+  }
 
-    // -------------------------------------------------------------------------
-    // SANITIZATION HELPERS
-    // -------------------------------------------------------------------------
-    const safePercent = (v) =>
-      Number.isFinite(v) ? (v * 100).toFixed(2) : "0.00";
-
-    const safeNumber = (v, fallback = "N/A") =>
-      Number.isFinite(v) ? v : fallback;
-
-    // -------------------------------------------------------------------------
-    // BUILD AI CONTEXT (SANITIZED, DETERMINISTIC)
-    // -------------------------------------------------------------------------
-    let context = `Target under test: ${testURL || githubRepo}\n\n`;
-
-    if (metrics) {
-      context += `Runtime Metrics (Observed):\n`;
-      context += `- Failure Rate: ${safePercent(metrics.failureRateUnderTest)}%\n`;
-      context += `- p95 Latency: ${safeNumber(metrics.latency?.p95)} ms\n`;
-      context += `- Avg Latency: ${safeNumber(metrics.latency?.avg)} ms\n`;
-      context += `- Throughput: ${safeNumber(metrics.throughput)} req/s\n`;
-      context += `- Server Error Rate (5xx): ${safePercent(metrics.serverErrorRate)}%\n\n`;
-    }
+  const { config: devices, errors: deviceErrors } = normalizeDevices(req.body?.devices);
+  if (deviceErrors.length > 0) {
+    return res.status(400).json({ error: "Invalid device profiles", details: deviceErrors });
+  }
+  if (devices && !req.body.testURL) {
+    return res.status(400).json({ error: "Device profiles require testURL for the browser audit" });
+  }
 
-    if (githubResult?.summary) {
-      context += `Repository Signals (Static):\n`;
-      context += `- Docker: ${githubResult.docker.present ? "Detected" : "Not detected"}\n`;
-      context += `- CI/CD: ${githubResult.cicd.present ? "Detected" : "Not detected"}\n`;
-      context += `- Kubernetes: ${githubResult.kubernetes.present ? "Detected" : "Not detected"}\n\n`;
-    } else {
-      context += `Repository Signals: Not available (no repository provided)\n\n`;
-    }
+  const { journey, errors: journeyErrors } = normalizeJourney(req.body?.journey);
+  if (journeyErrors.length > 0) {
+    return res.status(400).json({ error: "Invalid browser journey", details: journeyErrors });
+  }
+  if (journey && !req.body.testURL) {
+    return res.status(400).json({ error: "A browser journey requires testURL as its base URL" });
+  }
 
-    if (playwrightResult) {
-      context += `Browser Experience Audit (External):\n`;
-      context += `- Performance Score: ${playwrightResult.performance}/100\n`;
-      context += `- Accessibility Score: ${playwrightResult.accessibility}/100\n`;
-      context += `- Best Practices Score: ${playwrightResult.bestPractices}/100\n`;
-      context += `- SEO Score: ${playwrightResult.seo}/100\n`;
-      context += `- Interactivity Score: ${playwrightResult.interactivity}/100\n`;
-      if (playwrightResult.loadTimeMs) {
-        context += `- Real Browser Load Time: ${playwrightResult.loadTimeMs} ms\n`;
-      }
-      context += `\n`;
-    }
+  const simulateOnFailure = req.body?.simulateOnFailure ?? false;
+  if (typeof simulateOnFailure !== "boolean") {
+    return res.status(400).json({ error: "simulateOnFailure must be a boolean" });
+  }
 
-    const businessMetrics = {
-      conversionLoss: 0,
-      adSpendRisk: 0,
-      stabilityRiskScore: 0,
-      scoreBreakdown: {
-        performance: 0,
-        architecture: 0,
-        devops: 0
-      },
-      remediations: [],
-      collapsePoint: 0,
-      cicdRisk: null
-    };
-
-    if (metrics) {
-      // 1s delay = ~7% conversion loss
-      businessMetrics.conversionLoss = parseFloat(((safeNumber(metrics.latency?.avg, 0) / 1000) * 7).toFixed(1));
-
-      // Ad spend risk calculation: Based on failure rate and throughput
-      // Formula: (Failure Rate * Total Estimated Traffic * Value Per Visitor)
-      const estimatedProfitPerRequest = 15; // Rough estimate in ₹
-      const dailyTrafficMultiplier = 86400 * 0.1; // 10% of day at peak
-      businessMetrics.adSpendRisk = Math.round(metrics.failureRateUnderTest * metrics.throughput * estimatedProfitPerRequest * dailyTrafficMultiplier);
-
-      // Breakdown calculation
-      const pPerf = Math.max(0, 100 - (metrics.failureRateUnderTest * 1000) - (metrics.latency?.avg / 50));
-      const pArch = playwrightResult ? (playwrightResult.performance + playwrightResult.bestPractices) / 2 : 50;
-      const pDev = githubResult?.summary?.devOpsScore || 20;
-
-      businessMetrics.scoreBreakdown = {
-        performance: Math.round(pPerf),
-        architecture: Math.round(pArch),
-        devops: Math.round(pDev)
-      };
-
-      businessMetrics.stabilityRiskScore = Math.round((pPerf + pArch + pDev) / 3);
-      businessMetrics.collapsePoint = Math.round(metrics.vus * (metrics.failureRateUnderTest > 0.05 ? 0.9 : 1.8));
-
-      // --- DYNAMIC STRATEGIC REMEDIATIONS ---
-      const rems = [];
-      const phrases = {
-        lat: ["[V4] FORCE Edge Acceleration", "[V4] Optimize Global CDN Path", "[V4] Deploy Regional Latency Shields"],
-        thr: ["[V4] Activate High-Throughput Redis", "[V4] Scale Compute Partitioning", "[V4] Enable Burst-Mode Capacity"],
-        err: ["Auto-Scale Infrastructure", "Configure Health Check Retries", "Deploy Zero-Downtime Patching"],
-        dev: ["Enforce CI/CD Pipeline", "Hardcode Automation Workflows", "Setup Automated Rollback"]
-      };
-
-      const pick = (arr) => arr[Math.floor(Math.random() * arr.length)];
-
-      if (metrics.latency?.p95 > 200) {
-        const reduction = Math.round(metrics.latency.p95 * 0.7);
-        rems.push(`${pick(phrases.lat)} → -${reduction}ms p95 latency`);
-      }
-      if (metrics.throughput < 500) {
-        const gain = parseFloat((1.2 + Math.random() * 0.8).toFixed(1));
-        rems.push(`${pick(phrases.thr)} → +${gain}x throughput capacity`);
-      }
-      if (metrics.serverErrorRate > 0 || metrics.failureRateUnderTest > 0.05) {
-        rems.push(`${pick(phrases.err)} → Neutralize service disruptions`);
-      }
+  const { thresholds, errors: thresholdErrors } = normalizeThresholds(req.body?.thresholds);
+  if (thresholdErrors.length > 0) {
+    return res.status(400).json({ error: "Invalid thresholds", details: thresholdErrors });
+  }
 
-      if (githubResult && !githubResult.cicd?.present) {
-        businessMetrics.cicdRisk = {
-          severity: "CRITICAL",
-          consequence: `Manual deploy = ${Math.floor(Math.random() * 3) + 2}× higher outage risk`,
-          details: "Rollback failure and hotfix delays are inevitable during a spike without automation."
-        };
-        rems.push(`${pick(phrases.dev)} → Eliminate human fail-points`);
-      }
+  req.loadProfile = profile;
+  req.thresholds = thresholds;
+  req.scenario = scenario;
+  req.breakingPoint = breakingPoint;
+  req.crawl = crawl;
+  req.devices = devices;
+  req.journey = journey;
+  req.simulateOnFailure = simulateOnFailure;
+  next();
+};
+
+/**
+ * Thresholds for a test: its own, else the ones saved for the target, else the defaults
+ */
+const resolveThresholds = async (userId, testURL, thresholds) => {
+  if (thresholds) return { thresholds, source: "test" };
+
+  const target = getTargetKey(testURL);
+  const saved = target && await TargetThresholds.findOne({ user: userId, target }).lean();
+  if (saved?.thresholds?.length) return { thresholds: saved.thresholds, source: "target" };
+
+  return { thresholds: DEFAULT_THRESHOLDS, source: "default" };
+};
+
+const serializeUser = (user) => ({
+  username: user.username,
+  email: user.email,
+  credits: user.credits,
+  totalTests: user.totalTests,
+  lastSessionId: user.lastSessionId,
+  subscription: {
+    ...user.subscription.toObject(),
+    daysLeft: user.subscription.expiry ? Math.max(0, Math.ceil((new Date(user.subscription.expiry).getTime() - new Date().getTime()) / (1000 * 60 * 60 * 24))) : 0
+  }
+});
 
-      // Limit to 3, shuffle slightly
-      businessMetrics.remediations = rems.slice(0, 3);
-    }
+// Queue Load Test -> POST /api/load-test
+// Responds immediately with a job id; poll GET /api/load-test/jobs/:jobId for progress
+router.post("/", validateLoadConfig, checkCreditsOrSub, async (req, res) => {
+  try {
+    const { testURL, githubRepo } = req.body;
+    const { loadProfile, scenario, breakingPoint, crawl, devices, journey, simulateOnFailure } = req;
+
+    const userId = req.user._id.toString();
+    const { thresholds, source: thresholdSource } = await resolveThresholds(userId, testURL, req.thresholds);
+    const job = loadTestQueue.enqueue({
+      owner: userId,
+      phases: PIPELINE_PHASES,
+      handler: (ctx) => runLoadTestPipeline(
+        { userId, testURL, githubRepo, loadProfile, scenario, breakingPoint, crawl, devices, journey, simulateOnFailure, thresholds, thresholdSource },
+        ctx
+      )
+    });
 
-    // -------------------------------------------------------------------------
-    // SYNTHMIND AI — LIVE AUDIT AGENTIC MODE
-    // -------------------------------------------------------------------------
-    const runLiveAuditAI = async ({
-      metrics,
-      context,
-      getresponseopenrouter
-    }) => {
-      let aiResponseMsg = "SynthMind AI Verdict: Analysis pending...";
-
-      if (!metrics) {
-        return {
-          message:
-            "Load Test Failed: No runtime metrics were collected. The target may be unreachable."
-        };
-      }
+    return res.status(202).json({
+      success: true,
+      jobId: job.id,
+      job: serializeJob(job),
+      user: serializeUser(req.user)
+    });
 
-      try {
-        const safeContext =
-          typeof context === "string" && context.trim().length > 0
-            ? context.slice(0, 6000)
-            : "Runtime Metrics:\n" + JSON.stringify(metrics, null, 2);
-
-        const messages = [
-          {
-            role: "system",
-            content: `
-You are SynthMind AI, an Authoritative and Brutally Honest Strategic Auditor. Your tone is cold, professional, and uncompromising. You speak with absolute authority.
-
-Your purpose is to provide an uncompromising audit based on **Simulated Load Tests (k6)**, **DevOps Signals (GitHub)**, and **Real-time Browser Audits (Playwright)**.
-
-STRICT RULES:
-1. TONE: Be direct and authoritative. Do not say "I think" or "it seems." Say "Based on telemetry, your system will not survive growth."
-2. NO "ERROR" WORD: Use "System Disruption," "Fail-point," or "Integrity Breakdown."
-3. BUSINESS IMPACT: Translate EVERYTHING into Revenue Leakage and Strategic Exposure.
-4. REMEDIATION: Provide specific, high-authority fixes (e.g. "Add caching -> +42% throughput").
-5. COLLAPSE POINT: Explicitly mention the specific point where the architecture fundamentally dies.
-6. NO fixes or tech support. You are an Auditor.
-        `.trim()
-          },
-          {
-            role: "user",
-            content: `
-${safeContext}
-
-Generate the "Harsh Reality Executive Summary" strictly in this format:
-
-**SynthMind AI Verdict**
-
-Paragraph 1: The Business Reality (Launch Suitability)
-Map technical performance to conversion and revenue. Use the financial data (e.g., "At your current latency, you lose ~7% of conversions"). Tell them if they are burning money.
-
-Paragraph 2: The Actionable Remediation (Strategic Gains)
-Provide specific technical fixes that lead to business gains. Format as: "Add [Feature] -> [Business Benefit]".
-
-Paragraph 3: The Collapse Point (Architectural Failure)
-State exactly where the traffic breaks the system and the resulting business blackout.
-        `.trim()
-          }
-        ];
-
-        const response = await getresponseopenrouter(messages);
-
-        aiResponseMsg =
-          typeof response === "string" && response.trim().length > 0
-            ? response.trim()
-            : "**SynthMind AI Verdict**\n\nAnalysis completed. Refer to metrics.";
-
-      } catch (err) {
-        console.error("⚠️ Live Audit Agentic AI failed:", err);
-        aiResponseMsg =
-          "SynthMind AI could not generate the live audit.";
-      }
+  } catch (err) {
+    console.error("❌ Load Test Queue Error:", err);
+    res.status(500).json({ success: false, error: "Failed to queue load test" });
+  }
+});
 
-      return {
-        message: aiResponseMsg
-      };
-    };
+// Job Status -> GET /api/load-test/jobs/:jobId
+router.get("/jobs/:jobId", (req, res) => {
+  const job = loadTestQueue.get(req.params.jobId, req.user._id);
+  if (!job) return res.status(404).json({ error: "Job not found or expired" });
+  res.json(serializeJob(job));
+});
 
-    // --- EXECUTE AI ANALYSIS ---
-    const aiResponse = await runLiveAuditAI({
-      metrics,
-      context,
-      getresponseopenrouter
-    });
-    const aiResponseMsg = aiResponse.message;
-
-    // Create new session in DB
-    const newSession = new TestSession({
-      user: req.user._id,
-      url: testURL || githubRepo,
-      metrics,
-      browserMetrics: playwrightResult,
-      charts,
-      github,
-      ai: {
-        ...aiResponse,
-        businessInsights: businessMetrics
-      },
-      chatHistory: [{ role: "bot", content: aiResponseMsg }]
-    });
+// Live Job Events (Server-Sent Events) -> GET /api/load-test/jobs/:jobId/stream
+// Events: "status" (job + phases), "progress" (VUs, req/s, rolling p95, errors), "end"
+router.get("/jobs/:jobId/stream", (req, res) => {
+  const job = loadTestQueue.get(req.params.jobId, req.user._id);
+  if (!job) return res.status(404).json({ error: "Job not found or expired" });
+
+  res.set({
+    "Content-Type": "text/event-stream",
+    "Cache-Control": "no-cache",
+    "Connection": "keep-alive",
+    "X-Accel-Buffering": "no" // disable proxy buffering (nginx / Render)
+  });
+  res.flushHeaders();
+
+  const send = (event, data) => res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+
+  // Replay what already happened so the chart starts complete
+  send("status", serializeJob(job));
+  job.progress.forEach(point => send("progress", point));
+
+  if (["completed", "failed", "cancelled"].includes(job.status)) {
+    send("end", serializeJob(job));
+    return res.end();
+  }
+
+  const heartbeat = setInterval(() => res.write(": ping\n\n"), 15000);
+  const unsubscribe = loadTestQueue.subscribe(job.id, req.user._id, ({ type, data }) => {
+    send(type, data);
+    if (type === "end") res.end();
+  });
 
-    await newSession.save();
-    const sessionId = newSession._id.toString();
+  req.on("close", () => {
+    clearInterval(heartbeat);
+    unsubscribe?.();
+  });
+});
 
-    // Save as last session for this user
-    try {
-      req.user.lastSessionId = sessionId;
-      await req.user.save();
+// Cancel Job -> POST /api/load-test/jobs/:jobId/cancel
+router.post("/jobs/:jobId/cancel", (req, res) => {
+  const job = loadTestQueue.get(req.params.jobId, req.user._id);
+  if (!job) return res.status(404).json({ error: "Job not found or expired" });
 
-      // console.log(`💾 Last session ID (${sessionId}) saved for user: ${req.user.username}`);
-    } catch (saveErr) {
-      console.error("⚠️ Failed to save lastSessionId:", saveErr);
-    }
+  if (!loadTestQueue.cancel(job.id, req.user._id)) {
+    return res.status(409).json({ error: `Job already ${job.status}`, job: serializeJob(job) });
+  }
+  res.json({ success: true, job: serializeJob(job) });
+});
 
-    return res.json({
-      success: true,
-      id: sessionId,
-      metrics,
-      browserMetrics: newSession?.browserMetrics || playwrightResult,
-      charts,
-      github,
-      ai: aiResponse,
-      user: {
-        username: req.user.username,
-        email: req.user.email,
-        credits: req.user.credits,
-        totalTests: req.user.totalTests,
-        lastSessionId: req.user.lastSessionId,
-        subscription: {
-          ...req.user.subscription.toObject(),
-          daysLeft: req.user.subscription.expiry ? Math.max(0, Math.ceil((new Date(req.user.subscription.expiry).getTime() - new Date().getTime()) / (1000 * 60 * 60 * 24))) : 0
-        }
-      }
+// Saved Target Thresholds -> GET /api/load-test/thresholds?target=<url>
+router.get("/thresholds", async (req, res) => {
+  try {
+    const target = getTargetKey(req.query.target);
+    if (!target) return res.status(400).json({ error: "target must be a valid URL" });
+
+    const saved = await TargetThresholds.findOne({ user: req.user._id, target }).lean();
+    res.json({
+      target,
+      thresholds: saved?.thresholds?.length ? saved.thresholds : DEFAULT_THRESHOLDS,
+      source: saved?.thresholds?.length ? "target" : "default"
     });
+  } catch (err) {
+    console.error("❌ Get Thresholds Error:", err);
+    res.status(500).json({ error: "Failed to fetch thresholds" });
+  }
+});
+
+// Save Target Thresholds -> PUT /api/load-test/thresholds { target, thresholds }
+// An empty list removes the saved thresholds, so the defaults apply again
+router.put("/thresholds", async (req, res) => {
+  try {
+    const target = getTargetKey(req.body?.target);
+    if (!target) return res.status(400).json({ error: "target must be a valid URL" });
 
+    const { thresholds, errors } = normalizeThresholds(req.body?.thresholds ?? []);
+    if (errors.length > 0) return res.status(400).json({ error: "Invalid thresholds", details: errors });
+
+    if (thresholds.length === 0) {
+      await TargetThresholds.deleteOne({ user: req.user._id, target });
+      return res.json({ target, thresholds: DEFAULT_THRESHOLDS, source: "default" });
+    }
+
+    await TargetThresholds.findOneAndUpdate(
+      { user: req.user._id, target },
+      { thresholds },
+      { upsert: true }
+    );
+    res.json({ target, thresholds, source: "target" });
   } catch (err) {
-    console.error("❌ Load Test Runner Error:", err);
-    res.status(500).json({ success: false, error: "Load test execution failed" });
+    console.error("❌ Save Thresholds Error:", err);
+    res.status(500).json({ error: "Failed to save thresholds" });
   }
 });
 
@@ -357,12 +263,25 @@ router.get("/latest", async (req, res) => {
     res.json({
       id: session._id,
       url: session.url,
+      loadProfile: session.loadProfile,
+      scenario: session.scenario,
       metrics: session.metrics,
       browserMetrics: session.browserMetrics,
       charts: session.charts,
+      healthData: session.healthData || null,
+      timeSeries: session.timeSeries || [],
+      breakingPoint: session.breakingPoint || null,
+      crawl: session.crawl || null,
+      deviceComparison: session.deviceComparison || null,
+      journey: session.journey || null,
+      security: session.security || null,
+      provenance: session.provenance || null,
+      artifacts: session.artifacts || [],
+      thresholds: session.thresholds || [],
+      verdict: session.verdict || null,
       github: session.github,
       ai: session.ai,
-      aiVerdict: "Passed" // Defaulting as before
+      aiVerdict: verdictLabel(session.verdict)
     });
   } catch (err) {
     console.error("❌ Get Latest Test Error:", err);
@@ -370,23 +289,74 @@ router.get("/latest", async (req, res) => {
   }
 });
 
+// Session Artifact -> GET /api/load-test/:id/artifacts/:artifactId
+// Screenshot, filmstrip frame or HAR, only for the owner of the session
+router.get("/:id/artifacts/:artifactId", async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) return res.status(404).json({ error: "Artifact not found" });
+
+    const session = await TestSession.findOne({ _id: req.params.id, user: req.user._id }, { artifacts: 1 }).lean();
+    const artifact = session?.artifacts?.find(a => a.id === req.params.artifactId);
+    const stream = artifact && openArtifact(req.params.id, artifact);
+    if (!stream) return res.status(404).json({ error: "Artifact not found" });
+
+    res.set({
+      "Content-Type": artifact.contentType,
+      "Content-Length": String(artifact.bytes),
+      "Cache-Control": "private, max-age=86400",
+      "X-Content-Type-Options": "nosniff",
+      // Captured content is never allowed to run as a document on this origin
+      "Content-Security-Policy": "default-src 'none'; style-src 'unsafe-inline'; sandbox"
+    });
+    if (artifact.kind === "har") res.attachment(`syncmind-${req.params.id}.har`);
+
+    stream.on("error", (err) => {
+      console.error("❌ Artifact Read Error:", err.message);
+      if (!res.headersSent) {
+        ["Content-Type", "Content-Length", "Content-Disposition"].forEach(h => res.removeHeader(h));
+        res.status(404).json({ error: "Artifact not found" });
+      }
+      else res.destroy(err);
+    });
+    stream.pipe(res);
+  } catch (err) {
+    console.error("❌ Get Artifact Error:", err);
+    res.status(500).json({ error: "Failed to fetch artifact" });
+  }
+});
+
 // GET Test Result -> GET /api/load-test/:id
+// Only for the owner of the session, like its artifacts
 router.get("/:id", async (req, res) => {
   try {
     const sessionId = req.params.id;
-    const session = await TestSession.findById(sessionId);
+    if (!mongoose.isValidObjectId(sessionId)) return res.status(404).json({ error: "Report not found" });
+    const session = await TestSession.findOne({ _id: sessionId, user: req.user._id });
 
     if (!session) return res.status(404).json({ error: "Report not found" });
 
     res.json({
       id: session._id,
       url: session.url,
+      loadProfile: session.loadProfile,
+      scenario: session.scenario,
       metrics: session.metrics,
       browserMetrics: session.browserMetrics,
       charts: session.charts,
+      healthData: session.healthData || null,
+      timeSeries: session.timeSeries || [],
+      breakingPoint: session.breakingPoint || null,
+      crawl: session.crawl || null,
+      deviceComparison: session.deviceComparison || null,
+      journey: session.journey || null,
+      security: session.security || null,
+      provenance: session.provenance || null,
+      artifacts: session.artifacts || [],
+      thresholds: session.thresholds || [],
+      verdict: session.verdict || null,
       github: session.github,
       ai: session.ai,
-      aiVerdict: "Passed"
+      aiVerdict: verdictLabel(session.verdict)
     });
   } catch (err) {
     console.error("❌ Get Test Error:", err);
@@ -0,0 +1,100 @@
+/**
+ * breakingPointRunner.js
+ * Step-load search for the VU level where the target stops meeting its limits.
+ * Each step is a separate constant-vus k6 run, so a failing step ends the search
+ * without ever driving the target harder than necessary.
+ */
+import { runK6Test } from "./k6runner.js";
+import { parseK6Data } from "../Utils/Loaddata.js";
+import { evaluateStep, getBreakingPointLevels } from "../Utils/breakingPoint.js";
+
+/**
+ * @param {string} testURL - target URL
+ * @param {object} options
+ * @param {object} options.config - normalized breaking-point config
+ * @param {object} options.profile - normalized load profile (think time / timeout are reused per step)
+ * @param {object} [options.scenario] - normalized multi-step scenario
+ * @param {Array} [options.thresholds] - normalized SLO thresholds, enforced by k6 on every step
+ * @param {AbortSignal} [options.signal]
+ * @param {Function} [options.onProgress] - live stats, continuous across steps
+ * @param {boolean} [options.fallbackToSimulation] - passed to every k6 run
+ * @returns {Promise<object>} k6 summary of the last healthy step (of the first step when
+ *   none was healthy), with `timeSeries` spanning every step and a `breakingPoint` report
+ */
+export const runBreakingPointSearch = async (
+  testURL,
+  { config, profile, scenario = null, thresholds = [], signal, onProgress, fallbackToSimulation = false }
+) => {
+  const steps = [];
+  const timeSeries = [];
+  // Summaries reported for the session: the overloaded step would make every run read as failed
+  let reportedRaw = null;
+  let offset = { seconds: 0, requests: 0, errors: 0 };
+
+  for (const vus of getBreakingPointLevels(config)) {
+    signal?.throwIfAborted();
+
+    const stepProfile = {
+      executor: "constant-vus",
+      vus,
+      duration: config.stepDuration,
+      thinkTime: profile.thinkTime,
+      timeout: profile.timeout,
+    };
+
+    // Live stats restart with every k6 run; shift them so the chart reads as one test
+    const stepOffset = offset;
+    const raw = await runK6Test(testURL, {
+      profile: stepProfile,
+      scenario,
+      thresholds,
+      signal,
+      fallbackToSimulation,
+      onProgress: onProgress && ((snapshot) => onProgress({
+        ...snapshot,
+        elapsedSeconds: snapshot.elapsedSeconds + stepOffset.seconds,
+        totalRequests: snapshot.totalRequests + stepOffset.requests,
+        errorCount: snapshot.errorCount + stepOffset.errors,
+      })),
+    });
+
+    const metrics = parseK6Data(raw);
+    const { healthy, reasons } = evaluateStep(metrics, config);
+    const step = {
+      vus,
+      rps: Number(metrics.throughput.toFixed(2)),
+      errorRate: metrics.failureRateUnderTest,
+      p95: metrics.latency.p95,
+      healthy,
+      reasons,
+    };
+    steps.push(step);
+
+    const series = raw.timeSeries || [];
+    series.forEach(point => timeSeries.push({ ...point, t: point.t + offset.seconds }));
+    offset = {
+      seconds: offset.seconds + Math.max(series.length, 1),
+      requests: offset.requests + metrics.totalRequests,
+      errors: offset.errors + Math.round(metrics.totalRequests * metrics.failureRateUnderTest),
+    };
+    if (healthy || !reportedRaw) reportedRaw = raw;
+
+    if (!healthy) break;
+  }
+
+  const breaking = steps.find(s => !s.healthy) || null;
+  const healthySteps = steps.filter(s => s.healthy);
+
+  return {
+    ...reportedRaw,
+    timeSeries,
+    breakingPoint: {
+      limits: { maxErrorRate: config.maxErrorRate, maxP95: config.maxP95 },
+      steps,
+      breakingPoint: breaking,
+      lastHealthy: healthySteps[healthySteps.length - 1] || null,
+      // false when every step up to maxVUs stayed within limits
+      found: breaking !== null,
+    },
+  };
+};
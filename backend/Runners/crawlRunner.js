@@ -0,0 +1,137 @@
+/**
+ * crawlRunner.js
+ * Multi-page browser audit: breadth-first crawl of same-origin links from the target
+ * - Every page gets the full Playwright audit in its own browser context
+ * - Stops at config.maxPages pages or config.maxDepth link hops, honouring include/exclude
+ * - Resolves like runPlaywrightAudit (the start page's audit and artifacts) plus a `crawl` report
+ */
+import { chromium } from "playwright";
+import { auditPage } from "./playwrightRunner.js";
+import { simulateBrowserAudit, simulateAuditArtifacts } from "../Utils/simulator.js";
+import { toCrawlableURL, summarizeCrawl } from "../Utils/crawl.js";
+import { measured, simulated, fallbackReason } from "../Utils/provenance.js";
+
+const toPageRecord = (url, depth, result) => ({
+  url,
+  depth,
+  error: null,
+  performance: result.performance,
+  accessibility: result.accessibility,
+  bestPractices: result.bestPractices,
+  seo: result.seo,
+  interactivity: result.interactivity,
+  loadTimeMs: result.loadTimeMs,
+  webVitals: result.webVitals || null,
+  issues: {
+    accessibilityViolations: result.accessibilityViolations?.length ?? 0,
+    consoleErrors: result.diagnostics?.consoleErrors.count ?? 0,
+    pageErrors: result.diagnostics?.pageErrors.count ?? 0,
+    failedRequests: result.diagnostics?.failedRequests.count ?? 0,
+  },
+  // SEO findings are per page (titles, canonicals, headings differ), so keep the ones that need work
+  seoFindings: (result.seoChecks || [])
+    .filter(c => c.status === "fail" || c.status === "warn")
+    .map(({ id, status, detail }) => ({ id, status, detail })),
+});
+
+// Simulated site: every page links to three pages one level deeper
+const simulatedLinks = (url) => {
+  const base = new URL(url);
+  const path = base.pathname.replace(/\/$/, "");
+  return [1, 2, 3].map(i => new URL(`${path}/page-${i}`, base).href);
+};
+
+/**
+ * @param {string} testURL - where the crawl starts
+ * @param {object} options
+ * @param {object} options.config - normalized crawl config (Utils/crawl.js)
+ * @param {object} [options.device] - normalized device profile every page is audited with
+ * @param {AbortSignal} [options.signal]
+ * @param {object} [options.simulation] - { seed, model } for the simulator in demo mode
+ * @param {boolean} [options.fallbackToSimulation] - simulate the crawl when the browser fails instead of throwing
+ */
+export const runCrawlAudit = async (
+  testURL,
+  { config, signal, device = null, simulation = {}, forceSimulation = false, simulationReason, fallbackToSimulation = false }
+) => {
+  const isDemo = process.env.EXECUTION_MODE === "demo" || forceSimulation === true;
+
+  let browser;
+  const closeOnAbort = () => browser?.close().catch(() => { });
+  signal?.addEventListener("abort", closeOnAbort, { once: true });
+
+  const queue = [{ url: testURL, depth: 0 }];
+  const seen = new Set([new URL(testURL).href]);
+  const pages = [];
+  let startResult = null;
+  let startArtifacts = [];
+  let origin = new URL(testURL).origin;
+  // robots.txt, sitemap and link statuses are fetched once for the whole crawl
+  const seoCache = new Map();
+
+  try {
+    if (!isDemo) browser = await chromium.launch({ headless: true });
+
+    while (queue.length > 0 && pages.length < config.maxPages) {
+      signal?.throwIfAborted();
+      const { url, depth } = queue.shift();
+
+      let audit;
+      try {
+        if (isDemo) {
+          const result = simulateBrowserAudit({ testURL: url, device, ...simulation });
+          const artifacts = depth === 0 ? simulateAuditArtifacts({ testURL: url, result }) : [];
+          audit = { result, links: simulatedLinks(url), finalURL: url, artifacts };
+        } else {
+          // Screenshot, filmstrip and HAR for the start page only
+          audit = await auditPage(browser, url, { device, captureArtifacts: depth === 0, seoCache });
+        }
+      } catch (e) {
+        // Without the start page there is nothing to follow
+        if (depth === 0 || signal?.aborted) throw e;
+        console.error(`⚠️ Crawl audit failed for ${url}:`, e.message);
+        pages.push({ url, depth, error: e.message });
+        continue;
+      }
+
+      if (depth === 0) {
+        startResult = audit.result;
+        startArtifacts = audit.artifacts || [];
+        // Follow links on the origin the target redirected to (e.g. http -> https)
+        origin = new URL(audit.finalURL).origin;
+        seen.add(audit.finalURL);
+      }
+      pages.push(toPageRecord(url, depth, audit.result));
+
+      if (depth >= config.maxDepth) continue;
+      for (const href of audit.links) {
+        const next = toCrawlableURL(href, origin, config);
+        if (next && !seen.has(next)) {
+          seen.add(next);
+          queue.push({ url: next, depth: depth + 1 });
+        }
+      }
+    }
+  } catch (error) {
+    // A cancelled job must not be "rescued" by simulated data
+    if (signal?.aborted) throw signal.reason;
+    if (isDemo) throw error;
+    console.error("❌ Crawl Audit Failed:", error.message);
+    if (!fallbackToSimulation) throw error;
+    await browser?.close().catch(() => { });
+    browser = null;
+    return runCrawlAudit(testURL, {
+      config, signal, device, simulation, forceSimulation: true, simulationReason: fallbackReason("Crawl audit", error),
+    });
+  } finally {
+    signal?.removeEventListener("abort", closeOnAbort);
+    await browser?.close().catch(() => { });
+  }
+
+  return {
+    ...startResult,
+    artifacts: startArtifacts,
+    crawl: { config, pages, summary: summarizeCrawl(pages) },
+    provenance: isDemo ? simulated(simulationReason) : measured("Playwright (Chromium)"),
+  };
+};
@@ -0,0 +1,151 @@
+/**
+ * journeyRunner.js
+ * Executes a scripted browser journey (Utils/journey.js) step by step in Playwright
+ * - Times every step and records pass/fail; a failed step gets a JPEG screenshot
+ * - Stops at the first failure, the remaining steps are reported as skipped
+ * - Uses the primary device profile when one is given, like the browser audit
+ */
+import { chromium } from "playwright";
+import { applyThrottling } from "./playwrightRunner.js";
+import { simulateBrowserJourney } from "../Utils/simulator.js";
+import { toContextOptions } from "../Utils/deviceProfiles.js";
+import { renderValue, resolveStepURL, summarizeJourney } from "../Utils/journey.js";
+import { measured, simulated, fallbackReason } from "../Utils/provenance.js";
+
+// Stored inline on the TestSession, so keep them small
+const SCREENSHOT_OPTIONS = { type: "jpeg", quality: 60, fullPage: false };
+
+/**
+ * Runs a click or key press and waits for the page it opens to load. A declared navigation
+ * (`navigates: true`) is awaited even when it starts after the action returns; otherwise only
+ * one committed while the action ran. waitForLoadState alone would see the current page, already loaded.
+ */
+const withNavigation = async (page, step, action) => {
+  const isMainFrame = (frame) => frame === page.mainFrame();
+  let navigated = false;
+  const onNavigated = (frame) => { if (isMainFrame(frame)) navigated = true; };
+  page.on("framenavigated", onNavigated);
+  try {
+    if (step.navigates) {
+      await Promise.all([page.waitForEvent("framenavigated", { predicate: isMainFrame, timeout: step.timeoutMs }), action()]);
+    } else {
+      await action();
+    }
+  } finally {
+    page.off("framenavigated", onNavigated);
+  }
+  if (step.navigates || navigated) await page.waitForLoadState("load", { timeout: step.timeoutMs });
+};
+
+const runStep = async (page, step, { baseURL, variables }) => {
+  const timeout = step.timeoutMs;
+  switch (step.action) {
+    case "navigate":
+      await page.goto(resolveStepURL(renderValue(step.url, variables), baseURL), { waitUntil: "load", timeout });
+      break;
+    case "click":
+      await withNavigation(page, step, () => page.click(step.selector, { timeout }));
+      break;
+    case "fill":
+      await page.fill(step.selector, renderValue(step.value, variables), { timeout });
+      break;
+    case "press":
+      await withNavigation(page, step, () => page.press(step.selector, step.key, { timeout }));
+      break;
+    case "waitFor":
+      await page.locator(step.selector).first().waitFor({ state: step.state, timeout });
+      break;
+    case "assertText": {
+      const text = renderValue(step.text, variables);
+      await page.locator(step.selector).filter({ hasText: text }).first().waitFor({ state: "visible", timeout })
+        .catch(() => { throw new Error(`Text "${text}" not found in ${step.selector} within ${timeout}ms`); });
+      break;
+    }
+    default:
+      throw new Error(`Unknown journey action: ${step.action}`);
+  }
+};
+
+const firstLine = (message) => String(message).split("\n")[0].slice(0, 500);
+
+/**
+ * @param {string} testURL - base URL for relative step URLs
+ * @param {object} options
+ * @param {object} options.journey - normalized journey
+ * @param {object} [options.device] - normalized device profile to emulate
+ * @param {AbortSignal} [options.signal] - closes the browser when aborted
+ * @param {object} [options.simulation] - { seed, model } for the simulator in demo mode
+ * @param {boolean} [options.fallbackToSimulation] - simulate the journey when the browser itself fails instead of throwing
+ * @returns {Promise<object>} summarizeJourney() report plus its `provenance`
+ */
+export const runBrowserJourney = async (
+  testURL,
+  { journey, device = null, signal, simulation = {}, forceSimulation = false, simulationReason, fallbackToSimulation = false }
+) => {
+  const isDemo = process.env.EXECUTION_MODE === "demo" || forceSimulation === true;
+
+  if (isDemo) {
+    const steps = simulateBrowserJourney({ testURL, journey, device, ...simulation });
+    return new Promise((resolve, reject) => {
+      const timer = setTimeout(() => resolve({ ...summarizeJourney(journey, steps), provenance: simulated(simulationReason) }), 1000);
+      signal?.addEventListener("abort", () => {
+        clearTimeout(timer);
+        reject(signal.reason);
+      }, { once: true });
+    });
+  }
+
+  let browser;
+  const closeOnAbort = () => browser?.close().catch(() => { });
+  signal?.addEventListener("abort", closeOnAbort, { once: true });
+
+  try {
+    signal?.throwIfAborted();
+    browser = await chromium.launch({ headless: true });
+    const context = await browser.newContext(toContextOptions(device));
+    const page = await context.newPage();
+    await applyThrottling(page, device);
+
+    const results = [];
+    let failed = false;
+    for (const step of journey.steps) {
+      const base = { name: step.name, action: step.action, target: step.url ?? step.selector ?? null };
+      if (failed) {
+        results.push({ ...base, status: "skipped", durationMs: null, error: null, url: null, screenshot: null });
+        continue;
+      }
+
+      signal?.throwIfAborted();
+      const start = Date.now();
+      try {
+        await runStep(page, step, { baseURL: testURL, variables: journey.variables });
+        results.push({ ...base, status: "passed", durationMs: Date.now() - start, error: null, url: page.url(), screenshot: null });
+      } catch (e) {
+        if (signal?.aborted) throw signal.reason;
+        failed = true;
+        const durationMs = Date.now() - start;
+        const screenshot = await page.screenshot(SCREENSHOT_OPTIONS)
+          .then(buffer => `data:image/jpeg;base64,${buffer.toString("base64")}`)
+          .catch(() => null);
+        results.push({ ...base, status: "failed", durationMs, error: firstLine(e.message), url: page.url(), screenshot });
+      }
+    }
+
+    await browser.close();
+    const report = summarizeJourney(journey, results);
+    return { ...report, provenance: measured("Playwright (Chromium)") };
+
+  } catch (error) {
+    if (browser) await browser.close().catch(() => { });
+    // A cancelled job must not be "rescued" by simulated data
+    if (signal?.aborted) throw signal.reason;
+    console.error("❌ Browser Journey Failed:", error.message);
+    // The browser itself failed (not a step); only simulate when asked to
+    if (!fallbackToSimulation) throw error;
+    return runBrowserJourney(testURL, {
+      journey, device, simulation, forceSimulation: true, simulationReason: fallbackReason("Browser journey", error),
+    });
+  } finally {
+    signal?.removeEventListener("abort", closeOnAbort);
+  }
+};
@@ -2,6 +2,15 @@ import { exec } from "child_process";
 import fs from "fs";
 import path from "path";
 import os from "os";
+import { DEFAULT_LOAD_PROFILE, buildK6Options } from "../Utils/loadProfile.js";
+import { buildScenarioScript } from "../Utils/scenarioBuilder.js";
+import { tailFile, parseK6Point, createLiveStats, createTimeSeries, createBreakdown } from "../Utils/k6Stream.js";
+import { buildK6Thresholds } from "../Utils/thresholds.js";
+import { simulateLoadTest } from "../Utils/simulator.js";
+import { measured, simulated, fallbackReason } from "../Utils/provenance.js";
+
+// k6 exits with this code when a threshold is crossed; the summary is still written
+const THRESHOLDS_CROSSED_EXIT_CODE = 99;
 
 /**
  * Runs a k6 load test
@@ -9,10 +18,22 @@ import os from "os";
  * @param {object} options - load config
  * @param {number} options.vus - virtual users
  * @param {string} options.duration - test duration (e.g. "30s", "1m")
+ * @param {object} [options.profile] - normalized load profile (overrides vus/duration)
+ * @param {object} [options.scenario] - normalized multi-step scenario (replaces the single GET)
+ * @param {Array} [options.thresholds] - normalized SLO thresholds, enforced by k6 as `options.thresholds`
+ * @param {AbortSignal} [options.signal] - kills the k6 process when aborted
+ * @param {Function} [options.onProgress] - receives live stats (VUs, req/s, rolling p95, errors) about once a second
+ * @param {object} [options.simulation] - { seed, model } for demo mode (see Utils/simulator.js)
+ * @param {boolean} [options.fallbackToSimulation] - simulate when the k6 binary is missing instead of failing
+ * @returns {Promise<object>} k6 summary export plus `timeSeries` (per-second buckets from the raw samples),
+ *   `breakdown` (status / error classes and per-endpoint stats) and `provenance` (measured or simulated)
  */
 export const runK6Test = (
   testURL,
-  { vus = 200, duration = "5s", forceSimulation = false } = {}
+  {
+    vus = 200, duration = "5s", profile = null, scenario = null, thresholds = [], signal, onProgress,
+    simulation = {}, forceSimulation = false, simulationReason, fallbackToSimulation = false,
+  } = {}
 ) => {
   return new Promise((resolve, reject) => {
     // --- DEMO MODE / SIMULATION LOGIC ---
@@ -21,41 +42,43 @@ export const runK6Test = (
     const isDemo = mode === "demo" || forceSimulation === true;
 
     if (isDemo) {
-      // Generate realistic-looking k6 metrics
-      const mockLatency = 150 + Math.random() * 300; // 150-450ms
-      const mockTotalReqs = vus * 45; // Simulated requests
-      const mockFailRate = Math.random() > 0.8 ? 0.05 + Math.random() * 0.1 : 0; // 20% chance of failures
-
-      const mockResult = {
-        metrics: {
-          http_req_duration: {
-            avg: mockLatency,
-            med: mockLatency * 0.9,
-            "p(95)": mockLatency * 1.5,
-            "p(99)": mockLatency * 2.2,
-            max: mockLatency * 4
-          },
-          http_reqs: {
-            count: mockTotalReqs,
-            rate: mockTotalReqs / 30
-          },
-          http_req_failed: {
-            passes: Math.floor(mockTotalReqs * (1 - mockFailRate)),
-            fails: Math.floor(mockTotalReqs * mockFailRate),
-            value: mockFailRate
-          },
-          vus: {
-            value: vus,
-            max: vus
-          }
-        },
-        state: {
-          testRunDurationMs: 30000
-        }
+      const simProfile = profile || { executor: "constant-vus", vus, duration, thinkTime: 1, timeout: "60s" };
+      const result = simulateLoadTest({ testURL, profile: simProfile, scenario, ...simulation });
+
+      // Replay the simulated seconds as live progress, then resolve (keeps the "feel" of a real test)
+      const delayMs = Number(process.env.SIMULATION_DELAY_MS ?? 2000);
+      const series = result.timeSeries;
+      let index = 0;
+      let totalRequests = 0;
+      let errorCount = 0;
+      const emit = () => {
+        const point = series[index++];
+        totalRequests += point.requests;
+        errorCount += point.failures;
+        onProgress?.({
+          elapsedSeconds: point.t,
+          vus: point.vus,
+          requestsPerSecond: point.requests,
+          p95: point.p95,
+          errorCount,
+          totalRequests,
+        });
       };
 
-      // Simulate network delay for the "feel" of a real test
-      return setTimeout(() => resolve(mockResult), 2000);
+      const ticker = setInterval(() => {
+        if (index < series.length) emit();
+      }, Math.max(10, delayMs / Math.max(series.length, 1)));
+      const timer = setTimeout(() => {
+        clearInterval(ticker);
+        while (index < series.length) emit();
+        resolve({ ...result, provenance: simulated(simulationReason) });
+      }, delayMs);
+      signal?.addEventListener("abort", () => {
+        clearInterval(ticker);
+        clearTimeout(timer);
+        reject(signal.reason);
+      }, { once: true });
+      return;
     }
 
     try {
@@ -65,20 +88,81 @@ export const runK6Test = (
         `k6-result-${Date.now()}.json`
       );
 
+      const k6Thresholds = buildK6Thresholds(thresholds);
+
+      // Scenarios get a generated script; plain URL tests use the bundled one
+      let generatedScript = null;
+      if (scenario) {
+        generatedScript = path.join(tempDir, `k6-scenario-${Date.now()}.js`);
+        fs.writeFileSync(generatedScript, buildScenarioScript(scenario, profile || DEFAULT_LOAD_PROFILE, k6Thresholds));
+      }
+      const cleanupScript = () => {
+        if (generatedScript) fs.rmSync(generatedScript, { force: true });
+      };
+
       // Resolve absolute path to test script to avoid CWD issues
-      const scriptPath = path.resolve(process.cwd(), "loadtester/k6/test.js");
+      const scriptPath = generatedScript || path.resolve(process.cwd(), "loadtester/k6/test.js");
+
+      // k6 streams every sample to a JSON-lines file which we tail while it runs
+      // (feeds both live progress and the per-second time series)
+      const pointsFile = path.join(tempDir, `k6-points-${Date.now()}.json`);
 
       // Construct single-line command
-      const cmd = `k6 run --summary-export="${resultFile}" --env TARGET_URL="${testURL}" --env VUS="${vus}" --env DURATION="${duration}" "${scriptPath}"`;
+      const cmd = `k6 run --summary-export="${resultFile}" --out json="${pointsFile}" --env TARGET_URL="${testURL}" --env VUS="${vus}" --env DURATION="${duration}" "${scriptPath}"`;
+
+      // The profile and thresholds are JSON, so hand them over via the environment instead of the shell
+      const env = {
+        ...process.env,
+        ...(profile && { LOAD_PROFILE: JSON.stringify(profile), K6_OPTIONS: JSON.stringify(buildK6Options(profile)) }),
+        ...(Object.keys(k6Thresholds).length > 0 && { K6_THRESHOLDS_JSON: JSON.stringify(k6Thresholds) }),
+      };
 
       exec("k6 version", (verErr, verStdout) => {
         if (verErr) {
+          cleanupScript();
+          if (!fallbackToSimulation) {
+            console.error("❌ K6 Binary not found.");
+            return reject(new Error("k6 binary not found: install k6 to run real load tests"));
+          }
           console.error("❌ K6 Binary not found. Triggering fallback simulation...");
-          return resolve(runK6Test(testURL, { vus, duration, forceSimulation: true }));
+          return resolve(runK6Test(testURL, {
+            vus, duration, profile, scenario, thresholds, signal, onProgress, simulation,
+            forceSimulation: true, simulationReason: fallbackReason("Load test", new Error("k6 binary not found")),
+          }));
         }
 
-        exec(cmd, { maxBuffer: 1024 * 1024 * 10 }, (error, stdout, stderr) => {
-          if (error) {
+        const stats = createLiveStats();
+        const timeSeries = createTimeSeries();
+        const breakdown = createBreakdown();
+        const tail = tailFile(pointsFile, (line) => {
+          const point = parseK6Point(line);
+          stats.add(point);
+          timeSeries.add(point);
+          breakdown.add(point);
+        });
+        const ticker = onProgress && setInterval(() => {
+          const snapshot = stats.snapshot();
+          if (snapshot) onProgress(snapshot);
+        }, 1000);
+
+        const stopStreaming = () => {
+          if (ticker) clearInterval(ticker);
+          tail.stop();
+          const snapshot = stats.snapshot();
+          if (onProgress && snapshot) onProgress(snapshot);
+          fs.rmSync(pointsFile, { force: true });
+        };
+
+        exec(cmd, { env, signal, maxBuffer: 1024 * 1024 * 10 }, (error, stdout, stderr) => {
+          cleanupScript();
+          stopStreaming();
+          if (signal?.aborted) {
+            fs.rmSync(resultFile, { force: true });
+            return reject(signal.reason);
+          }
+          if (error?.code === THRESHOLDS_CROSSED_EXIT_CODE) {
+            console.warn("⚠️ k6 thresholds crossed; reading results for the verdict");
+          } else if (error) {
             console.error(`❌ K6 Exec Error: ${error.message}`);
             // Keep stderr log for debugging failures only
             console.error(`Stderr: ${stderr}`);
@@ -94,7 +178,7 @@ export const runK6Test = (
             }
             const rawData = fs.readFileSync(resultFile, "utf-8");
             fs.unlinkSync(resultFile); // cleanup
-            resolve(JSON.parse(rawData));
+            resolve({ ...JSON.parse(rawData), timeSeries: timeSeries.toSeries(), breakdown: breakdown.toJSON(), provenance: measured("k6") });
           } catch (err) {
             reject(
               new Error(`Failed to read k6 output: ${err.message}`)
@@ -1,98 +1,300 @@
+import fs from "fs";
+import os from "os";
+import path from "path";
 import { chromium } from "playwright";
+import { simulateBrowserAudit, simulateAuditArtifacts } from "../Utils/simulator.js";
+import { scoreWebVitals, summarizeResources } from "../Utils/webVitals.js";
+import { collectAccessibilityFindings, buildAccessibilityReport } from "../Utils/accessibilityAudit.js";
+import { createPageDiagnostics, buildBestPracticesReport } from "../Utils/bestPractices.js";
+import { collectSeoFindings, probeSeoResources, evaluateSeoChecks, buildSeoReport } from "../Utils/seoAudit.js";
+import { toContextOptions } from "../Utils/deviceProfiles.js";
+import { measured, simulated, fallbackReason } from "../Utils/provenance.js";
+
+// Time allowed after network idle for late LCP candidates, layout shifts and long tasks
+const SETTLE_MS = 1000;
+// A throttled mobile load can legitimately take far longer than an unthrottled one
+const NAVIGATION_TIMEOUT_MS = 30000;
+const THROTTLED_NAVIGATION_TIMEOUT_MS = 90000;
+// Artifacts are stored with the session, so frames are small and few
+const MAX_FILMSTRIP_FRAMES = 10;
+const SCREENCAST_OPTIONS = { format: "jpeg", quality: 50, maxWidth: 480, maxHeight: 480 };
+const SCREENSHOT_OPTIONS = { type: "jpeg", quality: 70, fullPage: false };
 
 /**
- * Runs a real Playwright "Audit" (Performance, SEO, Best Practices)
- * @param {string} testURL - target URL
+ * Runs in the page before any of its scripts, so early paints and shifts are not missed.
+ * CLS is the largest session window (shifts < 1s apart, window <= 5s), ignoring shifts
+ * right after user input, as in the web-vitals library.
  */
-export const runPlaywrightAudit = async (testURL, { forceSimulation = false } = {}) => {
-    const mode = process.env.EXECUTION_MODE;
-    const isDemo = mode === "demo" || forceSimulation === true;
+const observeVitals = () => {
+    const vitals = { lcp: null, cls: 0, longTasks: [] };
+    window.__syncmindVitals = vitals;
 
-    if (isDemo) {
-        // Realistic simulation mode fallback
-        const mockResult = {
-            performance: 75 + Math.random() * 20,
-            accessibility: 85 + Math.random() * 10,
-            bestPractices: 80 + Math.random() * 15,
-            seo: 90 + Math.random() * 10,
-            interactivity: 70 + Math.random() * 25,
-        };
-        return new Promise(resolve => setTimeout(() => resolve(mockResult), 1000));
+    const observe = (type, onEntry) => {
+        try {
+            new PerformanceObserver((list) => list.getEntries().forEach(onEntry)).observe({ type, buffered: true });
+        } catch (e) { /* entry type not supported */ }
+    };
+
+    observe("largest-contentful-paint", (entry) => { vitals.lcp = entry.startTime; });
+
+    let sessionValue = 0;
+    let sessionStart = 0;
+    let lastShift = 0;
+    observe("layout-shift", (entry) => {
+        if (entry.hadRecentInput) return;
+        if (entry.startTime - lastShift > 1000 || entry.startTime - sessionStart > 5000) {
+            sessionValue = 0;
+            sessionStart = entry.startTime;
+        }
+        sessionValue += entry.value;
+        lastShift = entry.startTime;
+        vitals.cls = Math.max(vitals.cls, sessionValue);
+    });
+
+    observe("longtask", (entry) => vitals.longTasks.push({ start: entry.startTime, duration: entry.duration }));
+};
+
+/**
+ * CPU and network throttling through the Chrome DevTools Protocol (viewport, user agent
+ * and touch are context options). Must run before the page navigates.
+ */
+export const applyThrottling = async (page, device) => {
+    if (!device || (device.cpuSlowdown <= 1 && !device.network)) return;
+    const cdp = await page.context().newCDPSession(page);
+    if (device.cpuSlowdown > 1) {
+        await cdp.send("Emulation.setCPUThrottlingRate", { rate: device.cpuSlowdown });
     }
+    if (device.network) {
+        await cdp.send("Network.enable");
+        await cdp.send("Network.emulateNetworkConditions", {
+            offline: false,
+            latency: device.network.latencyMs,
+            // CDP takes bytes per second
+            downloadThroughput: (device.network.downloadKbps * 1000) / 8,
+            uploadThroughput: (device.network.uploadKbps * 1000) / 8,
+        });
+    }
+};
 
-    let browser;
-    try {
-        browser = await chromium.launch({ headless: true });
-        const context = await browser.newContext();
-        const page = await context.newPage();
+/**
+ * Records the page's paints through the DevTools screencast (a frame whenever the screen changes).
+ * stop(startTime) returns at most MAX_FILMSTRIP_FRAMES evenly spread frames with their offset from startTime.
+ */
+const startFilmstrip = async (page) => {
+    const cdp = await page.context().newCDPSession(page);
+    const frames = [];
+    cdp.on("Page.screencastFrame", ({ data, metadata, sessionId }) => {
+        frames.push({ at: metadata?.timestamp ? metadata.timestamp * 1000 : Date.now(), data });
+        cdp.send("Page.screencastFrameAck", { sessionId }).catch(() => { });
+    });
+    await cdp.send("Page.startScreencast", SCREENCAST_OPTIONS);
 
+    return {
+        stop: async (startTime) => {
+            await cdp.send("Page.stopScreencast").catch(() => { });
+            await cdp.detach().catch(() => { });
+            const step = Math.max(1, (frames.length - 1) / (MAX_FILMSTRIP_FRAMES - 1));
+            const picked = frames.length <= MAX_FILMSTRIP_FRAMES
+                ? frames
+                : Array.from({ length: MAX_FILMSTRIP_FRAMES }, (_, i) => frames[Math.round(i * step)]);
+            return picked.map(f => ({ offsetMs: Math.max(0, Math.round(f.at - startTime)), data: Buffer.from(f.data, "base64") }));
+        },
+    };
+};
 
-        // console.log(`🚀 Starting real Playwright Audit for: ${testURL}`);
+/**
+ * Audits one page in an already launched browser (fresh context, so no cache or cookies carry over).
+ * @param {import("playwright").Browser} browser
+ * @param {string} url
+ * @param {object} [options]
+ * @param {object} [options.device] - normalized device profile (Utils/deviceProfiles.js); default context when omitted
+ * @param {boolean} [options.captureArtifacts] - also record a final screenshot, a loading filmstrip and a HAR
+ * @param {Map} [options.seoCache] - robots.txt, sitemap and link statuses already fetched (shared by a crawl)
+ * @returns {Promise<{ result: object, links: string[], finalURL: string, artifacts?: Array }>}
+ *   the audit result, every link href on the page, the URL after redirects and the raw artifacts
+ *   ({ kind, name, contentType, data, offsetMs? }, see Utils/artifactStore.js)
+ */
+export const auditPage = async (browser, url, { device = null, captureArtifacts = false, seoCache = new Map() } = {}) => {
+    // Playwright writes the HAR when the context closes
+    const harDir = captureArtifacts ? await fs.promises.mkdtemp(path.join(os.tmpdir(), "syncmind-har-")) : null;
+    const harPath = harDir && path.join(harDir, "page.har");
+    const context = await browser.newContext({
+        ...toContextOptions(device),
+        ...(harPath ? { recordHar: { path: harPath, content: "omit" } } : {}),
+    });
+
+    let audit;
+    let screenshot = null;
+    let filmstripFrames = [];
+    let har = null;
+    try {
+        const page = await context.newPage();
+        await applyThrottling(page, device);
+        await page.addInitScript(observeVitals);
+        const diagnostics = createPageDiagnostics(page);
+        const filmstrip = captureArtifacts ? await startFilmstrip(page) : null;
 
         // Performance measurement
         const startTime = Date.now();
-        await page.goto(testURL, { waitUntil: "networkidle", timeout: 30000 });
+        const throttled = device && (device.cpuSlowdown > 1 || device.network);
+        const response = await page.goto(url, { waitUntil: "networkidle", timeout: throttled ? THROTTLED_NAVIGATION_TIMEOUT_MS : NAVIGATION_TIMEOUT_MS });
         const loadTime = Date.now() - startTime;
+        await page.waitForTimeout(SETTLE_MS);
+
+        if (filmstrip) {
+            filmstripFrames = await filmstrip.stop(startTime);
+            screenshot = await page.screenshot(SCREENSHOT_OPTIONS).catch(() => null);
+        }
+
+        // Extract lab vitals and Resource Timing
+        const lab = await page.evaluate(() => {
+            const nav = performance.getEntriesByType("navigation")[0];
+            const fcp = performance.getEntriesByName("first-contentful-paint")[0]?.startTime ?? null;
+            const vitals = window.__syncmindVitals || { lcp: null, cls: null, longTasks: [] };
+            // TBT: the part of each long task beyond 50ms, counted from FCP
+            const tbt = fcp === null ? null : vitals.longTasks
+                .filter(t => t.start >= fcp)
+                .reduce((sum, t) => sum + Math.max(0, t.duration - 50), 0);
 
-        // Extract performance metrics
-        const performanceMetrics = await page.evaluate(() => {
-            const timing = window.performance.timing;
             return {
-                domContentLoad: timing.domContentLoadedEventEnd - timing.navigationStart,
-                fullLoad: timing.loadEventEnd - timing.navigationStart,
+                fcp,
+                lcp: vitals.lcp,
+                cls: vitals.cls,
+                tbt,
+                ttfb: nav ? nav.responseStart : null,
+                documentBytes: nav ? nav.transferSize : 0,
+                longTasks: vitals.longTasks,
+                resources: performance.getEntriesByType("resource").map(r => ({
+                    url: r.name,
+                    type: r.initiatorType,
+                    bytes: r.transferSize,
+                    durationMs: r.duration,
+                })),
             };
         });
 
-        // Heuristic Audits
-        const auditResults = await page.evaluate(() => {
-            const getScore = (condition) => (condition ? 100 : 0);
+        // Rule-based accessibility pass
+        const accessibility = buildAccessibilityReport(await page.evaluate(collectAccessibilityFindings, 10));
 
-            // 1. Accessibility Heuristics
-            const images = Array.from(document.querySelectorAll("img"));
-            const imagesWithAlt = images.filter(img => img.alt).length;
-            const accessibilityScore = images.length > 0 ? (imagesWithAlt / images.length) * 100 : 100;
+        // Links for the crawler and the SEO link check
+        const links = await page.evaluate(() => Array.from(document.querySelectorAll("a[href]"), a => a.href));
+        const finalURL = page.url();
 
-            // 2. SEO Heuristics
-            const hasTitle = !!document.title;
-            const hasMetaDesc = !!document.querySelector('meta[name="description"]');
-            const seoScore = (getScore(hasTitle) + getScore(hasMetaDesc)) / 2;
+        // SEO: what the page declares, plus robots.txt, sitemap and internal link statuses
+        const seo = buildSeoReport(evaluateSeoChecks({
+            pageURL: finalURL,
+            findings: await page.evaluate(collectSeoFindings),
+            robotsHeader: response?.headers()["x-robots-tag"] ?? null,
+            probes: await probeSeoResources(finalURL, links, seoCache),
+        }));
 
-            // 3. Best Practices
-            const isHttps = window.location.protocol === "https:";
-            const noConsoleErrors = true; // Placeholder for actual console log checking
-            const bestPracticesScore = (getScore(isHttps) + 100) / 2; // Defaulting one to 100 for now
+        // Best practices from the console, exceptions and network activity seen during the load
+        const pageDiagnostics = diagnostics.toJSON(finalURL);
+        const bestPractices = buildBestPracticesReport(finalURL, pageDiagnostics);
 
-            return {
-                accessibility: accessibilityScore,
-                seo: seoScore,
-                bestPractices: bestPracticesScore
-            };
-        });
+        // A page that never paints has no vitals: performance and interactivity stay null (not measured)
+        const vitalScores = scoreWebVitals(lab);
 
-        // Calculate Final Performance Score (Inverse mapping: lower load time -> higher score)
-        // 0ms -> 100, 2000ms -> 80, 5000ms -> 40, 10000ms+ -> 0
-        const performanceScore = Math.max(0, 100 - (loadTime / 100));
-        const interactivityScore = Math.min(100, performanceScore + 5); // Simple proxy
+        const finalResult = {
+            performance: vitalScores.performance,
+            accessibility: accessibility.score,
+            bestPractices: bestPractices.score,
+            seo: seo.score,
+            interactivity: vitalScores.interactivity,
+            loadTimeMs: loadTime,
+            webVitals: vitalScores.webVitals,
+            longTasks: {
+                count: lab.longTasks.length,
+                totalMs: Math.round(lab.longTasks.reduce((sum, t) => sum + t.duration, 0)),
+                longestMs: Math.round(Math.max(0, ...lab.longTasks.map(t => t.duration))),
+            },
+            resources: summarizeResources(lab.resources, lab.documentBytes),
+            accessibilityViolations: accessibility.violations,
+            bestPracticesChecks: bestPractices.checks,
+            seoChecks: seo.checks,
+            diagnostics: pageDiagnostics,
+            device: device ? { name: device.name, label: device.label } : null,
+        };
 
-        await browser.close();
+        // console.log("✅ Playwright Audit Complete:", finalResult);
+        audit = { result: finalResult, links, finalURL };
+    } finally {
+        await context.close().catch(() => { });
+        if (harDir) {
+            har = await fs.promises.readFile(harPath).catch(() => null);
+            await fs.promises.rm(harDir, { recursive: true, force: true }).catch(() => { });
+        }
+    }
 
-        const finalResult = {
-            performance: Number(performanceScore.toFixed(0)),
-            accessibility: Number(auditResults.accessibility.toFixed(0)),
-            bestPractices: Number(auditResults.bestPractices.toFixed(0)),
-            seo: Number(auditResults.seo.toFixed(0)),
-            interactivity: Number(interactivityScore.toFixed(0)),
-            loadTimeMs: loadTime
+    if (captureArtifacts) {
+        audit.artifacts = [
+            ...(screenshot ? [{ kind: "screenshot", name: "screenshot.jpg", contentType: "image/jpeg", data: screenshot }] : []),
+            ...filmstripFrames.map((frame, i) => ({ kind: "filmstrip", name: `filmstrip-${i + 1}.jpg`, contentType: "image/jpeg", ...frame })),
+            ...(har ? [{ kind: "har", name: "page.har", contentType: "application/json", data: har }] : []),
+        ];
+    }
+    return audit;
+};
+
+/**
+ * Runs a real Playwright "Audit" (Performance, SEO, Best Practices)
+ * Performance and interactivity are scored from lab Core Web Vitals; the raw values are
+ * returned as `webVitals`, `longTasks` and `resources`.
+ * @param {string} testURL - target URL
+ * @param {object} [options]
+ * @param {AbortSignal} [options.signal] - closes the browser when aborted
+ * @param {object} [options.device] - normalized device profile to emulate
+ * @param {boolean} [options.captureArtifacts] - attach the raw screenshot, filmstrip and HAR as `artifacts`
+ * @param {object} [options.simulation] - { seed, model } for the simulator in demo mode
+ * @param {boolean} [options.fallbackToSimulation] - substitute simulated data when the real audit fails
+ *   (otherwise the error is thrown); the result's `provenance` says which one it is
+ */
+export const runPlaywrightAudit = async (
+    testURL,
+    { signal, device = null, captureArtifacts = false, simulation = {}, forceSimulation = false, simulationReason, fallbackToSimulation = false } = {}
+) => {
+    const mode = process.env.EXECUTION_MODE;
+    const isDemo = mode === "demo" || forceSimulation === true;
+
+    if (isDemo) {
+        // Seeded simulation (same seed + target -> same scores)
+        const simulatedAudit = simulateBrowserAudit({ testURL, device, ...simulation });
+        const mockResult = {
+            ...simulatedAudit,
+            ...(captureArtifacts && { artifacts: simulateAuditArtifacts({ testURL, result: simulatedAudit }) }),
+            provenance: simulated(simulationReason),
         };
+        return new Promise((resolve, reject) => {
+            const timer = setTimeout(() => resolve(mockResult), 1000);
+            signal?.addEventListener("abort", () => {
+                clearTimeout(timer);
+                reject(signal.reason);
+            }, { once: true });
+        });
+    }
 
+    let browser;
+    const closeOnAbort = () => browser?.close().catch(() => { });
+    signal?.addEventListener("abort", closeOnAbort, { once: true });
 
-        // console.log("✅ Playwright Audit Complete:", finalResult);
-        return finalResult;
+    try {
+        signal?.throwIfAborted();
+        browser = await chromium.launch({ headless: true });
+        const { result, artifacts } = await auditPage(browser, testURL, { device, captureArtifacts });
+        await browser.close();
+        return { ...result, ...(captureArtifacts && { artifacts }), provenance: measured("Playwright (Chromium)") };
 
     } catch (error) {
+        if (browser) await browser.close().catch(() => { });
+        // A cancelled job must not be "rescued" by simulated data
+        if (signal?.aborted) throw signal.reason;
         console.error("❌ Playwright Audit Failed:", error.message);
-        if (browser) await browser.close();
-        // Fallback to simulation if real audit fails
-        return runPlaywrightAudit(testURL, { forceSimulation: true });
+        // Only when asked: a simulated audit must never stand in for a real one silently
+        if (!fallbackToSimulation) throw error;
+        return runPlaywrightAudit(testURL, {
+            device, captureArtifacts, simulation, forceSimulation: true, simulationReason: fallbackReason("Browser audit", error),
+        });
+    } finally {
+        signal?.removeEventListener("abort", closeOnAbort);
     }
 };
@@ -0,0 +1,134 @@
+/**
+ * securityRunner.js
+ * Collects the security posture of the target over plain HTTP(S), no browser needed
+ * - Response headers and Set-Cookie of the page, following redirects by hand
+ * - Whether http:// redirects to https://
+ * - TLS certificate expiry / trust and the negotiated protocol version
+ * Grading is done by Utils/securityAudit.js.
+ */
+import tls from "tls";
+import { simulateSecurityFacts } from "../Utils/simulator.js";
+import { buildSecurityReport } from "../Utils/securityAudit.js";
+import { measured, simulated, fallbackReason } from "../Utils/provenance.js";
+
+const REQUEST_TIMEOUT_MS = 10000;
+const MAX_REDIRECTS = 5;
+
+const requestSignal = (signal) =>
+  signal ? AbortSignal.any([signal, AbortSignal.timeout(REQUEST_TIMEOUT_MS)]) : AbortSignal.timeout(REQUEST_TIMEOUT_MS);
+
+// The body is never needed, only the response head
+const fetchHead = async (url, signal) => {
+  const res = await fetch(url, { redirect: "manual", signal: requestSignal(signal) });
+  await res.body?.cancel().catch(() => { });
+  return res;
+};
+
+const followRedirects = async (url, signal) => {
+  let current = url;
+  for (let hop = 0; hop <= MAX_REDIRECTS; hop++) {
+    const res = await fetchHead(current, signal);
+    const location = res.headers.get("location");
+    if (res.status < 300 || res.status >= 400 || !location) return { finalURL: current, res };
+    current = new URL(location, current).href;
+  }
+  throw new Error(`More than ${MAX_REDIRECTS} redirects`);
+};
+
+const probeHttpRedirect = async (url, signal) => {
+  const httpURL = new URL(url);
+  httpURL.protocol = "http:";
+  httpURL.port = "";
+  httpURL.pathname = "/";
+  httpURL.search = "";
+  try {
+    const res = await fetchHead(httpURL.href, signal);
+    const location = res.headers.get("location");
+    return { status: res.status, location: location ? new URL(location, httpURL).href : null };
+  } catch (e) {
+    if (signal?.aborted) throw signal.reason;
+    return { error: e.cause?.code || e.message };
+  }
+};
+
+const inspectTLS = (url, signal) => new Promise((resolve) => {
+  const { hostname, port } = new URL(url);
+  // rejectUnauthorized: false so an invalid certificate can still be described
+  const socket = tls.connect({ host: hostname, port: Number(port) || 443, servername: hostname, rejectUnauthorized: false });
+  const finish = (result) => {
+    clearTimeout(timer);
+    signal?.removeEventListener("abort", onAbort);
+    socket.destroy();
+    resolve(result);
+  };
+  const onAbort = () => finish({ error: "aborted" });
+  const timer = setTimeout(() => finish({ error: `timed out after ${REQUEST_TIMEOUT_MS}ms` }), REQUEST_TIMEOUT_MS);
+  signal?.addEventListener("abort", onAbort, { once: true });
+
+  socket.once("secureConnect", () => {
+    const cert = socket.getPeerCertificate();
+    finish({
+      protocol: socket.getProtocol(),
+      authorized: socket.authorized,
+      authorizationError: socket.authorizationError ? String(socket.authorizationError) : null,
+      validTo: cert?.valid_to ?? null,
+      issuer: cert?.issuer?.O || cert?.issuer?.CN || null,
+    });
+  });
+  socket.once("error", (e) => finish({ error: e.code || e.message }));
+});
+
+/**
+ * @param {string} testURL
+ * @param {object} [options]
+ * @param {AbortSignal} [options.signal] - cancels outstanding requests
+ * @param {object} [options.simulation] - { seed, model } for the simulator in demo mode
+ * @param {boolean} [options.fallbackToSimulation] - simulate the facts when the target cannot be reached instead of throwing
+ * @returns {Promise<object>} buildSecurityReport() report plus its `provenance`
+ */
+export const runSecurityAudit = async (
+  testURL,
+  { signal, simulation = {}, forceSimulation = false, simulationReason, fallbackToSimulation = false } = {}
+) => {
+  const isDemo = process.env.EXECUTION_MODE === "demo" || forceSimulation === true;
+
+  if (isDemo) {
+    const facts = simulateSecurityFacts({ testURL, ...simulation });
+    return new Promise((resolve, reject) => {
+      const timer = setTimeout(() => resolve({ ...buildSecurityReport(facts), provenance: simulated(simulationReason) }), 1000);
+      signal?.addEventListener("abort", () => {
+        clearTimeout(timer);
+        reject(signal.reason);
+      }, { once: true });
+    });
+  }
+
+  try {
+    signal?.throwIfAborted();
+    const { finalURL, res } = await followRedirects(testURL, signal);
+    const [httpRedirect, tlsInfo] = await Promise.all([
+      probeHttpRedirect(finalURL, signal),
+      finalURL.startsWith("https:") ? inspectTLS(finalURL, signal) : null,
+    ]);
+    signal?.throwIfAborted();
+
+    const report = buildSecurityReport({
+      url: testURL,
+      finalURL,
+      headers: Object.fromEntries(res.headers),
+      cookies: res.headers.getSetCookie(),
+      httpRedirect,
+      tls: tlsInfo,
+    });
+    return { ...report, provenance: measured("HTTP requests and TLS handshake") };
+
+  } catch (error) {
+    // A cancelled job must not be "rescued" by simulated data
+    if (signal?.aborted) throw signal.reason;
+    console.error("❌ Security Audit Failed:", error.message);
+    if (!fallbackToSimulation) throw error;
+    return runSecurityAudit(testURL, {
+      simulation, forceSimulation: true, simulationReason: fallbackReason("Security audit", error),
+    });
+  }
+};
@@ -14,6 +14,7 @@ export const parseK6Data = (raw) => {
       vus: 0,
       totalRequests: 0,
       duration: null,
+      breakdown: raw?.breakdown ?? null,
     };
   }
 
@@ -38,16 +39,23 @@ export const parseK6Data = (raw) => {
 
   if (typeof failed.rate === "number") {
     failureRateUnderTest = failed.rate;
+  } else if (typeof failed.value === "number") {
+    // --summary-export reports Rate metrics as { passes, fails, value }
+    failureRateUnderTest = failed.value;
   } else if (typeof failed.count === "number" && totalRequests > 0) {
     failureRateUnderTest = failed.count / totalRequests;
   }
 
   // ---------------------------------------------------------
   // SERVER ERROR RATE (5xx)
+  // Prefer the streamed status breakdown; fall back to the script's counter
   // ---------------------------------------------------------
+  const breakdown = raw.breakdown ?? null;
   const serverErrMetric = getMetric("server_errors");
   let serverErrorRate = 0;
-  if (totalRequests > 0) {
+  if (breakdown?.totalRequests > 0) {
+    serverErrorRate = breakdown.statusClasses["5xx"] / breakdown.totalRequests;
+  } else if (totalRequests > 0) {
     const errCount = serverErrMetric.count || 0;
     serverErrorRate = errCount / totalRequests;
   }
@@ -76,6 +84,9 @@ export const parseK6Data = (raw) => {
 
     vus: vus.value ?? vus.max ?? 0,
     duration: raw.state?.testRunDurationMs ?? null,
+
+    // Status classes, network error classes and per-endpoint stats (see Utils/k6Stream.js)
+    breakdown,
   };
 };
 
@@ -150,6 +161,24 @@ export const buildRadarChartData = (browserMetrics) => {
    PIE CHART FORMATTER (Health)
    =========================== */
 export const buildPieChartData = (metrics) => {
+  const breakdown = metrics.breakdown;
+  if (breakdown?.totalRequests > 0) {
+    const pct = (count) => Number(((count / breakdown.totalRequests) * 100).toFixed(2));
+    const { statusClasses: s, errorClasses: e } = breakdown;
+    return [
+      { name: "Successful Responses (2xx)", value: pct(s["2xx"]), color: "#2563eb" },
+      { name: "Redirects (3xx)", value: pct(s["3xx"]), color: "#06b6d4" },
+      { name: "Client Errors (4xx)", value: pct(s["4xx"]), color: "#f59e0b" },
+      { name: "Server Errors (5xx)", value: pct(s["5xx"]), color: "#ef4444" },
+      { name: "Timeouts", value: pct(e.timeout), color: "#a855f7" },
+      { name: "Connection Refused / Reset", value: pct(e.connectionRefused + e.connectionReset), color: "#ec4899" },
+      { name: "DNS Errors", value: pct(e.dns), color: "#64748b" },
+      { name: "TLS Errors", value: pct(e.tls), color: "#0f766e" },
+      { name: "Other Network Errors", value: pct(e.other), color: "#78716c" },
+    ];
+  }
+
+  // Older runs without a breakdown: derive from the failure and 5xx rates
   const failRate = metrics.failureRateUnderTest || 0;
   const serverRate = metrics.serverErrorRate || 0;
   // Successful is everything that didn't fail
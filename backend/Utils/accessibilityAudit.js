@@ -0,0 +1,264 @@
+/**
+ * accessibilityAudit.js
+ * Rule-based accessibility pass for the Playwright audit
+ * - ACCESSIBILITY_RULES: rule catalogue (impact + description), ids follow axe-core naming
+ * - collectAccessibilityFindings: runs INSIDE the page via page.evaluate, so it must stay
+ *   self-contained (no references to anything else in this module)
+ * - buildAccessibilityReport: attaches rule metadata and computes the score
+ *
+ * Scoring follows Lighthouse: every rule that applies to the page (checked > 0) is pass/fail,
+ * weighted by impact (critical 10, serious 7, moderate 3, minor 1).
+ */
+
+export const IMPACT_WEIGHTS = { critical: 10, serious: 7, moderate: 3, minor: 1 };
+
+export const ACCESSIBILITY_RULES = {
+  "image-alt": { impact: "critical", description: "Images must have alternative text" },
+  "label": { impact: "critical", description: "Form fields must have a label" },
+  "button-name": { impact: "critical", description: "Buttons must have discernible text" },
+  "link-name": { impact: "serious", description: "Links must have discernible text" },
+  "color-contrast": { impact: "serious", description: "Text must meet WCAG AA contrast (4.5:1, 3:1 for large text)" },
+  "aria-roles": { impact: "critical", description: "ARIA roles must be valid" },
+  "aria-valid-attr": { impact: "critical", description: "ARIA attributes must be valid names" },
+  "aria-valid-attr-value": { impact: "serious", description: "ARIA ID references must point to existing elements" },
+  "aria-hidden-focus": { impact: "serious", description: "aria-hidden elements must not be focusable" },
+  "heading-order": { impact: "moderate", description: "Heading levels should only increase by one" },
+  "page-has-heading-one": { impact: "moderate", description: "Page should contain a level-one heading" },
+  "landmark-one-main": { impact: "moderate", description: "Document should have one main landmark" },
+  "region": { impact: "moderate", description: "All page content should be contained by landmarks" },
+  "html-has-lang": { impact: "serious", description: "<html> element must have a lang attribute" },
+  "html-lang-valid": { impact: "serious", description: "<html> lang attribute must be a valid language tag" },
+  "document-title": { impact: "serious", description: "Document must have a <title>" },
+};
+
+/**
+ * Runs in the browser. Returns { [ruleId]: { checked, count, nodes: [{ selector, html }] } }.
+ * @param {number} maxNodes - failing elements kept per rule (count is always the full total)
+ */
+export const collectAccessibilityFindings = (maxNodes = 10) => {
+  const findings = {};
+  const rule = (id) => (findings[id] ||= { checked: 0, count: 0, nodes: [] });
+
+  const selectorOf = (el) => {
+    if (el.id && document.querySelectorAll(`#${CSS.escape(el.id)}`).length === 1) return `#${CSS.escape(el.id)}`;
+    const parts = [];
+    let node = el;
+    while (node && node.nodeType === 1 && parts.length < 5) {
+      if (node.id && document.querySelectorAll(`#${CSS.escape(node.id)}`).length === 1) {
+        parts.unshift(`#${CSS.escape(node.id)}`);
+        break;
+      }
+      let part = node.localName;
+      const parent = node.parentElement;
+      if (parent) {
+        const siblings = Array.from(parent.children).filter(c => c.localName === node.localName);
+        if (siblings.length > 1) part += `:nth-of-type(${siblings.indexOf(node) + 1})`;
+      }
+      parts.unshift(part);
+      node = parent;
+    }
+    return parts.join(" > ");
+  };
+
+  const check = (id, el, passed) => {
+    const r = rule(id);
+    r.checked++;
+    if (passed) return;
+    r.count++;
+    if (r.nodes.length < maxNodes) r.nodes.push({ selector: selectorOf(el), html: el.outerHTML.slice(0, 250) });
+  };
+
+  const isVisible = (el) => {
+    const style = getComputedStyle(el);
+    if (style.display === "none" || style.visibility === "hidden") return false;
+    const rect = el.getBoundingClientRect();
+    return rect.width > 0 && rect.height > 0;
+  };
+
+  const textOfIds = (ids) => (ids || "").split(/\s+/).filter(Boolean)
+    .map(id => document.getElementById(id)?.textContent || "").join(" ").trim();
+
+  const accessibleName = (el) =>
+    textOfIds(el.getAttribute("aria-labelledby")) ||
+    (el.getAttribute("aria-label") || "").trim() ||
+    (el.innerText || el.textContent || "").trim() ||
+    Array.from(el.querySelectorAll("img[alt], svg[aria-label]"))
+      .map(img => img.getAttribute("alt") || img.getAttribute("aria-label")).join(" ").trim() ||
+    (el.getAttribute("title") || "").trim();
+
+  // 1. Document
+  const html = document.documentElement;
+  const lang = html.getAttribute("lang");
+  check("html-has-lang", html, !!lang?.trim());
+  if (lang?.trim()) check("html-lang-valid", html, /^[a-z]{2,3}(-[a-z0-9]{2,8})*$/i.test(lang.trim()));
+  check("document-title", html, !!document.title.trim());
+
+  // 2. Images
+  document.querySelectorAll("img, [role='img']").forEach(el => {
+    if (el.getAttribute("aria-hidden") === "true" || ["presentation", "none"].includes(el.getAttribute("role"))) return;
+    const named = el.localName === "img" ? el.hasAttribute("alt") : !!accessibleName(el);
+    check("image-alt", el, named || !!el.getAttribute("aria-label") || !!textOfIds(el.getAttribute("aria-labelledby")));
+  });
+
+  // 3. Form labels
+  const UNLABELLED_TYPES = ["hidden", "submit", "reset", "button", "image"];
+  document.querySelectorAll("input, select, textarea").forEach(el => {
+    if (UNLABELLED_TYPES.includes((el.getAttribute("type") || "").toLowerCase())) return;
+    const labelled = Array.from(el.labels || []).some(label => label.textContent.trim()) ||
+      !!(el.getAttribute("aria-label") || "").trim() ||
+      !!textOfIds(el.getAttribute("aria-labelledby")) ||
+      !!(el.getAttribute("title") || "").trim() ||
+      !!(el.getAttribute("placeholder") || "").trim();
+    check("label", el, labelled);
+  });
+
+  // 4. Buttons and links
+  document.querySelectorAll("button, [role='button'], input[type='submit'], input[type='button'], input[type='reset']").forEach(el => {
+    const name = el.localName === "input" ? (el.value || el.getAttribute("aria-label") || "").trim() : accessibleName(el);
+    // A submit input without a value is announced as "Submit"
+    check("button-name", el, !!name || (el.localName === "input" && el.type === "submit"));
+  });
+  document.querySelectorAll("a[href]").forEach(el => {
+    if (!isVisible(el)) return;
+    check("link-name", el, !!accessibleName(el));
+  });
+
+  // 5. ARIA
+  const ROLES = new Set(("alert alertdialog application article banner blockquote button caption cell checkbox code " +
+    "columnheader combobox complementary contentinfo definition deletion dialog directory document emphasis feed " +
+    "figure form generic grid gridcell group heading img insertion link list listbox listitem log main marquee math " +
+    "meter menu menubar menuitem menuitemcheckbox menuitemradio navigation none note option paragraph presentation " +
+    "progressbar radio radiogroup region row rowgroup rowheader scrollbar search searchbox separator slider " +
+    "spinbutton status strong subscript superscript switch tab table tablist tabpanel term textbox time timer " +
+    "toolbar tooltip tree treegrid treeitem").split(" "));
+  const ARIA_ATTRS = new Set(("activedescendant atomic autocomplete braillelabel brailleroledescription busy checked " +
+    "colcount colindex colindextext colspan controls current describedby description details disabled dropeffect " +
+    "errormessage expanded flowto grabbed haspopup hidden invalid keyshortcuts label labelledby level live modal " +
+    "multiline multiselectable orientation owns placeholder posinset pressed readonly relevant required " +
+    "roledescription rowcount rowindex rowindextext rowspan selected setsize sort valuemax valuemin valuenow " +
+    "valuetext").split(" ").map(name => `aria-${name}`));
+  const IDREF_ATTRS = ["aria-labelledby", "aria-describedby", "aria-controls", "aria-owns", "aria-activedescendant", "aria-errormessage"];
+
+  document.querySelectorAll("[role]").forEach(el => {
+    const roles = el.getAttribute("role").trim().split(/\s+/).filter(Boolean);
+    check("aria-roles", el, roles.length > 0 && roles.some(role => ROLES.has(role)));
+  });
+  document.querySelectorAll("*").forEach(el => {
+    const ariaAttrs = Array.from(el.attributes).filter(a => a.name.startsWith("aria-"));
+    if (ariaAttrs.length === 0) return;
+    check("aria-valid-attr", el, ariaAttrs.every(a => ARIA_ATTRS.has(a.name)));
+    const idrefs = ariaAttrs.filter(a => IDREF_ATTRS.includes(a.name));
+    if (idrefs.length > 0) {
+      check("aria-valid-attr-value", el, idrefs.every(a =>
+        a.value.trim().split(/\s+/).filter(Boolean).every(id => document.getElementById(id))));
+    }
+  });
+  const FOCUSABLE = "a[href], button:not([disabled]), input:not([disabled]), select:not([disabled]), textarea:not([disabled]), [tabindex]:not([tabindex='-1'])";
+  document.querySelectorAll("[aria-hidden='true']").forEach(el => {
+    const focusable = el.matches(FOCUSABLE) || !!el.querySelector(FOCUSABLE);
+    check("aria-hidden-focus", el, !focusable);
+  });
+
+  // 6. Headings
+  const headings = Array.from(document.querySelectorAll("h1, h2, h3, h4, h5, h6, [role='heading']")).filter(isVisible);
+  let previousLevel = 0;
+  headings.forEach(el => {
+    const level = el.getAttribute("role") === "heading"
+      ? Number(el.getAttribute("aria-level") || 2)
+      : Number(el.localName[1]);
+    check("heading-order", el, previousLevel === 0 || level <= previousLevel + 1);
+    previousLevel = level;
+  });
+  check("page-has-heading-one", html, headings.some(el => el.localName === "h1" || el.getAttribute("aria-level") === "1"));
+
+  // 7. Landmarks
+  const mains = document.querySelectorAll("main, [role='main']");
+  check("landmark-one-main", html, mains.length === 1);
+  const LANDMARKS = "main, nav, aside, header, footer, form[aria-label], form[aria-labelledby], section[aria-label], section[aria-labelledby], " +
+    "[role='main'], [role='navigation'], [role='banner'], [role='contentinfo'], [role='complementary'], [role='region'], [role='search'], [role='form']";
+
+  // 8. Text: contrast + landmark containment (elements with their own visible text)
+  const parseColor = (value) => {
+    const match = value.match(/rgba?\(([^)]+)\)/);
+    if (!match) return null;
+    const [r, g, b, a = 1] = match[1].split(/[\s,/]+/).filter(Boolean).map(Number);
+    return { r, g, b, a };
+  };
+  const luminance = ({ r, g, b }) => {
+    const channel = (c) => {
+      const s = c / 255;
+      return s <= 0.03928 ? s / 12.92 : Math.pow((s + 0.055) / 1.055, 2.4);
+    };
+    return 0.2126 * channel(r) + 0.7152 * channel(g) + 0.0722 * channel(b);
+  };
+  // First opaque-ish background up the tree; null when an image or gradient makes it unknowable
+  const backgroundOf = (el) => {
+    for (let node = el; node && node.nodeType === 1; node = node.parentElement) {
+      const style = getComputedStyle(node);
+      if (style.backgroundImage !== "none") return null;
+      const color = parseColor(style.backgroundColor);
+      if (color && color.a > 0) return color;
+    }
+    return { r: 255, g: 255, b: 255, a: 1 };
+  };
+
+  const textElements = Array.from(document.body?.querySelectorAll("*") || [])
+    .filter(el => !["script", "style", "noscript", "svg"].includes(el.localName))
+    .filter(el => Array.from(el.childNodes).some(n => n.nodeType === 3 && n.textContent.trim()))
+    .filter(isVisible)
+    .slice(0, 500);
+
+  textElements.forEach(el => {
+    check("region", el, !!el.closest(LANDMARKS) || !!el.closest("a[href^='#']"));
+
+    const style = getComputedStyle(el);
+    const fg = parseColor(style.color);
+    const bg = backgroundOf(el);
+    if (!fg || !bg) return;
+    const blended = {
+      r: fg.r * fg.a + bg.r * (1 - fg.a),
+      g: fg.g * fg.a + bg.g * (1 - fg.a),
+      b: fg.b * fg.a + bg.b * (1 - fg.a),
+    };
+    const [light, dark] = [luminance(blended), luminance(bg)].sort((x, y) => y - x);
+    const ratio = (light + 0.05) / (dark + 0.05);
+    const size = parseFloat(style.fontSize);
+    const large = size >= 24 || (size >= 18.66 && Number(style.fontWeight) >= 700);
+    check("color-contrast", el, ratio >= (large ? 3 : 4.5));
+  });
+
+  return findings;
+};
+
+/**
+ * @param {object} findings - collectAccessibilityFindings output
+ * @returns {{ score: number, violations: Array, passes: number, applicable: number }}
+ *   violations are sorted by impact, each with { id, impact, description, count, nodes }
+ */
+export const buildAccessibilityReport = (findings = {}) => {
+  let total = 0;
+  let passed = 0;
+  const violations = [];
+
+  for (const [id, result] of Object.entries(findings)) {
+    const def = ACCESSIBILITY_RULES[id];
+    if (!def || result.checked === 0) continue;
+    const weight = IMPACT_WEIGHTS[def.impact];
+    total += weight;
+    if (result.count === 0) {
+      passed += weight;
+    } else {
+      violations.push({ id, impact: def.impact, description: def.description, count: result.count, nodes: result.nodes });
+    }
+  }
+
+  const order = Object.keys(IMPACT_WEIGHTS);
+  violations.sort((a, b) => order.indexOf(a.impact) - order.indexOf(b.impact) || b.count - a.count);
+
+  return {
+    score: total > 0 ? Math.round((passed / total) * 100) : 100,
+    violations,
+    passes: Object.values(findings).filter(r => r.checked > 0 && r.count === 0).length,
+    applicable: Object.values(findings).filter(r => r.checked > 0).length,
+  };
+};
@@ -0,0 +1,188 @@
+/**
+ * advisoryDb.js
+ * Local, refreshable vulnerability advisory database for the dependency audit (Utils/dependencyAudit.js)
+ * - loadAdvisoryDatabase: reads the JSON file (cached until it changes on disk); analysis never goes online
+ * - refreshAdvisoryDatabase: pulls reviewed advisories from the GitHub Advisory Database and the
+ *   latest version / deprecation of every tracked package from its registry, then rewrites the file
+ *
+ * File format:
+ *   { source, updatedAt, advisories: [{ id, cve, ecosystem, package, severity, summary,
+ *     vulnerableRange, fixedVersion, url, withdrawn }], packages: { <ecosystem>: { <name>: { latest, deprecated } } } }
+ * The checked-in file is a small seed with updatedAt null, so reports flag it until the first refresh.
+ *
+ * Refresh with `npm run refresh-advisories` (refreshAdvisories.js) or on a schedule (cron.js).
+ *
+ * Configuration:
+ *   ADVISORY_DB_PATH      - database file (default: data/advisories.json next to server.js)
+ *   ADVISORY_REFRESH_CRON - cron expression for the scheduled refresh (off when unset)
+ *   GITHUB_TOKEN          - raises the GitHub API rate limit from 60 to 5000 requests per hour
+ */
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+
+const DEFAULT_PATH = path.join(path.dirname(fileURLToPath(import.meta.url)), "..", "data", "advisories.json");
+const GITHUB_ADVISORIES_URL = "https://api.github.com/advisories";
+const REQUEST_TIMEOUT_MS = 30000;
+
+// Our ecosystem ids (Utils/lockfiles.js) -> GitHub Advisory Database ecosystems
+export const ADVISORY_ECOSYSTEMS = { npm: "npm", pypi: "pip", go: "go", crates: "rust" };
+
+export const advisoryDbPath = () => process.env.ADVISORY_DB_PATH || DEFAULT_PATH;
+
+const EMPTY_DATABASE = { source: null, updatedAt: null, advisories: [], packages: {} };
+
+let cache = null;
+
+/**
+ * The advisory database, or an empty one (reported as stale) when the file is missing or unreadable.
+ */
+export const loadAdvisoryDatabase = () => {
+  const file = advisoryDbPath();
+  try {
+    const { mtimeMs } = fs.statSync(file);
+    if (cache?.file === file && cache.mtimeMs === mtimeMs) return cache.db;
+    const db = { ...EMPTY_DATABASE, ...JSON.parse(fs.readFileSync(file, "utf-8")) };
+    cache = { file, mtimeMs, db };
+    return db;
+  } catch (e) {
+    console.warn(`⚠️ Advisory database unavailable (${file}): ${e.message}`);
+    return EMPTY_DATABASE;
+  }
+};
+
+const requestSignal = (signal) =>
+  signal ? AbortSignal.any([signal, AbortSignal.timeout(REQUEST_TIMEOUT_MS)]) : AbortSignal.timeout(REQUEST_TIMEOUT_MS);
+
+const getJSON = async (url, { headers = {}, signal } = {}) => {
+  const res = await fetch(url, { headers: { "User-Agent": "SynthMind-advisory-refresh", ...headers }, signal: requestSignal(signal) });
+  if (!res.ok) throw new Error(`${url} responded ${res.status}`);
+  return { body: await res.json(), headers: res.headers };
+};
+
+// The API returns `first_patched_version` as a string, older versions as { identifier }
+const toAdvisories = (item) => (item.vulnerabilities || [])
+  .filter(v => v.package?.name && v.vulnerable_version_range)
+  .map(v => ({
+    id: item.ghsa_id,
+    cve: item.cve_id ?? null,
+    ecosystem: Object.keys(ADVISORY_ECOSYSTEMS).find(key => ADVISORY_ECOSYSTEMS[key] === v.package.ecosystem) ?? v.package.ecosystem,
+    package: v.package.name,
+    severity: item.severity === "moderate" ? "medium" : item.severity,
+    summary: item.summary,
+    vulnerableRange: v.vulnerable_version_range,
+    fixedVersion: (typeof v.first_patched_version === "string" ? v.first_patched_version : v.first_patched_version?.identifier) ?? null,
+    url: item.html_url,
+    withdrawn: Boolean(item.withdrawn_at),
+  }));
+
+const fetchAdvisories = async (ecosystem, { since, token, signal, log }) => {
+  const params = new URLSearchParams({ type: "reviewed", ecosystem, per_page: "100" });
+  if (since) params.set("updated", `>=${since.slice(0, 10)}`);
+  let url = `${GITHUB_ADVISORIES_URL}?${params}`;
+  const advisories = [];
+  const headers = { Accept: "application/vnd.github+json", ...(token ? { Authorization: `Bearer ${token}` } : {}) };
+
+  // Cursor pagination through the Link header
+  while (url) {
+    const { body, headers: responseHeaders } = await getJSON(url, { headers, signal });
+    advisories.push(...body.flatMap(toAdvisories));
+    url = /<([^>]+)>;\s*rel="next"/.exec(responseHeaders.get("link") || "")?.[1] ?? null;
+  }
+  log(`   ${ecosystem}: ${advisories.length} advisory entries`);
+  return advisories;
+};
+
+const REGISTRY_LOOKUPS = {
+  npm: async (name, signal) => {
+    // The abbreviated document is a fraction of the full packument
+    const { body } = await getJSON(`https://registry.npmjs.org/${name.replace("/", "%2F")}`, {
+      headers: { Accept: "application/vnd.npm.install-v1+json" }, signal,
+    });
+    const latest = body["dist-tags"]?.latest ?? null;
+    return { latest, deprecated: body.versions?.[latest]?.deprecated ?? null };
+  },
+  pypi: async (name, signal) => ({ latest: (await getJSON(`https://pypi.org/pypi/${name}/json`, { signal })).body.info?.version ?? null }),
+  go: async (name, signal) => {
+    // Module paths are case-encoded for the proxy: "Azure" -> "!azure"
+    const escaped = name.replace(/[A-Z]/g, c => `!${c.toLowerCase()}`);
+    const { body } = await getJSON(`https://proxy.golang.org/${escaped}/@latest`, { signal });
+    return { latest: body.Version?.replace(/^v/, "") ?? null };
+  },
+  crates: async (name, signal) => ({ latest: (await getJSON(`https://crates.io/api/v1/crates/${name}`, { signal })).body.crate?.max_stable_version ?? null }),
+};
+
+/**
+ * Refreshes the database file in place.
+ * @param {object} [options]
+ * @param {boolean} [options.full=false] - re-download every advisory instead of those updated since the last refresh
+ * @param {string[]} [options.track] - "<ecosystem>:<name>" packages to start tracking for latest/deprecated data
+ * @param {string} [options.token] - GitHub token (default: GITHUB_TOKEN)
+ * @param {AbortSignal} [options.signal]
+ * @param {(message: string) => void} [options.log]
+ * @returns {Promise<{advisoryCount: number, packageCount: number, updatedAt: string, failures: string[]}>}
+ */
+export const refreshAdvisoryDatabase = async ({ full = false, track = [], token = process.env.GITHUB_TOKEN, signal, log = console.log } = {}) => {
+  const current = loadAdvisoryDatabase();
+  const since = full ? null : current.updatedAt;
+  const startedAt = new Date().toISOString();
+  const failures = [];
+
+  log(`🛡️ Refreshing advisories${since ? ` updated since ${since.slice(0, 10)}` : " (full download)"}...`);
+  // One entry per advisory, package and range (an advisory can cover several release lines)
+  const entryKey = (a) => `${a.id}|${a.ecosystem}|${a.package}|${a.vulnerableRange}`;
+  const advisories = new Map(current.advisories.map(a => [entryKey(a), a]));
+  for (const [ours, github] of Object.entries(ADVISORY_ECOSYSTEMS)) {
+    try {
+      const fetched = await fetchAdvisories(github, { since, token, signal, log });
+      // An updated advisory replaces all of its old entries
+      const updatedIds = new Set(fetched.map(a => a.id));
+      for (const [key, advisory] of advisories) {
+        if (advisory.ecosystem === ours && updatedIds.has(advisory.id)) advisories.delete(key);
+      }
+      fetched.forEach(a => advisories.set(entryKey(a), a));
+    } catch (e) {
+      if (signal?.aborted) throw signal.reason;
+      failures.push(`${ours} advisories: ${e.message}`);
+    }
+  }
+
+  const packages = structuredClone(current.packages);
+  for (const entry of track) {
+    const [ecosystem, ...rest] = entry.split(":");
+    if (!REGISTRY_LOOKUPS[ecosystem] || !rest.length) {
+      failures.push(`Cannot track "${entry}": expected <${Object.keys(REGISTRY_LOOKUPS).join("|")}>:<name>`);
+      continue;
+    }
+    (packages[ecosystem] ||= {})[rest.join(":")] ||= {};
+  }
+
+  log(`📦 Refreshing latest versions of ${Object.values(packages).reduce((n, p) => n + Object.keys(p).length, 0)} tracked packages...`);
+  for (const [ecosystem, tracked] of Object.entries(packages)) {
+    for (const [name, info] of Object.entries(tracked)) {
+      try {
+        const fresh = await REGISTRY_LOOKUPS[ecosystem]?.(name, signal);
+        // Registries other than npm have no deprecation flag; keep what was recorded by hand
+        if (fresh) tracked[name] = { ...info, ...fresh, deprecated: fresh.deprecated !== undefined ? fresh.deprecated : info.deprecated ?? null };
+      } catch (e) {
+        if (signal?.aborted) throw signal.reason;
+        failures.push(`${ecosystem}:${name}: ${e.message}`);
+      }
+    }
+  }
+
+  const db = {
+    source: "GitHub Advisory Database (reviewed advisories)",
+    // A failed ecosystem keeps the old cut-off so the next incremental refresh retries it
+    updatedAt: failures.some(f => f.includes(" advisories: ")) ? current.updatedAt : startedAt,
+    advisories: [...advisories.values()].sort((a, b) => a.ecosystem.localeCompare(b.ecosystem) || a.package.localeCompare(b.package)),
+    packages,
+  };
+  const file = advisoryDbPath();
+  await fs.promises.mkdir(path.dirname(file), { recursive: true });
+  // Write-then-rename so a running analysis never reads a half-written file
+  await fs.promises.writeFile(`${file}.tmp`, JSON.stringify(db, null, 2));
+  await fs.promises.rename(`${file}.tmp`, file);
+
+  return { advisoryCount: db.advisories.length, packageCount: Object.values(packages).reduce((n, p) => n + Object.keys(p).length, 0), updatedAt: db.updatedAt, failures };
+};
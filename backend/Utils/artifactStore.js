@@ -0,0 +1,77 @@
+/**
+ * artifactStore.js
+ * Binary artifacts of a test session (screenshot, filmstrip frames, HAR)
+ * - saveSessionArtifacts: stores the runner's raw artifacts, returns the metadata kept on the TestSession
+ * - openArtifact: readable stream for one stored artifact
+ *
+ * Configuration:
+ *   ARTIFACT_STORAGE - "gridfs" (default, bucket "artifacts" in the app database) or "local"
+ *   ARTIFACTS_DIR    - directory for local storage (default: ./artifacts next to server.js)
+ *
+ * Access control is the caller's job: the route only opens ids listed on a session the user owns.
+ */
+import fs from "fs";
+import path from "path";
+import { Readable } from "stream";
+import { fileURLToPath } from "url";
+import mongoose from "mongoose";
+
+const DEFAULT_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), "..", "artifacts");
+const BUCKET_NAME = "artifacts";
+
+const storageMode = () => (process.env.ARTIFACT_STORAGE === "local" ? "local" : "gridfs");
+const artifactsDir = () => process.env.ARTIFACTS_DIR || DEFAULT_DIR;
+const bucket = () => new mongoose.mongo.GridFSBucket(mongoose.connection.db, { bucketName: BUCKET_NAME });
+
+// Ids are ObjectIds in both modes, so they are safe as file names too
+const isArtifactId = (id) => typeof id === "string" && /^[a-f0-9]{24}$/.test(id);
+
+const localPath = (sessionId, id) => path.join(artifactsDir(), String(sessionId), id);
+
+const writeArtifact = async (sessionId, id, { name, contentType, data }) => {
+  if (storageMode() === "local") {
+    await fs.promises.mkdir(path.dirname(localPath(sessionId, id)), { recursive: true });
+    await fs.promises.writeFile(localPath(sessionId, id), data);
+    return;
+  }
+  await new Promise((resolve, reject) => {
+    const upload = bucket().openUploadStreamWithId(new mongoose.Types.ObjectId(id), `${sessionId}/${name}`, {
+      metadata: { sessionId: String(sessionId), contentType },
+    });
+    Readable.from([data]).pipe(upload).on("finish", resolve).on("error", reject);
+  });
+};
+
+/**
+ * @param {string} sessionId
+ * @param {Array<{ kind, name, contentType, data: Buffer, offsetMs? }>} artifacts - raw runner output
+ * @returns {Promise<Array<{ id, kind, name, contentType, bytes, offsetMs? }>>} what was stored
+ *   (an artifact that fails to store is logged and left out)
+ */
+export const saveSessionArtifacts = async (sessionId, artifacts = []) => {
+  const saved = [];
+  for (const { data, ...meta } of artifacts) {
+    const id = new mongoose.Types.ObjectId().toString();
+    try {
+      await writeArtifact(sessionId, id, { ...meta, data });
+      saved.push({ id, ...meta, bytes: data.length, storage: storageMode() });
+    } catch (e) {
+      console.error(`⚠️ Failed to store artifact ${meta.name}:`, e.message);
+    }
+  }
+  return saved;
+};
+
+/**
+ * @param {string} sessionId
+ * @param {object} artifact - one entry of TestSession.artifacts
+ * @returns {import("stream").Readable|null} null when the id is malformed
+ */
+export const openArtifact = (sessionId, artifact) => {
+  if (!isArtifactId(artifact?.id)) return null;
+  // Where it was written, even if ARTIFACT_STORAGE changed since
+  if ((artifact.storage ?? storageMode()) === "local") {
+    return fs.createReadStream(localPath(sessionId, artifact.id));
+  }
+  return bucket().openDownloadStream(new mongoose.Types.ObjectId(artifact.id));
+};
@@ -0,0 +1,101 @@
+/**
+ * bestPractices.js
+ * Best-practices score from what the page actually did while loading
+ * - createPageDiagnostics: collects console errors/warnings, uncaught exceptions, failed or
+ *   4xx/5xx requests and mixed-content loads from Playwright page events
+ * - buildBestPracticesReport: pass/fail checks over those findings, weighted into a 0-100 score
+ *
+ * Console warnings are listed but not scored (as in Lighthouse).
+ */
+
+const MAX_ITEMS = 20;
+
+export const BEST_PRACTICE_CHECKS = {
+  "is-on-https": { weight: 3, description: "Page is served over HTTPS" },
+  "no-mixed-content": { weight: 2, description: "No HTTP resources loaded by an HTTPS page" },
+  "no-page-exceptions": { weight: 2, description: "No uncaught JavaScript exceptions" },
+  "no-console-errors": { weight: 1, description: "No errors logged to the console" },
+  "no-failed-requests": { weight: 2, description: "No failed or 4xx/5xx requests" },
+};
+
+// Bounded list that still counts everything it drops
+const createList = () => ({ count: 0, items: [] });
+const push = (list, item) => {
+  list.count++;
+  if (list.items.length < MAX_ITEMS) list.items.push(item);
+};
+
+const locationOf = (msg) => {
+  const { url, lineNumber } = msg.location() || {};
+  return url ? `${url}:${(lineNumber ?? 0) + 1}` : null;
+};
+
+/**
+ * Subscribes to the page's events; call before navigating.
+ * @param {import("playwright").Page} page
+ * @returns {{ toJSON: (pageURL: string) => object }}
+ */
+export const createPageDiagnostics = (page) => {
+  const consoleErrors = createList();
+  const consoleWarnings = createList();
+  const pageErrors = createList();
+  const failedRequests = createList();
+  const insecureRequests = [];
+
+  page.on("console", (msg) => {
+    if (msg.type() === "error") push(consoleErrors, { text: msg.text().slice(0, 500), location: locationOf(msg) });
+    else if (msg.type() === "warning") push(consoleWarnings, { text: msg.text().slice(0, 500), location: locationOf(msg) });
+  });
+  page.on("pageerror", (error) => {
+    push(pageErrors, { message: error.message.slice(0, 500), stack: error.stack?.split("\n").slice(0, 3).join("\n") ?? null });
+  });
+  page.on("request", (request) => {
+    // An http -> https redirect of the page itself is not mixed content
+    if (request.isNavigationRequest()) return;
+    if (request.url().startsWith("http:")) insecureRequests.push({ url: request.url(), type: request.resourceType() });
+  });
+  page.on("requestfailed", (request) => {
+    push(failedRequests, { url: request.url(), type: request.resourceType(), status: null, error: request.failure()?.errorText ?? "failed" });
+  });
+  page.on("response", (response) => {
+    if (response.status() < 400) return;
+    const request = response.request();
+    push(failedRequests, { url: response.url(), type: request.resourceType(), status: response.status(), error: response.statusText() || null });
+  });
+
+  return {
+    toJSON: (pageURL) => {
+      const mixedContent = createList();
+      if (pageURL.startsWith("https:")) {
+        insecureRequests.forEach(r => push(mixedContent, r));
+      }
+      return { consoleErrors, consoleWarnings, pageErrors, failedRequests, mixedContent };
+    },
+  };
+};
+
+/**
+ * @param {string} pageURL - final URL after redirects
+ * @param {object} diagnostics - createPageDiagnostics().toJSON() output
+ * @returns {{ score: number, checks: Array<{ id, description, passed, count }> }}
+ */
+export const buildBestPracticesReport = (pageURL, diagnostics) => {
+  const counts = {
+    "is-on-https": pageURL.startsWith("https:") ? 0 : 1,
+    "no-mixed-content": diagnostics.mixedContent.count,
+    "no-page-exceptions": diagnostics.pageErrors.count,
+    "no-console-errors": diagnostics.consoleErrors.count,
+    "no-failed-requests": diagnostics.failedRequests.count,
+  };
+
+  let total = 0;
+  let passed = 0;
+  const checks = Object.entries(BEST_PRACTICE_CHECKS).map(([id, { weight, description }]) => {
+    const ok = counts[id] === 0;
+    total += weight;
+    if (ok) passed += weight;
+    return { id, description, passed: ok, count: counts[id] };
+  });
+
+  return { score: Math.round((passed / total) * 100), checks };
+};
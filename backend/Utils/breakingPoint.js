@@ -0,0 +1,98 @@
+/**
+ * breakingPoint.js
+ * Validation + evaluation for the "find the breaking point" test mode
+ * - Load is raised in fixed VU steps, each held for `stepDuration`
+ * - A step is unhealthy once its error rate or p95 latency crosses the user's limits
+ * - The search stops at the first unhealthy step (or at maxVUs)
+ */
+import { LIMITS, parseDuration, toK6Duration } from "./loadProfile.js";
+
+const MAX_STEPS = 20;
+
+export const DEFAULT_BREAKING_POINT = {
+  startVUs: 10,
+  stepVUs: 20,
+  maxVUs: 200,
+  stepDuration: "20s",
+  maxErrorRate: 0.05,
+  maxP95: 1000,
+};
+
+const toInt = (value) => {
+  const n = Number(value);
+  return Number.isInteger(n) ? n : null;
+};
+
+/**
+ * VU level of every step the search may run, lowest first.
+ */
+export const getBreakingPointLevels = (config) => {
+  const levels = [];
+  for (let vus = config.startVUs; vus <= config.maxVUs && levels.length < MAX_STEPS; vus += config.stepVUs) {
+    levels.push(vus);
+  }
+  return levels;
+};
+
+/**
+ * Validates the raw breaking-point config from the request body.
+ * @param {object} [input] - omitted means the mode is off
+ * @returns {{ config: object|null, errors: string[] }}
+ */
+export const normalizeBreakingPoint = (input) => {
+  if (input == null) return { config: null, errors: [] };
+  if (typeof input !== "object" || Array.isArray(input)) {
+    return { config: null, errors: ["breakingPoint must be an object"] };
+  }
+
+  const errors = [];
+  const config = {
+    startVUs: toInt(input.startVUs ?? DEFAULT_BREAKING_POINT.startVUs),
+    stepVUs: toInt(input.stepVUs ?? DEFAULT_BREAKING_POINT.stepVUs),
+    maxVUs: toInt(input.maxVUs ?? DEFAULT_BREAKING_POINT.maxVUs),
+    stepDuration: toK6Duration(input.stepDuration ?? DEFAULT_BREAKING_POINT.stepDuration),
+    maxErrorRate: Number(input.maxErrorRate ?? DEFAULT_BREAKING_POINT.maxErrorRate),
+    maxP95: Number(input.maxP95 ?? DEFAULT_BREAKING_POINT.maxP95),
+  };
+
+  if (config.startVUs === null || config.startVUs < 1 || config.startVUs > LIMITS.maxVUs) {
+    errors.push(`startVUs must be an integer between 1 and ${LIMITS.maxVUs}`);
+  }
+  if (config.stepVUs === null || config.stepVUs < 1) errors.push("stepVUs must be a positive integer");
+  if (config.maxVUs === null || config.maxVUs > LIMITS.maxVUs || config.maxVUs < (config.startVUs || 1)) {
+    errors.push(`maxVUs must be between startVUs and ${LIMITS.maxVUs}`);
+  }
+  if (!parseDuration(config.stepDuration)) errors.push("stepDuration must be a valid k6 duration (e.g. \"20s\")");
+  if (!Number.isFinite(config.maxErrorRate) || config.maxErrorRate <= 0 || config.maxErrorRate >= 1) {
+    errors.push("maxErrorRate must be a fraction between 0 and 1 (e.g. 0.05 for 5%)");
+  }
+  if (!Number.isFinite(config.maxP95) || config.maxP95 <= 0) errors.push("maxP95 must be a positive number of ms");
+
+  if (errors.length === 0) {
+    const levels = getBreakingPointLevels(config);
+    if (config.startVUs + config.stepVUs * (MAX_STEPS - 1) < config.maxVUs) {
+      errors.push(`The search may have at most ${MAX_STEPS} steps; raise stepVUs or lower maxVUs`);
+    } else if (levels.length * parseDuration(config.stepDuration) > LIMITS.maxDurationSeconds) {
+      errors.push(`Total test duration cannot exceed ${LIMITS.maxDurationSeconds} seconds`);
+    }
+  }
+
+  return errors.length > 0 ? { config: null, errors } : { config, errors };
+};
+
+/**
+ * Checks one step's parsed k6 metrics against the configured limits.
+ * @param {object} metrics - output of parseK6Data
+ * @returns {{ healthy: boolean, reasons: string[] }}
+ */
+export const evaluateStep = (metrics, config) => {
+  const reasons = [];
+  if (metrics.totalRequests === 0) reasons.push("no requests completed");
+  if (metrics.failureRateUnderTest > config.maxErrorRate) {
+    reasons.push(`error rate ${(metrics.failureRateUnderTest * 100).toFixed(2)}% > ${(config.maxErrorRate * 100).toFixed(2)}%`);
+  }
+  if (Number.isFinite(metrics.latency?.p95) && metrics.latency.p95 > config.maxP95) {
+    reasons.push(`p95 ${Math.round(metrics.latency.p95)}ms > ${config.maxP95}ms`);
+  }
+  return { healthy: reasons.length === 0, reasons };
+};
@@ -0,0 +1,350 @@
+/**
+ * cicdAnalyzer.js
+ * Reads the CI/CD pipeline definitions of a cloned repository and reports what they actually do
+ * - Providers: GitHub Actions, GitLab CI, CircleCI, Jenkins (declarative Jenkinsfile), Azure Pipelines
+ * - Stages found per job: build, test, lint, security scan, deploy (keyword match on job names,
+ *   commands and actions used)
+ * - Triggers (push, pull request, schedule, manual, ...)
+ * - Whether every deploy job runs after tests: the tests run earlier in the same job, or in a job
+ *   it depends on (needs / requires / dependsOn, or an earlier GitLab / Jenkins / Azure stage)
+ *
+ * Each provider is normalised to a list of jobs { name, text, steps[], needs[] } before grading,
+ * so gating and stage detection are shared.
+ */
+import fs from "fs";
+import path from "path";
+import { parse } from "yaml";
+
+export const CICD_STAGES = ["build", "test", "lint", "security", "deploy"];
+
+// Contribution of each stage to cicd.score (0-100); deploy only counts when gated on tests
+export const CICD_STAGE_WEIGHTS = { build: 20, test: 30, lint: 10, security: 20, deploy: 20 };
+
+const STAGE_PATTERNS = {
+  build: /\b(build|compile|assemble|mvn\s+(-\S+\s+)*(package|install|verify)|gradlew?\s+(build|assemble)|cargo build|go build|docker\/build-push-action|webpack|vite build)\b/i,
+  test: /\b(tests?|pytest|jest|vitest|mocha|cypress|playwright test|go test|cargo test|mvn\s+(-\S+\s+)*(test|verify)|gradlew?\s+(test|check)|npm t|coverage|tox|phpunit|rspec)\b/i,
+  lint: /\b(lint|linter|eslint|prettier --check|flake8|ruff|pylint|black --check|golangci-lint|clippy|checkstyle|spotless|hadolint|stylelint|tsc --noEmit|mypy)\b/i,
+  security: /\b(codeql|snyk|trivy|npm audit|yarn audit|pip-audit|safety check|gosec|govulncheck|bandit|dependency-check|dependency-review|semgrep|gitleaks|trufflehog|grype|anchore|sonar\w*|osv-scanner|cargo audit|security|sast|dast)\b/i,
+  deploy: /\b(deploy\w*|release|publish|kubectl\s+(apply|rollout|set image)|helm\s+(upgrade|install)|terraform apply|ecs update-service|gcloud run deploy|vercel|netlify|heroku|flyctl|fly deploy|docker push|push:\s*true|serverless deploy|argocd)\b/i,
+};
+
+const stagesOf = (text) => CICD_STAGES.filter(stage => STAGE_PATTERNS[stage].test(text));
+
+const asArray = (value) => value == null ? [] : Array.isArray(value) ? value : [value];
+
+// YAML with GitLab's !reference tags and anchors; unknown tags must not throw
+const parseYaml = (text) => parse(text, { merge: true, logLevel: "silent", uniqueKeys: false }) ?? {};
+
+// A step's searchable text: the strings it holds two levels deep (name, run / script / command,
+// action and task inputs), without env, whose secret names would read as "deploy" steps
+const stepText = (step, depth = 0) => {
+  if (typeof step === "string") return step;
+  if (!step || typeof step !== "object" || depth > 2) return "";
+  return Object.entries(step)
+    .filter(([key]) => key !== "env" && key !== "variables")
+    .map(([key, value]) => key === "push" && value === true ? "push: true" : stepText(value, depth + 1))
+    .filter(Boolean).join(" ");
+};
+
+const job = (name, steps, needs = [], extra = "") => {
+  const texts = steps.map(stepText);
+  return { name, steps: texts, needs: needs.map(String), text: [name, extra, ...texts].join("\n") };
+};
+
+// --- PROVIDERS -----------------------------------------------------------------
+
+const githubTriggers = (on) => {
+  if (typeof on === "string") return [on];
+  if (Array.isArray(on)) return on.map(String);
+  return Object.keys(on || {});
+};
+
+const parseGithubWorkflow = (text) => {
+  const doc = parseYaml(text);
+  const jobs = Object.entries(doc.jobs || {}).map(([id, def]) =>
+    // Reusable workflows (`uses:` at job level) are matched on their path
+    job(def?.name || id, asArray(def?.steps), asArray(def?.needs), [id, def?.uses, def?.environment?.name ?? def?.environment].filter(Boolean).join(" ")));
+  // Ids are what `needs` refers to
+  Object.keys(doc.jobs || {}).forEach((id, i) => { jobs[i].id = id; });
+  return { triggers: githubTriggers(doc.on), jobs, workflowRun: Boolean(doc.on?.workflow_run) };
+};
+
+const GITLAB_KEYWORDS = new Set(["stages", "variables", "default", "include", "workflow", "image", "services", "cache", "before_script", "after_script", "pages"]);
+
+const parseGitlabCi = (text) => {
+  const doc = parseYaml(text);
+  const stages = asArray(doc.stages).length ? asArray(doc.stages).map(String) : [".pre", "build", "test", "deploy", ".post"];
+  const definitions = Object.entries(doc).filter(([name, def]) =>
+    !GITLAB_KEYWORDS.has(name) && !name.startsWith(".") && def && typeof def === "object" && !Array.isArray(def));
+
+  const jobs = definitions.map(([name, def]) => {
+    const scripts = [...asArray(def.before_script), ...asArray(def.script), ...asArray(def.trigger?.include)].flat(Infinity).map(String);
+    const built = job(name, scripts, [], [def.stage, def.environment?.name ?? def.environment, def.extends].flat().filter(Boolean).join(" "));
+    built.id = name;
+    built.stageIndex = stages.indexOf(String(def.stage || "test"));
+    built.explicitNeeds = def.needs !== undefined ? asArray(def.needs).map(n => typeof n === "object" ? n.job : n) : null;
+    return built;
+  });
+  // Without `needs`, a job waits for every job of the earlier stages
+  jobs.forEach(j => {
+    j.needs = j.explicitNeeds ?? jobs.filter(other => other.stageIndex < j.stageIndex).map(other => other.id);
+  });
+
+  const source = JSON.stringify(doc.workflow ?? {}) + JSON.stringify(definitions.map(([, def]) => def.rules ?? def.only ?? null));
+  const triggers = ["push"];
+  if (/merge_request/.test(source)) triggers.push("merge_request");
+  if (/schedule/.test(source)) triggers.push("schedule");
+  if (/"when":"manual"|"web"/.test(source)) triggers.push("manual");
+  if (/tags/.test(source)) triggers.push("tag");
+  return { triggers, jobs };
+};
+
+const parseCircleCi = (text) => {
+  const doc = parseYaml(text);
+  const definitions = doc.jobs || {};
+  const triggers = new Set();
+  const jobs = [];
+
+  for (const workflow of Object.values(doc.workflows || {})) {
+    if (!workflow || typeof workflow !== "object") continue;
+    triggers.add(asArray(workflow.triggers).some(t => t?.schedule) ? "schedule" : "push");
+    for (const entry of asArray(workflow.jobs)) {
+      // - build  |  - deploy: { requires: [test], filters: ... }
+      const [name, options] = typeof entry === "string" ? [entry, {}] : Object.entries(entry)[0] ?? [];
+      if (!name) continue;
+      const id = options?.name || name;
+      const built = job(id, asArray(definitions[name]?.steps), asArray(options?.requires), [name, options?.type === "approval" ? "manual approval" : null].filter(Boolean).join(" "));
+      built.id = id;
+      jobs.push(built);
+      if (options?.filters?.tags) triggers.add("tag");
+    }
+  }
+  // Jobs defined but not part of any workflow never run; a config with only `jobs` runs "build"
+  if (jobs.length === 0 && definitions.build) {
+    jobs.push(Object.assign(job("build", asArray(definitions.build.steps)), { id: "build" }));
+    triggers.add("push");
+  }
+  return { triggers: [...triggers], jobs };
+};
+
+// Declarative pipelines: stage('Name') { steps { ... } }; stages run in order
+const parseJenkinsfile = (text) => {
+  const headers = [...text.matchAll(/stage\s*\(\s*['"]([^'"]+)['"]\s*\)/g)];
+  const jobs = headers.map((match, i) => {
+    const body = text.slice(match.index, headers[i + 1]?.index ?? text.length);
+    const commands = [...body.matchAll(/\b(?:sh|bat|powershell)\s*\(?\s*(?:script:\s*)?(['"]{1,3})([\s\S]*?)\1/g)].map(m => m[2]);
+    const built = job(match[1], commands, i > 0 ? [headers[i - 1][1]] : [], /\binput\s*[({]/.test(body) ? "manual approval" : "");
+    built.id = match[1];
+    return built;
+  });
+
+  const triggers = [];
+  const block = /triggers\s*\{([\s\S]*?)\}/.exec(text)?.[1] ?? "";
+  if (/cron/.test(block)) triggers.push("schedule");
+  if (/pollSCM|githubPush|GenericTrigger/.test(block)) triggers.push("push");
+  // Multibranch / webhook builds are configured on the Jenkins side, not in the file
+  if (triggers.length === 0) triggers.push("push (configured in Jenkins)");
+  return { triggers, jobs };
+};
+
+const azureTriggers = (doc) => {
+  const triggers = [];
+  if (doc.trigger !== "none" && doc.trigger !== false) triggers.push("push");
+  if (doc.pr !== undefined ? doc.pr !== "none" && doc.pr !== false : true) triggers.push("pull_request");
+  if (doc.schedules) triggers.push("schedule");
+  if (doc.resources?.pipelines) triggers.push("pipeline_completion");
+  return triggers;
+};
+
+const parseAzurePipelines = (text) => {
+  const doc = parseYaml(text);
+  // stages > jobs > steps, or jobs > steps, or steps at the top level
+  const stages = doc.stages ? asArray(doc.stages) : [{ stage: "default", jobs: doc.jobs ?? [{ job: "default", steps: doc.steps }] }];
+  const jobs = [];
+
+  stages.forEach((stage, index) => {
+    const stageId = String(stage?.stage ?? `stage${index}`);
+    // Stages run in sequence unless dependsOn says otherwise
+    const stageNeeds = stage?.dependsOn !== undefined ? asArray(stage.dependsOn) : index > 0 ? [String(stages[index - 1]?.stage ?? `stage${index - 1}`)] : [];
+    const stageJobs = asArray(stage?.jobs).map((def, i) => {
+      const id = String(def?.job ?? def?.deployment ?? `${stageId}-job${i}`);
+      const steps = asArray(def?.steps ?? def?.strategy?.runOnce?.deploy?.steps ?? def?.strategy?.rolling?.deploy?.steps ?? def?.strategy?.canary?.deploy?.steps);
+      const built = job(def?.displayName || id, steps, [], [id, stageId, stage?.displayName, def?.deployment ? "deployment" : null, def?.template].filter(Boolean).join(" "));
+      built.id = id;
+      built.stage = stageId;
+      built.jobNeeds = asArray(def?.dependsOn).map(String);
+      return built;
+    });
+    stageJobs.forEach(j => {
+      // A job depends on its sibling jobs named in dependsOn, and on every job of the stages before
+      j.needs = [...j.jobNeeds, ...jobs.filter(other => stageNeeds.map(String).includes(other.stage)).map(other => other.id)];
+    });
+    jobs.push(...stageJobs);
+  });
+  return { triggers: azureTriggers(doc), jobs };
+};
+
+const PROVIDERS = [
+  { id: "github-actions", label: "GitHub Actions", parse: parseGithubWorkflow, files: (root) => listFiles(path.join(root, ".github", "workflows"), /\.ya?ml$/) },
+  { id: "gitlab-ci", label: "GitLab CI", parse: parseGitlabCi, files: (root) => existing(root, [".gitlab-ci.yml", ".gitlab-ci.yaml"]) },
+  { id: "circleci", label: "CircleCI", parse: parseCircleCi, files: (root) => existing(root, [".circleci/config.yml", ".circleci/config.yaml"]) },
+  { id: "jenkins", label: "Jenkins", parse: parseJenkinsfile, files: (root) => existing(root, ["Jenkinsfile"]) },
+  {
+    id: "azure-pipelines", label: "Azure Pipelines", parse: parseAzurePipelines,
+    files: (root) => [...existing(root, ["azure-pipelines.yml", "azure-pipelines.yaml"]), ...listFiles(path.join(root, ".azure-pipelines"), /\.ya?ml$/)],
+  },
+];
+
+const existing = (root, names) => names.map(name => path.join(root, name)).filter(file => fs.existsSync(file));
+
+const listFiles = (dir, pattern) => {
+  try {
+    return fs.readdirSync(dir).filter(name => pattern.test(name)).map(name => path.join(dir, name));
+  } catch (e) { return []; }
+};
+
+// --- GRADING -------------------------------------------------------------------
+
+const dependencies = (jobs, start) => {
+  const byId = new Map(jobs.map(j => [j.id, j]));
+  const seen = new Set();
+  const queue = [...start.needs];
+  while (queue.length) {
+    const id = queue.shift();
+    if (seen.has(id) || !byId.has(id)) continue;
+    seen.add(id);
+    queue.push(...byId.get(id).needs);
+  }
+  return [...seen].map(id => byId.get(id));
+};
+
+// Tests run before the deploy step of the same job, or in a job this one (transitively) needs
+const isGated = (jobs, deployJob, testedUpstream) => {
+  const firstDeploy = deployJob.steps.findIndex(s => STAGE_PATTERNS.deploy.test(s));
+  const testedInJob = deployJob.steps.some((s, i) => STAGE_PATTERNS.test.test(s) && (firstDeploy === -1 || i < firstDeploy));
+  return testedInJob || testedUpstream || dependencies(jobs, deployJob).some(j => j.stages.includes("test"));
+};
+
+const summarizePipeline = (provider, file, { triggers, jobs, workflowRun = false }, testedElsewhere) => {
+  jobs.forEach(j => { j.stages = stagesOf(j.text); });
+  const deployJobs = jobs.filter(j => j.stages.includes("deploy"));
+  // A workflow_run workflow only starts after another workflow finished; gated when that one tests
+  const testedUpstream = workflowRun && testedElsewhere;
+  return {
+    provider: provider.label,
+    file,
+    triggers: [...new Set(triggers)],
+    stages: CICD_STAGES.filter(stage => jobs.some(j => j.stages.includes(stage))),
+    jobs: jobs.map(j => ({ name: j.name, stages: j.stages, needs: j.needs })),
+    deployGatedOnTests: deployJobs.length ? deployJobs.every(j => isGated(jobs, j, testedUpstream)) : null,
+  };
+};
+
+/**
+ * Every pipeline definition under `root` (a repository or one of its sub-directories).
+ * @param {string} root
+ * @param {string} [repoRoot=root] - file paths in the result are relative to this
+ * @returns {Array<object>} one entry per file, with `error` set when it could not be parsed
+ */
+export const findPipelines = (root, repoRoot = root) => {
+  const parsed = PROVIDERS.flatMap(provider => provider.files(root).map(file => {
+    const relative = path.relative(repoRoot, file);
+    try {
+      return { provider, file: relative, definition: provider.parse(fs.readFileSync(file, "utf-8")) };
+    } catch (e) {
+      return { provider, file: relative, error: e.message.split("\n")[0] };
+    }
+  }));
+
+  const testedAnywhere = parsed.some(p => p.definition?.jobs.some(j => stagesOf(j.text).includes("test")));
+  return parsed.map(p => p.error
+    ? { provider: p.provider.label, file: p.file, triggers: [], stages: [], jobs: [], deployGatedOnTests: null, error: p.error }
+    : summarizePipeline(p.provider, p.file, p.definition, testedAnywhere));
+};
+
+/**
+ * The `cicd` block of the repository metrics.
+ * @param {Array<object>} pipelines - findPipelines() results
+ * @returns {{present, providers, pipelines, stages, triggers, deployGatedOnTests, score, issues}}
+ */
+export const buildCicdReport = (pipelines) => {
+  const working = pipelines.filter(p => !p.error && p.jobs.length > 0);
+  const stages = Object.fromEntries(CICD_STAGES.map(stage => [stage, working.some(p => p.stages.includes(stage))]));
+  const deploying = working.filter(p => p.deployGatedOnTests !== null);
+  const deployGatedOnTests = deploying.length ? deploying.every(p => p.deployGatedOnTests) : null;
+
+  const issues = [];
+  pipelines.filter(p => p.error).forEach(p => issues.push(`${p.file} could not be parsed: ${p.error}`));
+  pipelines.filter(p => !p.error && p.jobs.length === 0).forEach(p => issues.push(`${p.file} defines no jobs`));
+  if (working.length === 0) {
+    issues.push("CI/CD pipeline missing");
+  } else {
+    if (!stages.test) issues.push("CI/CD pipeline runs no tests");
+    if (!stages.build) issues.push("CI/CD pipeline has no build step");
+    if (!stages.lint) issues.push("CI/CD pipeline runs no linter");
+    if (!stages.security) issues.push("CI/CD pipeline has no security scan");
+    if (deployGatedOnTests === false) issues.push("CI/CD deploys are not gated on tests");
+  }
+
+  const score = working.length === 0 ? 0 : CICD_STAGES.reduce((sum, stage) => {
+    if (!stages[stage]) return sum;
+    return sum + (stage === "deploy" && !deployGatedOnTests ? 0 : CICD_STAGE_WEIGHTS[stage]);
+  }, 0);
+
+  return {
+    present: working.length > 0,
+    providers: [...new Set(working.map(p => p.provider))],
+    pipelines,
+    stages,
+    triggers: [...new Set(working.flatMap(p => p.triggers))],
+    deployGatedOnTests,
+    score,
+    issues,
+  };
+};
+
+/**
+ * The business-facing CI/CD risk of the load test report, from the most serious gap down;
+ * null when the pipeline builds, tests, scans and only deploys after the tests pass.
+ * @param {object} cicd - buildCicdReport() result
+ */
+export const assessCicdRisk = (cicd) => {
+  if (!cicd?.present) {
+    return {
+      severity: "CRITICAL",
+      consequence: "Manual deploy = 2-4× higher outage risk",
+      details: "Rollback failure and hotfix delays are inevitable during a spike without automation.",
+      gaps: ["no pipeline"],
+    };
+  }
+
+  const gaps = [];
+  if (cicd.deployGatedOnTests === false) gaps.push("deploys not gated on tests");
+  if (!cicd.stages.test) gaps.push("no tests");
+  if (!cicd.stages.security) gaps.push("no security scan");
+  if (!cicd.stages.build) gaps.push("no build step");
+  if (gaps.length === 0) return null;
+
+  if (cicd.deployGatedOnTests === false) {
+    return {
+      severity: "HIGH",
+      consequence: "Untested changes can reach production automatically",
+      details: `The ${cicd.providers.join(" / ")} pipeline deploys without waiting for a test job, so a regression ships as fast as a fix.`,
+      gaps,
+    };
+  }
+  if (!cicd.stages.test) {
+    return {
+      severity: "HIGH",
+      consequence: "Regressions are only found by users",
+      details: `The ${cicd.providers.join(" / ")} pipeline runs no tests; it automates delivery, not verification.`,
+      gaps,
+    };
+  }
+  return {
+    severity: "MEDIUM",
+    consequence: gaps.includes("no security scan") ? "Vulnerable dependencies ship unnoticed" : "Artifacts are not built reproducibly in CI",
+    details: `The pipeline is missing: ${gaps.join(", ")}.`,
+    gaps,
+  };
+};
@@ -0,0 +1,133 @@
+/**
+ * crawl.js
+ * Validation, link filtering and the site-wide summary for the multi-page crawl audit
+ * - normalizeCrawl: { maxPages, maxDepth, include, exclude } from the request body
+ * - toCrawlableURL: same-origin, de-duplicated page URL for a link (or null to skip it)
+ * - summarizeCrawl: category averages and the worst pages with the reasons they rank there
+ *
+ * Patterns are matched against the URL path: `*` matches within one segment, `**` across
+ * segments (e.g. "/blog/**", "/products/*"). Exclude wins over include.
+ */
+
+export const CRAWL_LIMITS = { maxPages: 50, maxDepth: 5, maxPatterns: 20 };
+
+export const DEFAULT_CRAWL = {
+  maxPages: 10,
+  maxDepth: 2,
+  include: [],
+  exclude: [],
+};
+
+// Links to these are downloads, not pages
+const SKIPPED_EXTENSIONS = /\.(pdf|zip|gz|tar|png|jpe?g|gif|webp|svg|ico|mp4|mp3|webm|css|js|json|xml|txt)$/i;
+
+const toInt = (value) => {
+  const n = Number(value);
+  return Number.isInteger(n) ? n : null;
+};
+
+const patternToRegExp = (pattern) => {
+  const escaped = pattern.replace(/[.+?^${}()|[\]\\]/g, "\\$&");
+  const source = escaped.replace(/\*\*/g, "\u0000").replace(/\*/g, "[^/]*").replace(/\u0000/g, ".*");
+  return new RegExp(`^${source}$`);
+};
+
+const normalizePatterns = (input, field, errors) => {
+  if (input == null) return [];
+  if (!Array.isArray(input) || input.some(p => typeof p !== "string" || !p.startsWith("/"))) {
+    errors.push(`${field} must be an array of path patterns starting with "/"`);
+    return [];
+  }
+  if (input.length > CRAWL_LIMITS.maxPatterns) errors.push(`${field} may have at most ${CRAWL_LIMITS.maxPatterns} patterns`);
+  return input.map(p => p.trim());
+};
+
+/**
+ * @param {object} [input] - omitted means only the target URL is audited
+ * @returns {{ config: object|null, errors: string[] }}
+ */
+export const normalizeCrawl = (input) => {
+  if (input == null) return { config: null, errors: [] };
+  if (typeof input !== "object" || Array.isArray(input)) return { config: null, errors: ["crawl must be an object"] };
+
+  const errors = [];
+  const config = {
+    maxPages: toInt(input.maxPages ?? DEFAULT_CRAWL.maxPages),
+    maxDepth: toInt(input.maxDepth ?? DEFAULT_CRAWL.maxDepth),
+    include: normalizePatterns(input.include, "include", errors),
+    exclude: normalizePatterns(input.exclude, "exclude", errors),
+  };
+
+  if (config.maxPages === null || config.maxPages < 1 || config.maxPages > CRAWL_LIMITS.maxPages) {
+    errors.push(`maxPages must be an integer between 1 and ${CRAWL_LIMITS.maxPages}`);
+  }
+  if (config.maxDepth === null || config.maxDepth < 0 || config.maxDepth > CRAWL_LIMITS.maxDepth) {
+    errors.push(`maxDepth must be an integer between 0 and ${CRAWL_LIMITS.maxDepth}`);
+  }
+
+  return errors.length > 0 ? { config: null, errors } : { config, errors };
+};
+
+/**
+ * Page URL to queue for a link found on a page, or null when it should not be crawled.
+ * Hash fragments are dropped so "/a#x" and "/a" are one page.
+ */
+export const toCrawlableURL = (href, origin, config) => {
+  let url;
+  try {
+    url = new URL(href, origin);
+  } catch (e) {
+    return null;
+  }
+  if (url.origin !== origin || !["http:", "https:"].includes(url.protocol)) return null;
+  if (SKIPPED_EXTENSIONS.test(url.pathname)) return null;
+
+  const path = url.pathname;
+  if (config.exclude.some(p => patternToRegExp(p).test(path))) return null;
+  if (config.include.length > 0 && !config.include.some(p => patternToRegExp(p).test(path))) return null;
+
+  url.hash = "";
+  return url.href;
+};
+
+const CATEGORIES = ["performance", "accessibility", "bestPractices", "seo"];
+
+const average = (values) => values.length > 0
+  ? Math.round(values.reduce((sum, v) => sum + v, 0) / values.length)
+  : null;
+
+/**
+ * @param {Array} pages - per-page crawl records ({ url, depth, error, performance, ... })
+ * @returns {{ pagesAudited, pagesFailed, maxDepthReached, averages, worstPages }}
+ */
+export const summarizeCrawl = (pages) => {
+  const audited = pages.filter(p => !p.error);
+  const averages = Object.fromEntries(CATEGORIES.map(c => [c, average(audited.map(p => p[c]).filter(Number.isFinite))]));
+
+  const worstPages = audited
+    .map(p => {
+      const overall = average(CATEGORIES.map(c => p[c]).filter(Number.isFinite));
+      const reasons = CATEGORIES
+        .filter(c => Number.isFinite(p[c]) && averages[c] !== null && p[c] < Math.min(averages[c], 90))
+        .map(c => `${c} ${p[c]}`);
+      for (const [id, vital] of Object.entries(p.webVitals || {})) {
+        if (vital?.rating === "poor") reasons.push(`poor ${id.toUpperCase()}`);
+      }
+      if (p.issues?.pageErrors > 0) reasons.push(`${p.issues.pageErrors} uncaught exception(s)`);
+      if (p.issues?.failedRequests > 0) reasons.push(`${p.issues.failedRequests} failed request(s)`);
+      const seoFailures = (p.seoFindings || []).filter(f => f.status === "fail");
+      if (seoFailures.length > 0) reasons.push(`SEO: ${seoFailures.map(f => f.id).join(", ")}`);
+      return { url: p.url, depth: p.depth, overall, reasons };
+    })
+    // Pages without any score (nothing measurable) go last rather than sorting arbitrarily
+    .sort((a, b) => (a.overall === null) - (b.overall === null) || a.overall - b.overall)
+    .slice(0, 5);
+
+  return {
+    pagesAudited: audited.length,
+    pagesFailed: pages.length - audited.length,
+    maxDepthReached: Math.max(0, ...pages.map(p => p.depth)),
+    averages,
+    worstPages,
+  };
+};
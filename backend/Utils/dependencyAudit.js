@@ -0,0 +1,203 @@
+/**
+ * dependencyAudit.js
+ * Matches the resolved versions of a repository's lockfiles against the local advisory database
+ * - vulnerable: packages inside an advisory's vulnerable range, with severity and the version fixing them all
+ * - deprecated: packages the registry marks as deprecated
+ * - outdated: packages OUTDATED_MAJOR_GAP or more major versions behind the latest release
+ *
+ * Versions are compared numerically per dotted release segment; pre-releases ("-rc.1", "a1", ".dev0")
+ * sort before their release and PEP 440 post-releases (".post1") after it, which covers npm, PyPI,
+ * Go and crates.io versions well enough for range checks.
+ */
+
+export const SEVERITIES = ["critical", "high", "medium", "low"];
+
+// "2 majors behind" is when upgrades stop being routine
+export const OUTDATED_MAJOR_GAP = 2;
+
+// Older than this, the report says the database needs a refresh
+export const ADVISORY_DB_MAX_AGE_DAYS = 30;
+
+// Per list, so a large monorepo cannot bloat the TestSession; the counts stay exact
+const MAX_LISTED = 100;
+
+const parseVersion = (value) => {
+  const clean = String(value).trim().replace(/^v/, "").replace(/\+.*$/, "");
+  const match = /^(\d+(?:\.\d+)*)(.*)$/.exec(clean);
+  if (!match) return { release: [], suffix: clean, post: false };
+  const suffix = match[2].replace(/^[-._]/, "");
+  return {
+    release: match[1].split(".").map(Number),
+    suffix,
+    post: /^(post|rev|r)(\d+|$)/i.test(suffix),
+  };
+};
+
+const compareSuffix = (a, b) => {
+  const tokensA = a.split(/[.\-_]|(?<=\d)(?=\D)|(?<=\D)(?=\d)/).filter(Boolean);
+  const tokensB = b.split(/[.\-_]|(?<=\d)(?=\D)|(?<=\D)(?=\d)/).filter(Boolean);
+  for (let i = 0; i < Math.max(tokensA.length, tokensB.length); i++) {
+    const x = tokensA[i];
+    const y = tokensB[i];
+    if (x === undefined) return -1;
+    if (y === undefined) return 1;
+    const numeric = /^\d+$/.test(x) && /^\d+$/.test(y);
+    if (numeric && Number(x) !== Number(y)) return Number(x) < Number(y) ? -1 : 1;
+    if (!numeric && x !== y) return x < y ? -1 : 1;
+  }
+  return 0;
+};
+
+/**
+ * @returns {number} negative when a < b, 0 when equal, positive when a > b
+ */
+export const compareVersions = (a, b) => {
+  const x = parseVersion(a);
+  const y = parseVersion(b);
+  for (let i = 0; i < Math.max(x.release.length, y.release.length); i++) {
+    const diff = (x.release[i] ?? 0) - (y.release[i] ?? 0);
+    if (diff !== 0) return diff;
+  }
+  // 1.0.0-rc.1 < 1.0.0 < 1.0.0.post1
+  const rank = (v) => (!v.suffix ? 1 : v.post ? 2 : 0);
+  if (rank(x) !== rank(y)) return rank(x) - rank(y);
+  return compareSuffix(x.suffix, y.suffix);
+};
+
+/**
+ * Whether `version` is inside an advisory range such as "< 4.17.21" or ">= 1.0.0, < 1.2.6".
+ */
+export const satisfiesRange = (version, range) => String(range).split(",").every(part => {
+  const match = /^\s*(<=|>=|<|>|=)?\s*(\S+)\s*$/.exec(part);
+  if (!match) return false;
+  const cmp = compareVersions(version, match[2]);
+  switch (match[1] || "=") {
+    case "<": return cmp < 0;
+    case "<=": return cmp <= 0;
+    case ">": return cmp > 0;
+    case ">=": return cmp >= 0;
+    default: return cmp === 0;
+  }
+});
+
+// PyPI names are case-insensitive and treat "-", "_" and "." alike
+export const packageKey = (ecosystem, name) =>
+  `${ecosystem}:${ecosystem === "pypi" ? name.toLowerCase().replace(/[-_.]+/g, "-") : name}`;
+
+const severityRank = (severity) => {
+  const index = SEVERITIES.indexOf(severity);
+  return index === -1 ? SEVERITIES.length : index;
+};
+
+// Major version, or the minor for 0.x releases, whose minors are breaking by convention
+const majorOf = (version) => {
+  const [major = 0, minor = 0] = parseVersion(version).release;
+  return major === 0 ? { zero: true, value: minor } : { zero: false, value: major };
+};
+
+const majorsBehind = (version, latest) => {
+  const current = majorOf(version);
+  const newest = majorOf(latest);
+  if (current.zero && !newest.zero) return newest.value;
+  return current.zero === newest.zero ? newest.value - current.value : 0;
+};
+
+/**
+ * @param {Array<{file, ecosystem, packages, error?}>} lockfiles - Utils/lockfiles.js readLockfiles() results
+ * @param {object} db - Utils/advisoryDb.js loadAdvisoryDatabase()
+ * @param {Date} [now]
+ */
+export const buildDependencyReport = (lockfiles, db, now = new Date()) => {
+  const advisoriesByPackage = new Map();
+  for (const advisory of db.advisories || []) {
+    if (advisory.withdrawn) continue;
+    const key = packageKey(advisory.ecosystem, advisory.package);
+    if (!advisoriesByPackage.has(key)) advisoriesByPackage.set(key, []);
+    advisoriesByPackage.get(key).push(advisory);
+  }
+  const packageInfo = new Map(Object.entries(db.packages || {}).flatMap(([ecosystem, packages]) =>
+    Object.entries(packages).map(([name, info]) => [packageKey(ecosystem, name), info])));
+
+  const vulnerable = [];
+  const deprecated = [];
+  const outdated = [];
+  const seen = new Set();
+  // Registry data (latest / deprecated) only exists for packages tracked in the database
+  let trackedCount = 0;
+
+  for (const lockfile of lockfiles) {
+    for (const pkg of lockfile.packages) {
+      // The same package resolved identically by two lockfiles is reported once
+      const id = `${packageKey(lockfile.ecosystem, pkg.name)}@${pkg.version}`;
+      if (seen.has(id)) continue;
+      seen.add(id);
+      const base = { ecosystem: lockfile.ecosystem, name: pkg.name, version: pkg.version, dev: pkg.dev, file: lockfile.file };
+
+      const matches = (advisoriesByPackage.get(packageKey(lockfile.ecosystem, pkg.name)) || [])
+        .filter(a => satisfiesRange(pkg.version, a.vulnerableRange))
+        .sort((a, b) => severityRank(a.severity) - severityRank(b.severity));
+      if (matches.length) {
+        const fixes = matches.map(a => a.fixedVersion);
+        vulnerable.push({
+          ...base,
+          severity: matches[0].severity,
+          // Upgrading to the highest fix clears every matched advisory; null when one has no fix yet
+          fixedVersion: fixes.includes(null) || fixes.includes(undefined) ? null : fixes.sort(compareVersions).at(-1),
+          advisories: matches.map(({ id, cve, severity, summary, fixedVersion, url }) => ({ id, cve, severity, summary, fixedVersion, url })),
+        });
+      }
+
+      const info = packageInfo.get(packageKey(lockfile.ecosystem, pkg.name));
+      if (info) trackedCount++;
+      if (info?.deprecated) deprecated.push({ ...base, reason: info.deprecated, latest: info.latest ?? null });
+      if (info?.latest && compareVersions(pkg.version, info.latest) < 0) {
+        const behind = majorsBehind(pkg.version, info.latest);
+        if (behind >= OUTDATED_MAJOR_GAP) outdated.push({ ...base, latest: info.latest, majorsBehind: behind });
+      }
+    }
+  }
+
+  vulnerable.sort((a, b) => severityRank(a.severity) - severityRank(b.severity) || a.name.localeCompare(b.name));
+  outdated.sort((a, b) => b.majorsBehind - a.majorsBehind);
+
+  const severityCounts = Object.fromEntries(SEVERITIES.map(s => [s, vulnerable.filter(v => v.severity === s).length]));
+  const ageDays = db.updatedAt ? Math.floor((now - new Date(db.updatedAt)) / 86400000) : null;
+  const database = {
+    source: db.source ?? null,
+    updatedAt: db.updatedAt ?? null,
+    advisoryCount: (db.advisories || []).length,
+    stale: ageDays === null || ageDays > ADVISORY_DB_MAX_AGE_DAYS,
+    trackedCount,
+  };
+
+  const issues = [];
+  lockfiles.filter(l => l.error).forEach(l => issues.push(`${l.file} could not be parsed: ${l.error}`));
+  if (vulnerable.length) {
+    const breakdown = SEVERITIES.filter(s => severityCounts[s]).map(s => `${severityCounts[s]} ${s}`).join(", ");
+    issues.push(`${vulnerable.length} vulnerable ${vulnerable.length === 1 ? "dependency" : "dependencies"} (${breakdown})`);
+  }
+  if (deprecated.length) issues.push(`${deprecated.length} deprecated ${deprecated.length === 1 ? "dependency" : "dependencies"}`);
+  if (outdated.length) issues.push(`${outdated.length} ${outdated.length === 1 ? "dependency is" : "dependencies are"} ${OUTDATED_MAJOR_GAP}+ major versions behind`);
+  if (seen.size > trackedCount) {
+    issues.push(`Deprecated and outdated checks cover only packages tracked in the advisory database (${trackedCount} of ${seen.size}); track more with \`npm run refresh-advisories -- <ecosystem>:<name>\``);
+  }
+  if (database.stale) {
+    issues.push(database.updatedAt
+      ? `Advisory database is ${ageDays} days old; run \`npm run refresh-advisories\``
+      : "Advisory database has never been refreshed; run `npm run refresh-advisories`");
+  }
+
+  return {
+    lockfiles: lockfiles.map(({ file, ecosystem, packages, error }) => ({ file, ecosystem, packageCount: packages.length, error: error ?? null })),
+    packageCount: seen.size,
+    vulnerableCount: vulnerable.length,
+    severityCounts,
+    vulnerable: vulnerable.slice(0, MAX_LISTED),
+    deprecatedCount: deprecated.length,
+    deprecated: deprecated.slice(0, MAX_LISTED),
+    outdatedCount: outdated.length,
+    outdated: outdated.slice(0, MAX_LISTED),
+    database,
+    issues,
+  };
+};
@@ -0,0 +1,196 @@
+/**
+ * deviceProfiles.js
+ * Device and network emulation for the browser audit
+ * - DEVICE_PROFILES: built-in profiles (viewport, user agent, CPU slowdown, network throttling)
+ * - normalizeDevices: list of built-in names and/or custom profiles from the request body
+ * - compareDevices: side-by-side summary of one audit per profile
+ *
+ * Network throughput is in kilobits per second and latency is the added round-trip time,
+ * as in Chrome DevTools. A profile with `network: null` is not throttled.
+ */
+
+const MOBILE_UA = "Mozilla/5.0 (Linux; Android 11; moto g power (2022)) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/119.0.0.0 Mobile Safari/537.36";
+const DESKTOP_UA = "Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/119.0.0.0 Safari/537.36";
+
+export const DEVICE_LIMITS = { maxProfiles: 4, maxCpuSlowdown: 20, maxLatencyMs: 5000, maxViewport: 4000 };
+
+export const DEVICE_PROFILES = {
+  "mobile-slow-4g": {
+    name: "mobile-slow-4g",
+    label: "Mid-range mobile, slow 4G",
+    viewport: { width: 412, height: 823 },
+    deviceScaleFactor: 1.75,
+    isMobile: true,
+    hasTouch: true,
+    userAgent: MOBILE_UA,
+    cpuSlowdown: 4,
+    network: { latencyMs: 150, downloadKbps: 1638, uploadKbps: 675 },
+  },
+  "desktop-cable": {
+    name: "desktop-cable",
+    label: "Desktop, cable",
+    viewport: { width: 1350, height: 940 },
+    deviceScaleFactor: 1,
+    isMobile: false,
+    hasTouch: false,
+    userAgent: DESKTOP_UA,
+    cpuSlowdown: 1,
+    network: { latencyMs: 28, downloadKbps: 5000, uploadKbps: 1000 },
+  },
+  "desktop-unthrottled": {
+    name: "desktop-unthrottled",
+    label: "Desktop, no throttling",
+    viewport: { width: 1280, height: 720 },
+    deviceScaleFactor: 1,
+    isMobile: false,
+    hasTouch: false,
+    userAgent: null,
+    cpuSlowdown: 1,
+    network: null,
+  },
+};
+
+const isNumberIn = (v, min, max) => typeof v === "number" && Number.isFinite(v) && v >= min && v <= max;
+
+const normalizeNetwork = (input, prefix, errors) => {
+  if (input === null) return null;
+  if (typeof input !== "object" || Array.isArray(input)) {
+    errors.push(`${prefix}.network must be an object or null`);
+    return null;
+  }
+  const { latencyMs = 0, downloadKbps, uploadKbps } = input;
+  if (!isNumberIn(latencyMs, 0, DEVICE_LIMITS.maxLatencyMs)) {
+    errors.push(`${prefix}.network.latencyMs must be between 0 and ${DEVICE_LIMITS.maxLatencyMs}`);
+  }
+  if (!isNumberIn(downloadKbps, 1, 1e6)) errors.push(`${prefix}.network.downloadKbps must be a positive number`);
+  if (uploadKbps !== undefined && !isNumberIn(uploadKbps, 1, 1e6)) errors.push(`${prefix}.network.uploadKbps must be a positive number`);
+  return { latencyMs, downloadKbps, uploadKbps: uploadKbps ?? downloadKbps };
+};
+
+/**
+ * A custom profile starts from `base` (a built-in name, default "desktop-unthrottled")
+ * and overrides any of its fields.
+ */
+const normalizeCustomProfile = (input, prefix, errors) => {
+  const base = DEVICE_PROFILES[input.base ?? "desktop-unthrottled"];
+  if (!base) {
+    errors.push(`${prefix}.base must be one of: ${Object.keys(DEVICE_PROFILES).join(", ")}`);
+    return null;
+  }
+  if (typeof input.name !== "string" || !/^[a-z0-9][a-z0-9-]{0,39}$/i.test(input.name)) {
+    errors.push(`${prefix}.name must be 1-40 letters, digits or dashes`);
+  }
+
+  const profile = {
+    ...base,
+    name: input.name,
+    label: typeof input.label === "string" && input.label.trim() ? input.label.trim().slice(0, 80) : input.name,
+  };
+
+  if (input.viewport !== undefined) {
+    const { width, height } = input.viewport || {};
+    if (!Number.isInteger(width) || !Number.isInteger(height) || !isNumberIn(width, 200, DEVICE_LIMITS.maxViewport) || !isNumberIn(height, 200, DEVICE_LIMITS.maxViewport)) {
+      errors.push(`${prefix}.viewport must have integer width and height between 200 and ${DEVICE_LIMITS.maxViewport}`);
+    }
+    profile.viewport = { width, height };
+  }
+  if (input.deviceScaleFactor !== undefined) {
+    if (!isNumberIn(input.deviceScaleFactor, 1, 4)) errors.push(`${prefix}.deviceScaleFactor must be between 1 and 4`);
+    profile.deviceScaleFactor = input.deviceScaleFactor;
+  }
+  for (const flag of ["isMobile", "hasTouch"]) {
+    if (input[flag] === undefined) continue;
+    if (typeof input[flag] !== "boolean") errors.push(`${prefix}.${flag} must be a boolean`);
+    profile[flag] = input[flag];
+  }
+  if (input.userAgent !== undefined) {
+    if (input.userAgent !== null && (typeof input.userAgent !== "string" || input.userAgent.length > 500)) {
+      errors.push(`${prefix}.userAgent must be a string of at most 500 characters`);
+    }
+    profile.userAgent = input.userAgent || null;
+  }
+  if (input.cpuSlowdown !== undefined) {
+    if (!isNumberIn(input.cpuSlowdown, 1, DEVICE_LIMITS.maxCpuSlowdown)) {
+      errors.push(`${prefix}.cpuSlowdown must be between 1 and ${DEVICE_LIMITS.maxCpuSlowdown}`);
+    }
+    profile.cpuSlowdown = input.cpuSlowdown;
+  }
+  if (input.network !== undefined) profile.network = normalizeNetwork(input.network, prefix, errors);
+
+  return profile;
+};
+
+/**
+ * @param {Array<string|object>} [input] - built-in profile names or custom profiles;
+ *   omitted means the browser's default context. The first profile is the primary one.
+ * @returns {{ config: object[]|null, errors: string[] }}
+ */
+export const normalizeDevices = (input) => {
+  if (input == null) return { config: null, errors: [] };
+  if (!Array.isArray(input) || input.length === 0) {
+    return { config: null, errors: ["devices must be a non-empty array of profile names or profiles"] };
+  }
+  if (input.length > DEVICE_LIMITS.maxProfiles) {
+    return { config: null, errors: [`at most ${DEVICE_LIMITS.maxProfiles} device profiles per test`] };
+  }
+
+  const errors = [];
+  const config = input.map((entry, i) => {
+    const prefix = `devices[${i}]`;
+    if (typeof entry === "string") {
+      if (!DEVICE_PROFILES[entry]) errors.push(`${prefix}: unknown profile "${entry}"`);
+      return DEVICE_PROFILES[entry] ?? null;
+    }
+    if (!entry || typeof entry !== "object" || Array.isArray(entry)) {
+      errors.push(`${prefix} must be a profile name or an object`);
+      return null;
+    }
+    return normalizeCustomProfile(entry, prefix, errors);
+  });
+
+  const names = config.filter(Boolean).map(p => p.name);
+  const duplicate = names.find((name, i) => names.indexOf(name) !== i);
+  if (duplicate) errors.push(`device profile "${duplicate}" is listed more than once`);
+
+  return errors.length > 0 ? { config: null, errors } : { config, errors };
+};
+
+/**
+ * Playwright newContext() options for a profile (empty for the default context)
+ */
+export const toContextOptions = (device) => {
+  if (!device) return {};
+  return {
+    viewport: device.viewport,
+    deviceScaleFactor: device.deviceScaleFactor,
+    isMobile: device.isMobile,
+    hasTouch: device.hasTouch,
+    ...(device.userAgent ? { userAgent: device.userAgent } : {}),
+  };
+};
+
+const CATEGORIES = ["performance", "accessibility", "bestPractices", "seo", "interactivity"];
+
+/**
+ * @param {object[]} devices - normalized profiles, in the order they were audited
+ * @param {object[]} results - the browser audit result for each profile
+ * @returns {{ baseline: string, profiles: object[], results: object[] }}
+ *   per-profile scores, vitals and page weight; `delta` is relative to the first profile
+ */
+export const compareDevices = (devices, results) => {
+  const [baseline] = results;
+  return {
+    baseline: devices[0].name,
+    profiles: devices.map(({ name, label, viewport, cpuSlowdown, network }) => ({ name, label, viewport, cpuSlowdown, network })),
+    results: results.map((result, i) => ({
+      device: devices[i].name,
+      ...Object.fromEntries(CATEGORIES.map(c => [c, result[c]])),
+      loadTimeMs: result.loadTimeMs,
+      webVitals: result.webVitals || null,
+      resources: result.resources ? { count: result.resources.count, transferBytes: result.resources.transferBytes } : null,
+      delta: Object.fromEntries(CATEGORIES
+        .filter(c => Number.isFinite(result[c]) && Number.isFinite(baseline[c]))
+        .map(c => [c, result[c] - baseline[c]])),
+    })),
+  };
+};
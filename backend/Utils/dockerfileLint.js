@@ -0,0 +1,258 @@
+/**
+ * dockerfileLint.js
+ * Dockerfile parser and best-practice rules for the repository analysis (Utils/githubAnalyzer.js)
+ * - parseDockerfile: instructions with their starting line, flags (--from, --mount, ...) and
+ *   arguments, honouring line continuations, the escape directive, comments and heredocs
+ * - lintDockerfile: DOCKERFILE_RULES findings, each with the line it refers to and a remediation
+ *
+ * Stage-level rules (root user, HEALTHCHECK) look at the final stage only: that is the image that runs.
+ */
+
+export const DOCKERFILE_RULES = {
+  "base-image-latest": { severity: "warning", title: "Base image uses the latest tag" },
+  "base-image-unpinned": { severity: "warning", title: "Base image has no tag or digest" },
+  "runs-as-root": { severity: "error", title: "Container runs as root" },
+  "no-multi-stage": { severity: "info", title: "Build tooling ships in the runtime image" },
+  "no-healthcheck": { severity: "info", title: "No HEALTHCHECK" },
+  "add-remote-url": { severity: "warning", title: "ADD downloads a remote URL" },
+  "apt-unbounded": { severity: "warning", title: "Unbounded apt-get layer" },
+  "secret-in-env": { severity: "error", title: "Secret baked into the image" },
+  "no-cmd": { severity: "warning", title: "No CMD or ENTRYPOINT" },
+  "no-expose": { severity: "info", title: "No EXPOSE" },
+  "dockerignore-missing": { severity: "warning", title: "No .dockerignore" },
+  "dockerignore-weak": { severity: "info", title: "Weak .dockerignore" },
+};
+
+// ENV / ARG names that hold credentials
+const SECRET_NAME = /(SECRET|PASSWORD|PASSWD|TOKEN|API_?KEY|PRIVATE_?KEY|ACCESS_?KEY|CREDENTIALS?)(_|$)/i;
+
+// RUN commands that compile or install build dependencies
+const BUILD_STEP = /\b(npm (ci|install|run build)|yarn( install| build|$)|pnpm (install|build)|go build|mvn |gradlew? |cargo build|pip install|poetry install|make\b|gcc |dotnet (publish|build)|tsc\b)/;
+
+/**
+ * @param {string} text
+ * @returns {Array<{instruction: string, args: string, flags: object, line: number}>}
+ */
+export const parseDockerfile = (text) => {
+  const lines = text.split(/\r?\n/);
+  const escape = /^#\s*escape\s*=\s*([`\\])/im.exec(lines.slice(0, 5).join("\n"))?.[1] ?? "\\";
+  const instructions = [];
+
+  for (let i = 0; i < lines.length; i++) {
+    const first = lines[i].trim();
+    if (!first || first.startsWith("#")) continue;
+    const line = i + 1;
+
+    // Join continuation lines; comment lines inside a continuation are dropped, like Docker does
+    let content = first;
+    while (content.endsWith(escape) && i + 1 < lines.length) {
+      content = content.slice(0, -1);
+      i++;
+      const next = lines[i].trim();
+      if (next.startsWith("#")) { content += escape; continue; }
+      content += ` ${next}`;
+    }
+
+    const match = /^(\S+)\s*(.*)$/s.exec(content);
+    const instruction = match[1].toUpperCase();
+    let args = match[2].trim();
+
+    // Heredocs: RUN <<EOF ... EOF; only a shell word starting with <<, so $((1<<2)) is not one
+    const heredoc = ["RUN", "COPY", "ADD"].includes(instruction)
+      ? /(?:^|\s)<<-?["']?([A-Za-z_]\w*)["']?(?=\s|$)/.exec(args)
+      : null;
+    if (heredoc) {
+      const body = [];
+      while (i + 1 < lines.length && lines[i + 1].trim() !== heredoc[1]) body.push(lines[++i]);
+      i++;
+      args = `${args}\n${body.join("\n")}`;
+    }
+
+    const flags = {};
+    let flag;
+    while ((flag = /^--([\w-]+)(?:=(\S+))?\s*/.exec(args))) {
+      flags[flag[1]] = flag[2] ?? true;
+      args = args.slice(flag[0].length);
+    }
+    instructions.push({ instruction, args, flags, line });
+  }
+  return instructions;
+};
+
+// "node:20-slim" -> { name: "node", tag: "20-slim", digest: null }; a registry port is not a tag
+const parseImage = (reference) => {
+  const [withoutDigest, digest = null] = reference.split("@");
+  const slash = withoutDigest.lastIndexOf("/");
+  const colon = withoutDigest.indexOf(":", slash + 1);
+  return {
+    name: colon === -1 ? withoutDigest : withoutDigest.slice(0, colon),
+    tag: colon === -1 ? null : withoutDigest.slice(colon + 1),
+    digest,
+  };
+};
+
+const expandArgs = (value, args) =>
+  value.replace(/\$\{(\w+)(?::?-([^}]*))?\}|\$(\w+)/g, (whole, braced, fallback, bare) => args[braced ?? bare] ?? fallback ?? whole);
+
+// KEY=value pairs, or the legacy "KEY value" form
+const keyValues = (args) => {
+  const pairs = [...args.matchAll(/([\w.-]+)=("(?:[^"\\]|\\.)*"|'[^']*'|\S*)/g)].map(m => [m[1], m[2].replace(/^["']|["']$/g, "")]);
+  if (pairs.length) return pairs;
+  const legacy = /^([\w.-]+)\s+(.*)$/.exec(args);
+  return legacy ? [[legacy[1], legacy[2].trim()]] : [[args.trim(), ""]];
+};
+
+const finding = (rule, line, message, remediation) => ({ rule, severity: DOCKERFILE_RULES[rule].severity, line, message, remediation });
+
+const lintDockerignore = (dockerignore, contextFiles) => {
+  if (dockerignore === null) {
+    return [finding("dockerignore-missing", null,
+      "No .dockerignore: the whole build context (.git, local .env files, node_modules) is sent to the daemon and can be COPY'd into the image",
+      "Add a .dockerignore listing at least .git, .env* and dependency/build folders, or allow-list with `*` followed by `!src` style exceptions")];
+  }
+  const patterns = dockerignore.split(/\r?\n/).map(l => l.trim()).filter(l => l && !l.startsWith("#"));
+  // `*` then `!exceptions` only lets named paths in
+  if (patterns.some(p => p === "*" || p === "**")) return [];
+  const covers = (name) => patterns.some(p => {
+    const clean = p.replace(/^\.?\//, "").replace(/^\*\*\//, "").replace(/\/$/, "");
+    return clean === name || clean === `${name}*` || clean === `${name}/**` || clean === `**/${name}`
+      || (clean.includes("*") && new RegExp(`^${clean.replace(/[.+^${}()|[\]\\]/g, "\\$&").replace(/\*/g, ".*")}$`).test(name));
+  });
+
+  const expected = [".git", ".env"];
+  if (contextFiles.includes("package.json")) expected.push("node_modules");
+  if (contextFiles.some(f => ["pyproject.toml", "requirements.txt"].includes(f))) expected.push("__pycache__", ".venv");
+  if (contextFiles.includes("Cargo.toml")) expected.push("target");
+  const missing = expected.filter(name => !covers(name));
+  if (missing.length === 0) return [];
+  return [finding("dockerignore-weak", null,
+    `.dockerignore does not exclude ${missing.join(", ")}`,
+    `Add ${missing.map(name => `\`${name}\``).join(", ")} to .dockerignore so local secrets and build output stay out of the build context`)];
+};
+
+/**
+ * @param {object} input
+ * @param {string} input.text - Dockerfile contents
+ * @param {string|null} input.dockerignore - .dockerignore of the build context, null when absent
+ * @param {string[]} [input.contextFiles] - file names at the root of the build context
+ * @returns {{instructions: number, stages: number, baseImages: string[], user: string|null, healthcheck: boolean,
+ *   hasCMD: boolean, exposesPort: boolean, findings: Array<{rule, severity, line, message, remediation}>}}
+ */
+export const lintDockerfile = ({ text, dockerignore, contextFiles = [] }) => {
+  const instructions = parseDockerfile(text);
+  const findings = [];
+
+  // ARGs before the first FROM can parameterise base images
+  const globalArgs = {};
+  for (const { instruction, args } of instructions) {
+    if (instruction === "FROM") break;
+    if (instruction === "ARG") keyValues(args).forEach(([key, value]) => { if (value) globalArgs[key] = value; });
+  }
+
+  // Split into stages
+  const stages = [];
+  for (const instr of instructions) {
+    if (instr.instruction === "FROM") stages.push({ from: instr, body: [] });
+    else stages.at(-1)?.body.push(instr);
+  }
+
+  const aliases = new Set();
+  const baseImages = [];
+  for (const { from } of stages) {
+    const [reference = "", as, alias] = from.args.split(/\s+/);
+    const resolved = expandArgs(reference, globalArgs);
+    // FROM <earlier stage> builds on that stage, not on a registry image
+    const fromStage = aliases.has(resolved.toLowerCase());
+    if (as?.toUpperCase() === "AS" && alias) aliases.add(alias.toLowerCase());
+    if (fromStage || resolved === "scratch") continue;
+    baseImages.push(resolved);
+    if (resolved.includes("$")) continue; // set by a build arg without a default: cannot tell
+
+    const image = parseImage(resolved);
+    if (image.digest) continue;
+    if (image.tag === "latest") {
+      findings.push(finding("base-image-latest", from.line, `FROM ${resolved} uses the moving latest tag`,
+        `Pin a version tag (e.g. ${image.name}:<version>), ideally with its digest (${image.name}:<version>@sha256:...)`));
+    } else if (!image.tag) {
+      findings.push(finding("base-image-unpinned", from.line, `FROM ${resolved} has no tag, so it resolves to latest`,
+        `Pin a version tag (e.g. ${image.name}:<version>), ideally with its digest`));
+    }
+  }
+
+  for (const instr of instructions) {
+    if (instr.instruction === "ADD") {
+      const sources = instr.args.replace(/^\[|\]$/g, "").split(/[\s,]+/).map(s => s.replace(/^"|"$/g, "")).slice(0, -1);
+      const remote = sources.find(s => /^(https?|git):\/\/|^git@|\.git(#|$)/.test(s));
+      if (remote && !instr.flags.checksum) {
+        findings.push(finding("add-remote-url", instr.line, `ADD ${remote} downloads at build time without integrity check`,
+          "Use `ADD --checksum=sha256:<hash>` or download with curl in a RUN step and verify the checksum; use COPY for local files"));
+      }
+    }
+
+    if (instr.instruction === "RUN" && /\bapt(-get)?\s+(-\S+\s+)*install\b/.test(instr.args)) {
+      const problems = [];
+      if (!/\bapt(-get)?\s+(-\S+\s+)*update\b/.test(instr.args)) problems.push("runs install without `apt-get update` in the same layer (stale package index from the cache)");
+      if (!/--no-install-recommends/.test(instr.args)) problems.push("installs recommended packages (`--no-install-recommends` missing)");
+      if (!/rm\s+-(rf|fr|r)\s+\/var\/lib\/apt\/lists/.test(instr.args)) problems.push("keeps the apt lists in the layer (`rm -rf /var/lib/apt/lists/*` missing)");
+      if (problems.length) {
+        findings.push(finding("apt-unbounded", instr.line, `apt-get layer ${problems.join("; ")}`,
+          "Use a single `RUN apt-get update && apt-get install -y --no-install-recommends <pkgs> && rm -rf /var/lib/apt/lists/*`"));
+      }
+    }
+    if (instr.instruction === "RUN" && /\bapt(-get)?\s+(-\S+\s+)*(dist-)?upgrade\b/.test(instr.args)) {
+      findings.push(finding("apt-unbounded", instr.line, "RUN apt-get upgrade makes the image depend on the day it was built",
+        "Upgrade by moving to a newer pinned base image instead"));
+    }
+
+    if (instr.instruction === "ENV" || instr.instruction === "ARG") {
+      for (const [key, value] of keyValues(instr.args)) {
+        // A reference to another variable or an empty default is not a literal secret
+        if (!SECRET_NAME.test(key) || !value || /^\$/.test(value)) continue;
+        findings.push(finding("secret-in-env", instr.line, `${instr.instruction} ${key} sets a credential that is stored in the image history`,
+          "Pass it at runtime (environment / orchestrator secret) or at build time with `RUN --mount=type=secret,id=...`"));
+      }
+    }
+  }
+
+  const final = stages.at(-1);
+  const finalBody = final?.body ?? [];
+  const lastUser = finalBody.filter(i => i.instruction === "USER").at(-1);
+  const user = lastUser ? lastUser.args.split(":")[0] : null;
+  if (final && (!lastUser || ["root", "0"].includes(user))) {
+    findings.push(finding("runs-as-root", lastUser?.line ?? final.from.line,
+      lastUser ? `USER ${lastUser.args} switches the final stage back to root` : "The final stage never sets USER, so the container runs as root",
+      "Create an unprivileged user (e.g. `RUN useradd -r app`, or use the image's `node` / `nobody` user) and add `USER <name>` before CMD"));
+  }
+
+  const healthcheck = finalBody.some(i => i.instruction === "HEALTHCHECK");
+  if (final && !healthcheck) {
+    findings.push(finding("no-healthcheck", final.from.line, "The final stage has no HEALTHCHECK, so Docker cannot tell a hung container from a healthy one",
+      "Add e.g. `HEALTHCHECK --interval=30s --timeout=3s CMD curl -fsS http://localhost:<port>/health || exit 1` (orchestrators with their own probes can use HEALTHCHECK NONE)"));
+  }
+
+  if (stages.length === 1) {
+    const buildStep = finalBody.find(i => i.instruction === "RUN" && BUILD_STEP.test(i.args));
+    if (buildStep) {
+      findings.push(finding("no-multi-stage", buildStep.line, "Dependencies are built in the only stage, so compilers, dev dependencies and caches ship to production",
+        "Build in a `FROM ... AS build` stage and `COPY --from=build` only the artifacts into a slim runtime stage"));
+    }
+  }
+
+  const hasCMD = finalBody.some(i => i.instruction === "CMD" || i.instruction === "ENTRYPOINT");
+  if (final && !hasCMD) {
+    findings.push(finding("no-cmd", null, "No CMD or ENTRYPOINT in the final stage; the container relies on the base image's default command",
+      "Add an exec-form CMD, e.g. `CMD [\"node\", \"server.js\"]`"));
+  }
+  const exposesPort = instructions.some(i => i.instruction === "EXPOSE" && /\d/.test(i.args));
+  if (final && !exposesPort) {
+    findings.push(finding("no-expose", null, "No EXPOSE: the port the service listens on is undocumented",
+      "Add `EXPOSE <port>` for the port the service listens on"));
+  }
+
+  findings.push(...lintDockerignore(dockerignore, contextFiles));
+
+  const order = ["error", "warning", "info"];
+  findings.sort((a, b) => order.indexOf(a.severity) - order.indexOf(b.severity) || (a.line ?? Infinity) - (b.line ?? Infinity));
+
+  return { instructions: instructions.length, stages: stages.length, baseImages, user, healthcheck, hasCMD, exposesPort, findings };
+};
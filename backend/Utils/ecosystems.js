@@ -0,0 +1,217 @@
+/**
+ * ecosystems.js
+ * Per-language manifest detectors for the repository analysis (Utils/githubAnalyzer.js)
+ * - ECOSYSTEMS: Node.js, Python, Go, Java/Kotlin (Maven, Gradle) and Rust, each with the manifests
+ *   it recognises and an analyze() returning { framework, database, startCommand, dependencyCount }
+ * - parseToml: the small TOML subset manifests use (tables, strings, arrays, inline tables)
+ *
+ * analyze() gets { manifest, text, read, list } where `read(name)` returns a file next to the
+ * manifest (or null) and `list(dir)` its sub-directories, so start commands can come from a
+ * Procfile, manage.py, main.go, cmd/<name>, src/main.rs, ...
+ * Framework and database lists are ordered by precedence: the first match wins.
+ */
+
+/**
+ * Tables of a TOML document as { "table.name": { key: rawValue } }; top-level keys are under "".
+ * Values stay raw strings (multi-line arrays joined); use tomlStrings() to read them.
+ */
+export const parseToml = (text) => {
+  const tables = { "": {} };
+  let current = tables[""];
+  // Key whose array / inline table continues on the next lines
+  let openKey = null;
+  const isOpen = (value) => (value.match(/[[{]/g) || []).length > (value.match(/[\]}]/g) || []).length;
+
+  for (const raw of text.split(/\r?\n/)) {
+    const line = raw.replace(/\s+#.*$/, "").trim();
+    if (openKey) {
+      current[openKey] += ` ${line}`;
+      if (!isOpen(current[openKey])) openKey = null;
+      continue;
+    }
+    if (!line || line.startsWith("#")) continue;
+
+    const header = /^\[\[?([^\]]+)\]\]?$/.exec(line);
+    if (header) {
+      const name = header[1].trim().replace(/["']/g, "");
+      current = tables[name] ||= {};
+      continue;
+    }
+    const pair = /^("[^"]+"|'[^']+'|[\w.-]+)\s*=\s*(.*)$/.exec(line);
+    if (!pair) continue;
+    const key = pair[1].replace(/["']/g, "");
+    current[key] = pair[2];
+    if (isOpen(pair[2])) openKey = key;
+  }
+  return tables;
+};
+
+// Every quoted string in a raw TOML value
+export const tomlStrings = (raw = "") => [...raw.matchAll(/"([^"]*)"|'([^']*)'/g)].map(m => m[1] ?? m[2]);
+
+// "fastapi[all]>=0.110; python_version>'3.8'" -> "fastapi"
+const pythonPackageName = (requirement) => requirement.trim().split(/[\s<>=!~;[@]/)[0].toLowerCase().replace(/_/g, "-");
+
+const firstMatch = (candidates, has) => candidates.find(([dependency]) => has(dependency))?.[1] ?? null;
+
+const DATABASES = {
+  node: [["mongoose", "MongoDB"], ["mongodb", "MongoDB"], ["pg", "Postgres"], ["postgres", "Postgres"], ["mysql2", "MySQL"], ["mysql", "MySQL"], ["redis", "Redis"], ["ioredis", "Redis"], ["sqlite3", "SQLite"], ["better-sqlite3", "SQLite"]],
+  python: [["psycopg2", "Postgres"], ["psycopg2-binary", "Postgres"], ["psycopg", "Postgres"], ["asyncpg", "Postgres"], ["pymongo", "MongoDB"], ["motor", "MongoDB"], ["mongoengine", "MongoDB"], ["mysqlclient", "MySQL"], ["pymysql", "MySQL"], ["mysql-connector-python", "MySQL"], ["aiomysql", "MySQL"], ["redis", "Redis"]],
+  go: [["github.com/jackc/pgx", "Postgres"], ["github.com/lib/pq", "Postgres"], ["go.mongodb.org/mongo-driver", "MongoDB"], ["github.com/go-sql-driver/mysql", "MySQL"], ["github.com/redis/go-redis", "Redis"], ["github.com/go-redis/redis", "Redis"], ["github.com/mattn/go-sqlite3", "SQLite"]],
+  jvm: [["org.postgresql:postgresql", "Postgres"], ["mysql:mysql-connector-java", "MySQL"], ["com.mysql:mysql-connector-j", "MySQL"], ["org.mongodb:", "MongoDB"], ["spring-boot-starter-data-mongodb", "MongoDB"], ["spring-boot-starter-data-redis", "Redis"], ["com.h2database:h2", "H2"]],
+  rust: [["tokio-postgres", "Postgres"], ["postgres", "Postgres"], ["mongodb", "MongoDB"], ["mysql", "MySQL"], ["mysql_async", "MySQL"], ["redis", "Redis"], ["rusqlite", "SQLite"]],
+};
+
+const FRAMEWORKS = {
+  node: [["@nestjs/core", "NestJS"], ["next", "Next.js"], ["nuxt", "Nuxt"], ["@remix-run/node", "Remix"], ["fastify", "Fastify"], ["koa", "Koa"], ["@hapi/hapi", "hapi"], ["express", "Express"]],
+  python: [["django", "Django"], ["fastapi", "FastAPI"], ["flask", "Flask"], ["starlette", "Starlette"], ["tornado", "Tornado"], ["aiohttp", "aiohttp"], ["sanic", "Sanic"]],
+  go: [["github.com/gin-gonic/gin", "Gin"], ["github.com/labstack/echo", "Echo"], ["github.com/gofiber/fiber", "Fiber"], ["github.com/go-chi/chi", "chi"], ["github.com/gorilla/mux", "Gorilla Mux"]],
+  jvm: [["spring-boot", "Spring Boot"], ["io.quarkus", "Quarkus"], ["io.micronaut", "Micronaut"], ["io.ktor", "Ktor"], ["io.vertx", "Vert.x"], ["io.dropwizard", "Dropwizard"]],
+  rust: [["actix-web", "Actix Web"], ["axum", "Axum"], ["rocket", "Rocket"], ["warp", "warp"], ["poem", "Poem"]],
+};
+
+// sqlx names its database through features: sqlx = { features = ["postgres", ...] }
+const sqlxDatabase = (raw = "") => {
+  const features = tomlStrings(/features\s*=\s*\[[^\]]*\]/.exec(raw)?.[0]);
+  if (features.includes("postgres")) return "Postgres";
+  if (features.includes("mysql")) return "MySQL";
+  if (features.includes("sqlite")) return "SQLite";
+  return null;
+};
+
+// `web: gunicorn app:app` -> "gunicorn app:app"
+const procfileCommand = (read) => /^web:\s*(.+)$/m.exec(read("Procfile") || "")?.[1].trim() ?? null;
+
+const analyzeNode = ({ text }) => {
+  const pkg = JSON.parse(text);
+  const deps = { ...(pkg.dependencies || {}), ...(pkg.devDependencies || {}) };
+  const has = (name) => name in deps;
+  const script = ["start", "dev", "serve"].find(name => pkg.scripts?.[name]);
+  return {
+    framework: firstMatch(FRAMEWORKS.node, has),
+    database: firstMatch(DATABASES.node, has),
+    startCommand: script ? (script === "start" ? "npm start" : `npm run ${script}`) : null,
+    dependencyCount: Object.keys(deps).length,
+  };
+};
+
+const pythonDependencies = ({ manifest, text }) => {
+  if (manifest === "requirements.txt") {
+    return text.split(/\r?\n/)
+      .map(line => line.replace(/#.*/, "").trim())
+      // Skip options and includes (-r other.txt, --index-url ...)
+      .filter(line => line && !line.startsWith("-"))
+      .map(pythonPackageName);
+  }
+  const toml = parseToml(text);
+  const pep621 = tomlStrings(toml.project?.dependencies);
+  const optional = Object.values(toml["project.optional-dependencies"] || {}).flatMap(v => tomlStrings(v));
+  const poetry = Object.keys({ ...toml["tool.poetry.dependencies"], ...toml["tool.poetry.dev-dependencies"], ...toml["tool.poetry.group.dev.dependencies"] })
+    .filter(name => name !== "python");
+  return [...pep621, ...optional, ...poetry].map(pythonPackageName);
+};
+
+const analyzePython = ({ manifest, text, read }) => {
+  const deps = new Set(pythonDependencies({ manifest, text }));
+  const has = (name) => deps.has(name);
+  const framework = firstMatch(FRAMEWORKS.python, has);
+
+  const toml = manifest === "pyproject.toml" ? parseToml(text) : {};
+  const script = Object.keys({ ...toml["project.scripts"], ...toml["tool.poetry.scripts"] })[0];
+  const entry = ["main.py", "app.py"].find(name => read(name) !== null);
+  let startCommand = procfileCommand(read);
+  if (!startCommand && script) startCommand = script;
+  if (!startCommand && read("manage.py") !== null) startCommand = "python manage.py runserver";
+  if (!startCommand && entry) {
+    const module = entry.replace(/\.py$/, "");
+    startCommand = framework === "FastAPI" && has("uvicorn") ? `uvicorn ${module}:app` : `python ${entry}`;
+  }
+
+  return { framework, database: firstMatch(DATABASES.python, has), startCommand, dependencyCount: deps.size };
+};
+
+const analyzeGo = ({ text, read, list }) => {
+  // Single-line `require x v1` and `require ( ... )` blocks; indirect deps are not the service's own
+  const requires = [...text.matchAll(/^\s*(?:require\s+)?([\w.-]+\.[\w.-]+\/\S+)\s+v[\w.+-]+(.*)$/gm)]
+    .filter(m => !/\/\/\s*indirect/.test(m[2]))
+    .map(m => m[1]);
+  const has = (prefix) => requires.some(module => module === prefix || module.startsWith(`${prefix}/`));
+
+  let startCommand = null;
+  if (read("main.go") !== null) {
+    startCommand = "go run .";
+  } else {
+    const [command] = list("cmd");
+    if (command) startCommand = `go run ./cmd/${command}`;
+  }
+
+  return {
+    framework: firstMatch(FRAMEWORKS.go, has),
+    database: firstMatch(DATABASES.go, has),
+    startCommand,
+    dependencyCount: requires.length,
+  };
+};
+
+const analyzeMaven = ({ text }) => {
+  const dependencies = [...text.matchAll(/<dependency>([\s\S]*?)<\/dependency>/g)].map(([, body]) => {
+    const tag = (name) => new RegExp(`<${name}>\\s*([^<]+?)\\s*</${name}>`).exec(body)?.[1] ?? "";
+    return `${tag("groupId")}:${tag("artifactId")}`;
+  });
+  const coordinates = [...dependencies, /<parent>[\s\S]*?<\/parent>/.exec(text)?.[0] ?? ""];
+  const has = (fragment) => coordinates.some(c => c.includes(fragment));
+  const springBoot = has("spring-boot");
+  return {
+    framework: firstMatch(FRAMEWORKS.jvm, has),
+    database: firstMatch(DATABASES.jvm, has),
+    startCommand: springBoot ? "mvn spring-boot:run" : /<packaging>\s*war\s*</.test(text) ? null : "mvn package && java -jar target/*.jar",
+    dependencyCount: dependencies.length,
+  };
+};
+
+const analyzeGradle = ({ text }) => {
+  // implementation("group:artifact:version") / implementation 'group:artifact:version'
+  const dependencies = [...text.matchAll(/^\s*(?:implementation|api|compileOnly|runtimeOnly|testImplementation|kapt|annotationProcessor)\s*\(?\s*["']([^"']+)["']/gm)]
+    .map(m => m[1]);
+  const plugins = [...text.matchAll(/id\s*\(?\s*["']([^"']+)["']|^\s*(application|java|`java-library`)\s*$/gm)].map(m => m[1] ?? m[2]);
+  const has = (fragment) => [...dependencies, ...plugins].some(d => d.includes(fragment));
+
+  let startCommand = null;
+  if (plugins.includes("org.springframework.boot")) startCommand = "./gradlew bootRun";
+  else if (plugins.includes("application") || /^\s*application\s*\{/m.test(text)) startCommand = "./gradlew run";
+  else if (plugins.some(p => p.startsWith("io.quarkus"))) startCommand = "./gradlew quarkusDev";
+
+  return {
+    framework: plugins.includes("org.springframework.boot") ? "Spring Boot" : firstMatch(FRAMEWORKS.jvm, has),
+    database: firstMatch(DATABASES.jvm, has),
+    startCommand,
+    dependencyCount: dependencies.length,
+  };
+};
+
+const analyzeRust = ({ text, read }) => {
+  const toml = parseToml(text);
+  const deps = { ...toml.dependencies, ...toml["dev-dependencies"] };
+  const has = (name) => name in deps;
+  const isBinary = read("src/main.rs") !== null || Boolean(toml.bin);
+  return {
+    framework: firstMatch(FRAMEWORKS.rust, has),
+    database: (has("sqlx") && sqlxDatabase(deps.sqlx)) || (has("diesel") && sqlxDatabase(deps.diesel)) || firstMatch(DATABASES.rust, has),
+    startCommand: isBinary ? "cargo run --release" : null,
+    dependencyCount: Object.keys(deps).length,
+  };
+};
+
+/**
+ * In detection order; within an ecosystem the first manifest found is used.
+ */
+export const ECOSYSTEMS = [
+  { id: "node", language: "JavaScript/TypeScript", manifests: ["package.json"], analyze: analyzeNode },
+  { id: "python", language: "Python", manifests: ["pyproject.toml", "requirements.txt"], analyze: analyzePython },
+  { id: "go", language: "Go", manifests: ["go.mod"], analyze: analyzeGo },
+  { id: "maven", language: "Java/Kotlin", manifests: ["pom.xml"], analyze: analyzeMaven },
+  { id: "gradle", language: "Java/Kotlin", manifests: ["build.gradle.kts", "build.gradle"], analyze: analyzeGradle },
+  { id: "rust", language: "Rust", manifests: ["Cargo.toml"], analyze: analyzeRust },
+];
+
+export const MANIFEST_NAMES = ECOSYSTEMS.flatMap(e => e.manifests);
@@ -2,28 +2,67 @@ import { exec } from "child_process";
 import fs from "fs";
 import path from "path";
 import os from "os";
-
-function execPromise(cmd, cwd) {
+import { ECOSYSTEMS, MANIFEST_NAMES } from "./ecosystems.js";
+import { findPipelines, buildCicdReport } from "./cicdAnalyzer.js";
+import { readLockfiles } from "./lockfiles.js";
+import { loadAdvisoryDatabase } from "./advisoryDb.js";
+import { buildDependencyReport } from "./dependencyAudit.js";
+import { lintDockerfile } from "./dockerfileLint.js";
+import { analyzeKubernetes } from "./kubernetesAnalyzer.js";
+
+function execPromise(cmd, cwd, signal) {
   return new Promise((resolve, reject) => {
-    exec(cmd, { cwd, maxBuffer: 1024 * 1024 }, (err, stdout, stderr) => {
+    exec(cmd, { cwd, signal, maxBuffer: 1024 * 1024 }, (err, stdout, stderr) => {
       if (err) reject(stderr || err.message);
       else resolve(stdout);
     });
   });
 }
 
-export const analyzeGithubRepo = async (repoUrl) => {
+/**
+ * DevOps score (0-100), production readiness and risk level of analyzed repository metrics.
+ * CI/CD earns its 30 points in proportion to what the pipeline does (cicd.score), not for existing,
+ * and Kubernetes its 20 in proportion to how production-ready its workloads are (kubernetes.score).
+ */
+export const summarizeRepository = (metrics) => {
+  const devOpsScore =
+    (metrics.docker.present ? 30 : 0) +
+    Math.round((metrics.cicd.score ?? (metrics.cicd.present ? 100 : 0)) * 0.3) +
+    Math.round((metrics.kubernetes.score ?? (metrics.kubernetes.present ? 100 : 0)) * 0.2) +
+    (metrics.hasStartScript ? 20 : 0);
+
+  return {
+    devOpsScore,
+    // Tests must run in CI and deploys (if any) must wait for them
+    productionReady: Boolean(
+      metrics.hasStartScript && metrics.docker.present && metrics.cicd.present &&
+      (metrics.cicd.stages?.test ?? true) && metrics.cicd.deployGatedOnTests !== false
+    ),
+    riskLevel: devOpsScore >= 70 ? "low" : devOpsScore >= 40 ? "medium" : "high",
+  };
+};
+
+export const analyzeGithubRepo = async (repoUrl, { signal } = {}) => {
   const tempDir = path.join(os.tmpdir(), `repo-${Date.now()}`);
 
   const metrics = {
+    language: "Unknown",
     framework: "Unknown",
     hasStartScript: false,
+    startCommand: null,
     database: "None",
     dependencyCount: 0,
-
-    docker: { present: false, hasCMD: false, exposesPort: false },
-    kubernetes: { present: false, type: null },
-    cicd: { present: false },
+    // One entry per detected manifest (Utils/ecosystems.js), e.g. a Go API next to a Node frontend
+    ecosystems: [],
+    // Lockfile audit against the local advisory database (Utils/dependencyAudit.js)
+    dependencies: null,
+
+    // Utils/dockerfileLint.js lintDockerfile() plus the file it read
+    docker: { present: false, hasCMD: false, exposesPort: false, findings: [] },
+    // Utils/kubernetesAnalyzer.js analyzeKubernetes()
+    kubernetes: { present: false, type: null, sources: [], workloads: [], score: 0, issues: [] },
+    // Utils/cicdAnalyzer.js buildCicdReport()
+    cicd: { present: false, providers: [], pipelines: [], stages: {}, triggers: [], deployGatedOnTests: null, score: 0, issues: [] },
 
     issues: [],
     summary: {
@@ -38,10 +77,13 @@ export const analyzeGithubRepo = async (repoUrl) => {
     while (retries > 0) {
       try {
         await execPromise(
-          `git clone --depth 1 --filter=blob:none ${repoUrl} ${tempDir}`
+          `git clone --depth 1 --filter=blob:none ${repoUrl} ${tempDir}`,
+          undefined,
+          signal
         );
         break;
       } catch (e) {
+        if (signal?.aborted) throw signal.reason;
         retries--;
         if (retries === 0) throw e;
         // console.log(`🔄 [Analyzer] Clone failed, retrying... (${retries} left)`);
@@ -50,19 +92,22 @@ export const analyzeGithubRepo = async (repoUrl) => {
     }
 
     // --- SEARCH HELPERS ---
+    const subdirectories = () => fs.readdirSync(tempDir)
+      .filter(f => {
+        try {
+          return fs.statSync(path.join(tempDir, f)).isDirectory() && !f.startsWith('.');
+        } catch (e) { return false; }
+      })
+      .map(f => path.join(tempDir, f));
+
     const findFile = (name) => {
       // Check root first
       let rootPath = path.join(tempDir, name);
       if (fs.existsSync(rootPath)) return rootPath;
 
       // Look in subdirectories (1 level deep)
-      const subdirs = fs.readdirSync(tempDir).filter(f => {
-        try {
-          return fs.statSync(path.join(tempDir, f)).isDirectory() && !f.startsWith('.');
-        } catch (e) { return false; }
-      });
-      for (const dir of subdirs) {
-        let subPath = path.join(tempDir, dir, name);
+      for (const dir of subdirectories()) {
+        let subPath = path.join(dir, name);
         if (fs.existsSync(subPath)) {
           // console.log(`🔍 [Analyzer] Found ${name} in ${dir}/`);
           return subPath;
@@ -72,95 +117,87 @@ export const analyzeGithubRepo = async (repoUrl) => {
       return null;
     };
 
-    const pkgPath = findFile("package.json");
-    if (pkgPath) {
-      const pkg = JSON.parse(fs.readFileSync(pkgPath, "utf-8"));
-      const deps = { ...(pkg.dependencies || {}), ...(pkg.devDependencies || {}) };
-
-      metrics.dependencyCount = Object.keys(deps).length;
-      metrics.hasStartScript = Boolean(pkg.scripts?.start || pkg.scripts?.dev);
-
-      if (deps.express) metrics.framework = "Express";
-      else if (deps.next) metrics.framework = "Next.js";
-      else if (deps["@nestjs/core"]) metrics.framework = "NestJS";
+    // Every ecosystem with a manifest is analysed; the primary (root manifest first, then
+    // ECOSYSTEMS order) fills the top-level framework / database / start fields
+    for (const ecosystem of ECOSYSTEMS) {
+      const manifestPath = ecosystem.manifests.map(findFile).find(Boolean);
+      if (!manifestPath) continue;
+
+      const dir = path.dirname(manifestPath);
+      const manifest = path.basename(manifestPath);
+      const read = (name) => {
+        try { return fs.readFileSync(path.join(dir, name), "utf-8"); } catch (e) { return null; }
+      };
+      const list = (name) => {
+        try {
+          return fs.readdirSync(path.join(dir, name), { withFileTypes: true }).filter(d => d.isDirectory()).map(d => d.name);
+        } catch (e) { return []; }
+      };
 
-      if (deps.mongoose) metrics.database = "MongoDB";
-      else if (deps.pg) metrics.database = "Postgres";
-      else if (deps.mysql2) metrics.database = "MySQL";
+      try {
+        const result = ecosystem.analyze({ manifest, text: read(manifest), read, list });
+        metrics.ecosystems.push({
+          id: ecosystem.id,
+          language: ecosystem.language,
+          manifest: path.relative(tempDir, manifestPath),
+          ...result,
+        });
+        if (!result.startCommand) metrics.issues.push(`No start command found for ${path.relative(tempDir, manifestPath)}`);
+      } catch (e) {
+        metrics.issues.push(`${path.relative(tempDir, manifestPath)} could not be parsed: ${e.message}`);
+      }
+    }
 
-      if (!metrics.hasStartScript) metrics.issues.push("Missing start/dev script");
+    metrics.ecosystems.sort((a, b) => a.manifest.split(path.sep).length - b.manifest.split(path.sep).length);
+    const primary = metrics.ecosystems[0];
+    if (primary) {
+      metrics.language = primary.language;
+      metrics.framework = primary.framework || "Unknown";
+      metrics.database = metrics.ecosystems.find(e => e.database)?.database || "None";
+      metrics.startCommand = primary.startCommand;
+      metrics.hasStartScript = Boolean(primary.startCommand);
+      metrics.dependencyCount = metrics.ecosystems.reduce((sum, e) => sum + e.dependencyCount, 0);
     } else {
-      metrics.issues.push("package.json missing");
+      metrics.issues.push(`No dependency manifest found (${MANIFEST_NAMES.join(", ")})`);
     }
 
-    const dockerfilePath = findFile("Dockerfile");
-    if (dockerfilePath) {
-      metrics.docker.present = true;
-      const dockerfile = fs.readFileSync(dockerfilePath, "utf-8");
-
-      if (/CMD|ENTRYPOINT/i.test(dockerfile)) metrics.docker.hasCMD = true;
-      else metrics.issues.push("Dockerfile missing CMD/ENTRYPOINT");
-
-      if (/EXPOSE\s+\d+/i.test(dockerfile)) metrics.docker.exposesPort = true;
-      else metrics.issues.push("Dockerfile missing EXPOSE");
+    // Resolved versions come from lockfiles only: manifests hold ranges, not what is installed
+    const lockfiles = [tempDir, ...subdirectories()].flatMap(dir => readLockfiles(dir, tempDir));
+    if (lockfiles.length) {
+      metrics.dependencies = buildDependencyReport(lockfiles, loadAdvisoryDatabase());
+      metrics.issues.push(...metrics.dependencies.issues);
+    } else if (metrics.ecosystems.length) {
+      metrics.issues.push("No lockfile found: resolved dependency versions could not be audited");
     }
 
-    // Check for workflows anywhere
-    const findDir = (name) => {
-      if (fs.existsSync(path.join(tempDir, ".github", name))) return true;
-      const subdirs = fs.readdirSync(tempDir).filter(f => {
-        try {
-          return fs.statSync(path.join(tempDir, f)).isDirectory() && !f.startsWith('.');
-        } catch (e) { return false; }
+    const dockerfilePath = findFile("Dockerfile");
+    if (dockerfilePath) {
+      // The Dockerfile's directory is taken as the build context
+      const context = path.dirname(dockerfilePath);
+      const ignorePath = path.join(context, ".dockerignore");
+      const lint = lintDockerfile({
+        text: fs.readFileSync(dockerfilePath, "utf-8"),
+        dockerignore: fs.existsSync(ignorePath) ? fs.readFileSync(ignorePath, "utf-8") : null,
+        contextFiles: fs.readdirSync(context),
       });
-      for (const dir of subdirs) {
-        if (fs.existsSync(path.join(tempDir, dir, ".github", name))) return true;
-      }
-      return false;
-    };
-
-    if (findDir("workflows")) {
-      metrics.cicd.present = true;
-    } else {
-      metrics.issues.push("CI/CD pipeline missing");
-    }
-
-    const k8sDirs = ["k8s", "manifests", "deploy", "deployment"];
-    const hasK8s = k8sDirs.some(dir => {
-      if (fs.existsSync(path.join(tempDir, dir))) return true;
-      const subdirs = fs.readdirSync(tempDir).filter(f => {
-        try {
-          return fs.statSync(path.join(tempDir, f)).isDirectory() && !f.startsWith('.');
-        } catch (e) { return false; }
+      const file = path.relative(tempDir, dockerfilePath);
+      metrics.docker = { present: true, file, ...lint };
+      lint.findings.forEach(f => {
+        const location = f.line ? `${file}:${f.line}` : f.rule.startsWith("dockerignore") ? path.relative(tempDir, ignorePath) : file;
+        metrics.issues.push(`${location}: ${f.message}`);
       });
-      return subdirs.some(sd => fs.existsSync(path.join(tempDir, sd, dir)));
-    });
-
-    if (hasK8s) {
-      metrics.kubernetes.present = true;
-      metrics.kubernetes.type = "raw";
     }
 
-    if (fs.existsSync(path.join(tempDir, "Chart.yaml"))) {
-      metrics.kubernetes.present = true;
-      metrics.kubernetes.type = "helm";
-    }
+    // Pipelines in the repository root and in first-level sub-projects
+    const pipelines = [tempDir, ...subdirectories()].flatMap(dir => findPipelines(dir, tempDir));
+    metrics.cicd = buildCicdReport(pipelines);
+    metrics.issues.push(...metrics.cicd.issues);
+
+    // Manifests and Helm charts of the root and first-level sub-projects, graded per workload
+    metrics.kubernetes = await analyzeKubernetes(tempDir, [tempDir, ...subdirectories()], { signal });
+    metrics.issues.push(...metrics.kubernetes.issues);
 
-    metrics.summary.devOpsScore =
-      (metrics.docker.present ? 30 : 0) +
-      (metrics.cicd.present ? 30 : 0) +
-      (metrics.kubernetes.present ? 20 : 0) +
-      (metrics.hasStartScript ? 20 : 0);
-
-    metrics.summary.productionReady =
-      metrics.hasStartScript && metrics.docker.present && metrics.cicd.present;
-
-    metrics.summary.riskLevel =
-      metrics.summary.devOpsScore >= 70
-        ? "low"
-        : metrics.summary.devOpsScore >= 40
-          ? "medium"
-          : "high";
+    metrics.summary = summarizeRepository(metrics);
 
     return metrics;
   } finally {
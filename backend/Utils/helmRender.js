@@ -0,0 +1,151 @@
+/**
+ * helmRender.js
+ * Renders a Helm chart's templates to plain manifests for the Kubernetes analysis
+ * - With the helm binary (HELM_BIN, default "helm"): `helm template --skip-tests` with the chart's default values
+ * - Without it, or when helm fails (e.g. chart dependencies not vendored): an approximate renderer
+ *   that understands the patterns of `helm create` style charts: `.Values` / `.Chart` / `.Release`
+ *   lookups, `default` and `quote`, `toYaml ... | nindent N`, and `if` / `with` blocks on values.
+ *   Anything else renders as "TEMPLATE" and `range` bodies render once, so results are marked approximate.
+ */
+import { execFile } from "child_process";
+import fs from "fs";
+import path from "path";
+import { parse, stringify } from "yaml";
+
+const HELM_TIMEOUT_MS = 30000;
+const RELEASE_NAME = "release";
+
+const runHelm = (chartDir, signal) => new Promise((resolve, reject) => {
+  execFile(process.env.HELM_BIN || "helm", ["template", RELEASE_NAME, chartDir, "--skip-tests"], { timeout: HELM_TIMEOUT_MS, maxBuffer: 10 * 1024 * 1024, signal }, (err, stdout, stderr) => {
+    if (err) reject(err.code === "ENOENT" ? new Error("helm binary not found") : new Error((stderr || err.message).trim().split("\n")[0]));
+    else resolve(stdout);
+  });
+});
+
+const lookup = (root, dotted) => dotted.split(".").filter(Boolean).reduce((value, key) => value?.[key], root);
+
+const truthy = (value) => !(value === undefined || value === null || value === false || value === "" || value === 0
+  || (Array.isArray(value) && value.length === 0) || (typeof value === "object" && !Array.isArray(value) && Object.keys(value).length === 0));
+
+/**
+ * Approximate render of one template file.
+ * @param {string} text
+ * @param {{Values: object, Chart: object, Release: object}} scope
+ */
+export const approximateTemplate = (text, scope) => {
+  // `.Values.x`, `$.Values.x`, `.Chart.Name`, `.Release.Name`; `.` inside `with` is not tracked
+  const resolve = (expr) => {
+    const ref = /^\$?\.(Values|Chart|Release)((?:\.[\w-]+)*)$/.exec(expr.trim());
+    return ref ? lookup(scope[ref[1]], ref[2]) : undefined;
+  };
+
+  // One `{{ ... }}` expression: a lookup, optionally piped through default / quote
+  const evaluate = (body) => {
+    const [head, ...pipes] = body.split("|").map(s => s.trim());
+    let value;
+    const include = /^include\s+"([^"]+)"/.exec(head);
+    if (include) {
+      // Name helpers ("<chart>.fullname", "<chart>.name") render to the release-prefixed chart name
+      value = /(fullname|name)$/.test(include[1]) ? `${RELEASE_NAME}-${scope.Chart.name}` : undefined;
+    } else if (/^default\s/.test(head)) {
+      const [, fallback, ref] = /^default\s+("[^"]*"|\S+)\s+(\S+)$/.exec(head) ?? [];
+      value = resolve(ref ?? "") ?? fallback?.replace(/^"|"$/g, "");
+    } else if (/^"[^"]*"$/.test(head)) {
+      value = head.slice(1, -1);
+    } else {
+      value = resolve(head);
+    }
+    for (const pipe of pipes) {
+      const fallback = /^default\s+("[^"]*"|\S+)$/.exec(pipe);
+      if (fallback && !truthy(value)) value = resolve(fallback[1]) ?? fallback[1].replace(/^"|"$/g, "");
+      if (pipe === "quote" && value !== undefined) value = JSON.stringify(String(value));
+    }
+    return value;
+  };
+
+  const selectorLabels = { "app.kubernetes.io/name": scope.Chart.name, "app.kubernetes.io/instance": RELEASE_NAME };
+  const out = [];
+  // One entry per open block: whether its body renders
+  const blocks = [];
+  const active = () => blocks.every(Boolean);
+
+  for (const line of text.split(/\r?\n/)) {
+    const control = /^\s*\{\{-?\s*(if|else if|else|with|range|define|block|end)\b\s*(.*?)\s*-?\}\}\s*$/.exec(line);
+    if (control) {
+      const [, keyword, condition] = control;
+      if (keyword === "end") blocks.pop();
+      else if (keyword === "else" || keyword === "else if") blocks[blocks.length - 1] = !blocks.at(-1);
+      else if (keyword === "define") blocks.push(false);
+      else if (keyword === "range" || keyword === "block") blocks.push(true);
+      else {
+        const negated = /^not\s+/.test(condition);
+        const value = resolve(condition.replace(/^not\s+/, ""));
+        // Conditions other than a plain value lookup cannot be evaluated; keep the block
+        blocks.push(value === undefined && !/^\$?\.Values/.test(condition.replace(/^not\s+/, "")) ? true : negated !== truthy(value));
+      }
+      continue;
+    }
+    if (!active() || /^\s*\{\{-?\s*\/\*/.test(line)) continue;
+
+    // key: {{- toYaml .Values.x | nindent N }}  /  {{- include "x.selectorLabels" . | nindent N }}
+    const block = /^(\s*)(.*?)\{\{-?\s*(?:toYaml\s+(\S+)|include\s+"([^"]+)"\s+\S+)\s*\|\s*n?indent\s+(\d+)\s*-?\}\}\s*$/.exec(line);
+    if (block) {
+      const [, , prefix, ref, helper, indent] = block;
+      // Label helpers render the selector labels `helm create` charts use, so PDB / HPA selectors still match
+      const value = ref ? resolve(ref) : /labels$/i.test(helper) ? selectorLabels : undefined;
+      if (prefix.trim()) out.push(`${block[1]}${prefix.trimEnd()}`);
+      if (value !== undefined && truthy(value)) {
+        out.push(...stringify(value).trimEnd().split("\n").map(l => `${" ".repeat(Number(indent))}${l}`));
+      } else if (prefix.trim().endsWith(":")) {
+        out[out.length - 1] += " {}";
+      }
+      continue;
+    }
+
+    out.push(line.replace(/\{\{-?\s*(.*?)\s*-?\}\}/g, (whole, body) => {
+      const value = evaluate(body);
+      if (value === undefined || value === null) return "TEMPLATE";
+      return typeof value === "object" ? JSON.stringify(value) : String(value);
+    }));
+  }
+  return out.join("\n");
+};
+
+const approximateChart = (chartDir) => {
+  const read = (name) => fs.readFileSync(path.join(chartDir, name), "utf-8");
+  const chart = parse(read("Chart.yaml")) ?? {};
+  const values = fs.existsSync(path.join(chartDir, "values.yaml")) ? parse(read("values.yaml")) ?? {} : {};
+  const scope = {
+    Values: values,
+    Chart: { ...chart, Name: chart.name, Version: chart.version, AppVersion: chart.appVersion },
+    Release: { Name: RELEASE_NAME, Namespace: "default" },
+  };
+
+  const templatesDir = path.join(chartDir, "templates");
+  const templates = fs.existsSync(templatesDir)
+    // templates/tests/ holds `helm test` hooks, which `helm template --skip-tests` leaves out too
+    ? fs.readdirSync(templatesDir, { recursive: true }).map(String)
+      .filter(f => /\.ya?ml$/.test(f) && !f.split(path.sep).includes("tests")).sort()
+    : [];
+  return templates.map(file => `---\n# Source: ${path.basename(chartDir)}/templates/${file}\n${approximateTemplate(read(path.join("templates", file)), scope)}`).join("\n");
+};
+
+// "# Source: chart/templates/deployment.yaml" headers tell which template a document came from
+const splitRendered = (output) => output.split(/^---\s*$/m).map(text => ({
+  source: /^# Source:\s*(.+)$/m.exec(text)?.[1]?.trim() ?? null,
+  text,
+})).filter(doc => doc.text.trim());
+
+/**
+ * @param {string} chartDir - directory holding Chart.yaml
+ * @param {{signal?: AbortSignal}} [options]
+ * @returns {Promise<{renderer: "helm"|"approximate", error: string|null, documents: Array<{source, text}>}>}
+ */
+export const renderHelmChart = async (chartDir, { signal } = {}) => {
+  try {
+    return { renderer: "helm", error: null, documents: splitRendered(await runHelm(chartDir, signal)) };
+  } catch (e) {
+    if (signal?.aborted) throw signal.reason;
+    return { renderer: "approximate", error: e.message, documents: splitRendered(approximateChart(chartDir)) };
+  }
+};
@@ -0,0 +1,206 @@
+/**
+ * jobQueue.js
+ * In-memory job queue with bounded concurrency
+ * - Jobs are owned by a user and report per-phase progress
+ * - Running jobs can be cancelled through their AbortController
+ * - Subscribers receive "status", "progress" and "end" events (used for SSE streaming)
+ * - Finished jobs are kept for `retentionMs` so clients can poll the outcome
+ *
+ * NOTE: State lives in process memory, so queued jobs do not survive a restart.
+ */
+import { randomUUID } from "crypto";
+
+export const JOB_STATUS = ["queued", "running", "completed", "failed", "cancelled"];
+export const PHASE_STATUS = ["pending", "running", "completed", "failed", "skipped", "cancelled"];
+
+const isFinished = (status) => ["completed", "failed", "cancelled"].includes(status);
+
+// Progress samples kept per job so late subscribers can draw the full chart
+const MAX_PROGRESS_HISTORY = 900;
+
+/**
+ * Public view of a job (no controller / handler internals)
+ */
+export const serializeJob = (job) => ({
+  id: job.id,
+  status: job.status,
+  phases: job.phases,
+  position: job.position ?? null,
+  result: job.result,
+  error: job.error,
+  createdAt: job.createdAt,
+  startedAt: job.startedAt,
+  finishedAt: job.finishedAt,
+});
+
+/**
+ * @param {object} options
+ * @param {number} options.concurrency - max jobs running at once
+ * @param {number} options.retentionMs - how long finished jobs stay pollable
+ */
+export const createJobQueue = ({ concurrency = 2, retentionMs = 60 * 60 * 1000 } = {}) => {
+  const jobs = new Map();
+  const pending = [];
+  let running = 0;
+
+  const publish = (job, type, data) => {
+    for (const listener of job.listeners) {
+      try {
+        listener({ type, data });
+      } catch (err) {
+        console.error(`⚠️ Job ${job.id} listener failed:`, err);
+      }
+    }
+  };
+
+  // Re-numbers the waiting line and tells each queued job its new place
+  const updatePositions = () => {
+    pending.forEach((job, i) => {
+      job.position = i + 1;
+      publish(job, "status", serializeJob(job));
+    });
+  };
+
+  const finish = (job, status, patch = {}) => {
+    if (isFinished(job.status)) return;
+    Object.assign(job, patch, { status, finishedAt: new Date(), position: null });
+
+    // Anything still pending/running at this point will never complete
+    for (const phase of Object.values(job.phases)) {
+      if (phase.status === "pending" || phase.status === "running") {
+        phase.status = status === "cancelled" ? "cancelled" : "skipped";
+        phase.finishedAt = phase.finishedAt || new Date();
+      }
+    }
+
+    publish(job, "status", serializeJob(job));
+    publish(job, "end", serializeJob(job));
+    job.listeners.clear();
+
+    setTimeout(() => jobs.delete(job.id), retentionMs).unref();
+  };
+
+  const setPhase = (job, name, status, error = null) => {
+    const phase = job.phases[name];
+    if (!phase || isFinished(job.status)) return;
+    phase.status = status;
+    if (status === "running") phase.startedAt = new Date();
+    else phase.finishedAt = new Date();
+    if (error) phase.error = typeof error === "string" ? error : error.message;
+    publish(job, "status", serializeJob(job));
+  };
+
+  const reportProgress = (job, data) => {
+    if (isFinished(job.status)) return;
+    job.progress.push(data);
+    if (job.progress.length > MAX_PROGRESS_HISTORY) job.progress.shift();
+    publish(job, "progress", data);
+  };
+
+  const drain = () => {
+    while (running < concurrency && pending.length > 0) {
+      const job = pending.shift();
+      updatePositions();
+      run(job);
+    }
+  };
+
+  const run = async (job) => {
+    running++;
+    job.status = "running";
+    job.startedAt = new Date();
+    job.position = null;
+    publish(job, "status", serializeJob(job));
+
+    try {
+      const result = await job.handler({
+        signal: job.controller.signal,
+        setPhase: (name, status, error) => setPhase(job, name, status, error),
+        reportProgress: (data) => reportProgress(job, data),
+      });
+      if (job.controller.signal.aborted) finish(job, "cancelled");
+      else finish(job, "completed", { result });
+    } catch (err) {
+      if (job.controller.signal.aborted) finish(job, "cancelled");
+      else {
+        console.error(`❌ Job ${job.id} failed:`, err);
+        finish(job, "failed", { error: err.message || String(err) });
+      }
+    } finally {
+      running--;
+      drain();
+    }
+  };
+
+  return {
+    /**
+     * @param {object} options
+     * @param {string} options.owner - user id allowed to read/cancel the job
+     * @param {string[]} options.phases - ordered phase names reported while running
+     * @param {Function} options.handler - async ({ signal, setPhase, reportProgress }) => result
+     */
+    enqueue({ owner, phases = [], handler }) {
+      const job = {
+        id: randomUUID(),
+        owner: String(owner),
+        status: "queued",
+        phases: Object.fromEntries(phases.map(name => [name, { status: "pending" }])),
+        result: null,
+        error: null,
+        createdAt: new Date(),
+        startedAt: null,
+        finishedAt: null,
+        progress: [],
+        listeners: new Set(),
+        controller: new AbortController(),
+        handler,
+      };
+
+      jobs.set(job.id, job);
+      pending.push(job);
+      updatePositions();
+      drain();
+      return job;
+    },
+
+    /**
+     * Registers a listener for job events. Returns an unsubscribe function.
+     * Finished jobs have no further events, so callers should check `status` first.
+     */
+    subscribe(id, owner, listener) {
+      const job = this.get(id, owner);
+      if (!job) return null;
+      job.listeners.add(listener);
+      return () => job.listeners.delete(listener);
+    },
+
+    get(id, owner) {
+      const job = jobs.get(id);
+      if (!job || (owner !== undefined && job.owner !== String(owner))) return null;
+      return job;
+    },
+
+    /**
+     * Cancels a queued or running job. Returns false if it already finished.
+     */
+    cancel(id, owner) {
+      const job = this.get(id, owner);
+      if (!job || isFinished(job.status)) return false;
+
+      const index = pending.indexOf(job);
+      if (index !== -1) {
+        pending.splice(index, 1);
+        updatePositions();
+      }
+
+      job.controller.abort();
+      finish(job, "cancelled");
+      return true;
+    },
+  };
+};
+
+// Shared queue for POST /api/load-test
+export const loadTestQueue = createJobQueue({
+  concurrency: Number(process.env.LOAD_TEST_CONCURRENCY) || 2,
+});
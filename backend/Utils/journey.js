@@ -0,0 +1,166 @@
+/**
+ * journey.js
+ * Scripted browser user journeys (sign in, search, add to cart, ...) for the Playwright runner
+ * - normalizeJourney: validates the declarative journey from the request body
+ * - renderValue: fills {{variable}} placeholders in step values
+ * - summarizeJourney: overall status and timing from the per-step results
+ *
+ * Journey shape:
+ * {
+ *   name: "checkout",
+ *   variables: { email: "demo@acme.io" },
+ *   steps: [
+ *     { action: "navigate", url: "/login" },                    // relative to the target URL or absolute
+ *     { action: "fill", selector: "#email", value: "{{email}}" },
+ *     { action: "click", selector: "button[type=submit]", navigates: true },  // waits for the page it opens to load
+ *     { action: "press", selector: "#search", key: "Enter", navigates: true },
+ *     { action: "waitFor", selector: ".cart-count", state: "visible" },
+ *     { action: "assertText", text: "Order confirmed", selector: "main" }
+ *   ]
+ * }
+ * Every step may set `name` and `timeoutMs`. The journey stops at the first failed step;
+ * the rest are reported as skipped. A click or press without `navigates` still waits for a
+ * navigation that starts while the action runs, but not for one started later by a script.
+ */
+
+export const JOURNEY_ACTIONS = ["navigate", "click", "fill", "press", "waitFor", "assertText"];
+export const WAIT_STATES = ["visible", "attached", "hidden", "detached"];
+
+export const JOURNEY_LIMITS = { maxSteps: 30, maxTimeoutMs: 60000 };
+export const DEFAULT_STEP_TIMEOUT_MS = 10000;
+
+const VARIABLE_NAME = /^[A-Za-z_][A-Za-z0-9_]*$/;
+
+// Fields each action needs (and the only ones it keeps)
+const ACTION_FIELDS = {
+  navigate: ["url"],
+  click: ["selector"],
+  fill: ["selector", "value"],
+  press: ["selector", "key"],
+  waitFor: ["selector"],
+  assertText: ["text"],
+};
+
+const isPlainObject = (v) => v !== null && typeof v === "object" && !Array.isArray(v);
+
+const normalizeStep = (step, prefix, errors) => {
+  if (!isPlainObject(step)) {
+    errors.push(`${prefix} must be an object`);
+    return null;
+  }
+  if (!JOURNEY_ACTIONS.includes(step.action)) {
+    errors.push(`${prefix}.action must be one of: ${JOURNEY_ACTIONS.join(", ")}`);
+    return null;
+  }
+
+  const normalized = { action: step.action };
+  for (const field of ACTION_FIELDS[step.action]) {
+    // An empty value is allowed for fill (clears the field), nothing else may be empty
+    const allowEmpty = field === "value";
+    if (typeof step[field] !== "string" || (!allowEmpty && step[field].trim() === "")) {
+      errors.push(`${prefix}.${field} is required for ${step.action}`);
+    }
+    normalized[field] = step[field];
+  }
+
+  if (step.action === "waitFor") {
+    normalized.state = step.state ?? "visible";
+    if (!WAIT_STATES.includes(normalized.state)) errors.push(`${prefix}.state must be one of: ${WAIT_STATES.join(", ")}`);
+  }
+  if (step.action === "click" || step.action === "press") {
+    normalized.navigates = step.navigates ?? false;
+    if (typeof normalized.navigates !== "boolean") errors.push(`${prefix}.navigates must be a boolean`);
+  }
+  if (step.action === "assertText") {
+    normalized.selector = step.selector ?? "body";
+    if (typeof normalized.selector !== "string" || normalized.selector.trim() === "") {
+      errors.push(`${prefix}.selector must be a non-empty string`);
+    }
+  }
+
+  const timeoutMs = step.timeoutMs != null ? Number(step.timeoutMs) : DEFAULT_STEP_TIMEOUT_MS;
+  if (!Number.isFinite(timeoutMs) || timeoutMs < 100 || timeoutMs > JOURNEY_LIMITS.maxTimeoutMs) {
+    errors.push(`${prefix}.timeoutMs must be between 100 and ${JOURNEY_LIMITS.maxTimeoutMs}`);
+  }
+  normalized.timeoutMs = timeoutMs;
+
+  return normalized;
+};
+
+const defaultStepName = (step, i) => {
+  const target = step.url ?? step.selector ?? step.text ?? "";
+  return `${i + 1}. ${step.action}${target ? ` ${target}` : ""}`.slice(0, 80);
+};
+
+/**
+ * Validates a raw journey from the request body.
+ * @param {object} [input]
+ * @returns {{ journey: object|null, errors: string[] }}
+ */
+export const normalizeJourney = (input) => {
+  if (input == null) return { journey: null, errors: [] };
+  if (!isPlainObject(input)) return { journey: null, errors: ["journey must be an object"] };
+
+  if (!Array.isArray(input.steps) || input.steps.length === 0) {
+    return { journey: null, errors: ["journey.steps must contain at least one step"] };
+  }
+  if (input.steps.length > JOURNEY_LIMITS.maxSteps) {
+    return { journey: null, errors: [`journey may have at most ${JOURNEY_LIMITS.maxSteps} steps`] };
+  }
+
+  const errors = [];
+  const variables = {};
+  if (input.variables != null) {
+    if (!isPlainObject(input.variables)) {
+      errors.push("journey.variables must be an object");
+    } else {
+      for (const [name, value] of Object.entries(input.variables)) {
+        if (!VARIABLE_NAME.test(name)) errors.push(`journey.variables: "${name}" is not a valid variable name`);
+        else variables[name] = String(value);
+      }
+    }
+  }
+
+  const steps = input.steps.map((step, i) => {
+    const normalized = normalizeStep(step, `steps[${i}]`, errors);
+    if (!normalized) return null;
+    const name = typeof step.name === "string" && step.name.trim() ? step.name.trim().slice(0, 80) : defaultStepName(normalized, i);
+    return { name, ...normalized };
+  });
+
+  const name = typeof input.name === "string" && input.name.trim() ? input.name.trim().slice(0, 80) : "journey";
+  return errors.length > 0 ? { journey: null, errors } : { journey: { name, variables, steps }, errors };
+};
+
+/**
+ * "{{email}}" -> the variable's value; unknown placeholders are left as they are.
+ */
+export const renderValue = (value, variables) =>
+  value.replace(/\{\{\s*([A-Za-z_][A-Za-z0-9_]*)\s*\}\}/g, (m, name) => variables[name] ?? m);
+
+/**
+ * Step URLs are relative to the target URL unless absolute (as in k6 scenarios).
+ */
+export const resolveStepURL = (url, baseURL) => /^https?:\/\//i.test(url)
+  ? url
+  : `${baseURL.replace(/\/+$/, "")}/${url.replace(/^\/+/, "")}`;
+
+/**
+ * @param {object} journey - normalized journey
+ * @param {Array} steps - per-step results ({ name, action, status, durationMs, error, screenshot })
+ * @returns {{ name, status, passed, failed, skipped, totalMs, failedStep, steps }}
+ */
+export const summarizeJourney = (journey, steps) => {
+  const count = (status) => steps.filter(s => s.status === status).length;
+  const failed = count("failed");
+  return {
+    name: journey.name,
+    status: failed > 0 ? "failed" : "passed",
+    passed: count("passed"),
+    failed,
+    skipped: count("skipped"),
+    totalMs: steps.reduce((sum, s) => sum + (s.durationMs ?? 0), 0),
+    failedStep: steps.find(s => s.status === "failed")?.name ?? null,
+    steps,
+  };
+};
@@ -0,0 +1,391 @@
+/**
+ * k6Stream.js
+ * Helpers for k6's streaming `--out json=<file>` output (one JSON object per line)
+ * - tailFile: follows the file while k6 is still writing it
+ * - createLiveStats: rolling VUs / req/s / p95 / error count for live progress
+ * - createTimeSeries: per-second latency percentiles, throughput, VUs and failures
+ * - createBreakdown: status classes, network error classes and per-endpoint stats
+ */
+import fs from "fs";
+import { StringDecoder } from "string_decoder";
+
+/**
+ * Follows a growing file and calls `onLine` for every complete line.
+ * @param {string} filePath
+ * @param {Function} onLine - (line: string) => void
+ * @param {object} [options]
+ * @param {number} [options.intervalMs] - poll interval
+ * @returns {{ stop: () => void }} stop() reads whatever is left and closes the file
+ */
+export const tailFile = (filePath, onLine, { intervalMs = 500 } = {}) => {
+  let fd = null;
+  let offset = 0;
+  let remainder = "";
+  const decoder = new StringDecoder("utf8"); // keeps multi-byte characters split across reads intact
+  const buffer = Buffer.alloc(64 * 1024);
+
+  const readAvailable = () => {
+    if (fd === null) {
+      if (!fs.existsSync(filePath)) return;
+      fd = fs.openSync(filePath, "r");
+    }
+
+    let bytesRead;
+    do {
+      bytesRead = fs.readSync(fd, buffer, 0, buffer.length, offset);
+      offset += bytesRead;
+      remainder += decoder.write(buffer.subarray(0, bytesRead));
+
+      const lines = remainder.split("\n");
+      remainder = lines.pop();
+      for (const line of lines) {
+        if (line.trim()) onLine(line);
+      }
+    } while (bytesRead === buffer.length);
+  };
+
+  const timer = setInterval(() => {
+    try {
+      readAvailable();
+    } catch (err) {
+      console.error("⚠️ Failed to tail k6 output:", err.message);
+    }
+  }, intervalMs);
+
+  return {
+    stop() {
+      clearInterval(timer);
+      try {
+        readAvailable();
+        if (remainder.trim()) onLine(remainder);
+      } catch (err) {
+        console.error("⚠️ Failed to read final k6 output:", err.message);
+      }
+      if (fd !== null) fs.closeSync(fd);
+      fd = null;
+    },
+  };
+};
+
+/**
+ * Parses one line of k6 JSON output. Only metric samples ("Point") are returned.
+ * @returns {{ metric: string, time: number, value: number, tags: object }|null}
+ */
+export const parseK6Point = (line) => {
+  let entry;
+  try {
+    entry = JSON.parse(line);
+  } catch (e) {
+    return null;
+  }
+  if (entry?.type !== "Point" || !entry.data) return null;
+
+  return {
+    metric: entry.metric,
+    time: Date.parse(entry.data.time),
+    value: entry.data.value,
+    tags: entry.data.tags || {},
+  };
+};
+
+export const percentile = (sorted, p) => {
+  if (sorted.length === 0) return null;
+  const index = Math.min(sorted.length - 1, Math.ceil((p / 100) * sorted.length) - 1);
+  return sorted[Math.max(0, index)];
+};
+
+/**
+ * Rolling statistics over the most recent k6 samples.
+ * @param {object} [options]
+ * @param {number} [options.windowSeconds] - window used for the rolling p95
+ */
+export const createLiveStats = ({ windowSeconds = 10 } = {}) => {
+  let startTime = null;
+  let latestTime = null;
+  let vus = 0;
+  let totalRequests = 0;
+  let errorCount = 0;
+  let recent = []; // { time, duration }
+  const requestTimes = []; // request timestamps within the last couple of seconds
+
+  // Runs on every sample, so the buffers stay bounded even when no one reads snapshots
+  const trim = () => {
+    const windowStart = latestTime - windowSeconds * 1000;
+    while (recent.length > 0 && recent[0].time < windowStart) recent.shift();
+    while (requestTimes.length > 0 && requestTimes[0] <= latestTime - 1000) requestTimes.shift();
+  };
+
+  return {
+    add(point) {
+      if (!point || !Number.isFinite(point.time)) return;
+      startTime = startTime ?? point.time;
+      latestTime = Math.max(latestTime ?? point.time, point.time);
+
+      switch (point.metric) {
+        case "vus":
+          vus = point.value;
+          break;
+        case "http_reqs":
+          totalRequests += point.value;
+          requestTimes.push(point.time);
+          break;
+        case "http_req_failed":
+          if (point.value) errorCount++;
+          break;
+        case "http_req_duration":
+          recent.push({ time: point.time, duration: point.value });
+          break;
+        default:
+          break;
+      }
+      trim();
+    },
+
+    snapshot() {
+      if (latestTime === null) return null;
+
+      // trim() only drops from the front; late samples can leave older ones further in
+      const windowStart = latestTime - windowSeconds * 1000;
+      recent = recent.filter(r => r.time >= windowStart);
+
+      const durations = recent.map(r => r.duration).sort((a, b) => a - b);
+      const p95 = percentile(durations, 95);
+
+      return {
+        elapsedSeconds: Math.round((latestTime - startTime) / 1000),
+        vus,
+        requestsPerSecond: requestTimes.length,
+        p95: p95 === null ? null : Number(p95.toFixed(2)),
+        errorCount,
+        totalRequests,
+      };
+    },
+  };
+};
+
+const round = (v) => (v === null || !Number.isFinite(v) ? null : Number(v.toFixed(2)));
+
+/**
+ * Aggregates raw k6 samples into one-second buckets.
+ * Buckets more than `closeAfterSeconds` behind the newest sample are reduced to
+ * percentiles and their raw durations dropped, so memory stays flat on long runs.
+ * @param {object} [options]
+ * @param {number} [options.closeAfterSeconds] - tolerance for late (out of order) samples
+ */
+export const createTimeSeries = ({ closeAfterSeconds = 3 } = {}) => {
+  let startSecond = null;
+  let latestSecond = null;
+  const buckets = new Map(); // second offset -> bucket
+
+  const getBucket = (second) => {
+    let bucket = buckets.get(second);
+    if (!bucket) {
+      bucket = { requests: 0, failures: 0, vus: null, durations: [], durationSum: 0, durationCount: 0, closed: null };
+      buckets.set(second, bucket);
+    }
+    return bucket;
+  };
+
+  const close = (bucket) => {
+    const sorted = bucket.durations.sort((a, b) => a - b);
+    bucket.closed = {
+      p50: round(percentile(sorted, 50)),
+      p95: round(percentile(sorted, 95)),
+      p99: round(percentile(sorted, 99)),
+    };
+    bucket.durations = [];
+  };
+
+  return {
+    add(point) {
+      if (!point || !Number.isFinite(point.time)) return;
+      const absolute = Math.floor(point.time / 1000);
+      startSecond = startSecond ?? absolute;
+      if (absolute < startSecond) return;
+
+      const second = absolute - startSecond;
+      const bucket = getBucket(second);
+
+      switch (point.metric) {
+        case "vus":
+          bucket.vus = Math.max(bucket.vus ?? 0, point.value);
+          break;
+        case "http_reqs":
+          bucket.requests += point.value;
+          break;
+        case "http_req_failed":
+          if (point.value) bucket.failures++;
+          break;
+        case "http_req_duration":
+          bucket.durationSum += point.value;
+          bucket.durationCount++;
+          // Late samples for an already reduced second only count towards the average
+          if (!bucket.closed) bucket.durations.push(point.value);
+          break;
+        default:
+          return;
+      }
+
+      if (latestSecond === null || second > latestSecond) {
+        latestSecond = second;
+        for (const [s, b] of buckets) {
+          if (!b.closed && s < second - closeAfterSeconds) close(b);
+        }
+      }
+    },
+
+    /**
+     * @returns {Array<{ t, vus, requests, failures, avg, p50, p95, p99 }>} one entry per elapsed second
+     */
+    toSeries() {
+      if (latestSecond === null) return [];
+
+      const series = [];
+      let lastVUs = 0;
+      for (let t = 0; t <= latestSecond; t++) {
+        const bucket = buckets.get(t);
+        if (bucket && !bucket.closed) close(bucket);
+
+        // k6 only samples VUs periodically; carry the last known value forward
+        if (bucket?.vus != null) lastVUs = bucket.vus;
+
+        series.push({
+          t,
+          vus: lastVUs,
+          requests: bucket?.requests ?? 0,
+          failures: bucket?.failures ?? 0,
+          avg: bucket?.durationCount ? round(bucket.durationSum / bucket.durationCount) : null,
+          p50: bucket?.closed?.p50 ?? null,
+          p95: bucket?.closed?.p95 ?? null,
+          p99: bucket?.closed?.p99 ?? null,
+        });
+      }
+      return series;
+    },
+  };
+};
+
+export const STATUS_CLASSES = ["2xx", "3xx", "4xx", "5xx"];
+export const ERROR_CLASSES = ["timeout", "connectionRefused", "connectionReset", "dns", "tls", "other"];
+
+/**
+ * Maps a request sample without an HTTP response onto an error class, using
+ * k6's `error_code` tag (https://grafana.com/docs/k6/latest/javascript-api/error-codes/).
+ * @returns {string|null} null when the request got an HTTP response
+ */
+export const classifyError = (tags = {}) => {
+  if (Number(tags.status) > 0) return null;
+
+  const code = Number(tags.error_code);
+
+  if (code === 1050 || code === 1211) return "timeout";
+  if (code === 1212) return "connectionRefused";
+  if (code === 1201 || code === 1220) return "connectionReset";
+  if (code >= 1100 && code < 1200) return "dns";
+  if (code >= 1300 && code < 1400) return "tls";
+  return "other";
+};
+
+const statusClass = (status) => {
+  const n = Number(status);
+  return n >= 200 && n < 600 ? `${Math.floor(n / 100)}xx` : null;
+};
+
+const OTHER_ENDPOINTS = "(other endpoints)";
+
+/**
+ * Response distribution of a run, from raw `http_reqs` / `http_req_duration` samples.
+ * Endpoints are grouped by k6's `name` tag (scenario step name, or the URL by default).
+ * @param {object} [options]
+ * @param {number} [options.maxEndpoints] - distinct endpoints tracked before the rest are pooled
+ * @param {number} [options.sampleSize] - latency reservoir per endpoint (keeps memory flat)
+ */
+export const createBreakdown = ({ maxEndpoints = 50, sampleSize = 5000 } = {}) => {
+  const statusCodes = {}; // exact status -> count
+  const statusClasses = Object.fromEntries(STATUS_CLASSES.map(c => [c, 0]));
+  const errorClasses = Object.fromEntries(ERROR_CLASSES.map(c => [c, 0]));
+  const endpoints = new Map();
+  let totalRequests = 0;
+
+  const getEndpoint = (tags) => {
+    let key = tags.name || tags.url || "(unnamed)";
+    if (!endpoints.has(key) && endpoints.size >= maxEndpoints) key = OTHER_ENDPOINTS;
+    let endpoint = endpoints.get(key);
+    if (!endpoint) {
+      endpoint = {
+        name: key,
+        method: key === OTHER_ENDPOINTS ? null : tags.method || null,
+        requests: 0,
+        failures: 0,
+        networkErrors: 0,
+        statusClasses: Object.fromEntries(STATUS_CLASSES.map(c => [c, 0])),
+        durationSum: 0,
+        durationCount: 0,
+        samples: [],
+      };
+      endpoints.set(key, endpoint);
+    }
+    return endpoint;
+  };
+
+  return {
+    add(point) {
+      if (!point) return;
+      const tags = point.tags || {};
+
+      if (point.metric === "http_reqs") {
+        const endpoint = getEndpoint(tags);
+        totalRequests += point.value;
+        endpoint.requests += point.value;
+
+        const errorClass = classifyError(tags);
+        if (errorClass) {
+          errorClasses[errorClass] += point.value;
+          endpoint.networkErrors += point.value;
+        }
+        const cls = statusClass(tags.status);
+        if (cls) {
+          statusClasses[cls] += point.value;
+          endpoint.statusClasses[cls] += point.value;
+          statusCodes[tags.status] = (statusCodes[tags.status] || 0) + point.value;
+        }
+      } else if (point.metric === "http_req_failed") {
+        if (point.value) getEndpoint(tags).failures++;
+      } else if (point.metric === "http_req_duration") {
+        const endpoint = getEndpoint(tags);
+        endpoint.durationSum += point.value;
+        endpoint.durationCount++;
+        // Reservoir sampling: every sample has the same chance to be kept
+        if (endpoint.samples.length < sampleSize) {
+          endpoint.samples.push(point.value);
+        } else {
+          const j = Math.floor(Math.random() * endpoint.durationCount);
+          if (j < sampleSize) endpoint.samples[j] = point.value;
+        }
+      }
+    },
+
+    /**
+     * @returns {{ totalRequests, statusCodes, statusClasses, errorClasses, endpoints: Array }}
+     */
+    toJSON() {
+      return {
+        totalRequests,
+        statusCodes,
+        statusClasses,
+        errorClasses,
+        endpoints: [...endpoints.values()]
+          .map(({ samples, durationSum, durationCount, ...endpoint }) => {
+            const sorted = [...samples].sort((a, b) => a - b);
+            return {
+              ...endpoint,
+              errorRate: endpoint.requests > 0 ? Number((endpoint.failures / endpoint.requests).toFixed(4)) : 0,
+              avg: durationCount ? round(durationSum / durationCount) : null,
+              p95: round(percentile(sorted, 95)),
+            };
+          })
+          .sort((a, b) => b.requests - a.requests),
+      };
+    },
+  };
+};
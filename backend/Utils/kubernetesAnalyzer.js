@@ -0,0 +1,276 @@
+/**
+ * kubernetesAnalyzer.js
+ * Kubernetes manifest and Helm chart quality for the repository analysis (Utils/githubAnalyzer.js)
+ * - Finds manifests under the usual deployment folders (MANIFEST_DIRS) of the repository root and
+ *   its first-level sub-projects; charts (a Chart.yaml) are rendered by Utils/helmRender.js first
+ * - Grades every workload (Deployment, StatefulSet, DaemonSet, Job, ...) against KUBERNETES_CHECKS:
+ *   requests/limits, probes, replicas, HPA, PodDisruptionBudget, image pinning, securityContext
+ * - The Kubernetes score is the mean of the workload scores; a warn earns half a check's weight
+ *   and checks that do not apply to a kind (probes on a Job, replicas on a DaemonSet) are left out
+ */
+import fs from "fs";
+import path from "path";
+import { parseAllDocuments } from "yaml";
+import { renderHelmChart } from "./helmRender.js";
+
+export const MANIFEST_DIRS = ["k8s", "kubernetes", "kube", "manifests", "deploy", "deployment", "deployments", "helm", "charts", "chart"];
+
+export const KUBERNETES_CHECKS = {
+  "resource-requests": { weight: 15, description: "CPU and memory requests on every container", label: "CPU/memory requests" },
+  "resource-limits": { weight: 10, description: "Memory limit on every container", label: "memory limit" },
+  "liveness-probe": { weight: 15, description: "Liveness probe on every container", label: "liveness probe" },
+  "readiness-probe": { weight: 15, description: "Readiness probe on every container", label: "readiness probe" },
+  "replicas": { weight: 10, description: "At least 2 replicas (directly or through the HPA minimum)", label: "2+ replicas" },
+  "hpa": { weight: 10, description: "HorizontalPodAutoscaler targets the workload", label: "HPA" },
+  "pdb": { weight: 10, description: "PodDisruptionBudget covers the pods", label: "PodDisruptionBudget" },
+  "image-pinned": { weight: 10, description: "Images pinned to a version tag or digest", label: "pinned image tags" },
+  "security-context": { weight: 15, description: "Non-root, no privilege escalation, not privileged", label: "non-root securityContext" },
+};
+
+const POD_SPEC_PATHS = {
+  Deployment: ["spec", "template"],
+  StatefulSet: ["spec", "template"],
+  DaemonSet: ["spec", "template"],
+  ReplicaSet: ["spec", "template"],
+  Rollout: ["spec", "template"],
+  Job: ["spec", "template"],
+  CronJob: ["spec", "jobTemplate", "spec", "template"],
+  Pod: [],
+};
+const SCALABLE = new Set(["Deployment", "StatefulSet", "ReplicaSet", "Rollout"]);
+const RUN_TO_COMPLETION = new Set(["Job", "CronJob"]);
+
+// Walk limits, so a vendored chart collection cannot stall the analysis
+const MAX_DEPTH = 5;
+const MAX_FILES = 500;
+const SKIP_DIRS = new Set(["node_modules", ".git", "vendor"]);
+
+const dig = (object, keys) => keys.reduce((value, key) => value?.[key], object);
+
+// --- DISCOVERY -------------------------------------------------------------------
+
+const collect = (dir, found, depth = 0) => {
+  if (depth > MAX_DEPTH || found.files.length >= MAX_FILES) return;
+  let entries;
+  try { entries = fs.readdirSync(dir, { withFileTypes: true }); } catch (e) { return; }
+
+  // A chart is rendered as a whole; its templates are not manifests on their own
+  if (entries.some(e => e.isFile() && e.name === "Chart.yaml")) {
+    found.charts.add(dir);
+    return;
+  }
+  for (const entry of entries) {
+    const full = path.join(dir, entry.name);
+    if (entry.isDirectory() && !SKIP_DIRS.has(entry.name) && entry.name !== "overlays") collect(full, found, depth + 1);
+    // Kustomize overlays hold partial patches; values files are chart inputs
+    else if (entry.isFile() && /\.ya?ml$/.test(entry.name) && !/^(values.*|kustomization|Chart)\.ya?ml$/.test(entry.name)) found.files.push(full);
+  }
+};
+
+const toObjects = (text) => parseAllDocuments(text)
+  .filter(doc => doc.errors.length === 0)
+  .map(doc => doc.toJS())
+  .flatMap(obj => obj?.kind === "List" ? obj.items ?? [] : [obj])
+  .filter(obj => obj && typeof obj === "object" && obj.apiVersion && obj.kind);
+
+// --- CHECKS ------------------------------------------------------------------------
+
+const containersOf = (podSpec) => (podSpec?.containers || []).filter(c => c && typeof c === "object");
+
+// Every container / some / none -> pass / warn / fail
+const coverage = (containers, has, what) => {
+  const missing = containers.filter(c => !has(c)).map(c => c.name || "unnamed");
+  if (missing.length === 0) return { status: "pass", detail: `${what} on all ${containers.length} container(s)` };
+  return {
+    status: missing.length === containers.length ? "fail" : "warn",
+    detail: `${what} missing on: ${missing.join(", ")}`,
+  };
+};
+
+const imagePinning = (containers) => {
+  const unpinned = [];
+  const unknown = [];
+  for (const c of containers) {
+    const image = String(c.image ?? "");
+    if (!image || image.includes("TEMPLATE")) { unknown.push(c.name); continue; }
+    if (image.includes("@sha256:")) continue;
+    const tag = /:([^:/]+)$/.exec(image)?.[1];
+    if (!tag || tag === "latest") unpinned.push(`${c.name} (${image})`);
+  }
+  if (unpinned.length) return { status: "fail", detail: `Not pinned: ${unpinned.join(", ")}` };
+  if (unknown.length) return { status: "warn", detail: `Image set by a template value that could not be resolved: ${unknown.join(", ")}` };
+  return { status: "pass", detail: "All images have a version tag or digest" };
+};
+
+// Root and privilege escalation decide pass/warn/fail; read-only FS and dropped capabilities are hardening on top
+const securityContext = (podSpec, containers) => {
+  const pod = podSpec?.securityContext || {};
+  const problems = [];
+  const hardening = [];
+  let privileged = false;
+  let secure = 0;
+  for (const c of containers) {
+    const sc = c.securityContext || {};
+    const nonRoot = (sc.runAsNonRoot ?? pod.runAsNonRoot) === true || Number(sc.runAsUser ?? pod.runAsUser) > 0;
+    if (sc.privileged === true) { privileged = true; problems.push(`${c.name}: privileged`); }
+    if (!nonRoot) problems.push(`${c.name}: may run as root (runAsNonRoot not set)`);
+    if (sc.allowPrivilegeEscalation !== false) problems.push(`${c.name}: allowPrivilegeEscalation not false`);
+    if (nonRoot && sc.allowPrivilegeEscalation === false && sc.privileged !== true) secure++;
+    if (sc.readOnlyRootFilesystem !== true) hardening.push(`${c.name}: writable root filesystem`);
+    if (!(sc.capabilities?.drop || []).map(s => String(s).toUpperCase()).includes("ALL")) hardening.push(`${c.name}: capabilities not dropped`);
+  }
+  if (problems.length === 0) {
+    return { status: "pass", detail: hardening.length ? `Non-root, no privilege escalation; could also harden ${hardening.join("; ")}` : "Non-root, no privilege escalation, read-only root filesystem, all capabilities dropped" };
+  }
+  return { status: privileged || secure === 0 ? "fail" : "warn", detail: [...problems, ...hardening].join("; ") };
+};
+
+const matchesSelector = (selector, labels = {}) => {
+  if (!selector) return false;
+  const matchLabels = Object.entries(selector.matchLabels || {});
+  const expressions = selector.matchExpressions || [];
+  if (matchLabels.length === 0 && expressions.length === 0) return false;
+  return matchLabels.every(([key, value]) => String(labels[key]) === String(value))
+    && expressions.every(({ key, operator, values = [] }) => {
+      if (operator === "In") return values.map(String).includes(String(labels[key]));
+      if (operator === "NotIn") return !values.map(String).includes(String(labels[key]));
+      if (operator === "Exists") return key in labels;
+      if (operator === "DoesNotExist") return !(key in labels);
+      return false;
+    });
+};
+
+const namespaceOf = (obj) => obj.metadata?.namespace || "default";
+
+const gradeWorkload = (workload, objects) => {
+  const { kind } = workload.object;
+  const template = dig(workload.object, POD_SPEC_PATHS[kind]) ?? {};
+  const podSpec = kind === "Pod" ? workload.object.spec : template.spec;
+  const podLabels = kind === "Pod" ? workload.object.metadata?.labels : template.metadata?.labels;
+  const containers = containersOf(podSpec);
+  const name = workload.object.metadata?.name;
+  const namespace = namespaceOf(workload.object);
+  const longRunning = !RUN_TO_COMPLETION.has(kind);
+  const scalable = SCALABLE.has(kind);
+
+  const hpa = objects.find(o => o.kind === "HorizontalPodAutoscaler" && namespaceOf(o) === namespace
+    && o.spec?.scaleTargetRef?.kind === kind && o.spec?.scaleTargetRef?.name === name);
+  const pdb = objects.find(o => o.kind === "PodDisruptionBudget" && namespaceOf(o) === namespace && matchesSelector(o.spec?.selector, podLabels));
+
+  const checks = {
+    "resource-requests": coverage(containers, c => c.resources?.requests?.cpu != null && c.resources?.requests?.memory != null, "CPU and memory requests"),
+    "resource-limits": coverage(containers, c => c.resources?.limits?.memory != null, "Memory limit"),
+    "liveness-probe": longRunning ? coverage(containers, c => c.livenessProbe, "Liveness probe") : null,
+    "readiness-probe": longRunning ? coverage(containers, c => c.readinessProbe, "Readiness probe") : null,
+    "replicas": null,
+    "hpa": scalable
+      ? hpa ? { status: "pass", detail: `${hpa.metadata?.name}: ${hpa.spec?.minReplicas ?? 1}-${hpa.spec?.maxReplicas} replicas` } : { status: "fail", detail: "No HorizontalPodAutoscaler targets this workload" }
+      : null,
+    "pdb": scalable
+      ? !pdb ? { status: "fail", detail: "No PodDisruptionBudget selects these pods; a node drain can take them all down at once" }
+        : String(pdb.spec?.maxUnavailable) === "0" ? { status: "warn", detail: `${pdb.metadata?.name}: maxUnavailable 0 blocks node drains` }
+          : { status: "pass", detail: `${pdb.metadata?.name}: ${pdb.spec?.minAvailable != null ? `minAvailable ${pdb.spec.minAvailable}` : `maxUnavailable ${pdb.spec?.maxUnavailable}`}` }
+      : null,
+    "image-pinned": imagePinning(containers),
+    "security-context": securityContext(podSpec, containers),
+  };
+
+  if (scalable) {
+    const declared = workload.object.spec?.replicas;
+    const replicas = hpa ? Number(hpa.spec?.minReplicas ?? 1) : declared === undefined ? 1 : Number(declared);
+    const via = hpa ? `HPA minReplicas ${replicas}` : `replicas: ${declared ?? "1 (default)"}`;
+    checks.replicas = Number.isNaN(replicas)
+      ? { status: "warn", detail: `replicas set by a template value that could not be resolved (${declared})` }
+      : { status: replicas >= 2 ? "pass" : "fail", detail: replicas >= 2 ? via : `${via}: one pod down means the service is down` };
+  }
+
+  const graded = Object.entries(checks).filter(([, result]) => result).map(([id, result]) => ({ id, ...result }));
+  const total = graded.reduce((sum, c) => sum + KUBERNETES_CHECKS[c.id].weight, 0);
+  const earned = graded.reduce((sum, c) => sum + KUBERNETES_CHECKS[c.id].weight * (c.status === "pass" ? 1 : c.status === "warn" ? 0.5 : 0), 0);
+
+  return {
+    kind,
+    name: name ?? "unnamed",
+    namespace,
+    source: workload.source,
+    containers: containers.map(c => c.name),
+    score: containers.length && total ? Math.round((earned / total) * 100) : 0,
+    checks: containers.length ? graded : [{ id: "resource-requests", status: "fail", detail: "No containers found in the pod spec" }],
+  };
+};
+
+// --- REPORT ------------------------------------------------------------------------
+
+/**
+ * @param {string} repoRoot - the cloned repository
+ * @param {string[]} roots - directories whose MANIFEST_DIRS (and own Chart.yaml) are searched
+ * @param {{signal?: AbortSignal}} [options]
+ * @returns {Promise<{present, type, sources, workloads, score, issues}>}
+ */
+export const analyzeKubernetes = async (repoRoot, roots, { signal } = {}) => {
+  const found = { files: [], charts: new Set() };
+  for (const root of roots) {
+    if (fs.existsSync(path.join(root, "Chart.yaml"))) found.charts.add(root);
+    MANIFEST_DIRS.forEach(dir => collect(path.join(root, dir), found));
+  }
+
+  const sources = [];
+  const objects = [];
+  const rel = (file) => path.relative(repoRoot, file) || ".";
+  // Rendered sources start with the chart's name ("web/templates/x.yaml"), which need not be its directory name
+  const chartPath = (chartDir, source) => path.join(rel(chartDir), source.split("/").slice(1).join("/"));
+
+  for (const file of found.files) {
+    try {
+      const parsed = toObjects(fs.readFileSync(file, "utf-8"));
+      // YAML that is not Kubernetes (compose files, CI config) is not a source
+      if (parsed.length === 0) continue;
+      parsed.forEach(object => objects.push({ object, source: rel(file) }));
+      sources.push({ path: rel(file), type: "manifests", objects: parsed.length });
+    } catch (e) {
+      sources.push({ path: rel(file), type: "manifests", objects: 0, error: e.message.split("\n")[0] });
+    }
+  }
+
+  for (const chartDir of found.charts) {
+    try {
+      const rendered = await renderHelmChart(chartDir, { signal });
+      let count = 0;
+      for (const doc of rendered.documents) {
+        try {
+          toObjects(doc.text).forEach(object => { objects.push({ object, source: doc.source ? chartPath(chartDir, doc.source) : rel(chartDir) }); count++; });
+        } catch (e) { /* an unparsable rendered document is skipped; the chart still counts */ }
+      }
+      sources.push({ path: rel(chartDir), type: "helm", renderer: rendered.renderer, renderError: rendered.error, objects: count });
+    } catch (e) {
+      if (signal?.aborted) throw signal.reason;
+      sources.push({ path: rel(chartDir), type: "helm", renderer: null, objects: 0, error: e.message.split("\n")[0] });
+    }
+  }
+
+  const plain = objects.map(o => o.object);
+  const workloads = objects
+    // Helm hooks (test pods, migration jobs) run around a release, not as part of it
+    .filter(o => o.object.kind in POD_SPEC_PATHS && !o.object.metadata?.annotations?.["helm.sh/hook"])
+    .map(o => gradeWorkload(o, plain));
+
+  const issues = [];
+  sources.filter(s => s.error).forEach(s => issues.push(`${s.path} could not be parsed: ${s.error}`));
+  sources.filter(s => s.renderer === "approximate").forEach(s =>
+    issues.push(`${s.path}: Helm chart rendered approximately (${s.renderError}); template-driven values may be missing`));
+  if (sources.length && workloads.length === 0) issues.push("Kubernetes manifests found, but no workloads (Deployment, StatefulSet, ...)");
+  for (const w of workloads) {
+    const labelled = (status) => w.checks.filter(c => c.status === status).map(c => KUBERNETES_CHECKS[c.id].label);
+    const parts = [["missing", labelled("fail")], ["partial", labelled("warn")]].filter(([, list]) => list.length);
+    if (parts.length) issues.push(`${w.kind}/${w.name} (${w.source}): ${parts.map(([what, list]) => `${what} ${list.join(", ")}`).join("; ")}`);
+  }
+
+  return {
+    present: sources.length > 0,
+    type: sources.some(s => s.type === "helm") ? "helm" : sources.length ? "raw" : null,
+    sources,
+    workloads,
+    score: workloads.length ? Math.round(workloads.reduce((sum, w) => sum + w.score, 0) / workloads.length) : 0,
+    issues,
+  };
+};
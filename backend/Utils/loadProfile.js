@@ -0,0 +1,209 @@
+/**
+ * loadProfile.js
+ * Validation + normalization of user supplied k6 load profiles
+ * - constant-vus: fixed VU pool for a duration
+ * - ramping-vus: multi-stage ramp-up / hold / ramp-down
+ * - constant-arrival-rate: fixed request rate regardless of response time
+ */
+
+export const EXECUTORS = ["constant-vus", "ramping-vus", "constant-arrival-rate"];
+
+// Hard caps so a single request cannot monopolise the runner
+export const LIMITS = {
+  maxVUs: 1000,
+  maxRate: 5000,
+  maxDurationSeconds: 600,
+  maxStages: 10,
+  maxThinkTimeSeconds: 30,
+  maxTimeoutSeconds: 120,
+};
+
+// Matches the previous hardcoded behaviour: 200 VUs for 5s, 1s sleep
+export const DEFAULT_LOAD_PROFILE = {
+  executor: "constant-vus",
+  vus: 200,
+  duration: "5s",
+  thinkTime: 1,
+  timeout: "60s",
+};
+
+const DURATION_PATTERN = /^(\d+h)?(\d+m(?!s))?(\d+s)?(\d+ms)?$/;
+
+/**
+ * Converts a k6 style duration ("30s", "1m30s", "500ms") into seconds.
+ * A number is taken as seconds; normalize it with toK6Duration before it reaches k6.
+ * Returns null for anything k6 would not accept.
+ */
+export const parseDuration = (value) => {
+  if (typeof value === "number") return Number.isFinite(value) && value >= 0 ? value : null;
+  if (typeof value !== "string" || value.trim() === "") return null;
+
+  const str = value.trim();
+  if (!DURATION_PATTERN.test(str)) return null;
+
+  const units = { h: 3600, m: 60, s: 1, ms: 0.001 };
+  let total = 0;
+  for (const [, amount, unit] of str.matchAll(/(\d+)(ms|h|m|s)/g)) {
+    total += Number(amount) * units[unit];
+  }
+  return total;
+};
+
+/**
+ * k6 reads a bare number as milliseconds, so numeric durations (seconds here) become strings: 30 -> "30s".
+ */
+export const toK6Duration = (value) => {
+  if (typeof value !== "number" || !Number.isFinite(value) || value < 0) return value;
+  return Number.isInteger(value) ? `${value}s` : `${Math.round(value * 1000)}ms`;
+};
+
+const toInt = (value) => {
+  const n = Number(value);
+  return Number.isInteger(n) ? n : null;
+};
+
+/**
+ * Total wall-clock length of a normalized profile, in seconds.
+ */
+export const getProfileDuration = (profile) => {
+  if (profile.executor === "ramping-vus") {
+    return profile.stages.reduce((sum, stage) => sum + parseDuration(stage.duration), 0);
+  }
+  return parseDuration(profile.duration) || 0;
+};
+
+/**
+ * Highest number of concurrent VUs the profile can reach.
+ */
+export const getProfilePeakVUs = (profile) => {
+  if (profile.executor === "ramping-vus") {
+    return Math.max(profile.startVUs, ...profile.stages.map(s => s.target));
+  }
+  if (profile.executor === "constant-arrival-rate") return profile.maxVUs;
+  return profile.vus;
+};
+
+/**
+ * Maps a normalized profile onto k6 `options` (used by generated scripts).
+ */
+export const buildK6Options = (profile) => {
+  const { executor } = profile;
+  let scenario;
+
+  if (executor === "ramping-vus") {
+    scenario = { executor, startVUs: profile.startVUs, stages: profile.stages };
+  } else if (executor === "constant-arrival-rate") {
+    scenario = {
+      executor,
+      rate: profile.rate,
+      timeUnit: profile.timeUnit,
+      duration: profile.duration,
+      preAllocatedVUs: profile.preAllocatedVUs,
+      maxVUs: profile.maxVUs,
+    };
+  } else {
+    scenario = { executor, vus: profile.vus, duration: profile.duration };
+  }
+
+  return { scenarios: { load: scenario } };
+};
+
+/**
+ * Validates a raw load profile from the request body.
+ * @param {object} [input] - raw profile; falls back to DEFAULT_LOAD_PROFILE when omitted
+ * @returns {{ profile: object|null, errors: string[] }}
+ */
+export const normalizeLoadProfile = (input) => {
+  if (input == null) return { profile: { ...DEFAULT_LOAD_PROFILE }, errors: [] };
+
+  const errors = [];
+  if (typeof input !== "object" || Array.isArray(input)) {
+    return { profile: null, errors: ["loadProfile must be an object"] };
+  }
+
+  const executor = input.executor || DEFAULT_LOAD_PROFILE.executor;
+  if (!EXECUTORS.includes(executor)) {
+    return { profile: null, errors: [`executor must be one of: ${EXECUTORS.join(", ")}`] };
+  }
+
+  const profile = { executor };
+
+  // --- Executor specific fields ---
+  if (executor === "constant-vus") {
+    profile.vus = toInt(input.vus ?? DEFAULT_LOAD_PROFILE.vus);
+    profile.duration = toK6Duration(input.duration ?? DEFAULT_LOAD_PROFILE.duration);
+
+    if (profile.vus === null || profile.vus < 1 || profile.vus > LIMITS.maxVUs) {
+      errors.push(`vus must be an integer between 1 and ${LIMITS.maxVUs}`);
+    }
+    if (!parseDuration(profile.duration)) errors.push("duration must be a valid k6 duration (e.g. \"30s\", \"1m\")");
+  }
+
+  if (executor === "ramping-vus") {
+    profile.startVUs = toInt(input.startVUs ?? 0);
+    if (profile.startVUs === null || profile.startVUs < 0 || profile.startVUs > LIMITS.maxVUs) {
+      errors.push(`startVUs must be an integer between 0 and ${LIMITS.maxVUs}`);
+    }
+
+    if (!Array.isArray(input.stages) || input.stages.length === 0) {
+      errors.push("ramping-vus requires at least one stage");
+      profile.stages = [];
+    } else if (input.stages.length > LIMITS.maxStages) {
+      errors.push(`A profile may have at most ${LIMITS.maxStages} stages`);
+      profile.stages = [];
+    } else {
+      profile.stages = input.stages.map((stage, i) => {
+        const target = toInt(stage?.target);
+        const duration = toK6Duration(stage?.duration);
+        if (target === null || target < 0 || target > LIMITS.maxVUs) {
+          errors.push(`stages[${i}].target must be an integer between 0 and ${LIMITS.maxVUs}`);
+        }
+        if (!parseDuration(duration)) errors.push(`stages[${i}].duration must be a valid k6 duration`);
+        return { duration, target };
+      });
+      if (profile.stages.every(s => !s.target)) {
+        errors.push("At least one stage must target more than 0 VUs");
+      }
+    }
+  }
+
+  if (executor === "constant-arrival-rate") {
+    profile.rate = toInt(input.rate);
+    profile.timeUnit = toK6Duration(input.timeUnit ?? "1s");
+    profile.duration = toK6Duration(input.duration ?? DEFAULT_LOAD_PROFILE.duration);
+    profile.preAllocatedVUs = toInt(input.preAllocatedVUs ?? Math.min(profile.rate || 1, LIMITS.maxVUs));
+    profile.maxVUs = toInt(input.maxVUs ?? profile.preAllocatedVUs);
+
+    if (profile.rate === null || profile.rate < 1 || profile.rate > LIMITS.maxRate) {
+      errors.push(`rate must be an integer between 1 and ${LIMITS.maxRate}`);
+    }
+    if (!parseDuration(profile.timeUnit)) errors.push("timeUnit must be a valid k6 duration");
+    if (!parseDuration(profile.duration)) errors.push("duration must be a valid k6 duration (e.g. \"30s\", \"1m\")");
+    if (profile.preAllocatedVUs === null || profile.preAllocatedVUs < 1 || profile.preAllocatedVUs > LIMITS.maxVUs) {
+      errors.push(`preAllocatedVUs must be an integer between 1 and ${LIMITS.maxVUs}`);
+    }
+    if (profile.maxVUs === null || profile.maxVUs > LIMITS.maxVUs || profile.maxVUs < (profile.preAllocatedVUs || 1)) {
+      errors.push(`maxVUs must be between preAllocatedVUs and ${LIMITS.maxVUs}`);
+    }
+  }
+
+  // --- Shared request behaviour ---
+  // Arrival-rate executors pace themselves, so think time defaults to 0 there
+  const thinkTimeDefault = executor === "constant-arrival-rate" ? 0 : DEFAULT_LOAD_PROFILE.thinkTime;
+  profile.thinkTime = Number(input.thinkTime ?? thinkTimeDefault);
+  if (!Number.isFinite(profile.thinkTime) || profile.thinkTime < 0 || profile.thinkTime > LIMITS.maxThinkTimeSeconds) {
+    errors.push(`thinkTime must be between 0 and ${LIMITS.maxThinkTimeSeconds} seconds`);
+  }
+
+  profile.timeout = toK6Duration(input.timeout ?? DEFAULT_LOAD_PROFILE.timeout);
+  const timeoutSeconds = parseDuration(profile.timeout);
+  if (!timeoutSeconds || timeoutSeconds > LIMITS.maxTimeoutSeconds) {
+    errors.push(`timeout must be a k6 duration up to ${LIMITS.maxTimeoutSeconds}s`);
+  }
+
+  if (errors.length === 0 && getProfileDuration(profile) > LIMITS.maxDurationSeconds) {
+    errors.push(`Total test duration cannot exceed ${LIMITS.maxDurationSeconds} seconds`);
+  }
+
+  return errors.length > 0 ? { profile: null, errors } : { profile, errors };
+};
@@ -0,0 +1,141 @@
+/**
+ * lockfiles.js
+ * Resolved dependency versions from the lockfiles of a cloned repository
+ * - npm: package-lock.json (v1 nested tree, v2/v3 "packages" map), yarn.lock (classic and berry),
+ *   pnpm-lock.yaml (v5 "/name/1.0.0", v6 "/name@1.0.0", v9 "name@1.0.0" keys)
+ * - PyPI: poetry.lock
+ * - Go: go.sum (highest version per module, as minimal version selection would pick)
+ * - crates.io: Cargo.lock
+ *
+ * Every parser returns [{ name, version, dev }]; `dev` is null when the lockfile does not say.
+ * Ecosystem ids are the ones the advisory database uses (Utils/advisoryDb.js).
+ */
+import fs from "fs";
+import path from "path";
+import { parse } from "yaml";
+import { compareVersions } from "./dependencyAudit.js";
+
+const parsePackageLock = (text) => {
+  const lock = JSON.parse(text);
+  const found = [];
+  if (lock.packages) {
+    for (const [key, entry] of Object.entries(lock.packages)) {
+      // "" is the project itself; links point at workspace folders
+      if (!key || entry.link || !entry.version) continue;
+      const name = entry.name || key.slice(key.lastIndexOf("node_modules/") + "node_modules/".length);
+      found.push({ name, version: entry.version, dev: Boolean(entry.dev || entry.devOptional) });
+    }
+    return found;
+  }
+  // lockfileVersion 1
+  const walk = (dependencies = {}) => {
+    for (const [name, entry] of Object.entries(dependencies)) {
+      if (entry.version && !entry.version.startsWith("file:")) found.push({ name, version: entry.version, dev: Boolean(entry.dev) });
+      walk(entry.dependencies);
+    }
+  };
+  walk(lock.dependencies);
+  return found;
+};
+
+// "@scope/name@^1.0.0" -> "@scope/name"; berry adds a protocol: "name@npm:^1.0.0"
+const specName = (spec) => {
+  const clean = spec.trim().replace(/^"|"$/g, "");
+  const at = clean.indexOf("@", 1);
+  return at === -1 ? clean : clean.slice(0, at);
+};
+
+const parseYarnLock = (text) => {
+  const found = [];
+  let current = null;
+  for (const line of text.split(/\r?\n/)) {
+    if (!line.trim() || line.startsWith("#")) continue;
+    if (!line.startsWith(" ")) {
+      // Header: one or more comma-separated specs of the same resolved package
+      const header = line.replace(/:$/, "");
+      current = header === "__metadata" || /@(workspace|link|portal|patch):/.test(header) ? null : { name: specName(header.split(",")[0]) };
+      continue;
+    }
+    const version = /^\s+version:?\s+"?([^"\s]+)"?/.exec(line);
+    if (current && version && !current.version) {
+      current.version = version[1];
+      found.push({ name: current.name, version: current.version, dev: null });
+    }
+  }
+  return found;
+};
+
+const parsePnpmLock = (text) => {
+  const lock = parse(text) ?? {};
+  return Object.entries(lock.packages || {}).map(([key, entry]) => {
+    // v5: "/@scope/name/1.0.0_react@18.2.0" (peer suffix after "_")
+    const v5 = /^\/((?:@[^/]+\/)?[^/@]+)\/([^/_(]+)/.exec(key);
+    // v6+: "/name@1.0.0(react@18.2.0)", v9 without the leading "/"
+    const id = key.replace(/^\//, "").replace(/\(.*$/, "");
+    const at = id.lastIndexOf("@");
+    const name = v5 ? v5[1] : id.slice(0, at);
+    const version = v5 ? v5[2] : id.slice(at + 1);
+    return { name: entry?.name || name, version: entry?.version || version, dev: typeof entry?.dev === "boolean" ? entry.dev : null };
+  }).filter(p => p.name && p.version);
+};
+
+// [[package]] tables of poetry.lock / Cargo.lock: only the name, version and (old poetry) category are needed
+const parseTomlPackages = (text) => {
+  const found = [];
+  let current = null;
+  for (const line of text.split(/\r?\n/)) {
+    if (/^\s*\[\[package\]\]\s*$/.test(line)) {
+      current = { name: null, version: null, dev: null };
+      found.push(current);
+    } else if (/^\s*\[/.test(line)) {
+      current = null;
+    } else if (current) {
+      const pair = /^\s*(name|version|category)\s*=\s*"([^"]*)"/.exec(line);
+      if (pair?.[1] === "category") current.dev = pair[2] === "dev";
+      else if (pair) current[pair[1]] = pair[2];
+    }
+  }
+  return found.filter(p => p.name && p.version);
+};
+
+const parseGoSum = (text) => {
+  const latest = new Map();
+  for (const line of text.split(/\r?\n/)) {
+    const [module, version] = line.trim().split(/\s+/);
+    // "<module> <version>/go.mod <hash>" lines only vouch for the go.mod file
+    if (!module || !version || version.endsWith("/go.mod")) continue;
+    const clean = version.replace(/^v/, "").replace(/\+incompatible$/, "");
+    if (!latest.has(module) || compareVersions(clean, latest.get(module)) > 0) latest.set(module, clean);
+  }
+  return [...latest].map(([name, version]) => ({ name, version, dev: null }));
+};
+
+export const LOCKFILES = [
+  { file: "package-lock.json", ecosystem: "npm", parse: parsePackageLock },
+  { file: "npm-shrinkwrap.json", ecosystem: "npm", parse: parsePackageLock },
+  { file: "yarn.lock", ecosystem: "npm", parse: parseYarnLock },
+  { file: "pnpm-lock.yaml", ecosystem: "npm", parse: parsePnpmLock },
+  { file: "poetry.lock", ecosystem: "pypi", parse: parseTomlPackages },
+  { file: "go.sum", ecosystem: "go", parse: parseGoSum },
+  { file: "Cargo.lock", ecosystem: "crates", parse: parseTomlPackages },
+];
+
+/**
+ * Lockfiles directly in `dir`, parsed.
+ * @param {string} dir
+ * @param {string} [repoRoot=dir] - file paths in the result are relative to this
+ * @returns {Array<{file, ecosystem, packages, error?}>}
+ */
+export const readLockfiles = (dir, repoRoot = dir) => LOCKFILES
+  .filter(lockfile => fs.existsSync(path.join(dir, lockfile.file)))
+  .map(lockfile => {
+    const file = path.relative(repoRoot, path.join(dir, lockfile.file));
+    try {
+      const packages = lockfile.parse(fs.readFileSync(path.join(dir, lockfile.file), "utf-8"));
+      // The same name@version can be installed at several places in the tree
+      const unique = [...new Map(packages.map(p => [`${p.name}@${p.version}`, p])).values()];
+      return { file, ecosystem: lockfile.ecosystem, packages: unique };
+    } catch (e) {
+      return { file, ecosystem: lockfile.ecosystem, packages: [], error: e.message.split("\n")[0] };
+    }
+  });
@@ -0,0 +1,280 @@
+/**
+ * mockTarget.js
+ * Bundled, configurable HTTP target for exercising the whole pipeline against known behaviour
+ * - Per-route latency (+ jitter and a per-concurrent-request penalty to model saturation)
+ * - Error injection (seeded, so a given request sequence always fails the same way)
+ * - Fixed-window rate limiting (429 + Retry-After)
+ * - HTML pages with configurable title, meta description, lang and images (with or without alt)
+ * - /__mock/* control endpoints: read/replace the routes and read per-route request stats
+ *
+ * Start it standalone with `npm run mock-target` or alongside the API with MOCK_TARGET_PORT.
+ * Configuration (all optional):
+ *   MOCK_TARGET_PORT   - port to listen on (default 4010)
+ *   MOCK_TARGET_CONFIG - path to a JSON file: a route array, or { routes, seed }
+ *   MOCK_TARGET_SEED   - seeds jitter and error injection
+ */
+import fs from "fs";
+import express from "express";
+import { createRng } from "./simulator.js";
+
+export const DEFAULT_MOCK_PORT = 4010;
+
+const MAX_ROUTES = 50;
+const METHODS = ["GET", "POST", "PUT", "PATCH", "DELETE"];
+
+const ROUTE_DEFAULTS = {
+  method: "GET",
+  status: 200,
+  latencyMs: 20,
+  jitterMs: 0,
+  latencyPerConcurrentMs: 0,
+  errorRate: 0,
+  errorStatus: 500,
+  rateLimit: null,
+  html: null,
+  json: null,
+};
+
+// A small site with one of everything the runners and audits look at
+export const DEFAULT_MOCK_ROUTES = [
+  {
+    path: "/",
+    latencyMs: 30,
+    html: {
+      title: "SyncMind Mock Target",
+      description: "Known-good page used to self-test the load and audit pipeline",
+      lang: "en",
+      images: [{ src: "/logo.png", alt: "Logo" }, { src: "/hero.png", alt: "Hero banner" }],
+    },
+  },
+  {
+    path: "/no-meta",
+    latencyMs: 30,
+    html: { title: "", description: "", lang: "", images: [{ src: "/a.png" }, { src: "/b.png" }, { src: "/c.png", alt: "C" }] },
+  },
+  { path: "/api/items", latencyMs: 15, json: { items: [{ id: 1 }, { id: 2 }, { id: 3 }] } },
+  { path: "/api/login", method: "POST", latencyMs: 60, json: { token: "mock-token" } },
+  { path: "/slow", latencyMs: 1500, jitterMs: 200 },
+  { path: "/flaky", latencyMs: 40, errorRate: 0.2, errorStatus: 503 },
+  { path: "/limited", latencyMs: 10, rateLimit: { requests: 50, windowMs: 1000 } },
+  { path: "/saturating", latencyMs: 20, latencyPerConcurrentMs: 5 },
+];
+
+const isNonNegative = (v) => Number.isFinite(v) && v >= 0;
+
+/**
+ * Validates a route list (from a config file, env or PUT /__mock/routes).
+ * @param {Array} input
+ * @returns {{ routes: Array|null, errors: string[] }}
+ */
+export const normalizeMockRoutes = (input) => {
+  if (!Array.isArray(input) || input.length === 0) {
+    return { routes: null, errors: ["routes must be a non-empty array"] };
+  }
+  if (input.length > MAX_ROUTES) return { routes: null, errors: [`At most ${MAX_ROUTES} routes are allowed`] };
+
+  const errors = [];
+  const seen = new Set();
+  const routes = input.map((raw, i) => {
+    const route = { ...ROUTE_DEFAULTS, ...raw, method: String(raw?.method ?? "GET").toUpperCase() };
+    const at = `routes[${i}]`;
+
+    if (typeof route.path !== "string" || !route.path.startsWith("/")) errors.push(`${at}.path must start with "/"`);
+    else if (route.path.startsWith("/__mock")) errors.push(`${at}.path must not shadow /__mock`);
+    if (!METHODS.includes(route.method)) errors.push(`${at}.method must be one of: ${METHODS.join(", ")}`);
+    const key = `${route.method} ${route.path}`;
+    if (seen.has(key)) errors.push(`${at} duplicates ${key}`);
+    seen.add(key);
+
+    for (const field of ["latencyMs", "jitterMs", "latencyPerConcurrentMs"]) {
+      if (!isNonNegative(route[field])) errors.push(`${at}.${field} must be a non-negative number`);
+    }
+    if (!(route.errorRate >= 0 && route.errorRate <= 1)) errors.push(`${at}.errorRate must be between 0 and 1`);
+    for (const field of ["status", "errorStatus"]) {
+      if (!Number.isInteger(route[field]) || route[field] < 100 || route[field] > 599) {
+        errors.push(`${at}.${field} must be an HTTP status code`);
+      }
+    }
+    if (route.rateLimit != null) {
+      const { requests, windowMs } = route.rateLimit;
+      if (!Number.isInteger(requests) || requests < 1 || !Number.isInteger(windowMs) || windowMs < 1) {
+        errors.push(`${at}.rateLimit needs integer requests >= 1 and windowMs >= 1`);
+      }
+    }
+    if (route.html != null && typeof route.html !== "object") errors.push(`${at}.html must be an object`);
+    return route;
+  });
+
+  return errors.length > 0 ? { routes: null, errors } : { routes, errors };
+};
+
+const escapeHtml = (str) =>
+  String(str ?? "").replace(/[&<>"]/g, (c) => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;" })[c]);
+
+/**
+ * Renders a page from the route's html config. Empty title/description/lang are left out,
+ * images without `alt` are rendered without the attribute.
+ */
+export const renderMockPage = ({ title, description, lang, images = [], body = "" } = {}) => {
+  const head = [
+    '<meta charset="utf-8">',
+    '<meta name="viewport" content="width=device-width, initial-scale=1">',
+    title ? `<title>${escapeHtml(title)}</title>` : "",
+    description ? `<meta name="description" content="${escapeHtml(description)}">` : "",
+  ].filter(Boolean).join("\n    ");
+  const imgs = images
+    .map((img) => `<img src="${escapeHtml(img.src)}"${img.alt != null ? ` alt="${escapeHtml(img.alt)}"` : ""} width="120" height="80">`)
+    .join("\n    ");
+
+  return `<!DOCTYPE html>
+<html${lang ? ` lang="${escapeHtml(lang)}"` : ""}>
+  <head>
+    ${head}
+  </head>
+  <body>
+    <h1>${escapeHtml(title || "Untitled")}</h1>
+    ${imgs}
+    ${body}
+  </body>
+</html>`;
+};
+
+// 1x1 transparent PNG, served for any *.png so pages load without broken images
+const PIXEL_PNG = Buffer.from(
+  "iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAQAAAC1HAwCAAAAC0lEQVR42mNkYAAAAAYAAjCB0C8AAAAASUVORK5CYII=",
+  "base64"
+);
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * Builds the mock target app (not listening).
+ * @param {object} [options]
+ * @param {Array} [options.routes] - route configs, defaults to DEFAULT_MOCK_ROUTES
+ * @param {string} [options.seed] - seeds latency jitter and error injection
+ * @returns {{ app: import("express").Express, getStats: () => object, setRoutes: (routes: Array) => string[] }}
+ */
+export const createMockTarget = ({ routes = DEFAULT_MOCK_ROUTES, seed = "mock-target" } = {}) => {
+  let table = new Map();
+  let stats = {};
+
+  // Returns validation errors; the table is only swapped when the new routes are valid
+  const setRoutes = (input) => {
+    const { routes: normalized, errors } = normalizeMockRoutes(input);
+    if (!normalized) return errors;
+    table = new Map(normalized.map((route) => [
+      `${route.method} ${route.path}`,
+      { ...route, rng: createRng(`${seed}:${route.method}:${route.path}`), inFlight: 0, window: { start: 0, count: 0 } },
+    ]));
+    stats = {};
+    return [];
+  };
+
+  const initialErrors = setRoutes(routes);
+  if (initialErrors.length > 0) throw new Error(`Invalid mock target routes: ${initialErrors.join("; ")}`);
+
+  const record = (key, outcome) => {
+    const entry = (stats[key] ||= { requests: 0, ok: 0, errors: 0, rateLimited: 0 });
+    entry.requests++;
+    entry[outcome]++;
+  };
+
+  const app = express();
+  app.use(express.json());
+
+  app.get("/__mock/routes", (req, res) => {
+    res.json({ routes: [...table.values()].map(({ rng, inFlight, window, ...route }) => route) });
+  });
+
+  app.put("/__mock/routes", (req, res) => {
+    const errors = setRoutes(req.body?.routes);
+    if (errors.length > 0) return res.status(400).json({ error: "Invalid routes", details: errors });
+    res.json({ routes: table.size });
+  });
+
+  app.get("/__mock/stats", (req, res) => res.json({ stats }));
+  app.delete("/__mock/stats", (req, res) => {
+    stats = {};
+    res.status(204).end();
+  });
+
+  app.get(/\.png$/, (req, res, next) => {
+    if (table.has(`GET ${req.path}`)) return next();
+    res.type("png").send(PIXEL_PNG);
+  });
+
+  app.use(async (req, res) => {
+    const key = `${req.method} ${req.path}`;
+    const route = table.get(key);
+    if (!route) return res.status(404).json({ error: "No mock route", details: key });
+
+    // Fixed window: the first `requests` calls in each window pass, the rest get 429
+    if (route.rateLimit) {
+      const now = Date.now();
+      if (now - route.window.start >= route.rateLimit.windowMs) route.window = { start: now, count: 0 };
+      if (++route.window.count > route.rateLimit.requests) {
+        record(key, "rateLimited");
+        const retryAfter = Math.ceil((route.window.start + route.rateLimit.windowMs - now) / 1000);
+        return res.status(429).set("Retry-After", String(Math.max(1, retryAfter))).json({ error: "Too Many Requests" });
+      }
+    }
+
+    route.inFlight++;
+    try {
+      const jitter = route.jitterMs * (route.rng() * 2 - 1);
+      const delay = route.latencyMs + jitter + route.latencyPerConcurrentMs * (route.inFlight - 1);
+      await sleep(Math.max(0, delay));
+
+      if (route.rng() < route.errorRate) {
+        record(key, "errors");
+        return res.status(route.errorStatus).json({ error: "Injected failure" });
+      }
+
+      record(key, "ok");
+      res.status(route.status);
+      if (route.html) return res.type("html").send(renderMockPage(route.html));
+      if (route.json != null) return res.json(route.json);
+      res.json({ ok: true, path: route.path });
+    } finally {
+      route.inFlight--;
+    }
+  });
+
+  return { app, getStats: () => stats, setRoutes };
+};
+
+/**
+ * Port, routes and seed from the MOCK_TARGET_* environment variables.
+ */
+export const resolveMockTargetOptions = () => {
+  const options = {
+    port: process.env.MOCK_TARGET_PORT ? Number(process.env.MOCK_TARGET_PORT) : DEFAULT_MOCK_PORT,
+  };
+  if (process.env.MOCK_TARGET_CONFIG) {
+    const config = JSON.parse(fs.readFileSync(process.env.MOCK_TARGET_CONFIG, "utf8"));
+    options.routes = Array.isArray(config) ? config : config.routes;
+    if (config.seed) options.seed = config.seed;
+  }
+  if (process.env.MOCK_TARGET_SEED) options.seed = process.env.MOCK_TARGET_SEED;
+  return options;
+};
+
+/**
+ * Starts the mock target on `port` (0 = any free port).
+ * @returns {Promise<{ url: string, port: number, close: () => Promise<void> }>}
+ */
+export const startMockTarget = ({ port = DEFAULT_MOCK_PORT, host = "127.0.0.1", ...options } = {}) => {
+  const { app } = createMockTarget(options);
+  return new Promise((resolve, reject) => {
+    const server = app.listen(port, host, (err) => {
+      if (err) return reject(err);
+      const actualPort = server.address().port;
+      resolve({
+        url: `http://${host}:${actualPort}`,
+        port: actualPort,
+        close: () => new Promise((done) => server.close(() => done())),
+      });
+    });
+    server.on("error", reject);
+  });
+};
@@ -0,0 +1,41 @@
+/**
+ * provenance.js
+ * Where the numbers of each result section came from, so simulated data is never passed off as real
+ * - measured: produced by the real tool (k6, Chromium, git, HTTP requests)
+ * - simulated: produced by Utils/simulator.js; the reason says why (demo mode, or a fallback
+ *   the user opted into with `simulateOnFailure`)
+ * - failed: the real tool failed and nothing was substituted
+ * - skipped: the section did not apply to this test (no URL, no journey, ...)
+ *
+ * Runners attach `provenance` to what they return; the pipeline's runPhase takes it off again
+ * and stores one entry per phase on the TestSession.
+ */
+
+export const DEMO_MODE_REASON = "Demo mode (EXECUTION_MODE=demo): no real tool was run";
+
+export const measured = (source) => ({ status: "measured", source, reason: null });
+
+export const simulated = (reason = DEMO_MODE_REASON) => ({ status: "simulated", source: "simulator", reason });
+
+export const failed = (reason) => ({ status: "failed", source: null, reason });
+
+export const skipped = (reason) => ({ status: "skipped", source: null, reason });
+
+// Tool errors can be long multi-line dumps (Playwright call logs, k6 stderr)
+export const describeError = (error) => String(error?.message ?? error).split("\n")[0].slice(0, 300);
+
+/**
+ * Reason recorded when a runner substitutes simulated data for a real failure.
+ */
+export const fallbackReason = (what, error) =>
+  `${what} failed (${describeError(error)}); simulated data was substituted because simulateOnFailure was set`;
+
+/**
+ * One entry for a section assembled from several runs (e.g. one audit per device profile):
+ * simulated as soon as any run was.
+ */
+export const mergeProvenance = (entries) => {
+  const simulatedRuns = entries.filter(p => p?.status === "simulated");
+  if (simulatedRuns.length === 0) return entries.find(Boolean) ?? measured(null);
+  return simulated([...new Set(simulatedRuns.map(p => p.reason))].join("; "));
+};
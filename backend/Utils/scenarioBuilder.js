@@ -0,0 +1,341 @@
+/**
+ * scenarioBuilder.js
+ * Multi-step user flows -> generated k6 script
+ * - normalizeScenario: validates the declarative scenario from the request body
+ * - buildScenarioScript: renders a self-contained k6 script for runK6Test
+ * - redactScenario: the scenario as stored on the TestSession, without credentials
+ *
+ * Scenario shape:
+ * {
+ *   variables: { email: "demo@acme.io" },
+ *   steps: [{
+ *     name: "login",
+ *     method: "POST",
+ *     url: "/api/auth/login",                 // relative to the target URL or absolute
+ *     headers: { "X-Client": "k6" },
+ *     body: { email: "{{email}}" },            // objects are sent as JSON
+ *     extract: { token: { from: "json", path: "data.token" } },
+ *     checks: { status: 200, bodyContains: "token", maxDuration: 500 }
+ *   }]
+ * }
+ */
+import { buildK6Options } from "./loadProfile.js";
+
+export const METHODS = ["GET", "POST", "PUT", "PATCH", "DELETE", "HEAD", "OPTIONS"];
+export const EXTRACT_SOURCES = ["json", "header", "regex"];
+
+const MAX_STEPS = 20;
+const VARIABLE_NAME = /^[A-Za-z_][A-Za-z0-9_]*$/;
+
+const isPlainObject = (v) => v !== null && typeof v === "object" && !Array.isArray(v);
+
+const validateExtract = (extract, prefix, errors) => {
+  if (extract == null) return {};
+  if (!isPlainObject(extract)) {
+    errors.push(`${prefix}.extract must be an object`);
+    return {};
+  }
+
+  const result = {};
+  for (const [name, rule] of Object.entries(extract)) {
+    if (!VARIABLE_NAME.test(name)) {
+      errors.push(`${prefix}.extract: "${name}" is not a valid variable name`);
+      continue;
+    }
+    // Shorthand: { token: "data.token" } means a JSON path
+    const normalized = typeof rule === "string" ? { from: "json", path: rule } : rule;
+    if (!isPlainObject(normalized) || !EXTRACT_SOURCES.includes(normalized.from)) {
+      errors.push(`${prefix}.extract.${name}.from must be one of: ${EXTRACT_SOURCES.join(", ")}`);
+      continue;
+    }
+
+    if (normalized.from === "json" && typeof normalized.path !== "string") {
+      errors.push(`${prefix}.extract.${name}.path is required for JSON extraction`);
+    } else if (normalized.from === "header" && typeof normalized.name !== "string") {
+      errors.push(`${prefix}.extract.${name}.name is required for header extraction`);
+    } else if (normalized.from === "regex") {
+      try {
+        new RegExp(normalized.pattern);
+      } catch (e) {
+        errors.push(`${prefix}.extract.${name}.pattern is not a valid regular expression`);
+        continue;
+      }
+    }
+    result[name] = normalized;
+  }
+  return result;
+};
+
+const validateChecks = (checks, prefix, errors) => {
+  if (checks == null) return {};
+  if (!isPlainObject(checks)) {
+    errors.push(`${prefix}.checks must be an object`);
+    return {};
+  }
+
+  const result = {};
+  if (checks.status != null) {
+    const statuses = [].concat(checks.status).map(Number);
+    if (statuses.some(s => !Number.isInteger(s) || s < 100 || s > 599)) {
+      errors.push(`${prefix}.checks.status must be an HTTP status code or a list of them`);
+    }
+    result.status = statuses;
+  }
+  if (checks.bodyContains != null) {
+    if (typeof checks.bodyContains !== "string") errors.push(`${prefix}.checks.bodyContains must be a string`);
+    result.bodyContains = checks.bodyContains;
+  }
+  if (checks.maxDuration != null) {
+    const ms = Number(checks.maxDuration);
+    if (!Number.isFinite(ms) || ms <= 0) errors.push(`${prefix}.checks.maxDuration must be a positive number of ms`);
+    result.maxDuration = ms;
+  }
+  if (checks.json != null) {
+    if (!isPlainObject(checks.json) || typeof checks.json.path !== "string") {
+      errors.push(`${prefix}.checks.json requires a path (and optional equals)`);
+    }
+    result.json = checks.json;
+  }
+  return result;
+};
+
+/**
+ * Validates a raw scenario from the request body.
+ * @param {object} [input]
+ * @returns {{ scenario: object|null, errors: string[] }}
+ */
+export const normalizeScenario = (input) => {
+  if (input == null) return { scenario: null, errors: [] };
+
+  const errors = [];
+  if (!isPlainObject(input)) return { scenario: null, errors: ["scenario must be an object"] };
+
+  if (!Array.isArray(input.steps) || input.steps.length === 0) {
+    return { scenario: null, errors: ["scenario.steps must contain at least one step"] };
+  }
+  if (input.steps.length > MAX_STEPS) {
+    return { scenario: null, errors: [`scenario may have at most ${MAX_STEPS} steps`] };
+  }
+
+  const variables = {};
+  if (input.variables != null) {
+    if (!isPlainObject(input.variables)) {
+      errors.push("scenario.variables must be an object");
+    } else {
+      for (const [name, value] of Object.entries(input.variables)) {
+        if (!VARIABLE_NAME.test(name)) errors.push(`scenario.variables: "${name}" is not a valid variable name`);
+        else variables[name] = String(value);
+      }
+    }
+  }
+
+  const steps = input.steps.map((step, i) => {
+    const prefix = `steps[${i}]`;
+    if (!isPlainObject(step)) {
+      errors.push(`${prefix} must be an object`);
+      return null;
+    }
+
+    const method = String(step.method || "GET").toUpperCase();
+    if (!METHODS.includes(method)) errors.push(`${prefix}.method must be one of: ${METHODS.join(", ")}`);
+
+    if (typeof step.url !== "string" || step.url.trim() === "") errors.push(`${prefix}.url is required`);
+
+    if (step.headers != null && !isPlainObject(step.headers)) errors.push(`${prefix}.headers must be an object`);
+
+    const thinkTime = step.thinkTime != null ? Number(step.thinkTime) : null;
+    if (thinkTime !== null && (!Number.isFinite(thinkTime) || thinkTime < 0 || thinkTime > 30)) {
+      errors.push(`${prefix}.thinkTime must be between 0 and 30 seconds`);
+    }
+
+    return {
+      name: typeof step.name === "string" && step.name.trim() ? step.name.trim() : `step-${i + 1}`,
+      method,
+      url: step.url,
+      headers: isPlainObject(step.headers) ? step.headers : {},
+      body: step.body ?? null,
+      extract: validateExtract(step.extract, prefix, errors),
+      checks: validateChecks(step.checks, prefix, errors),
+      thinkTime,
+    };
+  });
+
+  return errors.length > 0 ? { scenario: null, errors } : { scenario: { variables, steps }, errors };
+};
+
+export const REDACTED = "[redacted]";
+
+// Header, query and body keys whose values are credentials
+const SENSITIVE_KEY = /auth|token|secret|passw|pwd|cookie|session|api[-_]?key|(private|access)[-_]?key|credential|signature/i;
+
+// "{{token}}" or "Bearer {{token}}" only name a variable, and variable values are redacted anyway
+const onlyPlaceholders = (value) => typeof value === "string"
+  && /\{\{/.test(value)
+  && /^\s*(bearer|basic|token)?\s*$/i.test(value.replace(/\{\{\s*[A-Za-z_][A-Za-z0-9_]*\s*\}\}/g, ""));
+
+const redactEntry = (key, value) => {
+  if (SENSITIVE_KEY.test(key)) return onlyPlaceholders(value) ? value : REDACTED;
+  if (Array.isArray(value)) return value.map(v => redactEntry("", v));
+  if (isPlainObject(value)) return Object.fromEntries(Object.entries(value).map(([k, v]) => [k, redactEntry(k, v)]));
+  return value;
+};
+
+// "a=1&password=x" style strings (query strings, form bodies)
+const redactPairs = (text) => text.split("&").map(pair => {
+  const [key, ...rest] = pair.split("=");
+  if (!rest.length) return pair;
+  let name = key;
+  try { name = decodeURIComponent(key.replace(/\+/g, " ")); } catch (e) { /* malformed escape: match the raw key */ }
+  return `${key}=${redactEntry(name, rest.join("="))}`;
+}).join("&");
+
+const redactBody = (body) => {
+  if (body == null || typeof body !== "string") return redactEntry("", body);
+  try {
+    const parsed = JSON.parse(body);
+    if (parsed !== null && typeof parsed === "object") return JSON.stringify(redactEntry("", parsed));
+  } catch (e) { /* not JSON */ }
+  if (/^[^=&\s]+=[^&\s]*(&[^=&\s]+=[^&\s]*)*$/.test(body)) return redactPairs(body);
+  // Free text (XML, GraphQL, ...) cannot be redacted field by field
+  return body === "" || onlyPlaceholders(body) ? body : REDACTED;
+};
+
+/**
+ * The scenario as saved with the session and returned by the report endpoints: variable values,
+ * credential headers, query parameters and body fields are replaced with REDACTED.
+ * The step shape (names, methods, paths, extract rules, checks) is kept for the report.
+ * @param {object|null} scenario - normalized scenario
+ */
+export const redactScenario = (scenario) => scenario && {
+  variables: Object.fromEntries(Object.keys(scenario.variables || {}).map(name => [name, REDACTED])),
+  steps: scenario.steps.map(step => {
+    const [path, query] = step.url.split(/\?(.*)/s);
+    return {
+      ...step,
+      url: query !== undefined ? `${path}?${redactPairs(query)}` : step.url,
+      headers: Object.fromEntries(Object.entries(step.headers || {}).map(([k, v]) => [k, redactEntry(k, v)])),
+      body: redactBody(step.body),
+    };
+  }),
+};
+
+/**
+ * Renders a k6 script that walks the scenario once per iteration.
+ * Scenario and options are embedded as JSON literals so no user input is ever evaluated as code.
+ * @param {object} scenario - normalized scenario
+ * @param {object} profile - normalized load profile
+ * @param {object} [k6Thresholds] - k6 `options.thresholds` (see Utils/thresholds.js)
+ * @returns {string} k6 script source
+ */
+export const buildScenarioScript = (scenario, profile, k6Thresholds = {}) => `import http from "k6/http";
+import { check, sleep } from "k6";
+import { Counter } from "k6/metrics";
+
+// Generated by Utils/scenarioBuilder.js - do not edit
+
+export const serverErrors = new Counter("server_errors");
+
+export const options = ${JSON.stringify({ ...buildK6Options(profile), thresholds: k6Thresholds }, null, 2)};
+
+const SCENARIO = ${JSON.stringify(scenario, null, 2)};
+const THINK_TIME = ${JSON.stringify(profile.thinkTime)};
+const TIMEOUT = ${JSON.stringify(profile.timeout)};
+const BASE_URL = (__ENV.TARGET_URL || "").replace(/\\/+$/, "");
+
+const render = (value, vars) => {
+  if (typeof value === "string") {
+    return value.replace(/\\{\\{\\s*([A-Za-z_][A-Za-z0-9_]*)\\s*\\}\\}/g, (m, name) =>
+      vars[name] !== undefined ? vars[name] : m
+    );
+  }
+  if (Array.isArray(value)) return value.map((v) => render(v, vars));
+  if (value && typeof value === "object") {
+    const out = {};
+    for (const key of Object.keys(value)) out[key] = render(value[key], vars);
+    return out;
+  }
+  return value;
+};
+
+const resolveUrl = (url) => (/^https?:\\/\\//i.test(url) ? url : BASE_URL + "/" + url.replace(/^\\/+/, ""));
+
+const readPath = (obj, path) =>
+  path.split(".").reduce((acc, key) => (acc === null || acc === undefined ? undefined : acc[key]), obj);
+
+const parseJson = (res) => {
+  try {
+    return res.json();
+  } catch (e) {
+    return undefined;
+  }
+};
+
+const extractValue = (res, rule) => {
+  if (rule.from === "json") return readPath(parseJson(res), rule.path);
+  if (rule.from === "header") {
+    const wanted = rule.name.toLowerCase();
+    const key = Object.keys(res.headers).find((h) => h.toLowerCase() === wanted);
+    return key ? res.headers[key] : undefined;
+  }
+  const match = new RegExp(rule.pattern).exec(res.body || "");
+  return match ? (match[1] !== undefined ? match[1] : match[0]) : undefined;
+};
+
+const buildChecks = (step) => {
+  const c = step.checks;
+  const checks = {};
+  if (c.status) checks[step.name + ": status " + c.status.join("/")] = (r) => c.status.indexOf(r.status) !== -1;
+  if (c.bodyContains) checks[step.name + ": body contains text"] = (r) => (r.body || "").indexOf(c.bodyContains) !== -1;
+  if (c.maxDuration) checks[step.name + ": duration < " + c.maxDuration + "ms"] = (r) => r.timings.duration < c.maxDuration;
+  if (c.json) {
+    checks[step.name + ": json " + c.json.path] = (r) => {
+      const value = readPath(parseJson(r), c.json.path);
+      return c.json.equals === undefined ? value !== undefined : value === c.json.equals;
+    };
+  }
+  return checks;
+};
+
+export default function () {
+  const vars = Object.assign({}, SCENARIO.variables);
+
+  for (const step of SCENARIO.steps) {
+    const headers = render(step.headers, vars);
+    let body = null;
+    if (step.body !== null) {
+      const rendered = render(step.body, vars);
+      if (typeof rendered === "string") {
+        body = rendered;
+      } else {
+        body = JSON.stringify(rendered);
+        if (!Object.keys(headers).some((h) => h.toLowerCase() === "content-type")) {
+          headers["Content-Type"] = "application/json";
+        }
+      }
+    }
+
+    const res = http.request(step.method, resolveUrl(render(step.url, vars)), body, {
+      headers,
+      timeout: TIMEOUT,
+      tags: { name: step.name },
+    });
+
+    if (res.status >= 500) {
+      serverErrors.add(1);
+    }
+
+    const checks = buildChecks(step);
+    if (Object.keys(checks).length > 0) check(res, checks, { step: step.name });
+
+    for (const name of Object.keys(step.extract)) {
+      const value = extractValue(res, step.extract[name]);
+      check(value, { [step.name + ": extract " + name]: (v) => v !== undefined }, { step: step.name });
+      if (value !== undefined) vars[name] = typeof value === "string" ? value : JSON.stringify(value);
+    }
+
+    if (step.thinkTime) sleep(step.thinkTime);
+  }
+
+  if (THINK_TIME > 0) sleep(THINK_TIME);
+}
+`;
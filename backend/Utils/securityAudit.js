@@ -0,0 +1,238 @@
+/**
+ * securityAudit.js
+ * Grades what a target exposes over the wire: security headers, cookie flags, HTTPS redirect,
+ * TLS certificate and protocol, and server version disclosure
+ * - SECURITY_CHECKS: id -> { weight, title, category }
+ * - parseSetCookie: flags of one Set-Cookie header
+ * - buildSecurityReport: graded checks (pass / warn / fail, each with a fix), a 0-100 score and a letter grade
+ *
+ * The facts come from Runners/securityRunner.js (or the simulator):
+ * { url, finalURL, headers: { lowercased name: value }, cookies: [raw Set-Cookie],
+ *   httpRedirect: { status, location } | { error }, tls: { protocol, authorized, authorizationError, validTo, issuer } | { error } | null }
+ * A warn earns half of a check's weight.
+ */
+
+export const SECURITY_CHECKS = {
+  "https-redirect": { weight: 3, category: "transport", title: "HTTP redirects to HTTPS" },
+  "tls-certificate": { weight: 3, category: "transport", title: "Valid TLS certificate, not close to expiry" },
+  "tls-protocol": { weight: 2, category: "transport", title: "Modern TLS protocol version" },
+  "hsts": { weight: 3, category: "headers", title: "Strict-Transport-Security" },
+  "csp": { weight: 3, category: "headers", title: "Content-Security-Policy" },
+  "x-frame-options": { weight: 2, category: "headers", title: "Clickjacking protection (X-Frame-Options / frame-ancestors)" },
+  "x-content-type-options": { weight: 2, category: "headers", title: "X-Content-Type-Options: nosniff" },
+  "referrer-policy": { weight: 1, category: "headers", title: "Referrer-Policy" },
+  "permissions-policy": { weight: 1, category: "headers", title: "Permissions-Policy" },
+  "cookie-secure": { weight: 2, category: "cookies", title: "Cookies marked Secure" },
+  "cookie-httponly": { weight: 2, category: "cookies", title: "Session cookies marked HttpOnly" },
+  "cookie-samesite": { weight: 1, category: "cookies", title: "Cookies set SameSite" },
+  "server-disclosure": { weight: 1, category: "disclosure", title: "No server or framework version disclosure" },
+};
+
+const CERT_WARN_DAYS = 30;
+const HSTS_MIN_MAX_AGE = 15552000; // 180 days
+const MODERN_TLS = ["TLSv1.3", "TLSv1.2"];
+// Cookie names that usually carry a session or credential
+const SESSION_COOKIE = /sess|sid|token|auth|jwt|login|remember/i;
+const VERSION_NUMBER = /\d+(\.\d+)+/;
+
+/**
+ * @param {string} header - one Set-Cookie value
+ * @returns {{ name, secure, httpOnly, sameSite }}
+ */
+export const parseSetCookie = (header) => {
+  const [pair, ...attributes] = header.split(";").map(part => part.trim());
+  const attrs = Object.fromEntries(attributes.map(a => {
+    const [key, ...value] = a.split("=");
+    return [key.toLowerCase(), value.join("=") || true];
+  }));
+  return {
+    name: pair.split("=")[0],
+    secure: "secure" in attrs,
+    httpOnly: "httponly" in attrs,
+    sameSite: typeof attrs.samesite === "string" ? attrs.samesite.toLowerCase() : null,
+  };
+};
+
+const pass = (value, detail) => ({ status: "pass", value, detail, fix: null });
+const warn = (value, detail, fix) => ({ status: "warn", value, detail, fix });
+const fail = (value, detail, fix) => ({ status: "fail", value, detail, fix });
+
+const daysUntil = (date, now) => Math.floor((new Date(date).getTime() - now) / 86400000);
+
+const listNames = (cookies) => cookies.map(c => c.name).join(", ");
+
+const CHECK_GRADERS = {
+  "https-redirect": ({ finalURL, httpRedirect }) => {
+    if (!httpRedirect || httpRedirect.error) {
+      return finalURL.startsWith("https:")
+        ? pass(null, "Plain HTTP is not served (port 80 closed or refused)")
+        : fail(null, "The site is only available over HTTP", "Serve the site over HTTPS and redirect every HTTP request to it.");
+    }
+    const { status, location } = httpRedirect;
+    if (status >= 300 && status < 400 && location?.startsWith("https:")) {
+      return [301, 308].includes(status)
+        ? pass(`${status} → ${location}`, "HTTP requests are permanently redirected to HTTPS")
+        : warn(`${status} → ${location}`, "The redirect to HTTPS is temporary, so browsers and search engines keep trying HTTP", "Use a permanent redirect (301 or 308) from HTTP to HTTPS.");
+    }
+    return fail(`${status}${location ? ` → ${location}` : ""}`, "HTTP requests are answered without redirecting to HTTPS", "Redirect all HTTP requests to the HTTPS URL with a 301 or 308.");
+  },
+
+  "tls-certificate": ({ tls }, now) => {
+    if (!tls) return fail(null, "No HTTPS endpoint to check", "Obtain a certificate (e.g. from Let's Encrypt) and serve the site over HTTPS.");
+    if (tls.error) return fail(null, `TLS handshake failed: ${tls.error}`, "Fix the HTTPS listener so clients can complete a TLS handshake.");
+    const days = daysUntil(tls.validTo, now);
+    if (!tls.authorized) {
+      return fail(tls.validTo, `Certificate is not trusted: ${tls.authorizationError}`, "Install a certificate from a public CA that covers this hostname, including the full intermediate chain.");
+    }
+    if (days < 0) return fail(tls.validTo, "Certificate has expired", "Renew the certificate and automate renewal.");
+    if (days < CERT_WARN_DAYS) {
+      return warn(tls.validTo, `Certificate expires in ${days} day${days === 1 ? "" : "s"}`, "Renew the certificate now and automate renewal (e.g. certbot or your provider's managed certificates).");
+    }
+    return pass(tls.validTo, `Trusted certificate from ${tls.issuer || "unknown issuer"}, valid for ${days} more days`);
+  },
+
+  "tls-protocol": ({ tls }) => {
+    if (!tls || tls.error) return fail(null, "No TLS connection could be made", "Serve the site over HTTPS with TLS 1.2 or 1.3.");
+    if (tls.protocol === "TLSv1.3") return pass(tls.protocol, "Negotiated TLS 1.3");
+    if (MODERN_TLS.includes(tls.protocol)) return pass(tls.protocol, "Negotiated TLS 1.2 (TLS 1.3 is preferred when available)");
+    return fail(tls.protocol, `Negotiated an obsolete protocol (${tls.protocol})`, "Disable TLS 1.0/1.1 and enable TLS 1.2 and 1.3 on the server or load balancer.");
+  },
+
+  "hsts": ({ finalURL, headers }) => {
+    const value = headers["strict-transport-security"];
+    if (!finalURL.startsWith("https:")) return fail(null, "HSTS cannot be set on an HTTP-only site", "Serve the site over HTTPS, then add Strict-Transport-Security.");
+    if (!value) return fail(null, "Header missing: browsers may still try HTTP first", "Add `Strict-Transport-Security: max-age=31536000; includeSubDomains`.");
+    const maxAge = Number(/max-age=(\d+)/i.exec(value)?.[1] ?? 0);
+    if (maxAge < HSTS_MIN_MAX_AGE) {
+      return warn(value, `max-age is ${maxAge}s, shorter than 180 days`, "Raise max-age to at least 31536000 (one year).");
+    }
+    return pass(value, /includesubdomains/i.test(value) ? "Long max-age, covers subdomains" : "Long max-age");
+  },
+
+  "csp": ({ headers }) => {
+    const value = headers["content-security-policy"];
+    if (!value) {
+      return headers["content-security-policy-report-only"]
+        ? warn(headers["content-security-policy-report-only"], "Only a report-only policy is set, nothing is enforced", "Enforce the policy with Content-Security-Policy once the reports are clean.")
+        : fail(null, "Header missing: injected scripts run unrestricted", "Add a Content-Security-Policy, starting with `default-src 'self'` and allowing only the origins the page needs.");
+    }
+    const scriptSrc = /(?:^|;)\s*script-src\s+([^;]*)/i.exec(value)?.[1] ?? /(?:^|;)\s*default-src\s+([^;]*)/i.exec(value)?.[1] ?? "";
+    const weak = [];
+    if (/'unsafe-inline'/.test(scriptSrc) && !/'nonce-|'sha(256|384|512)-/.test(scriptSrc)) weak.push("'unsafe-inline'");
+    if (/'unsafe-eval'/.test(scriptSrc)) weak.push("'unsafe-eval'");
+    if (/(^|\s)\*(\s|$)/.test(scriptSrc)) weak.push("*");
+    if (!scriptSrc) weak.push("no script-src or default-src");
+    return weak.length > 0
+      ? warn(value, `Scripts are weakly restricted (${weak.join(", ")})`, "Replace 'unsafe-inline' / 'unsafe-eval' / wildcards in script-src with nonces or hashes.")
+      : pass(value, "Script sources are restricted");
+  },
+
+  "x-frame-options": ({ headers }) => {
+    const value = headers["x-frame-options"];
+    const frameAncestors = /frame-ancestors\s+([^;]*)/i.exec(headers["content-security-policy"] || "")?.[1];
+    if (frameAncestors) return pass(`frame-ancestors ${frameAncestors.trim()}`, "Framing is controlled by CSP frame-ancestors");
+    if (/^(deny|sameorigin)$/i.test(value?.trim() ?? "")) return pass(value, "Framing by other sites is blocked");
+    if (value) return warn(value, "Unsupported X-Frame-Options value (ALLOW-FROM is ignored by modern browsers)", "Use `X-Frame-Options: DENY` or CSP `frame-ancestors 'self'`.");
+    return fail(null, "Header missing: the page can be framed for clickjacking", "Add `X-Frame-Options: DENY` (or SAMEORIGIN) or CSP `frame-ancestors 'self'`.");
+  },
+
+  "x-content-type-options": ({ headers }) => {
+    const value = headers["x-content-type-options"];
+    return value?.trim().toLowerCase() === "nosniff"
+      ? pass(value, "MIME sniffing disabled")
+      : fail(value ?? null, "Browsers may MIME-sniff responses into executable content", "Add `X-Content-Type-Options: nosniff`.");
+  },
+
+  "referrer-policy": ({ headers }) => {
+    const value = headers["referrer-policy"];
+    if (!value) return warn(null, "Header missing: browsers fall back to their default policy", "Add `Referrer-Policy: strict-origin-when-cross-origin`.");
+    if (/unsafe-url|no-referrer-when-downgrade/i.test(value)) {
+      return fail(value, "Full URLs (including paths and query strings) leak to other sites", "Use `strict-origin-when-cross-origin` or stricter.");
+    }
+    return pass(value, "Referrer leakage is limited");
+  },
+
+  "permissions-policy": ({ headers }) => {
+    const value = headers["permissions-policy"];
+    return value
+      ? pass(value, "Powerful browser features are restricted")
+      : warn(null, "Header missing: embedded content may request camera, microphone, geolocation, ...", "Add a Permissions-Policy disabling unused features, e.g. `camera=(), microphone=(), geolocation=()`.");
+  },
+
+  "cookie-secure": ({ finalURL, cookies }) => {
+    if (cookies.length === 0) return pass(null, "No cookies set on the page response");
+    const insecure = cookies.filter(c => !c.secure);
+    if (insecure.length === 0) return pass(`${cookies.length} cookie(s)`, "Every cookie is Secure");
+    return (finalURL.startsWith("https:") ? fail : warn)(
+      listNames(insecure),
+      `${insecure.length} of ${cookies.length} cookie(s) can be sent over plain HTTP`,
+      "Add the Secure attribute to every cookie."
+    );
+  },
+
+  "cookie-httponly": ({ cookies }) => {
+    if (cookies.length === 0) return pass(null, "No cookies set on the page response");
+    const exposed = cookies.filter(c => !c.httpOnly);
+    const exposedSessions = exposed.filter(c => SESSION_COOKIE.test(c.name));
+    if (exposedSessions.length > 0) {
+      return fail(listNames(exposedSessions), "Session-like cookies are readable from JavaScript (stealable through XSS)", "Add HttpOnly to session and authentication cookies.");
+    }
+    if (exposed.length > 0) {
+      return warn(listNames(exposed), `${exposed.length} cookie(s) readable from JavaScript`, "Add HttpOnly unless client-side code genuinely needs to read the cookie.");
+    }
+    return pass(`${cookies.length} cookie(s)`, "Every cookie is HttpOnly");
+  },
+
+  "cookie-samesite": ({ cookies }) => {
+    if (cookies.length === 0) return pass(null, "No cookies set on the page response");
+    const noneWithoutSecure = cookies.filter(c => c.sameSite === "none" && !c.secure);
+    if (noneWithoutSecure.length > 0) {
+      return fail(listNames(noneWithoutSecure), "SameSite=None without Secure is rejected by browsers", "Add Secure to SameSite=None cookies, or use SameSite=Lax.");
+    }
+    const missing = cookies.filter(c => !c.sameSite);
+    return missing.length > 0
+      ? warn(listNames(missing), `${missing.length} cookie(s) rely on the browser's SameSite default`, "Set SameSite=Lax (or Strict) explicitly on every cookie.")
+      : pass(`${cookies.length} cookie(s)`, "Every cookie sets SameSite");
+  },
+
+  "server-disclosure": ({ headers }) => {
+    const disclosed = ["server", "x-powered-by", "x-aspnet-version", "x-aspnetmvc-version"]
+      .filter(name => headers[name] && (name !== "server" || VERSION_NUMBER.test(headers[name])))
+      .map(name => `${name}: ${headers[name]}`);
+    return disclosed.length > 0
+      ? warn(disclosed.join("; "), "Version details help attackers pick known exploits", "Remove X-Powered-By and strip version numbers from the Server header (e.g. `server_tokens off` in nginx).")
+      : pass(headers.server ?? null, "No version numbers disclosed");
+  },
+};
+
+const letterGrade = (score) => (score >= 90 ? "A" : score >= 80 ? "B" : score >= 70 ? "C" : score >= 60 ? "D" : "F");
+
+/**
+ * @param {object} facts - see the header comment
+ * @param {number} [now] - for certificate expiry (defaults to the current time)
+ * @returns {{ url, score, grade, passed, warnings, failed, checks: Array<{ id, category, title, status, value, detail, fix }> }}
+ */
+export const buildSecurityReport = (facts, now = Date.now()) => {
+  const input = { ...facts, cookies: (facts.cookies || []).map(parseSetCookie) };
+
+  let total = 0;
+  let earned = 0;
+  const checks = Object.entries(SECURITY_CHECKS).map(([id, { weight, category, title }]) => {
+    const result = CHECK_GRADERS[id](input, now);
+    total += weight;
+    earned += result.status === "pass" ? weight : result.status === "warn" ? weight / 2 : 0;
+    return { id, category, title, ...result };
+  });
+
+  const score = Math.round((earned / total) * 100);
+  const count = (status) => checks.filter(c => c.status === status).length;
+  return {
+    url: facts.finalURL,
+    score,
+    grade: letterGrade(score),
+    passed: count("pass"),
+    warnings: count("warn"),
+    failed: count("fail"),
+    checks,
+  };
+};
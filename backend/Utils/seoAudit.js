@@ -0,0 +1,401 @@
+/**
+ * seoAudit.js
+ * SEO checks for the Playwright audit
+ * - SEO_CHECKS: check catalogue (weight + description)
+ * - collectSeoFindings: runs INSIDE the page via page.evaluate, so it must stay
+ *   self-contained (no references to anything else in this module)
+ * - probeSeoResources: robots.txt, the XML sitemap and the status of internal links, fetched
+ *   from Node; site files and link statuses are cached so a crawl fetches each only once
+ * - evaluateSeoChecks: findings + probes -> { [checkId]: { status, detail } }
+ * - buildSeoReport: weighted 0-100 score over the applicable checks
+ *
+ * Statuses are pass / warn / fail / na; a warn earns half of a check's weight and na checks
+ * (e.g. hreflang on a single-language page) are left out of the score.
+ */
+
+export const SEO_CHECKS = {
+  "document-title": { weight: 3, description: "Page has a <title>" },
+  "title-length": { weight: 1, description: "Title is 30-60 characters long" },
+  "meta-description": { weight: 3, description: "Page has a meta description" },
+  "description-length": { weight: 1, description: "Meta description is 70-160 characters long" },
+  "indexable": { weight: 3, description: "Page is not excluded by a robots meta tag or X-Robots-Tag" },
+  "canonical": { weight: 2, description: "Page declares one valid canonical URL" },
+  "robots-txt": { weight: 2, description: "robots.txt is served and allows the page" },
+  "sitemap": { weight: 1, description: "An XML sitemap is available" },
+  "open-graph": { weight: 1, description: "Open Graph tags for link previews (og:title, og:description, og:image)" },
+  "twitter-card": { weight: 1, description: "Twitter card tag is set" },
+  "single-h1": { weight: 2, description: "Page has exactly one <h1>" },
+  "heading-order": { weight: 1, description: "Heading levels do not skip (h2 -> h4)" },
+  "structured-data": { weight: 2, description: "JSON-LD structured data is valid" },
+  "hreflang": { weight: 1, description: "hreflang alternates are valid and reference the page itself" },
+  "internal-links": { weight: 2, description: "Internal links resolve without errors or redirects" },
+};
+
+const TITLE_LENGTH = [30, 60];
+const DESCRIPTION_LENGTH = [70, 160];
+const OPEN_GRAPH_TAGS = ["og:title", "og:description", "og:image"];
+const MAX_LINKS_CHECKED = 20;
+const LINK_CONCURRENCY = 5;
+const PROBE_TIMEOUT_MS = 5000;
+// Sitemaps can be tens of MB; the start is enough to validate and count <loc> entries
+const MAX_SITEMAP_BYTES = 1024 * 1024;
+// BCP 47 language(-script)(-region), or x-default
+const HREFLANG = /^(x-default|[a-z]{2,3}(-[a-z]{4})?(-([a-z]{2}|\d{3}))?)$/i;
+
+/**
+ * Runs in the browser. Returns what the page declares about itself for search engines.
+ */
+export const collectSeoFindings = () => {
+  const meta = (selector) => document.querySelector(selector)?.getAttribute("content")?.trim() ?? null;
+  return {
+    title: document.title.trim(),
+    description: meta('meta[name="description" i]'),
+    robotsMeta: Array.from(document.querySelectorAll('meta[name="robots" i], meta[name="googlebot" i]'), m => m.getAttribute("content") || ""),
+    canonicals: Array.from(document.querySelectorAll('link[rel~="canonical" i]'), l => l.getAttribute("href") || ""),
+    openGraph: Object.fromEntries(["og:title", "og:description", "og:image", "og:url"].map(p => [p, meta(`meta[property="${p}"]`)])),
+    twitterCard: meta('meta[name="twitter:card"]'),
+    headings: Array.from(document.querySelectorAll("h1, h2, h3, h4, h5, h6"), h => ({
+      level: Number(h.tagName[1]),
+      text: h.textContent.trim().replace(/\s+/g, " ").slice(0, 120),
+    })).slice(0, 100),
+    jsonLd: Array.from(document.querySelectorAll('script[type="application/ld+json"]'), s => s.textContent.slice(0, 20000)),
+    hreflang: Array.from(document.querySelectorAll('link[rel~="alternate" i][hreflang]'), l => ({
+      lang: l.getAttribute("hreflang"),
+      href: l.getAttribute("href") || "",
+    })),
+  };
+};
+
+const probeFetch = (url, options = {}) => fetch(url, { redirect: "manual", signal: AbortSignal.timeout(PROBE_TIMEOUT_MS), ...options });
+
+const readCapped = async (res, maxBytes) => {
+  const reader = res.body?.getReader();
+  if (!reader) return "";
+  const chunks = [];
+  let bytes = 0;
+  while (bytes < maxBytes) {
+    const { done, value } = await reader.read();
+    if (done) break;
+    chunks.push(value);
+    bytes += value.length;
+  }
+  await reader.cancel().catch(() => { });
+  return Buffer.concat(chunks).toString("utf8", 0, Math.min(bytes, maxBytes));
+};
+
+/**
+ * Groups of the robots.txt that apply to every crawler (User-agent: *).
+ * @returns {{ rules: Array<{ allow: boolean, path: string }>, sitemaps: string[] }}
+ */
+export const parseRobotsTxt = (text) => {
+  const rules = [];
+  const sitemaps = [];
+  let agents = [];
+  let inRules = false;
+  for (const raw of text.split(/\r?\n/)) {
+    const line = raw.replace(/#.*/, "").trim();
+    const match = /^([a-z-]+)\s*:\s*(.*)$/i.exec(line);
+    if (!match) continue;
+    const [, field, value] = match;
+    switch (field.toLowerCase()) {
+      case "user-agent":
+        // Consecutive User-agent lines share the rules that follow them
+        if (inRules) agents = [];
+        inRules = false;
+        agents.push(value.toLowerCase());
+        break;
+      case "allow":
+      case "disallow":
+        inRules = true;
+        if (agents.includes("*") && value) rules.push({ allow: field.toLowerCase() === "allow", path: value });
+        break;
+      case "sitemap":
+        sitemaps.push(value);
+        break;
+    }
+  }
+  return { rules, sitemaps };
+};
+
+// robots.txt path pattern: * matches anything, a trailing $ anchors the end
+const robotsPattern = (path) => {
+  const anchored = path.endsWith("$");
+  const body = (anchored ? path.slice(0, -1) : path)
+    .split("*")
+    .map(part => part.replace(/[.*+?^${}()|[\]\\]/g, "\\$&"))
+    .join(".*");
+  return new RegExp(`^${body}${anchored ? "$" : ""}`);
+};
+
+/**
+ * Longest matching rule wins, Allow wins ties (RFC 9309).
+ */
+export const isAllowedByRobots = (rules, path) => {
+  let best = null;
+  for (const rule of rules) {
+    if (!robotsPattern(rule.path).test(path)) continue;
+    if (!best || rule.path.length > best.path.length || (rule.path.length === best.path.length && rule.allow)) best = rule;
+  }
+  return best ? best.allow : true;
+};
+
+const probeRobots = async (origin) => {
+  try {
+    const res = await probeFetch(`${origin}/robots.txt`, { redirect: "follow" });
+    if (res.status !== 200) {
+      await res.body?.cancel().catch(() => { });
+      return { status: res.status, rules: [], sitemaps: [] };
+    }
+    return { status: 200, ...parseRobotsTxt(await readCapped(res, 512 * 1024)) };
+  } catch (e) {
+    return { error: e.cause?.code || e.message };
+  }
+};
+
+const probeSitemap = async (url) => {
+  try {
+    const res = await probeFetch(url, { redirect: "follow" });
+    if (res.status !== 200) {
+      await res.body?.cancel().catch(() => { });
+      return { url, status: res.status, valid: false, urls: 0 };
+    }
+    const text = await readCapped(res, MAX_SITEMAP_BYTES);
+    const isIndex = /<sitemapindex[\s>]/i.test(text);
+    return {
+      url,
+      status: 200,
+      valid: isIndex || /<urlset[\s>]/i.test(text),
+      index: isIndex,
+      urls: (text.match(/<loc>/gi) || []).length,
+    };
+  } catch (e) {
+    return { url, error: e.cause?.code || e.message };
+  }
+};
+
+const probeLink = async (url) => {
+  try {
+    let res = await probeFetch(url, { method: "HEAD" });
+    // Some servers do not implement HEAD
+    if (res.status === 405 || res.status === 501) res = await probeFetch(url);
+    await res.body?.cancel().catch(() => { });
+    return { url, status: res.status, location: res.headers.get("location") };
+  } catch (e) {
+    return { url, status: null, error: e.cause?.code || e.message };
+  }
+};
+
+const cached = (cache, key, load) => {
+  if (!cache.has(key)) cache.set(key, load());
+  return cache.get(key);
+};
+
+/**
+ * @param {string} pageURL - final URL of the audited page
+ * @param {string[]} links - every link href on the page (absolute)
+ * @param {Map} [cache] - shared by all pages of a crawl
+ * @returns {Promise<{ robots, sitemap, links: Array<{ url, status, location?, error? }>, linksFound: number }>}
+ */
+export const probeSeoResources = async (pageURL, links, cache = new Map()) => {
+  const { origin, href: self } = new URL(pageURL);
+  const robots = await cached(cache, `robots:${origin}`, () => probeRobots(origin));
+  const sitemapURL = robots.sitemaps?.[0] || `${origin}/sitemap.xml`;
+  const sitemap = await cached(cache, `sitemap:${sitemapURL}`, () => probeSitemap(sitemapURL));
+
+  const internal = [...new Set(links.flatMap(href => {
+    try {
+      const url = new URL(href);
+      url.hash = "";
+      return url.origin === origin && url.href !== self ? [url.href] : [];
+    } catch {
+      return [];
+    }
+  }))];
+  const checked = [];
+  const toCheck = internal.slice(0, MAX_LINKS_CHECKED);
+  for (let i = 0; i < toCheck.length; i += LINK_CONCURRENCY) {
+    checked.push(...await Promise.all(toCheck.slice(i, i + LINK_CONCURRENCY).map(url => cached(cache, `link:${url}`, () => probeLink(url)))));
+  }
+  return { robots, sitemap, links: checked, linksFound: internal.length };
+};
+
+const pass = (detail) => ({ status: "pass", detail });
+const warn = (detail) => ({ status: "warn", detail });
+const fail = (detail) => ({ status: "fail", detail });
+const na = (detail) => ({ status: "na", detail });
+
+const lengthCheck = (text, [min, max], what) => {
+  if (!text) return fail(`No ${what}`);
+  if (text.length < min) return warn(`${text.length} characters, shorter than ${min}: "${text}"`);
+  if (text.length > max) return warn(`${text.length} characters, search results cut it off after about ${max}`);
+  return pass(`${text.length} characters`);
+};
+
+const resolve = (href, base) => {
+  try {
+    return new URL(href, base).href;
+  } catch {
+    return null;
+  }
+};
+
+// Flattens arrays and @graph containers into the individual JSON-LD items
+const jsonLdItems = (data) => (Array.isArray(data) ? data : [data])
+  .flatMap(item => (item && Array.isArray(item["@graph"]) ? item["@graph"] : [item]));
+
+const validateJsonLd = (text, index) => {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (e) {
+    return { error: `Block ${index + 1} is not valid JSON (${e.message})` };
+  }
+  const roots = Array.isArray(data) ? data : [data];
+  if (roots.some(r => !/schema\.org/i.test(JSON.stringify(r?.["@context"] ?? "")))) {
+    return { error: `Block ${index + 1} has no schema.org @context` };
+  }
+  const items = jsonLdItems(data);
+  if (items.some(i => !i || typeof i !== "object" || !i["@type"])) {
+    return { error: `Block ${index + 1} has an item without @type` };
+  }
+  return { types: items.flatMap(i => [].concat(i["@type"])) };
+};
+
+const CHECK_EVALUATORS = {
+  "document-title": ({ findings }) => (findings.title ? pass(`"${findings.title}"`) : fail("No <title> element or it is empty")),
+
+  "title-length": ({ findings }) => lengthCheck(findings.title, TITLE_LENGTH, "title"),
+
+  "meta-description": ({ findings }) => (findings.description
+    ? pass(`"${findings.description.slice(0, 160)}"`)
+    : fail("No meta description: search engines will pick a snippet from the page")),
+
+  "description-length": ({ findings }) => lengthCheck(findings.description, DESCRIPTION_LENGTH, "meta description"),
+
+  "indexable": ({ findings, robotsHeader }) => {
+    const directives = [...findings.robotsMeta, robotsHeader || ""].join(",").toLowerCase();
+    if (/\b(noindex|none)\b/.test(directives)) {
+      return fail(`Excluded from search results (${robotsHeader ? `X-Robots-Tag: ${robotsHeader}` : `robots meta: ${findings.robotsMeta.join(", ")}`})`);
+    }
+    return /\bnofollow\b/.test(directives) ? warn("Indexable, but links are marked nofollow") : pass("Indexable");
+  },
+
+  "canonical": ({ findings, pageURL }) => {
+    const { canonicals } = findings;
+    if (canonicals.length === 0) return warn("No canonical link: duplicate URLs (query strings, trailing slashes) compete with each other");
+    if (canonicals.length > 1) return fail(`${canonicals.length} canonical links: search engines ignore conflicting canonicals`);
+    const canonical = resolve(canonicals[0], pageURL);
+    if (!canonical || !/^https?:/.test(canonical)) return fail(`Invalid canonical URL: ${canonicals[0]}`);
+    if (!/^https?:\/\//i.test(canonicals[0])) return warn(`Relative canonical URL (${canonicals[0]}); use an absolute URL`);
+    return canonical === pageURL
+      ? pass(`Self-referencing: ${canonical}`)
+      : warn(`Points to another URL (${canonical}), so this page itself will not be indexed`);
+  },
+
+  "robots-txt": ({ robots, pageURL }) => {
+    if (robots.error) return warn(`robots.txt could not be fetched (${robots.error})`);
+    if (robots.status >= 500) return fail(`robots.txt returned ${robots.status}: crawlers treat the whole site as disallowed`);
+    if (robots.status !== 200) return warn(`No robots.txt (HTTP ${robots.status}): everything may be crawled`);
+    const { pathname, search } = new URL(pageURL);
+    return isAllowedByRobots(robots.rules, pathname + search)
+      ? pass(`${robots.rules.length} rule(s) for all crawlers, this page is allowed`)
+      : fail(`robots.txt disallows ${pathname} for all crawlers`);
+  },
+
+  "sitemap": ({ sitemap, robots }) => {
+    if (sitemap.error) return warn(`${sitemap.url} could not be fetched (${sitemap.error})`);
+    if (sitemap.status !== 200) {
+      return warn(`No sitemap at ${sitemap.url} (HTTP ${sitemap.status})${robots.sitemaps?.length ? "" : " and none listed in robots.txt"}`);
+    }
+    if (!sitemap.valid) return fail(`${sitemap.url} is not a <urlset> or <sitemapindex> document`);
+    return pass(`${sitemap.url}: ${sitemap.urls} ${sitemap.index ? "sitemap(s)" : "URL(s)"}${robots.sitemaps?.length ? ", listed in robots.txt" : ""}`);
+  },
+
+  "open-graph": ({ findings }) => {
+    const missing = OPEN_GRAPH_TAGS.filter(tag => !findings.openGraph[tag]);
+    if (missing.length === 0) return pass("og:title, og:description and og:image are set");
+    return missing.length === OPEN_GRAPH_TAGS.length
+      ? fail("No Open Graph tags: shared links get no title, description or image")
+      : warn(`Missing ${missing.join(", ")}`);
+  },
+
+  "twitter-card": ({ findings }) => (findings.twitterCard
+    ? pass(`twitter:card = ${findings.twitterCard}`)
+    : warn("No twitter:card tag (X/Twitter falls back to a plain link or Open Graph)")),
+
+  "single-h1": ({ findings }) => {
+    const h1s = findings.headings.filter(h => h.level === 1);
+    if (h1s.length === 1) return pass(`"${h1s[0].text}"`);
+    return h1s.length === 0 ? fail("No <h1> on the page") : warn(`${h1s.length} <h1> elements; use one for the main topic`);
+  },
+
+  "heading-order": ({ findings }) => {
+    if (findings.headings.length === 0) return na("No headings");
+    const skips = findings.headings.slice(1)
+      .map((h, i) => [findings.headings[i].level, h])
+      .filter(([previous, h]) => h.level > previous + 1)
+      .map(([previous, h]) => `h${previous} -> h${h.level} ("${h.text.slice(0, 40)}")`);
+    return skips.length === 0 ? pass(`${findings.headings.length} headings in order`) : warn(`Skipped levels: ${skips.slice(0, 3).join("; ")}`);
+  },
+
+  "structured-data": ({ findings }) => {
+    if (findings.jsonLd.length === 0) return warn("No JSON-LD structured data: the page is not eligible for rich results");
+    const results = findings.jsonLd.map(validateJsonLd);
+    const errors = results.filter(r => r.error).map(r => r.error);
+    if (errors.length > 0) return fail(errors.join("; "));
+    return pass(`${results.length} block(s): ${[...new Set(results.flatMap(r => r.types))].join(", ")}`);
+  },
+
+  "hreflang": ({ findings, pageURL }) => {
+    const { hreflang } = findings;
+    if (hreflang.length === 0) return na("No hreflang alternates (single-language page)");
+    const invalid = hreflang.filter(h => !HREFLANG.test(h.lang || "") || !/^https?:\/\//i.test(h.href));
+    if (invalid.length > 0) {
+      return fail(`Invalid entries: ${invalid.slice(0, 3).map(h => `${h.lang} -> ${h.href || "(empty)"}`).join(", ")}; use language codes and absolute URLs`);
+    }
+    if (!hreflang.some(h => resolve(h.href, pageURL) === pageURL)) return warn(`${hreflang.length} alternates, but none points back to this page`);
+    return pass(`${hreflang.length} alternates: ${hreflang.map(h => h.lang).join(", ")}`);
+  },
+
+  "internal-links": ({ links, linksFound }) => {
+    if (links.length === 0) return na("No internal links");
+    const sampled = linksFound > links.length ? ` (first ${links.length} of ${linksFound})` : "";
+    const broken = links.filter(l => l.status === null || l.status >= 400);
+    if (broken.length > 0) {
+      return fail(`${broken.length} of ${links.length} broken${sampled}: ${broken.slice(0, 3).map(l => `${l.url} (${l.status ?? l.error})`).join(", ")}`);
+    }
+    const redirected = links.filter(l => l.status >= 300 && l.status < 400);
+    if (redirected.length > 0) return warn(`${redirected.length} of ${links.length} redirect${sampled}: ${redirected.slice(0, 3).map(l => `${l.url} -> ${l.location}`).join(", ")}`);
+    return pass(`${links.length} link(s) checked${sampled}, all return 2xx`);
+  },
+};
+
+/**
+ * @param {object} input
+ * @param {string} input.pageURL - final URL after redirects
+ * @param {object} input.findings - collectSeoFindings output
+ * @param {string|null} [input.robotsHeader] - X-Robots-Tag of the page response
+ * @param {object} input.probes - probeSeoResources output
+ * @returns {object} { [checkId]: { status, detail } }
+ */
+export const evaluateSeoChecks = ({ pageURL, findings, robotsHeader = null, probes }) =>
+  Object.fromEntries(Object.keys(SEO_CHECKS).map(id => [id, CHECK_EVALUATORS[id]({ pageURL, findings, robotsHeader, ...probes })]));
+
+/**
+ * @param {object} results - evaluateSeoChecks output
+ * @returns {{ score: number, checks: Array<{ id, description, weight, status, detail }> }}
+ */
+export const buildSeoReport = (results) => {
+  let total = 0;
+  let earned = 0;
+  const checks = Object.entries(SEO_CHECKS).map(([id, { weight, description }]) => {
+    const { status, detail } = results[id] ?? na("Not checked");
+    if (status !== "na") {
+      total += weight;
+      earned += status === "pass" ? weight : status === "warn" ? weight / 2 : 0;
+    }
+    return { id, description, weight, status, detail };
+  });
+
+  return { score: total > 0 ? Math.round((earned / total) * 100) : 100, checks };
+};
@@ -0,0 +1,506 @@
+/**
+ * simulator.js
+ * Deterministic stand-in for k6 and the Playwright audit (EXECUTION_MODE=demo,
+ * or when the k6 / chromium binaries are missing)
+ * - Seeded PRNG: the same seed, target and profile always produce the same output
+ * - Target model: base latency, a saturation point (VUs) and an error curve under load
+ * - Output has the same shape as the real runners (k6 summary export + timeSeries +
+ *   breakdown, audit scores, journey steps, page artifacts, security facts), so dashboards and scoring
+ *   can be exercised offline
+ *
+ * Configuration (all optional):
+ *   SIMULATION_SEED   - any string; defaults to "syncmind"
+ *   SIMULATION_MODEL  - JSON overriding fields of DEFAULT_TARGET_MODEL
+ *   SIMULATION_DELAY_MS - how long a simulated load test takes to "run" (default 2000)
+ */
+import { getProfileDuration, parseDuration } from "./loadProfile.js";
+import { scoreWebVitals } from "./webVitals.js";
+import { ACCESSIBILITY_RULES, buildAccessibilityReport } from "./accessibilityAudit.js";
+import { buildBestPracticesReport } from "./bestPractices.js";
+import { SEO_CHECKS, buildSeoReport } from "./seoAudit.js";
+
+export const DEFAULT_TARGET_MODEL = {
+  baseLatencyMs: 180,     // unloaded mean response time
+  latencyJitter: 0.1,     // +/- fraction of per-second noise
+  saturationVUs: 300,     // concurrency where the target starts to degrade
+  latencyExponent: 3,     // latency = base * (1 + load^exponent), load = VUs / saturationVUs
+  baseErrorRate: 0.001,   // error rate below saturation
+  errorSlope: 0.3,        // extra error rate per 100% of load beyond saturation
+  maxErrorRate: 0.6,
+  // How failures split into classes (fractions of all failures)
+  failureMix: { serverError: 0.6, rejected: 0.15, timeout: 0.25 },
+  // Lab vitals (ms, CLS unitless) are scored like a real audit; TTFB is baseLatencyMs
+  browser: {
+    // What the simulated page does while loading (scored like the real best-practices checks)
+    consoleErrors: 1, pageErrors: 0, failedRequests: 0,
+    // Accessibility rules (ids from Utils/accessibilityAudit.js) the simulated page fails
+    failingA11yRules: ["color-contrast", "region"],
+    // SEO checks (ids from Utils/seoAudit.js) the simulated page fails; hreflang does not apply
+    failingSeoChecks: ["twitter-card", "structured-data"],
+    fcpMs: 1600, lcpMs: 2900, tbtMs: 280, cls: 0.08, loadTimeMs: 1800,
+    requests: 24, transferBytes: 850000,
+    // Scripted journeys: time per navigation and per in-page action, and the name or
+    // 1-based index of a step to fail (null: every step passes)
+    journeyNavigateMs: 1100, journeyActionMs: 150, failingJourneyStep: null,
+  },
+  // What the simulated site exposes to the security audit (graded by Utils/securityAudit.js)
+  security: {
+    headers: {
+      "strict-transport-security": "max-age=31536000",
+      "x-content-type-options": "nosniff",
+      "x-frame-options": "SAMEORIGIN",
+      "referrer-policy": "strict-origin-when-cross-origin",
+      "server": "nginx/1.24.0",
+      "x-powered-by": "Express",
+    },
+    cookies: ["sessionid=demo; Path=/; Secure; HttpOnly; SameSite=Lax", "_ga=GA1.1.demo; Path=/; Max-Age=63072000"],
+    // Status of http:// -> https:// (null: plain HTTP is not served)
+    httpRedirectStatus: 301,
+    tlsProtocol: "TLSv1.3", certDaysLeft: 75,
+  },
+};
+
+/**
+ * String -> 32-bit hash (FNV-1a), used to turn any seed into PRNG state.
+ */
+const hashSeed = (str) => {
+  let h = 0x811c9dc5;
+  for (let i = 0; i < str.length; i++) {
+    h ^= str.charCodeAt(i);
+    h = Math.imul(h, 0x01000193);
+  }
+  return h >>> 0;
+};
+
+/**
+ * Mulberry32 PRNG. Returns () => number in [0, 1).
+ */
+export const createRng = (seed) => {
+  let state = hashSeed(String(seed));
+  return () => {
+    state = (state + 0x6d2b79f5) | 0;
+    let t = Math.imul(state ^ (state >>> 15), 1 | state);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+};
+
+/**
+ * Effective seed and model: explicit options win over the environment, which wins over the defaults.
+ */
+export const resolveSimulation = ({ seed, model } = {}) => {
+  let envModel = {};
+  if (process.env.SIMULATION_MODEL) {
+    try {
+      envModel = JSON.parse(process.env.SIMULATION_MODEL);
+    } catch (e) {
+      console.error("⚠️ Ignoring invalid SIMULATION_MODEL JSON:", e.message);
+    }
+  }
+  const merged = { ...DEFAULT_TARGET_MODEL, ...envModel, ...model };
+  merged.failureMix = { ...DEFAULT_TARGET_MODEL.failureMix, ...envModel.failureMix, ...model?.failureMix };
+  merged.browser = { ...DEFAULT_TARGET_MODEL.browser, ...envModel.browser, ...model?.browser };
+  merged.security = { ...DEFAULT_TARGET_MODEL.security, ...envModel.security, ...model?.security };
+
+  return { seed: seed ?? process.env.SIMULATION_SEED ?? "syncmind", model: merged };
+};
+
+const round = (v, digits = 2) => Number(v.toFixed(digits));
+
+const latencyAt = (model, vus) =>
+  model.baseLatencyMs * (1 + (vus / model.saturationVUs) ** model.latencyExponent);
+
+const errorRateAt = (model, vus) => {
+  const load = vus / model.saturationVUs;
+  const rate = model.baseErrorRate + (load > 1 ? (load - 1) * model.errorSlope : 0);
+  return Math.min(model.maxErrorRate, rate);
+};
+
+/**
+ * Active VUs at second `t` of a normalized profile (ramping stages are interpolated).
+ */
+const vusAt = (profile, t) => {
+  if (profile.executor !== "ramping-vus") return profile.vus ?? profile.maxVUs;
+
+  let from = profile.startVUs;
+  let elapsed = 0;
+  for (const stage of profile.stages) {
+    const length = parseDuration(stage.duration);
+    if (t < elapsed + length) return from + (stage.target - from) * ((t - elapsed) / length);
+    elapsed += length;
+    from = stage.target;
+  }
+  return from;
+};
+
+// Weighted percentile over per-second values: [{ value, weight }]
+const weightedPercentile = (entries, p) => {
+  const sorted = entries.filter(e => e.weight > 0).sort((a, b) => a.value - b.value);
+  const total = sorted.reduce((sum, e) => sum + e.weight, 0);
+  let seen = 0;
+  for (const e of sorted) {
+    seen += e.weight;
+    if (seen >= (p / 100) * total) return e.value;
+  }
+  return sorted.length ? sorted[sorted.length - 1].value : 0;
+};
+
+const emptyClasses = () => ({ "2xx": 0, "3xx": 0, "4xx": 0, "5xx": 0 });
+
+/**
+ * Simulates one k6 run against the target model.
+ * @param {object} options
+ * @param {string} options.testURL
+ * @param {object} options.profile - normalized load profile
+ * @param {object} [options.scenario] - normalized scenario (one endpoint per step)
+ * @param {string} [options.seed]
+ * @param {object} [options.model] - overrides for DEFAULT_TARGET_MODEL
+ * @returns {object} k6 summary-export shaped result with `timeSeries` and `breakdown`
+ */
+export const simulateLoadTest = ({ testURL, profile, scenario = null, seed, model: modelOverrides }) => {
+  const { seed: baseSeed, model } = resolveSimulation({ seed, model: modelOverrides });
+  const rng = createRng(`${baseSeed}:${testURL}:${JSON.stringify(profile)}:${JSON.stringify(scenario)}`);
+  const jitter = () => 1 + (rng() * 2 - 1) * model.latencyJitter;
+
+  const steps = scenario ? scenario.steps : [{ name: testURL, method: "GET", thinkTime: 0 }];
+  // Each endpoint is a fixed multiple of the base latency for this seed
+  const endpointFactors = steps.map(() => 0.6 + rng() * 0.8);
+  const meanFactor = endpointFactors.reduce((a, b) => a + b, 0) / endpointFactors.length;
+  const stepThinkTime = steps.reduce((sum, s) => sum + (s.thinkTime || 0), 0);
+
+  const durationSeconds = Math.max(1, Math.round(getProfileDuration(profile)));
+  const timeSeries = [];
+  const endpointTotals = steps.map(() => ({ requests: 0, failures: 0, durationSum: 0, p95: [] }));
+  let peakVUs = 0;
+
+  for (let t = 0; t < durationSeconds; t++) {
+    const noise = jitter();
+    const latencyFor = (concurrency) => latencyAt(model, Math.max(1, concurrency)) * meanFactor * noise;
+    const iterationSecondsFor = (ms) => (steps.length * ms) / 1000 + profile.thinkTime + stepThinkTime;
+    let vus;
+    let latency;
+    let iterationsPerSecond;
+
+    if (profile.executor === "constant-arrival-rate") {
+      // Open model: VUs needed to sustain the rate (capped by maxVUs) drive the latency
+      const rate = profile.rate / parseDuration(profile.timeUnit);
+      const unloaded = Math.ceil(rate * iterationSecondsFor(latencyFor(1)));
+      latency = latencyFor(Math.min(profile.maxVUs, unloaded));
+      vus = Math.min(profile.maxVUs, Math.ceil(rate * iterationSecondsFor(latency)));
+      iterationsPerSecond = Math.min(rate, vus / iterationSecondsFor(latency));
+    } else {
+      // Closed model: every VU loops request(s) + think time
+      vus = Math.round(vusAt(profile, t));
+      latency = latencyFor(vus);
+      iterationsPerSecond = vus / iterationSecondsFor(latency);
+    }
+    peakVUs = Math.max(peakVUs, vus);
+
+    const errorRate = errorRateAt(model, vus);
+    const requests = Math.round(iterationsPerSecond * steps.length);
+    const failures = Math.round(requests * errorRate);
+    const p50 = latency * 0.9;
+
+    timeSeries.push({
+      t,
+      vus,
+      requests,
+      failures,
+      avg: round(latency),
+      p50: requests > 0 ? round(p50) : null,
+      p95: requests > 0 ? round(latency * 1.6) : null,
+      p99: requests > 0 ? round(latency * 2.3) : null,
+    });
+
+    steps.forEach((_, i) => {
+      const share = Math.round(requests / steps.length);
+      const total = endpointTotals[i];
+      total.requests += share;
+      total.failures += Math.round(share * errorRate);
+      total.durationSum += share * latency * (endpointFactors[i] / meanFactor);
+      total.p95.push({ value: latency * (endpointFactors[i] / meanFactor) * 1.6, weight: share });
+    });
+  }
+
+  // --- k6 summary export shape ---
+  const totalRequests = timeSeries.reduce((sum, s) => sum + s.requests, 0);
+  const totalFailures = timeSeries.reduce((sum, s) => sum + s.failures, 0);
+  const weighted = (key) => timeSeries.map(s => ({ value: s[key] ?? 0, weight: s.requests }));
+  const avg = totalRequests > 0 ? timeSeries.reduce((sum, s) => sum + s.avg * s.requests, 0) / totalRequests : 0;
+  const failRate = totalRequests > 0 ? totalFailures / totalRequests : 0;
+
+  const { serverError, rejected } = model.failureMix;
+  const serverErrors = Math.round(totalFailures * serverError);
+  const rejectedCount = Math.round(totalFailures * rejected);
+  const timeouts = totalFailures - serverErrors - rejectedCount;
+  const ok = totalRequests - totalFailures;
+
+  return {
+    metrics: {
+      http_req_duration: {
+        avg,
+        med: weightedPercentile(weighted("p50"), 50),
+        "p(95)": weightedPercentile(weighted("p95"), 95),
+        "p(99)": weightedPercentile(weighted("p99"), 99),
+        max: Math.max(0, ...timeSeries.map(s => s.p99 ?? 0)) * 1.4,
+      },
+      http_reqs: { count: totalRequests, rate: totalRequests / durationSeconds },
+      // k6 Rate metric: passes = samples that were true (failed requests)
+      http_req_failed: { passes: totalFailures, fails: ok, value: failRate },
+      server_errors: { count: serverErrors, rate: serverErrors / durationSeconds },
+      vus: { value: timeSeries[timeSeries.length - 1]?.vus ?? 0, min: 0, max: peakVUs },
+      vus_max: { value: peakVUs, min: peakVUs, max: peakVUs },
+    },
+    state: { testRunDurationMs: durationSeconds * 1000 },
+    timeSeries,
+    breakdown: {
+      totalRequests,
+      statusCodes: { 200: ok, 429: rejectedCount, 503: serverErrors },
+      statusClasses: { "2xx": ok, "3xx": 0, "4xx": rejectedCount, "5xx": serverErrors },
+      errorClasses: { timeout: timeouts, connectionRefused: 0, connectionReset: 0, dns: 0, tls: 0, other: 0 },
+      endpoints: steps.map((step, i) => {
+        const total = endpointTotals[i];
+        const stepFailRate = total.requests > 0 ? total.failures / total.requests : 0;
+        const statusClasses = emptyClasses();
+        statusClasses["2xx"] = total.requests - total.failures;
+        statusClasses["4xx"] = Math.round(total.failures * rejected);
+        statusClasses["5xx"] = Math.round(total.failures * serverError);
+        return {
+          name: step.name,
+          method: step.method,
+          requests: total.requests,
+          failures: total.failures,
+          networkErrors: total.failures - statusClasses["4xx"] - statusClasses["5xx"],
+          statusClasses,
+          errorRate: round(stepFailRate, 4),
+          avg: total.requests > 0 ? round(total.durationSum / total.requests) : null,
+          p95: total.requests > 0 ? round(weightedPercentile(total.p95, 95)) : null,
+        };
+      }),
+    },
+  };
+};
+
+/**
+ * Lab timings as a device profile would see them. The model's timings are unthrottled:
+ * main-thread work (TBT, half of paint/load time) scales with the CPU slowdown, and each
+ * milestone pays a few round trips plus the bytes it needs at the throttled bandwidth.
+ */
+const throttleTimings = (timings, transferBytes, device) => {
+  if (!device) return timings;
+  const cpu = device.cpuSlowdown || 1;
+  const rtt = device.network?.latencyMs ?? 0;
+  // bits / kbps = ms
+  const downloadMs = (bytes) => (device.network ? (bytes * 8) / device.network.downloadKbps : 0);
+  const mainThread = (ms) => ms * (0.5 + 0.5 * cpu);
+
+  return {
+    ttfb: timings.ttfb + 3 * rtt,
+    fcp: mainThread(timings.fcp) + 4 * rtt + downloadMs(transferBytes * 0.3),
+    lcp: mainThread(timings.lcp) + 4 * rtt + downloadMs(transferBytes * 0.6),
+    tbt: timings.tbt * cpu,
+    load: mainThread(timings.load) + 4 * rtt + downloadMs(transferBytes),
+  };
+};
+
+/**
+ * Simulated Playwright audit: the model's lab vitals and scores with seeded noise.
+ */
+export const simulateBrowserAudit = ({ testURL, device = null, seed, model: modelOverrides } = {}) => {
+  const { seed: baseSeed, model } = resolveSimulation({ seed, model: modelOverrides });
+  // Same stream for every device, so a comparison differs only by the profile
+  const rng = createRng(`${baseSeed}:audit:${testURL}`);
+  const vary = (value) => value * (0.9 + rng() * 0.2);
+  const { browser } = model;
+
+  const transferBytes = Math.round(vary(browser.transferBytes));
+  const timings = throttleTimings({
+    fcp: vary(browser.fcpMs),
+    lcp: vary(browser.lcpMs),
+    tbt: vary(browser.tbtMs),
+    ttfb: vary(model.baseLatencyMs),
+    load: vary(browser.loadTimeMs),
+  }, transferBytes, device);
+  const { webVitals, performance, interactivity } = scoreWebVitals({
+    fcp: timings.fcp,
+    lcp: timings.lcp,
+    tbt: timings.tbt,
+    cls: vary(browser.cls),
+    ttfb: timings.ttfb,
+  });
+
+  // Every rule applies; the failing ones get a couple of placeholder nodes
+  const findings = Object.fromEntries(Object.keys(ACCESSIBILITY_RULES).map((id) => {
+    const count = browser.failingA11yRules.includes(id) ? 1 + Math.floor(rng() * 3) : 0;
+    const nodes = Array.from({ length: count }, (_, i) => ({ selector: `body > div:nth-of-type(${i + 1})`, html: "<div>Simulated element</div>" }));
+    return [id, { checked: 5, count, nodes }];
+  }));
+  const accessibility = buildAccessibilityReport(findings);
+
+  const list = (count, item) => ({ count, items: Array.from({ length: count }, (_, i) => item(i)) });
+  const diagnostics = {
+    consoleErrors: list(browser.consoleErrors, (i) => ({ text: `Simulated console error ${i + 1}`, location: null })),
+    consoleWarnings: list(0, () => null),
+    pageErrors: list(browser.pageErrors, (i) => ({ message: `Simulated exception ${i + 1}`, stack: null })),
+    failedRequests: list(browser.failedRequests, (i) => ({ url: `${testURL}/missing-${i + 1}.js`, type: "script", status: 404, error: "Not Found" })),
+    mixedContent: list(0, () => null),
+  };
+  const bestPractices = buildBestPracticesReport(testURL, diagnostics);
+  const seo = buildSeoReport(Object.fromEntries(Object.keys(SEO_CHECKS).map((id) => {
+    if (id === "hreflang") return [id, { status: "na", detail: "No hreflang alternates (single-language page)" }];
+    return [id, browser.failingSeoChecks.includes(id)
+      ? { status: "fail", detail: "Simulated failure" }
+      : { status: "pass", detail: "Simulated pass" }];
+  })));
+  // Rough split of a typical page weight
+  const share = { script: 0.45, image: 0.35, stylesheet: 0.1, font: 0.1 };
+
+  return {
+    performance,
+    accessibility: accessibility.score,
+    bestPractices: bestPractices.score,
+    seo: seo.score,
+    interactivity,
+    loadTimeMs: Math.round(timings.load),
+    webVitals,
+    longTasks: {
+      count: Math.round(timings.tbt / 75),
+      totalMs: Math.round(timings.tbt + (timings.tbt / 75) * 50),
+      longestMs: Math.round(50 + timings.tbt / 2),
+    },
+    resources: {
+      count: browser.requests,
+      transferBytes,
+      byType: Object.fromEntries(Object.entries(share).map(([type, fraction]) => [
+        type,
+        { count: Math.max(1, Math.round(browser.requests * fraction)), bytes: Math.round(transferBytes * fraction) },
+      ])),
+      largest: [],
+      slowest: [],
+    },
+    accessibilityViolations: accessibility.violations,
+    bestPracticesChecks: bestPractices.checks,
+    seoChecks: seo.checks,
+    diagnostics,
+    device: device ? { name: device.name, label: device.label } : null,
+  };
+};
+
+/**
+ * Per-step results for a scripted browser journey (see Utils/journey.js).
+ * Navigations cost a page load under the device profile; other actions mostly CPU time.
+ */
+export const simulateBrowserJourney = ({ testURL, journey, device = null, seed, model: modelOverrides }) => {
+  const { seed: baseSeed, model } = resolveSimulation({ seed, model: modelOverrides });
+  const rng = createRng(`${baseSeed}:journey:${testURL}:${journey.name}`);
+  const vary = (value) => value * (0.8 + rng() * 0.4);
+  const { browser } = model;
+  const failing = browser.failingJourneyStep;
+
+  let failed = false;
+  return journey.steps.map((step, i) => {
+    const base = { name: step.name, action: step.action, target: step.url ?? step.selector ?? null };
+    if (failed) return { ...base, status: "skipped", durationMs: null, error: null, url: null, screenshot: null };
+
+    const timings = throttleTimings(
+      { ttfb: 0, fcp: 0, lcp: 0, tbt: 0, load: step.action === "navigate" ? browser.journeyNavigateMs : browser.journeyActionMs },
+      step.action === "navigate" ? browser.transferBytes * 0.3 : 0,
+      device
+    );
+    failed = failing != null && (failing === step.name || failing === i + 1);
+    return {
+      ...base,
+      status: failed ? "failed" : "passed",
+      // A failing step runs into its timeout
+      durationMs: failed ? step.timeoutMs : Math.round(vary(timings.load)),
+      error: failed ? `Simulated failure: ${step.action} timed out after ${step.timeoutMs}ms` : null,
+      url: testURL,
+      screenshot: null,
+    };
+  });
+};
+
+/**
+ * Wireframe SVG of the simulated page; `stage` 0-3 is how much has painted
+ * (blank, text, hero image, everything).
+ */
+const renderWireframe = (host, stage) => {
+  const parts = [`<rect width="480" height="320" fill="#ffffff"/>`];
+  if (stage >= 1) {
+    parts.push(`<rect width="480" height="40" fill="#1e293b"/>`);
+    parts.push(`<text x="16" y="26" font-family="sans-serif" font-size="14" fill="#ffffff">${host}</text>`);
+    [70, 90, 110].forEach((y, i) => parts.push(`<rect x="16" y="${y}" width="${200 - i * 40}" height="10" rx="3" fill="#cbd5e1"/>`));
+  }
+  if (stage >= 2) parts.push(`<rect x="240" y="60" width="224" height="140" rx="6" fill="#94a3b8"/>`);
+  if (stage >= 3) [16, 168, 320].forEach(x => parts.push(`<rect x="${x}" y="220" width="144" height="84" rx="6" fill="#e2e8f0"/>`));
+  return Buffer.from(`<svg xmlns="http://www.w3.org/2000/svg" width="480" height="320" viewBox="0 0 480 320">${parts.join("")}</svg>`);
+};
+
+/**
+ * Screenshot, filmstrip and HAR matching a simulateBrowserAudit() result, in the raw
+ * artifact shape of the Playwright runner (images are SVG wireframes).
+ */
+export const simulateAuditArtifacts = ({ testURL, result }) => {
+  const url = new URL(testURL);
+  const svg = (name, stage, offsetMs) => ({
+    kind: offsetMs === undefined ? "screenshot" : "filmstrip",
+    name,
+    contentType: "image/svg+xml",
+    data: renderWireframe(url.host, stage),
+    ...(offsetMs === undefined ? {} : { offsetMs }),
+  });
+  const { fcp, lcp } = result.webVitals;
+  // The last paint can come after the load event's estimate but never before the LCP
+  const paints = [0, fcp.value, lcp.value, Math.max(lcp.value, result.loadTimeMs)];
+
+  const started = new Date(0).toISOString();
+  const entries = Object.entries(result.resources.byType).flatMap(([type, { count, bytes }]) =>
+    Array.from({ length: count }, (_, i) => ({
+      startedDateTime: started,
+      time: Math.round(result.loadTimeMs / (count + 1)),
+      request: { method: "GET", url: `${url.origin}/static/${type}-${i + 1}`, httpVersion: "HTTP/1.1", headers: [], queryString: [], cookies: [], headersSize: -1, bodySize: 0 },
+      response: { status: 200, statusText: "OK", httpVersion: "HTTP/1.1", headers: [], cookies: [], content: { size: Math.round(bytes / count), mimeType: type }, redirectURL: "", headersSize: -1, bodySize: Math.round(bytes / count) },
+      cache: {},
+      timings: { send: 0, wait: Math.round(result.loadTimeMs / (count + 1)), receive: 0 },
+    })));
+  const har = { log: { version: "1.2", creator: { name: "SyncMind simulator", version: "1" }, pages: [], entries } };
+
+  return [
+    svg("screenshot.svg", 3),
+    ...paints.map((offsetMs, i) => svg(`filmstrip-${i + 1}.svg`, i, Math.round(offsetMs))),
+    { kind: "har", name: "page.har", contentType: "application/json", data: Buffer.from(JSON.stringify(har)) },
+  ];
+};
+
+/**
+ * What the security runner would observe on the simulated site, in the facts shape of
+ * Utils/securityAudit.js. An http:// target lands on HTTPS when the site redirects.
+ */
+export const simulateSecurityFacts = ({ testURL, seed, model: modelOverrides, now = Date.now() }) => {
+  const { model } = resolveSimulation({ seed, model: modelOverrides });
+  const { security } = model;
+  const url = new URL(testURL);
+  const redirects = security.httpRedirectStatus >= 300 && security.httpRedirectStatus < 400;
+  const httpsURL = new URL(url);
+  httpsURL.protocol = "https:";
+  const finalURL = url.protocol === "https:" || redirects ? httpsURL.href : url.href;
+
+  return {
+    url: url.href,
+    finalURL,
+    headers: security.headers,
+    cookies: security.cookies,
+    httpRedirect: security.httpRedirectStatus == null
+      ? { error: "connect ECONNREFUSED" }
+      : { status: security.httpRedirectStatus, location: redirects ? `${httpsURL.origin}/` : null },
+    tls: finalURL.startsWith("https:")
+      ? {
+        protocol: security.tlsProtocol,
+        authorized: true,
+        authorizationError: null,
+        validTo: new Date(now + security.certDaysLeft * 86400000).toUTCString(),
+        issuer: "Simulated CA",
+      }
+      : null,
+  };
+};
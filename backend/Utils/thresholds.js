@@ -0,0 +1,149 @@
+/**
+ * thresholds.js
+ * SLO thresholds and the pass/fail verdict computed from them
+ * - normalizeThresholds: validates `[{ metric, op, value }]` from the request body
+ * - buildK6Thresholds: maps the load-test thresholds onto k6 `options.thresholds`
+ * - evaluateThresholds: checks every threshold against the parsed k6 metrics and
+ *   the Playwright audit, returning a per-threshold breakdown and an overall verdict
+ *
+ * Error rate is a fraction (0.01 = 1%), latency is in ms, browser scores are 0-100, CLS is unitless.
+ */
+
+const MAX_THRESHOLDS = 20;
+
+export const OPERATORS = ["<", "<=", ">", ">="];
+
+// metric id -> where the observed value comes from (k6 mapping is omitted for browser metrics)
+export const THRESHOLD_METRICS = {
+  "http.p95": { label: "p95 latency", unit: "ms", source: "loadTest", k6: ["http_req_duration", "p(95)"], read: ({ metrics }) => metrics?.latency?.p95 },
+  "http.p99": { label: "p99 latency", unit: "ms", source: "loadTest", k6: ["http_req_duration", "p(99)"], read: ({ metrics }) => metrics?.latency?.p99 },
+  "http.avg": { label: "Average latency", unit: "ms", source: "loadTest", k6: ["http_req_duration", "avg"], read: ({ metrics }) => metrics?.latency?.avg },
+  "http.errorRate": { label: "Error rate", unit: "ratio", source: "loadTest", k6: ["http_req_failed", "rate"], read: ({ metrics }) => metrics?.failureRateUnderTest },
+  "http.throughput": { label: "Throughput", unit: "req/s", source: "loadTest", k6: ["http_reqs", "rate"], read: ({ metrics }) => metrics?.throughput },
+  "browser.performance": { label: "Browser performance score", unit: "score", source: "browserAudit", read: ({ browserMetrics }) => browserMetrics?.performance },
+  "browser.accessibility": { label: "Accessibility score", unit: "score", source: "browserAudit", read: ({ browserMetrics }) => browserMetrics?.accessibility },
+  "browser.bestPractices": { label: "Best practices score", unit: "score", source: "browserAudit", read: ({ browserMetrics }) => browserMetrics?.bestPractices },
+  "browser.seo": { label: "SEO score", unit: "score", source: "browserAudit", read: ({ browserMetrics }) => browserMetrics?.seo },
+  "browser.loadTimeMs": { label: "Browser load time", unit: "ms", source: "browserAudit", read: ({ browserMetrics }) => browserMetrics?.loadTimeMs },
+  "browser.lcp": { label: "Largest Contentful Paint", unit: "ms", source: "browserAudit", read: ({ browserMetrics }) => browserMetrics?.webVitals?.lcp?.value },
+  "browser.fcp": { label: "First Contentful Paint", unit: "ms", source: "browserAudit", read: ({ browserMetrics }) => browserMetrics?.webVitals?.fcp?.value },
+  "browser.tbt": { label: "Total Blocking Time", unit: "ms", source: "browserAudit", read: ({ browserMetrics }) => browserMetrics?.webVitals?.tbt?.value },
+  "browser.cls": { label: "Cumulative Layout Shift", unit: "unitless", source: "browserAudit", read: ({ browserMetrics }) => browserMetrics?.webVitals?.cls?.value },
+  "browser.ttfb": { label: "Time to First Byte", unit: "ms", source: "browserAudit", read: ({ browserMetrics }) => browserMetrics?.webVitals?.ttfb?.value },
+};
+
+// Applied when neither the test nor the target defines its own thresholds
+export const DEFAULT_THRESHOLDS = [
+  { metric: "http.p95", op: "<", value: 1000 },
+  { metric: "http.errorRate", op: "<", value: 0.05 },
+  { metric: "browser.performance", op: ">=", value: 50 },
+];
+
+/**
+ * Validates raw thresholds from the request body.
+ * @param {Array} [input]
+ * @returns {{ thresholds: Array|null, errors: string[] }} thresholds is null when none were given
+ */
+export const normalizeThresholds = (input) => {
+  if (input == null) return { thresholds: null, errors: [] };
+  if (!Array.isArray(input)) return { thresholds: null, errors: ["thresholds must be an array"] };
+  if (input.length > MAX_THRESHOLDS) {
+    return { thresholds: null, errors: [`At most ${MAX_THRESHOLDS} thresholds are allowed`] };
+  }
+
+  const errors = [];
+  const thresholds = input.map((t, i) => {
+    const metric = t?.metric;
+    const op = t?.op ?? "<";
+    const value = Number(t?.value);
+
+    if (!THRESHOLD_METRICS[metric]) {
+      errors.push(`thresholds[${i}].metric must be one of: ${Object.keys(THRESHOLD_METRICS).join(", ")}`);
+    }
+    if (!OPERATORS.includes(op)) errors.push(`thresholds[${i}].op must be one of: ${OPERATORS.join(" ")}`);
+    if (!Number.isFinite(value) || value < 0) errors.push(`thresholds[${i}].value must be a non-negative number`);
+    if (metric === "http.errorRate" && value > 1) {
+      errors.push(`thresholds[${i}].value is a fraction for http.errorRate (0.01 = 1%)`);
+    }
+    return { metric, op, value };
+  });
+
+  return errors.length > 0 ? { thresholds: null, errors } : { thresholds, errors };
+};
+
+/**
+ * k6 `options.thresholds` for the load-test metrics, e.g. { http_req_duration: ["p(95)<300"] }.
+ * k6 then marks crossed thresholds in its summary and exits with code 99.
+ */
+export const buildK6Thresholds = (thresholds = []) => {
+  const result = {};
+  for (const { metric, op, value } of thresholds) {
+    const mapping = THRESHOLD_METRICS[metric]?.k6;
+    if (!mapping) continue;
+    const [k6Metric, stat] = mapping;
+    (result[k6Metric] ||= []).push(`${stat}${op}${value}`);
+  }
+  return result;
+};
+
+const compare = (actual, op, expected) => {
+  switch (op) {
+    case "<": return actual < expected;
+    case "<=": return actual <= expected;
+    case ">": return actual > expected;
+    default: return actual >= expected;
+  }
+};
+
+/**
+ * @param {Array} thresholds - normalized thresholds
+ * @param {object} observed
+ * @param {object} [observed.metrics] - parseK6Data output
+ * @param {object} [observed.browserMetrics] - Playwright audit result
+ * @returns {{ status: "passed"|"failed"|"inconclusive", passed: number, failed: number, notMeasured: number, results: Array }}
+ *   failed if any threshold failed; inconclusive if none failed but some could not be measured
+ */
+export const evaluateThresholds = (thresholds, observed) => {
+  const results = thresholds.map(({ metric, op, value }) => {
+    const def = THRESHOLD_METRICS[metric];
+    const actual = def.read(observed);
+    const measured = Number.isFinite(actual);
+    return {
+      metric,
+      label: def.label,
+      unit: def.unit,
+      source: def.source,
+      op,
+      value,
+      actual: measured ? Number(actual.toFixed(4)) : null,
+      passed: measured ? compare(actual, op, value) : null,
+    };
+  });
+
+  const passed = results.filter(r => r.passed === true).length;
+  const failed = results.filter(r => r.passed === false).length;
+  const notMeasured = results.filter(r => r.passed === null).length;
+
+  let status = "passed";
+  if (failed > 0) status = "failed";
+  else if (notMeasured > 0 || results.length === 0) status = "inconclusive";
+
+  return { status, passed, failed, notMeasured, results };
+};
+
+/**
+ * Key under which per-target thresholds are saved (the URL origin), or null for invalid URLs.
+ */
+export const getTargetKey = (url) => {
+  try {
+    return new URL(url).origin;
+  } catch (e) {
+    return null;
+  }
+};
+
+/**
+ * Display label kept for the legacy `aiVerdict` response field.
+ */
+export const verdictLabel = (verdict) =>
+  verdict ? verdict.status.charAt(0).toUpperCase() + verdict.status.slice(1) : "Inconclusive";
@@ -0,0 +1,139 @@
+/**
+ * webVitals.js
+ * Scores lab Core Web Vitals collected by the Playwright audit
+ * - VITALS: the published good / poor boundaries (web.dev) and Lighthouse scoring curves
+ * - scoreVital: Lighthouse log-normal score (0-1) plus a good / needs-improvement / poor rating
+ * - scoreWebVitals: per-vital results, a weighted performance score and a TBT-based
+ *   interactivity score (TBT is the lab stand-in for INP)
+ * - summarizeResources: request counts / transfer bytes by type and the largest and slowest resources
+ *
+ * Lighthouse 10 (mobile) curves: p10 scores 0.9, median scores 0.5. Speed Index is not
+ * collected, so the remaining weights are rescaled to 100.
+ */
+
+export const VITALS = {
+  fcp: { label: "First Contentful Paint", unit: "ms", good: 1800, poor: 3000, p10: 1800, median: 3000, weight: 10 },
+  lcp: { label: "Largest Contentful Paint", unit: "ms", good: 2500, poor: 4000, p10: 2500, median: 4000, weight: 25 },
+  tbt: { label: "Total Blocking Time", unit: "ms", good: 200, poor: 600, p10: 200, median: 600, weight: 30 },
+  cls: { label: "Cumulative Layout Shift", unit: "", good: 0.1, poor: 0.25, p10: 0.1, median: 0.25, weight: 25 },
+  // Not part of the Lighthouse score; rated only
+  ttfb: { label: "Time to First Byte", unit: "ms", good: 800, poor: 1800, weight: 0 },
+};
+
+// Abramowitz-Stegun approximation, as used by Lighthouse
+const erf = (x) => {
+  const sign = Math.sign(x);
+  const ax = Math.abs(x);
+  const t = 1 / (1 + 0.3275911 * ax);
+  const y = t * (0.254829592 + t * (-0.284496736 + t * (1.421413741 + t * (-1.453152027 + t * 1.061405429))));
+  return sign * (1 - y * Math.exp(-ax * ax));
+};
+
+const INVERSE_ERFC_ONE_FIFTH = 0.9061938024368232;
+
+/**
+ * Lighthouse log-normal score for a "lower is better" metric.
+ */
+const logNormalScore = ({ p10, median }, value) => {
+  if (value <= 0) return 1;
+  const standardized = (Math.log(value / median) * INVERSE_ERFC_ONE_FIFTH) / -Math.log(p10 / median);
+  const score = (1 - erf(standardized)) / 2;
+
+  // Keep the score on the right side of the 0.9 / 0.5 boundaries despite the approximation
+  if (value <= p10) return Math.max(0.9, Math.min(1, score));
+  if (value <= median) return Math.max(0.5, Math.min(0.89, score));
+  return Math.max(0, Math.min(0.49, score));
+};
+
+/**
+ * @param {string} id - key of VITALS
+ * @param {number|null} value - raw measurement (ms, or unitless for CLS)
+ * @returns {{ value: number|null, unit: string, score: number|null, rating: "good"|"needs-improvement"|"poor"|null }}
+ */
+export const scoreVital = (id, value) => {
+  const def = VITALS[id];
+  if (!Number.isFinite(value)) return { value: null, unit: def.unit, score: null, rating: null };
+
+  let rating = "needs-improvement";
+  if (value <= def.good) rating = "good";
+  else if (value > def.poor) rating = "poor";
+
+  return {
+    value: id === "cls" ? Number(value.toFixed(3)) : Math.round(value),
+    unit: def.unit,
+    score: def.weight > 0 ? Number(logNormalScore(def, value).toFixed(2)) : null,
+    rating,
+  };
+};
+
+/**
+ * @param {object} raw - { fcp, lcp, tbt, cls, ttfb }, any of which may be null
+ * @returns {{ webVitals: object, performance: number|null, interactivity: number|null }}
+ *   performance is null when the page never painted (no FCP or LCP): CLS starts at 0, so it
+ *   alone would score an unpainted page as perfect; TBT counts from FCP, so it is null too
+ */
+export const scoreWebVitals = (raw) => {
+  const webVitals = {};
+  let weighted = 0;
+  let totalWeight = 0;
+
+  for (const id of Object.keys(VITALS)) {
+    const result = scoreVital(id, raw?.[id]);
+    webVitals[id] = result;
+    if (result.score !== null) {
+      weighted += result.score * VITALS[id].weight;
+      totalWeight += VITALS[id].weight;
+    }
+  }
+
+  const painted = webVitals.fcp.value !== null || webVitals.lcp.value !== null;
+
+  return {
+    webVitals,
+    performance: painted && totalWeight > 0 ? Math.round((weighted / totalWeight) * 100) : null,
+    interactivity: webVitals.tbt.score !== null ? Math.round(webVitals.tbt.score * 100) : null,
+  };
+};
+
+const RESOURCE_TYPES = {
+  script: "script",
+  link: "stylesheet",
+  css: "stylesheet",
+  img: "image",
+  image: "image",
+  fetch: "xhr",
+  xmlhttprequest: "xhr",
+  beacon: "xhr",
+};
+
+const resourceType = ({ url, type }) => {
+  if (/\.(woff2?|ttf|otf|eot)(\?|$)/i.test(url)) return "font";
+  return RESOURCE_TYPES[type] || "other";
+};
+
+/**
+ * @param {Array<{ url: string, type: string, bytes: number, durationMs: number }>} resources
+ *   Resource Timing entries (cross-origin entries without Timing-Allow-Origin report 0 bytes)
+ * @param {number} [documentBytes] - transfer size of the HTML document itself
+ */
+export const summarizeResources = (resources = [], documentBytes = 0) => {
+  const byType = {};
+  for (const r of resources) {
+    const entry = (byType[resourceType(r)] ||= { count: 0, bytes: 0 });
+    entry.count++;
+    entry.bytes += r.bytes || 0;
+  }
+
+  const top = (key) => [...resources]
+    .sort((a, b) => (b[key] || 0) - (a[key] || 0))
+    .slice(0, 5)
+    .map(r => ({ url: r.url, type: resourceType(r), bytes: r.bytes || 0, durationMs: Math.round(r.durationMs || 0) }));
+
+  return {
+    count: resources.length + 1,
+    transferBytes: resources.reduce((sum, r) => sum + (r.bytes || 0), documentBytes),
+    byType,
+    largest: top("bytes"),
+    slowest: top("durationMs"),
+  };
+};
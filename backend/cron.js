@@ -1,5 +1,6 @@
 import cron from 'node-cron';
 import User from './Models/User.js';
+import { refreshAdvisoryDatabase } from './Utils/advisoryDb.js';
 
 // Run every day at midnight
 cron.schedule('0 0 * * *', async () => {
@@ -32,4 +33,20 @@ cron.schedule('0 0 * * *', async () => {
     }
 });
 
+// Keep the dependency advisory database current, e.g. ADVISORY_REFRESH_CRON="0 3 * * *"
+// A malformed expression only disables the refresh; it must not keep the server from starting
+if (process.env.ADVISORY_REFRESH_CRON && !cron.validate(process.env.ADVISORY_REFRESH_CRON)) {
+    console.warn(`⚠️ Invalid ADVISORY_REFRESH_CRON "${process.env.ADVISORY_REFRESH_CRON}"; scheduled advisory refresh is off.`);
+} else if (process.env.ADVISORY_REFRESH_CRON) {
+    cron.schedule(process.env.ADVISORY_REFRESH_CRON, async () => {
+        try {
+            const result = await refreshAdvisoryDatabase();
+            console.log(`✅ Advisory database refreshed: ${result.advisoryCount} advisories.`);
+            result.failures.forEach(failure => console.warn(`⚠️ Advisory refresh: ${failure}`));
+        } catch (error) {
+            console.error('❌ Error in advisory refresh cron:', error);
+        }
+    });
+}
+
 export default cron;
@@ -4,17 +4,32 @@ import { Counter } from 'k6/metrics';
 
 export const serverErrors = new Counter('server_errors');
 
-export const options = {
-  vus: __ENV.VUS ? Number(__ENV.VUS) : 50,    // increased load
-  duration: __ENV.DURATION || "30s",          // safe default
-};
+// Normalized profile from Utils/loadProfile.js (passed through the environment)
+const profile = __ENV.LOAD_PROFILE ? JSON.parse(__ENV.LOAD_PROFILE) : null;
+
+// Scenario options built from that profile by buildK6Options(), shared with generated scenario scripts
+const profileOptions = __ENV.K6_OPTIONS ? JSON.parse(__ENV.K6_OPTIONS) : null;
+
+// SLO thresholds from Utils/thresholds.js, e.g. { http_req_duration: ["p(95)<300"] }
+const thresholds = __ENV.K6_THRESHOLDS_JSON ? JSON.parse(__ENV.K6_THRESHOLDS_JSON) : undefined;
+
+export const options = profileOptions
+  ? { ...profileOptions, thresholds }
+  : {
+    vus: __ENV.VUS ? Number(__ENV.VUS) : 50,    // increased load
+    duration: __ENV.DURATION || "30s",          // safe default
+    thresholds,
+  };
+
+const requestTimeout = (profile && profile.timeout) || "60s";
+const thinkTime = profile ? profile.thinkTime : 1;
 
 export default function () {
-  const res = http.get(__ENV.TARGET_URL);
+  const res = http.get(__ENV.TARGET_URL, { timeout: requestTimeout });
 
   if (res.status >= 500) {
     serverErrors.add(1);
   }
 
-  sleep(1);
+  if (thinkTime > 0) sleep(thinkTime);
 }
@@ -0,0 +1,12 @@
+import "dotenv/config"
+import { startMockTarget, resolveMockTargetOptions } from "./Utils/mockTarget.js";
+
+// Standalone mock target: `npm run mock-target` (see Utils/mockTarget.js for configuration)
+try {
+    const mock = await startMockTarget(resolveMockTargetOptions());
+    console.log(`🎯 Mock target is running at ${mock.url}`);
+    console.log(`   Routes: ${mock.url}/__mock/routes  Stats: ${mock.url}/__mock/stats`);
+} catch (e) {
+    console.error(`❌ Failed to start mock target: ${e.message}`);
+    process.exit(1);
+}
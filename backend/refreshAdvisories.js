@@ -0,0 +1,17 @@
+import "dotenv/config"
+import { refreshAdvisoryDatabase, advisoryDbPath } from "./Utils/advisoryDb.js";
+
+// `npm run refresh-advisories [-- --full] [-- npm:left-pad pypi:flask ...]` (see Utils/advisoryDb.js)
+const args = process.argv.slice(2);
+try {
+    const result = await refreshAdvisoryDatabase({
+        full: args.includes("--full"),
+        track: args.filter(arg => !arg.startsWith("--")),
+    });
+    console.log(`✅ ${result.advisoryCount} advisories, ${result.packageCount} tracked packages written to ${advisoryDbPath()}`);
+    result.failures.forEach(failure => console.warn(`⚠️ ${failure}`));
+    if (result.failures.length) process.exitCode = 1;
+} catch (e) {
+    console.error(`❌ Advisory refresh failed: ${e.message}`);
+    process.exit(1);
+}
@@ -9,6 +9,7 @@ import loadRoute from "./Routers/Load.js"
 import authRoutes from "./Routers/auth.js"
 import razorpayRoutes from "./Routers/razorpay.js"
 import { verifyToken, checkCreditsOrSub } from "./Middleware/authMiddleware.js"
+import { startMockTarget, resolveMockTargetOptions } from "./Utils/mockTarget.js"
 import "./cron.js"; // Start Cron Jobs
 
 
@@ -83,6 +84,16 @@ const startServer = async () => {
         console.log(`failed to connect to db due to error: ${e}`);
         process.exit(1);
     }
+
+    // Optional bundled target for self-testing the pipeline; the API keeps running without it
+    if (process.env.MOCK_TARGET_PORT) {
+        try {
+            const mock = await startMockTarget(resolveMockTargetOptions());
+            console.log(`🎯 Mock target is running at ${mock.url}`);
+        } catch (e) {
+            console.error(`❌ Mock target failed to start: ${e.message}`);
+        }
+    }
 };
 
 startServer();